@@ -0,0 +1,179 @@
+/* migrate.js — versioned schema migrations for ListIt
+   Migrations live in ./migrations as NNN_name.js (exporting up(db, { config })) or NNN_name.sql,
+   and run in version order; `config` is the app's (src/config.js), for data migrations that need
+   the media directory or the gazetteer. Each one runs in its own transaction and is recorded in schema_migrations
+   with a checksum of its file, so edits to an applied migration show up in `status`.
+   Foreign key enforcement is off while migrations run (table rebuilds need that); a migration
+   that leaves new dangling references behind is rolled back.
+
+   CLI:
+     node migrate.js status             applied + pending migrations (default)
+     node migrate.js up [--to N]        apply pending migrations (up to version N)
+     node migrate.js up --dry-run       run pending migrations, then roll everything back
+   Options: --db <path> (default: $DB_PATH or ./listit.db)
+*/
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { loadConfig } = require('./src/config');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_RE = /^(\d+)_([a-z0-9_-]+)\.(js|sql)$/i;
+
+// Migrations found in `dir`, in version order: { version, name, file, checksum, up(db, context) }.
+function loadMigrations(dir = MIGRATIONS_DIR){
+  const out = [];
+  for (const file of fs.readdirSync(dir).sort()) {
+    const m = MIGRATION_FILE_RE.exec(file);
+    if (!m) continue;
+    const full = path.join(dir, file);
+    const source = fs.readFileSync(full, 'utf8');
+    const up = m[3].toLowerCase() === 'sql'
+      ? (db) => db.exec(source)
+      : require(full).up;
+    if (typeof up !== 'function') throw new Error(`Migration ${file} does not export up(db)`);
+    out.push({
+      version: Number(m[1]),
+      name: m[2],
+      file,
+      checksum: crypto.createHash('sha256').update(source).digest('hex'),
+      up,
+    });
+  }
+  out.sort((a, b) => a.version - b.version);
+  for (let i = 1; i < out.length; i++) {
+    if (out[i].version === out[i - 1].version) throw new Error(`Duplicate migration version ${out[i].version}: ${out[i - 1].file}, ${out[i].file}`);
+  }
+  return out;
+}
+
+function ensureMigrationsTable(db){
+  db.exec(`
+CREATE TABLE IF NOT EXISTS schema_migrations (
+  version INTEGER PRIMARY KEY,
+  name TEXT NOT NULL,
+  checksum TEXT NOT NULL,
+  applied_at TEXT NOT NULL
+);
+`);
+}
+function appliedMigrations(db){
+  const exists = db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'schema_migrations'").get();
+  return exists ? db.prepare('SELECT * FROM schema_migrations ORDER BY version').all() : [];
+}
+
+// Dangling references per table (PRAGMA foreign_key_check), e.g. { favorites: 2 }.
+function foreignKeyViolations(db){
+  const counts = {};
+  for (const v of db.pragma('foreign_key_check')) counts[v.table] = (counts[v.table] || 0) + 1;
+  return counts;
+}
+
+// { version, applied: [...], pending: [...], changed: [...], unknown: [...] } without touching the DB.
+function migrationStatus(db, { dir = MIGRATIONS_DIR } = {}){
+  const migrations = loadMigrations(dir);
+  const applied = appliedMigrations(db);
+  const byVersion = new Map(applied.map(r => [r.version, r]));
+  const known = new Set(migrations.map(m => m.version));
+  return {
+    version: applied.length ? applied[applied.length - 1].version : 0,
+    applied,
+    pending: migrations.filter(m => !byVersion.has(m.version)).map(({ up, ...m }) => m),
+    changed: migrations.filter(m => byVersion.has(m.version) && byVersion.get(m.version).checksum !== m.checksum).map(m => m.file),
+    unknown: applied.filter(r => !known.has(r.version)).map(r => r.version),
+  };
+}
+
+// Applies pending migrations (optionally only up to version `to`) and returns the ones run.
+// With dryRun every pending migration still runs, inside one transaction that is rolled back.
+// `config` (default: loadConfig()) is handed to .js migrations.
+function migrate(db, { dir = MIGRATIONS_DIR, to = Infinity, dryRun = false, config = loadConfig() } = {}){
+  const done = new Set(appliedMigrations(db).map(r => r.version));
+  const pending = loadMigrations(dir).filter(m => !done.has(m.version) && m.version <= to);
+  if (!pending.length) return [];
+
+  const record = (m) => db.prepare('INSERT INTO schema_migrations (version, name, checksum, applied_at) VALUES (?, ?, ?, ?)')
+    .run(m.version, m.name, m.checksum, new Date().toISOString());
+  const runOne = (m) => {
+    const before = foreignKeyViolations(db);
+    try { m.up(db, { config }); } catch (e) { throw new Error(`Migration ${m.file} failed: ${e.message}`); }
+    const after = foreignKeyViolations(db);
+    const grew = Object.keys(after).filter(t => after[t] > (before[t] || 0));
+    if (grew.length) throw new Error(`Migration ${m.file} left dangling foreign keys in: ${grew.join(', ')}`);
+    record(m);
+  };
+
+  const fkWasOn = db.pragma('foreign_keys', { simple: true }) === 1;
+  db.pragma('foreign_keys = OFF');
+  const ROLLBACK = Symbol('dry run');
+  try {
+    if (dryRun) {
+      try {
+        db.transaction(() => { ensureMigrationsTable(db); pending.forEach(runOne); throw ROLLBACK; })();
+      } catch (e) { if (e !== ROLLBACK) throw e; }
+    } else {
+      ensureMigrationsTable(db);
+      for (const m of pending) db.transaction(() => runOne(m))();
+    }
+  } finally {
+    if (fkWasOn) db.pragma('foreign_keys = ON');
+  }
+  return pending.map(({ up, ...m }) => m);
+}
+
+/* ------------------------------------------------------------------ */
+/* CLI                                                                 */
+/* ------------------------------------------------------------------ */
+function parseArgs(argv){
+  const opts = { command: 'status', db: process.env.DB_PATH || path.join(__dirname, 'listit.db'), to: Infinity, dryRun: false };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === '--db') opts.db = argv[++i];
+    else if (a === '--to') opts.to = Number(argv[++i]);
+    else if (a === '--dry-run') opts.dryRun = true;
+    else if (!a.startsWith('-')) opts.command = a;
+    else throw new Error(`Unknown option ${a}`);
+  }
+  if (!['status', 'up'].includes(opts.command)) throw new Error(`Unknown command ${opts.command} (use status or up)`);
+  if (!(opts.to > 0)) throw new Error('--to must be a positive version number');
+  return opts;
+}
+
+function main(argv){
+  const Database = require('better-sqlite3');
+  const opts = parseArgs(argv);
+  if (opts.command === 'status' && !fs.existsSync(opts.db)) {
+    console.log(`${opts.db}: no database yet`);
+    for (const m of loadMigrations()) console.log(`  pending  ${m.file}`);
+    return;
+  }
+  const db = new Database(opts.db);
+  try {
+    if (opts.command === 'up') {
+      const ran = migrate(db, { to: opts.to, dryRun: opts.dryRun });
+      const verb = opts.dryRun ? 'Would apply' : 'Applied';
+      console.log(ran.length ? `${verb}: ${ran.map(m => m.file).join(', ')}` : 'Nothing to apply');
+      if (opts.dryRun && ran.length) console.log('Dry run: all changes rolled back');
+    }
+    const s = migrationStatus(db);
+    console.log(`${opts.db}: schema version ${s.version}`);
+    for (const r of s.applied) console.log(`  applied  ${String(r.version).padStart(3, '0')}_${r.name}  ${r.applied_at}`);
+    for (const m of s.pending) console.log(`  pending  ${m.file}`);
+    for (const f of s.changed) console.log(`  warning: ${f} changed after it was applied`);
+    for (const v of s.unknown) console.log(`  warning: version ${v} is applied but has no migration file`);
+    const fk = foreignKeyViolations(db);
+    if (Object.keys(fk).length) {
+      console.log(`  warning: dangling foreign keys: ${Object.entries(fk).map(([t, n]) => `${t} (${n})`).join(', ')}`);
+    }
+  } finally {
+    db.close();
+  }
+}
+
+if (require.main === module) {
+  try { main(process.argv.slice(2)); }
+  catch (e) { console.error(e.message); process.exitCode = 1; }
+}
+
+module.exports = { MIGRATIONS_DIR, loadMigrations, migrationStatus, migrate };
@@ -0,0 +1,418 @@
+/* migrations/001_initial_schema.js — the schema as it stood before versioned migrations.
+   Every listit.db made before this point has some subset of it, so each step is conditional:
+   missing tables are created and missing columns added, existing rows are left alone. */
+
+function hasTable(db, name){
+  return !!db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?").get(name);
+}
+function hasColumn(db, table, column){
+  return db.prepare(`PRAGMA table_info(${table})`).all().some(c => c.name === column);
+}
+function addColumn(db, table, column, ddl){
+  if (!hasColumn(db, table, column)) db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${ddl};`);
+}
+
+function up(db){
+  // --- users, listings, conversations, messages ---
+  db.exec(`
+CREATE TABLE IF NOT EXISTS users (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  email TEXT UNIQUE NOT NULL,
+  password_hash TEXT NOT NULL,
+  created_at TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS listings (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL,
+  image_data TEXT NOT NULL,
+  title TEXT DEFAULT "",
+  description TEXT NOT NULL,
+  location TEXT NOT NULL,
+  price REAL NOT NULL,
+  created_at TEXT NOT NULL,
+  tags TEXT DEFAULT "",
+  FOREIGN KEY (user_id) REFERENCES users(id)
+);
+
+CREATE TABLE IF NOT EXISTS listing_images (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  listing_id INTEGER NOT NULL,
+  image_data TEXT NOT NULL,
+  position INTEGER NOT NULL,
+  FOREIGN KEY (listing_id) REFERENCES listings(id)
+);
+CREATE INDEX IF NOT EXISTS idx_listing_images_listing ON listing_images(listing_id, position);
+
+CREATE TABLE IF NOT EXISTS conversations (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  a_user_id INTEGER NOT NULL,
+  b_user_id INTEGER NOT NULL,
+  listing_id INTEGER,
+  created_at TEXT NOT NULL,
+  UNIQUE (a_user_id, b_user_id, listing_id)
+);
+
+CREATE TABLE IF NOT EXISTS messages (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  conversation_id INTEGER NOT NULL,
+  sender_id INTEGER NOT NULL,
+  body TEXT NOT NULL,
+  created_at TEXT NOT NULL,
+  FOREIGN KEY (conversation_id) REFERENCES conversations(id)
+);
+CREATE INDEX IF NOT EXISTS idx_messages_convo ON messages(conversation_id, id);
+
+CREATE TABLE IF NOT EXISTS message_images (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  message_id INTEGER NOT NULL,
+  image_data TEXT NOT NULL,
+  position INTEGER NOT NULL,
+  FOREIGN KEY (message_id) REFERENCES messages(id)
+);
+CREATE INDEX IF NOT EXISTS idx_msg_imgs_msg ON message_images(message_id, position);
+`);
+  addColumn(db, 'users', 'username', 'TEXT');
+  db.exec('CREATE UNIQUE INDEX IF NOT EXISTS idx_users_username ON users(username);');
+  addColumn(db, 'users', 'is_admin', 'INTEGER DEFAULT 0');
+  // secret for the per-user iCal feed URL
+  addColumn(db, 'users', 'calendar_token', 'TEXT');
+  db.exec('CREATE UNIQUE INDEX IF NOT EXISTS idx_users_calendar_token ON users(calendar_token);');
+  // public profile
+  addColumn(db, 'users', 'bio', 'TEXT');
+  addColumn(db, 'users', 'location', 'TEXT');
+  addColumn(db, 'users', 'avatar_hash', 'TEXT');
+  // account state (suspended_until NULL = until lifted)
+  addColumn(db, 'users', 'suspended_at', 'TEXT');
+  addColumn(db, 'users', 'suspended_until', 'TEXT');
+  addColumn(db, 'users', 'suspended_reason', 'TEXT');
+  addColumn(db, 'users', 'suspended_by', 'INTEGER');
+  addColumn(db, 'users', 'last_login_at', 'TEXT');
+
+  // listing lifecycle, coordinates, soft delete
+  addColumn(db, 'listings', 'status', "TEXT NOT NULL DEFAULT 'available'");
+  addColumn(db, 'listings', 'buyer_id', 'INTEGER');
+  addColumn(db, 'listings', 'status_changed_at', 'TEXT');
+  addColumn(db, 'listings', 'lat', 'REAL');
+  addColumn(db, 'listings', 'lon', 'REAL');
+  addColumn(db, 'listings', 'deleted_at', 'TEXT');
+  addColumn(db, 'listings', 'deleted_by', 'INTEGER');
+  db.exec(`
+CREATE INDEX IF NOT EXISTS idx_listings_status ON listings(status, id);
+CREATE INDEX IF NOT EXISTS idx_listings_latlon ON listings(lat, lon);
+CREATE INDEX IF NOT EXISTS idx_listings_deleted ON listings(deleted_at);
+`);
+
+  // message kinds (offer / pickup activity) and the listing title kept after a purge
+  addColumn(db, 'messages', 'kind', "TEXT NOT NULL DEFAULT 'text'");
+  addColumn(db, 'messages', 'offer_id', 'INTEGER');
+  addColumn(db, 'messages', 'pickup_id', 'INTEGER');
+  addColumn(db, 'conversations', 'listing_title', 'TEXT');
+
+  // --- categories + typed attributes ---
+  db.exec(`
+CREATE TABLE IF NOT EXISTS categories (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  parent_id INTEGER,
+  slug TEXT UNIQUE NOT NULL,
+  name TEXT NOT NULL,
+  keywords TEXT NOT NULL DEFAULT '',
+  attributes TEXT NOT NULL DEFAULT '[]',
+  position INTEGER NOT NULL DEFAULT 0,
+  FOREIGN KEY (parent_id) REFERENCES categories(id)
+);
+
+CREATE TABLE IF NOT EXISTS listing_attributes (
+  listing_id INTEGER NOT NULL,
+  key TEXT NOT NULL,
+  value_text TEXT,
+  value_num REAL,
+  PRIMARY KEY (listing_id, key),
+  FOREIGN KEY (listing_id) REFERENCES listings(id)
+);
+CREATE INDEX IF NOT EXISTS idx_listing_attrs_text ON listing_attributes(key, value_text);
+CREATE INDEX IF NOT EXISTS idx_listing_attrs_num ON listing_attributes(key, value_num);
+`);
+  addColumn(db, 'listings', 'category_id', 'INTEGER REFERENCES categories(id)');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_listings_category ON listings(category_id);');
+
+  // --- content-addressed media store ---
+  db.exec(`
+CREATE TABLE IF NOT EXISTS media (
+  hash TEXT PRIMARY KEY,
+  mime TEXT NOT NULL,
+  bytes INTEGER NOT NULL,
+  created_at TEXT NOT NULL
+);
+`);
+  for (const table of ['listings', 'listing_images', 'message_images']) addColumn(db, table, 'image_hash', 'TEXT');
+
+  // --- read state; it used to live in the browser, so existing history counts as read ---
+  const hadReads = hasTable(db, 'conversation_reads');
+  db.exec(`
+CREATE TABLE IF NOT EXISTS conversation_reads (
+  user_id INTEGER NOT NULL,
+  conversation_id INTEGER NOT NULL,
+  last_read_message_id INTEGER NOT NULL,
+  updated_at TEXT NOT NULL,
+  PRIMARY KEY (user_id, conversation_id),
+  FOREIGN KEY (user_id) REFERENCES users(id),
+  FOREIGN KEY (conversation_id) REFERENCES conversations(id)
+);
+`);
+  if (!hadReads) {
+    db.exec(`
+      INSERT INTO conversation_reads (user_id, conversation_id, last_read_message_id, updated_at)
+      SELECT u.uid, c.id, (SELECT MAX(id) FROM messages WHERE conversation_id = c.id), datetime('now')
+      FROM conversations c
+      JOIN (SELECT a_user_id AS uid, id FROM conversations UNION SELECT b_user_id, id FROM conversations) u ON u.id = c.id
+      WHERE EXISTS (SELECT 1 FROM messages WHERE conversation_id = c.id)
+    `);
+  }
+
+  // --- full-text index over listings (external content, kept in sync by triggers) ---
+  const hadFts = hasTable(db, 'listings_fts');
+  db.exec(`
+CREATE VIRTUAL TABLE IF NOT EXISTS listings_fts USING fts5(
+  title, description, tags, location,
+  content='listings', content_rowid='id',
+  tokenize='unicode61 remove_diacritics 2'
+);
+
+CREATE TRIGGER IF NOT EXISTS listings_fts_ai AFTER INSERT ON listings BEGIN
+  INSERT INTO listings_fts(rowid, title, description, tags, location)
+  VALUES (new.id, IFNULL(new.title,''), new.description, IFNULL(new.tags,''), new.location);
+END;
+CREATE TRIGGER IF NOT EXISTS listings_fts_ad AFTER DELETE ON listings BEGIN
+  INSERT INTO listings_fts(listings_fts, rowid, title, description, tags, location)
+  VALUES ('delete', old.id, IFNULL(old.title,''), old.description, IFNULL(old.tags,''), old.location);
+END;
+CREATE TRIGGER IF NOT EXISTS listings_fts_au AFTER UPDATE OF title, description, tags, location ON listings BEGIN
+  INSERT INTO listings_fts(listings_fts, rowid, title, description, tags, location)
+  VALUES ('delete', old.id, IFNULL(old.title,''), old.description, IFNULL(old.tags,''), old.location);
+  INSERT INTO listings_fts(rowid, title, description, tags, location)
+  VALUES (new.id, IFNULL(new.title,''), new.description, IFNULL(new.tags,''), new.location);
+END;
+`);
+  if (!hadFts) db.exec("INSERT INTO listings_fts(listings_fts) VALUES ('rebuild');");
+
+  // --- saved searches + notifications ---
+  db.exec(`
+CREATE TABLE IF NOT EXISTS saved_searches (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL,
+  name TEXT NOT NULL DEFAULT '',
+  q TEXT NOT NULL DEFAULT '',
+  loc TEXT NOT NULL DEFAULT '',
+  category TEXT,
+  min_price REAL,
+  max_price REAL,
+  sort TEXT NOT NULL DEFAULT 'new',
+  created_at TEXT NOT NULL,
+  FOREIGN KEY (user_id) REFERENCES users(id)
+);
+CREATE INDEX IF NOT EXISTS idx_saved_searches_user ON saved_searches(user_id);
+`);
+  const notificationsDdl = `
+CREATE TABLE notifications (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL,
+  kind TEXT NOT NULL DEFAULT 'saved_search',
+  saved_search_id INTEGER,
+  listing_id INTEGER NOT NULL,
+  data TEXT,
+  created_at TEXT NOT NULL,
+  read_at TEXT,
+  UNIQUE (saved_search_id, listing_id),
+  FOREIGN KEY (user_id) REFERENCES users(id),
+  FOREIGN KEY (saved_search_id) REFERENCES saved_searches(id),
+  FOREIGN KEY (listing_id) REFERENCES listings(id)
+);`;
+  if (!hasTable(db, 'notifications')) {
+    db.exec(notificationsDdl);
+  } else if (!hasColumn(db, 'notifications', 'kind')) {
+    // first version had saved_search_id NOT NULL and no kind/data: rebuild it
+    // (the runner has foreign key checks off while this copies)
+    db.exec(`
+      ALTER TABLE notifications RENAME TO notifications_old;
+      ${notificationsDdl}
+      INSERT INTO notifications (id, user_id, saved_search_id, listing_id, created_at, read_at)
+        SELECT id, user_id, saved_search_id, listing_id, created_at, read_at FROM notifications_old;
+      DROP TABLE notifications_old;
+    `);
+  }
+  db.exec('CREATE INDEX IF NOT EXISTS idx_notifications_user ON notifications(user_id, read_at);');
+
+  // --- favorites + price history ---
+  db.exec(`
+CREATE TABLE IF NOT EXISTS favorites (
+  user_id INTEGER NOT NULL,
+  listing_id INTEGER NOT NULL,
+  created_at TEXT NOT NULL,
+  PRIMARY KEY (user_id, listing_id),
+  FOREIGN KEY (user_id) REFERENCES users(id),
+  FOREIGN KEY (listing_id) REFERENCES listings(id)
+);
+CREATE INDEX IF NOT EXISTS idx_favorites_listing ON favorites(listing_id);
+
+CREATE TABLE IF NOT EXISTS price_history (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  listing_id INTEGER NOT NULL,
+  old_price REAL NOT NULL,
+  new_price REAL NOT NULL,
+  changed_at TEXT NOT NULL,
+  FOREIGN KEY (listing_id) REFERENCES listings(id)
+);
+CREATE INDEX IF NOT EXISTS idx_price_history_listing ON price_history(listing_id, id);
+`);
+
+  // --- offers, pickup proposals, appointments, reviews ---
+  db.exec(`
+CREATE TABLE IF NOT EXISTS offers (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  conversation_id INTEGER NOT NULL,
+  listing_id INTEGER NOT NULL,
+  from_user_id INTEGER NOT NULL,
+  to_user_id INTEGER NOT NULL,
+  amount REAL NOT NULL,
+  status TEXT NOT NULL DEFAULT 'open',
+  parent_offer_id INTEGER,
+  created_at TEXT NOT NULL,
+  responded_at TEXT,
+  FOREIGN KEY (conversation_id) REFERENCES conversations(id),
+  FOREIGN KEY (from_user_id) REFERENCES users(id),
+  FOREIGN KEY (to_user_id) REFERENCES users(id)
+);
+CREATE INDEX IF NOT EXISTS idx_offers_convo ON offers(conversation_id, id);
+CREATE INDEX IF NOT EXISTS idx_offers_listing ON offers(listing_id, status);
+
+CREATE TABLE IF NOT EXISTS pickup_proposals (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  conversation_id INTEGER NOT NULL,
+  listing_id INTEGER NOT NULL,
+  from_user_id INTEGER NOT NULL,
+  to_user_id INTEGER NOT NULL,
+  slots TEXT NOT NULL,
+  duration_minutes INTEGER NOT NULL,
+  place TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'open',
+  created_at TEXT NOT NULL,
+  responded_at TEXT,
+  FOREIGN KEY (conversation_id) REFERENCES conversations(id)
+);
+CREATE INDEX IF NOT EXISTS idx_pickup_proposals_convo ON pickup_proposals(conversation_id, id);
+
+CREATE TABLE IF NOT EXISTS appointments (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  proposal_id INTEGER NOT NULL,
+  conversation_id INTEGER NOT NULL,
+  listing_id INTEGER NOT NULL,
+  buyer_id INTEGER NOT NULL,
+  seller_id INTEGER NOT NULL,
+  starts_at TEXT NOT NULL,
+  ends_at TEXT NOT NULL,
+  place TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'scheduled',
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL,
+  reminded_at TEXT,
+  FOREIGN KEY (proposal_id) REFERENCES pickup_proposals(id),
+  FOREIGN KEY (conversation_id) REFERENCES conversations(id),
+  FOREIGN KEY (buyer_id) REFERENCES users(id),
+  FOREIGN KEY (seller_id) REFERENCES users(id)
+);
+CREATE INDEX IF NOT EXISTS idx_appointments_buyer ON appointments(buyer_id, starts_at);
+CREATE INDEX IF NOT EXISTS idx_appointments_seller ON appointments(seller_id, starts_at);
+CREATE INDEX IF NOT EXISTS idx_appointments_reminder ON appointments(status, reminded_at, starts_at);
+
+CREATE TABLE IF NOT EXISTS reviews (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  listing_id INTEGER NOT NULL,
+  conversation_id INTEGER NOT NULL,
+  reviewer_id INTEGER NOT NULL,
+  reviewee_id INTEGER NOT NULL,
+  reviewee_role TEXT NOT NULL,
+  rating INTEGER NOT NULL CHECK (rating BETWEEN 1 AND 5),
+  body TEXT NOT NULL DEFAULT '',
+  created_at TEXT NOT NULL,
+  UNIQUE (listing_id, reviewer_id, reviewee_id),
+  FOREIGN KEY (conversation_id) REFERENCES conversations(id),
+  FOREIGN KEY (reviewer_id) REFERENCES users(id),
+  FOREIGN KEY (reviewee_id) REFERENCES users(id)
+);
+CREATE INDEX IF NOT EXISTS idx_reviews_reviewee ON reviews(reviewee_id, id);
+`);
+
+  // --- blocks, abuse reports, audit log (append-only) ---
+  db.exec(`
+CREATE TABLE IF NOT EXISTS blocks (
+  blocker_id INTEGER NOT NULL,
+  blocked_id INTEGER NOT NULL,
+  created_at TEXT NOT NULL,
+  PRIMARY KEY (blocker_id, blocked_id),
+  FOREIGN KEY (blocker_id) REFERENCES users(id),
+  FOREIGN KEY (blocked_id) REFERENCES users(id)
+);
+CREATE INDEX IF NOT EXISTS idx_blocks_blocked ON blocks(blocked_id);
+
+CREATE TABLE IF NOT EXISTS reports (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  reporter_id INTEGER NOT NULL,
+  target_type TEXT NOT NULL,
+  target_id INTEGER NOT NULL,
+  reason TEXT NOT NULL,
+  note TEXT NOT NULL DEFAULT '',
+  status TEXT NOT NULL DEFAULT 'open',
+  created_at TEXT NOT NULL,
+  resolved_at TEXT,
+  resolved_by INTEGER,
+  resolution_note TEXT,
+  FOREIGN KEY (reporter_id) REFERENCES users(id)
+);
+CREATE INDEX IF NOT EXISTS idx_reports_status ON reports(status, id);
+CREATE INDEX IF NOT EXISTS idx_reports_target ON reports(target_type, target_id, status);
+
+CREATE TABLE IF NOT EXISTS audit_log (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  actor_id INTEGER NOT NULL,
+  actor_username TEXT NOT NULL,
+  action TEXT NOT NULL,
+  target_type TEXT NOT NULL,
+  target_id INTEGER,
+  before TEXT,
+  after TEXT,
+  ip TEXT,
+  created_at TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_audit_actor ON audit_log(actor_id, id);
+CREATE INDEX IF NOT EXISTS idx_audit_target ON audit_log(target_type, target_id, id);
+CREATE INDEX IF NOT EXISTS idx_audit_action ON audit_log(action, id);
+CREATE TRIGGER IF NOT EXISTS audit_log_no_update BEFORE UPDATE ON audit_log
+BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END;
+CREATE TRIGGER IF NOT EXISTS audit_log_no_delete BEFORE DELETE ON audit_log
+BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END;
+`);
+
+  // --- SSE event log + geocoder cache ---
+  db.exec(`
+CREATE TABLE IF NOT EXISTS user_events (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL,
+  type TEXT NOT NULL,
+  data TEXT NOT NULL,
+  created_at INTEGER NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_user_events_user ON user_events(user_id, id);
+CREATE INDEX IF NOT EXISTS idx_user_events_created ON user_events(created_at);
+
+CREATE TABLE IF NOT EXISTS geo_cache (
+  key TEXT PRIMARY KEY,
+  value TEXT NOT NULL,
+  created_at INTEGER NOT NULL,
+  last_used_at INTEGER NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_geo_cache_used ON geo_cache(last_used_at);
+`);
+}
+
+module.exports = { up };
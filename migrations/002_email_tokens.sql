@@ -0,0 +1,20 @@
+-- migrations/002_email_tokens.sql — email verification + password reset
+-- Accounts made before this are unverified (email_verified_at NULL) until they verify.
+-- Tokens are stored as SHA-256 hashes; each is single-use (used_at) and expires.
+-- password_changed_at: sessions signed before it are no longer accepted.
+
+ALTER TABLE users ADD COLUMN email_verified_at TEXT;
+ALTER TABLE users ADD COLUMN password_changed_at TEXT;
+
+CREATE TABLE email_tokens (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL,
+  purpose TEXT NOT NULL CHECK (purpose IN ('verify_email', 'reset_password')),
+  token_hash TEXT NOT NULL UNIQUE,
+  email TEXT NOT NULL,
+  expires_at TEXT NOT NULL,
+  used_at TEXT,
+  created_at TEXT NOT NULL,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+CREATE INDEX idx_email_tokens_user ON email_tokens(user_id, purpose);
@@ -0,0 +1,35 @@
+-- migrations/003_media_uploads.sql — who uploaded each media blob
+-- A /media/<hash> reference in a write is only accepted from someone who uploaded that blob
+-- (blobs are content-addressed, so one hash can have several uploaders). Existing blobs go to
+-- the owners of the listings, messages and avatars that use them.
+-- The image_hash indexes back the access check when a blob is served.
+
+CREATE TABLE media_uploads (
+  hash TEXT NOT NULL,
+  user_id INTEGER NOT NULL,
+  created_at TEXT NOT NULL,
+  PRIMARY KEY (hash, user_id),
+  FOREIGN KEY (hash) REFERENCES media(hash) ON DELETE CASCADE,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+INSERT OR IGNORE INTO media_uploads (hash, user_id, created_at)
+SELECT l.image_hash, l.user_id, l.created_at FROM listings l
+WHERE l.image_hash IN (SELECT hash FROM media) AND l.user_id IN (SELECT id FROM users);
+
+INSERT OR IGNORE INTO media_uploads (hash, user_id, created_at)
+SELECT li.image_hash, l.user_id, l.created_at FROM listing_images li JOIN listings l ON l.id = li.listing_id
+WHERE li.image_hash IN (SELECT hash FROM media) AND l.user_id IN (SELECT id FROM users);
+
+INSERT OR IGNORE INTO media_uploads (hash, user_id, created_at)
+SELECT mi.image_hash, m.sender_id, m.created_at FROM message_images mi JOIN messages m ON m.id = mi.message_id
+WHERE mi.image_hash IN (SELECT hash FROM media) AND m.sender_id IN (SELECT id FROM users);
+
+INSERT OR IGNORE INTO media_uploads (hash, user_id, created_at)
+SELECT u.avatar_hash, u.id, u.created_at FROM users u
+WHERE u.avatar_hash IN (SELECT hash FROM media);
+
+CREATE INDEX idx_listings_image_hash ON listings(image_hash);
+CREATE INDEX idx_listing_images_hash ON listing_images(image_hash);
+CREATE INDEX idx_message_images_hash ON message_images(image_hash);
+CREATE INDEX idx_users_avatar_hash ON users(avatar_hash);
@@ -0,0 +1,14 @@
+-- migrations/004_media_quarantine.sql — legacy inline images that failed sanitizing
+-- Moving old image_data rows into the media store strips their metadata (EXIF/GPS) first; a
+-- blob that can't be parsed is parked here instead of being published, and its row is emptied
+-- (listings) or removed (listing_images, message_images).
+
+CREATE TABLE media_quarantine (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  source TEXT NOT NULL CHECK (source IN ('listings', 'listing_images', 'message_images')),
+  source_id INTEGER NOT NULL,
+  parent_id INTEGER,
+  image_data TEXT NOT NULL,
+  reason TEXT NOT NULL,
+  created_at TEXT NOT NULL
+);
@@ -0,0 +1,51 @@
+/* migrations/005_inline_media.js — inline images moved into the media store
+   Rows written before the media store kept the upload itself in image_data. Each one gets the
+   same sanitizing as a new upload (these are the phone photos still carrying EXIF/GPS) and is
+   stored under its hash, recorded as uploaded by the listing's seller or the message's sender;
+   one that fails it is parked in media_quarantine (004) instead of being published.
+   Blobs are written to disk even on a dry run; they are content-addressed, so the real run
+   reuses them. */
+
+const { sanitizeImage } = require('../src/lib/images');
+const { parseDataUrl, defaultMediaDir, createMediaStore } = require('../src/lib/media');
+const { nowIso } = require('../src/lib/text');
+
+// Per table: the row it belongs to (media_quarantine.parent_id) and who uploaded its image.
+const SOURCES = {
+  listings: { parent: 'x.id', owner: 'x.user_id', join: '' },
+  listing_images: { parent: 'x.listing_id', owner: 'l.user_id', join: 'LEFT JOIN listings l ON l.id = x.listing_id' },
+  message_images: { parent: 'x.message_id', owner: 'm.sender_id', join: 'LEFT JOIN messages m ON m.id = x.message_id' },
+};
+
+function up(db, { config }){
+  let store = null, moved = 0, quarantined = 0;
+  const quarantine = db.prepare('INSERT INTO media_quarantine (source, source_id, parent_id, image_data, reason, created_at) VALUES (?, ?, ?, ?, ?, ?)');
+  for (const [table, src] of Object.entries(SOURCES)) {
+    const ids = db.prepare(`SELECT id FROM ${table} WHERE image_hash IS NULL AND image_data LIKE 'data:%'`).all().map(r => r.id);
+    // one row at a time: the data URLs can be large
+    const get = db.prepare(`SELECT x.image_data, ${src.parent} AS parent_id, ${src.owner} AS owner_id FROM ${table} x ${src.join} WHERE x.id = ?`);
+    const set = db.prepare(`UPDATE ${table} SET image_hash = ?, image_data = '' WHERE id = ?`);
+    const drop = table === 'listings'
+      ? db.prepare("UPDATE listings SET image_data = '' WHERE id = ?")
+      : db.prepare(`DELETE FROM ${table} WHERE id = ?`);
+    for (const id of ids) {
+      const row = get.get(id);
+      const parsed = parseDataUrl(row.image_data);
+      const clean = parsed ? sanitizeImage(parsed.buf, parsed.mime, config.maxImagePixels) : { code: 'image_invalid_data_url' };
+      if (clean.code) {
+        quarantine.run(table, id, row.parent_id, row.image_data, clean.code, nowIso());
+        drop.run(id);
+        quarantined++;
+        continue;
+      }
+      store ||= createMediaStore(db, defaultMediaDir(config, db));
+      set.run(store.putMediaSync(clean.buf, clean.mime, null, row.owner_id), id);
+      moved++;
+    }
+  }
+  if (config.isTest) return;
+  if (moved) console.log('Moved', moved, 'inline images to media store at', store.dir);
+  if (quarantined) console.warn('Quarantined', quarantined, 'inline images that failed sanitizing (media_quarantine)');
+}
+
+module.exports = { up };
@@ -0,0 +1,17 @@
+/* migrations/006_listing_coords.js — coordinates for listings written before they had any
+   Each listing without lat/lon gets the gazetteer position of its location, when it has one. */
+
+const { loadGazetteer, gazetteerLookup } = require('../src/lib/location');
+
+function up(db, { config }){
+  const rows = db.prepare('SELECT id, location FROM listings WHERE lat IS NULL').all();
+  if (!rows.length) return;
+  const gazetteer = loadGazetteer(config.gazetteerPath);
+  const upd = db.prepare('UPDATE listings SET lat = ?, lon = ? WHERE id = ?');
+  for (const r of rows) {
+    const hit = gazetteerLookup(gazetteer, r.location);
+    if (hit) upd.run(hit.lat, hit.lon, r.id);
+  }
+}
+
+module.exports = { up };
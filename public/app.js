@@ -3,6 +3,25 @@
    + global 401 handling, logout-to-browse safety, Messages with image attachments + attach icon button
    + "Use my location" in listing form
    + City autocomplete + semantic location search (fuzzy), still restricted to existing listing locations
+   + server-sorted, infinite-scroll browse feed
+   + images served as /media URLs (thumbnails in cards, thumbs strip and message bubbles)
+   + listing status (reserved / sold badge, owner status control with buyer pick, "Show sold" filter)
+   + categories: typed attribute fields in the form, category + attribute filters with facet counts
+   + price range filter, saved searches with new-match badges
+   + favorites: heart toggle on cards, "Saved" tab with price-drop / status alerts
+   + "Use my location" radius search (miles) with distance sort; listings carry device coordinates
+   + place suggestions (forward geocoding) under the listing form's Location input
+   + real-time messages / conversation list / read receipts over SSE (no polling)
+   + read state kept on the server (unread counts follow you across devices) + "Seen" markers
+   + message history loads a page at a time (older on scroll-up, only new ones after reconnects)
+   + offers as cards in the thread (accept / counter / decline / withdraw), open offers per listing for sellers
+   + pickup proposals (time slots + place), upcoming pickups with .ics download / calendar feed, reminders
+   + post-sale reviews in the conversation, seller rating on listing cards
+   + public profile pages (from seller names and conversation headers) + profile editing
+   + report listings / messages / users, block users, admin report queue
+   + admin Users screen (search, detail, suspend / unsuspend, promote / demote); suspended sessions are signed out
+   + admin Audit screen (filterable log of admin / moderation actions with before / after)
+   + listing trash (own trash on your profile, admin Trash tab), restore, undo for "Delete ALL"
 */
 
 (() => {
@@ -14,9 +33,13 @@
   // --- Helpers ---
   function H(tag, props, ...children) { return React.createElement(tag, props || null, ...children); }
   function price(n) { return Number(n).toLocaleString(undefined, { style: 'currency', currency: 'USD' }); }
-  function seenKey(userId){ return `listit_seen_${userId||'anon'}`; }
-  function loadSeen(userId){ try{ return JSON.parse(localStorage.getItem(seenKey(userId))||'{}'); }catch{ return {}; } }
-  function saveSeen(userId, map){ try{ localStorage.setItem(seenKey(userId), JSON.stringify(map||{})); }catch{} }
+  function when(iso) { return new Date(iso).toLocaleString(undefined, { weekday:'short', month:'short', day:'numeric', hour:'numeric', minute:'2-digit' }); }
+  const IMAGE_ACCEPT = 'image/jpeg,image/png,image/webp,image/gif';
+  function thumbOf(src){ return /^\/media\/[a-f0-9]{64}$/.test(src || '') ? `${src}/thumb` : src; }
+  const KM_PER_MILE = 1.609344;
+  function suspendedText(s) {
+    return `Account suspended${s.until ? ` until ${when(s.until)}` : ''}${s.reason ? `: ${s.reason}` : ''}`;
+  }
 
   // --- API (centralized 401 handling) ---
   const api = {
@@ -28,9 +51,14 @@
         throw new Error('auth');
       }
       if (!res.ok) {
-        let msg = 'request_failed';
-        try { msg = (await res.json()).error || msg; } catch {}
-        throw new Error(msg);
+        let body = {};
+        try { body = (await res.json()) || {}; } catch {}
+        if (body.suspended) {
+          AppNav.setUser(null);
+          AppNav.setTab('browse');
+          throw new Error(suspendedText(body.suspended));
+        }
+        throw new Error(body.error?.message || body.error || 'request_failed');
       }
       try { return await res.json(); } catch { return null; }
     },
@@ -43,16 +71,61 @@
     async logout() {
       try { await this._fetch('/api/logout', { method:'POST' }); } catch {}
     },
+    verifyEmail(token)   { return this._fetch('/api/email/verify', { method:'POST', headers:{'Content-Type':'application/json'}, body:JSON.stringify({ token }) }); },
+    resendVerification() { return this._fetch('/api/email/verify/resend', { method:'POST' }); },
+    forgotPassword(email) {
+      return this._fetch('/api/password/forgot', { method:'POST', headers:{'Content-Type':'application/json'}, body:JSON.stringify({ email }) });
+    },
+    resetPassword(token, password) {
+      return this._fetch('/api/password/reset', { method:'POST', headers:{'Content-Type':'application/json'}, body:JSON.stringify({ token, password }) });
+    },
 
-    async listAll(q, loc) {
-      const params = new URLSearchParams();
-      if (q)   params.set('q', q);
-      if (loc) params.set('loc', loc);
-      const url = '/api/listings' + (params.toString() ? `?${params.toString()}` : '');
-      const r = await fetch(url);
-      return r.json();
+    listPage({ q, loc, sort, status, category, attrs, minPrice, maxPrice, near, radiusKm, facets, cursor, limit = 24 }) {
+      const params = new URLSearchParams({ limit: String(limit) });
+      if (q)      params.set('q', q);
+      if (status) params.set('status', status);
+      if (loc)    params.set('loc', loc);
+      if (sort)   params.set('sort', sort);
+      if (category) params.set('category', category);
+      if (minPrice) params.set('min_price', minPrice);
+      if (maxPrice) params.set('max_price', maxPrice);
+      if (near) {
+        params.set('lat', String(near.lat));
+        params.set('lon', String(near.lon));
+        if (radiusKm) params.set('radius_km', String(radiusKm));
+      }
+      Object.entries(attrs || {}).forEach(([k, v]) => { if (v !== '') params.set(`attr.${k}`, v); });
+      if (facets) params.set('facets', '1');
+      if (cursor) params.set('cursor', cursor);
+      return this._fetch(`/api/listings?${params.toString()}`, { method:'GET' });
+    },
+    // every page of the caller's own listings
+    async listMine() {
+      const all = [];
+      let cursor = null;
+      do {
+        const page = await this._fetch(`/api/listings?mine=1&limit=100${cursor ? `&cursor=${encodeURIComponent(cursor)}` : ''}`, { method:'GET' });
+        all.push(...page.items);
+        cursor = page.next_cursor;
+      } while (cursor);
+      return all;
+    },
+    categories()    { return this._fetch('/api/categories', { method:'GET' }); },
+
+    savedSearches() { return this._fetch('/api/saved-searches', { method:'GET' }); },
+    createSavedSearch(payload) {
+      return this._fetch('/api/saved-searches', { method:'POST', headers:{'Content-Type':'application/json'}, body:JSON.stringify(payload) });
+    },
+    deleteSavedSearch(id)   { return this._fetch(`/api/saved-searches/${id}`, { method:'DELETE' }); },
+    markSavedSearchSeen(id) { return this._fetch(`/api/saved-searches/${id}/seen`, { method:'POST' }); },
+
+    favorites()         { return this._fetch('/api/favorites', { method:'GET' }); },
+    favorite(id)        { return this._fetch(`/api/listings/${id}/favorite`, { method:'POST' }); },
+    unfavorite(id)      { return this._fetch(`/api/listings/${id}/favorite`, { method:'DELETE' }); },
+    notifications(unread) { return this._fetch(`/api/notifications${unread ? '?unread=1' : ''}`, { method:'GET' }); },
+    markNotificationsRead(ids) {
+      return this._fetch('/api/notifications/read', { method:'POST', headers:{'Content-Type':'application/json'}, body:JSON.stringify({ ids }) });
     },
-    listMine()      { return this._fetch('/api/listings?mine=1', { method:'GET' }); },
     createListing(payload) {
       return this._fetch('/api/listings', { method:'POST', headers:{'Content-Type':'application/json'}, body:JSON.stringify(payload) });
     },
@@ -60,15 +133,62 @@
       return this._fetch(`/api/listings/${id}`, { method:'PUT', headers:{'Content-Type':'application/json'}, body:JSON.stringify(payload) });
     },
     deleteListing(id) { return this._fetch(`/api/listings/${id}`, { method:'DELETE' }); },
+    trash()           { return this._fetch('/api/listings/trash', { method:'GET' }); },
+    restoreListing(id){ return this._fetch(`/api/listings/${id}/restore`, { method:'POST' }); },
+    setListingStatus(id, status, conversation_id) {
+      return this._fetch(`/api/listings/${id}/status`, { method:'PATCH', headers:{'Content-Type':'application/json'}, body:JSON.stringify({ status, conversation_id }) });
+    },
 
     adminDeleteListing(id) { return this._fetch(`/api/admin/listings/${id}`, { method:'DELETE' }); },
     adminDeleteAll()       { return this._fetch('/api/admin/listings', { method:'DELETE' }); },
+    adminTrash()           { return this._fetch('/api/admin/trash', { method:'GET' }); },
+    adminRestoreListing(id){ return this._fetch(`/api/admin/listings/${id}/restore`, { method:'POST' }); },
+    adminRestoreAll(deleted_at) {
+      return this._fetch('/api/admin/trash/restore-all', { method:'POST', headers:{'Content-Type':'application/json'}, body:JSON.stringify({ deleted_at }) });
+    },
+    adminReports(status = 'open') { return this._fetch(`/api/admin/reports?status=${status}`, { method:'GET' }); },
+    adminReportAction(id, action, note) {
+      return this._fetch(`/api/admin/reports/${id}/${action}`, { method:'POST', headers:{'Content-Type':'application/json'}, body:JSON.stringify({ note }) });
+    },
+    adminUsers({ q, status, cursor } = {}) {
+      const params = new URLSearchParams();
+      if (q) params.set('q', q);
+      if (status) params.set('status', status);
+      if (cursor) params.set('cursor', cursor);
+      return this._fetch(`/api/admin/users?${params}`, { method:'GET' });
+    },
+    adminAudit({ actor, action, target_type, cursor } = {}) {
+      const params = new URLSearchParams();
+      if (actor) params.set('actor', actor);
+      if (action) params.set('action', action);
+      if (target_type) params.set('target_type', target_type);
+      if (cursor) params.set('cursor', cursor);
+      return this._fetch(`/api/admin/audit?${params}`, { method:'GET' });
+    },
+    adminUser(id) { return this._fetch(`/api/admin/users/${id}`, { method:'GET' }); },
+    adminUserAction(id, action, body = {}) {
+      return this._fetch(`/api/admin/users/${id}/${action}`, { method:'POST', headers:{'Content-Type':'application/json'}, body:JSON.stringify(body) });
+    },
+    report(target_type, target_id, reason, note) {
+      return this._fetch('/api/reports', { method:'POST', headers:{'Content-Type':'application/json'}, body:JSON.stringify({ target_type, target_id, reason, note }) });
+    },
+    block(userId)   { return this._fetch(`/api/users/${userId}/block`, { method:'POST' }); },
+    unblock(userId) { return this._fetch(`/api/users/${userId}/block`, { method:'DELETE' }); },
 
     ensureConversation({ with_user_id, listing_id }) {
       return this._fetch('/api/conversations', { method:'POST', headers:{'Content-Type':'application/json'}, body:JSON.stringify({ with_user_id, listing_id }) });
     },
     listConversations() { return this._fetch('/api/conversations', { method:'GET' }); },
-    getMessages(id)     { return this._fetch(`/api/conversations/${id}/messages`, { method:'GET' }); },
+    getMessages(id, { before_id, after_id, limit } = {}) {
+      const params = new URLSearchParams();
+      if (before_id) params.set('before_id', String(before_id));
+      if (after_id) params.set('after_id', String(after_id));
+      if (limit) params.set('limit', String(limit));
+      return this._fetch(`/api/conversations/${id}/messages?${params}`, { method:'GET' });
+    },
+    markRead(id, last_message_id) {
+      return this._fetch(`/api/conversations/${id}/read`, { method:'POST', headers:{'Content-Type':'application/json'}, body:JSON.stringify({ last_message_id }) });
+    },
     sendMessage(id, body, images){
       return this._fetch(`/api/conversations/${id}/messages`, {
         method:'POST',
@@ -77,6 +197,31 @@
       });
     },
 
+    makeOffer(convoId, amount) {
+      return this._fetch(`/api/conversations/${convoId}/offers`, { method:'POST', headers:{'Content-Type':'application/json'}, body:JSON.stringify({ amount }) });
+    },
+    offerAction(convoId, offerId, action, body = {}) {
+      return this._fetch(`/api/conversations/${convoId}/offers/${offerId}/${action}`, { method:'POST', headers:{'Content-Type':'application/json'}, body:JSON.stringify(body) });
+    },
+    listingOffers(id) { return this._fetch(`/api/listings/${id}/offers`, { method:'GET' }); },
+    proposePickup(convoId, body) {
+      return this._fetch(`/api/conversations/${convoId}/pickups`, { method:'POST', headers:{'Content-Type':'application/json'}, body:JSON.stringify(body) });
+    },
+    pickupAction(convoId, pickupId, action, body = {}) {
+      return this._fetch(`/api/conversations/${convoId}/pickups/${pickupId}/${action}`, { method:'POST', headers:{'Content-Type':'application/json'}, body:JSON.stringify(body) });
+    },
+    leaveReview(convoId, body) {
+      return this._fetch(`/api/conversations/${convoId}/reviews`, { method:'POST', headers:{'Content-Type':'application/json'}, body:JSON.stringify(body) });
+    },
+    userProfile(username) { return this._fetch(`/api/users/${encodeURIComponent(username)}`, { method:'GET' }); },
+    userReviews(username) { return this._fetch(`/api/users/${encodeURIComponent(username)}/reviews`, { method:'GET' }); },
+    updateProfile(body) {
+      return this._fetch('/api/me/profile', { method:'PUT', headers:{'Content-Type':'application/json'}, body:JSON.stringify(body) });
+    },
+    appointments()        { return this._fetch('/api/appointments', { method:'GET' }); },
+    cancelAppointment(id) { return this._fetch(`/api/appointments/${id}/cancel`, { method:'POST' }); },
+    calendarFeed()        { return this._fetch('/api/calendar-feed', { method:'GET' }); },
+
     getListingImages(id){ return this._fetch(`/api/listings/${id}/images`, { method:'GET' }); },
 
     aiAnalyze({ images, hint }) {
@@ -85,9 +230,39 @@
 
     reverseGeocode(lat, lon) {
       return this._fetch(`/api/geo/reverse?lat=${encodeURIComponent(lat)}&lon=${encodeURIComponent(lon)}`, { method: 'GET' });
+    },
+    geoSearch(q) {
+      return this._fetch(`/api/geo/search?q=${encodeURIComponent(q)}`, { method: 'GET' });
     }
   };
 
+  // --- Real-time events (SSE) ---
+  const Events = {
+    handlers: new Set(),
+    on(fn) { this.handlers.add(fn); return () => { this.handlers.delete(fn); }; },
+    emit(type, data) { this.handlers.forEach(fn => { try { fn(type, data); } catch (e) { console.error(e); } }); }
+  };
+  const EVENT_TYPES = ['message.created', 'conversation.updated', 'conversation.read', 'offer.updated', 'pickup.updated', 'resync'];
+
+  function connectEvents() {
+    let es = null, lastId = '', retry = null, stopped = false;
+    function open() {
+      es = new EventSource(lastId ? `/api/events?last_event_id=${encodeURIComponent(lastId)}` : '/api/events', { withCredentials: true });
+      EVENT_TYPES.forEach(type => es.addEventListener(type, e => {
+        if (e.lastEventId) lastId = e.lastEventId;
+        let data = {};
+        try { data = JSON.parse(e.data); } catch {}
+        Events.emit(type, data);
+      }));
+      es.onerror = () => {
+        // the browser retries dropped connections itself (sending Last-Event-ID); a closed stream needs a new one
+        if (es.readyState === EventSource.CLOSED && !stopped) retry = setTimeout(open, 5000);
+      };
+    }
+    open();
+    return () => { stopped = true; clearTimeout(retry); if (es) es.close(); };
+  }
+
   // --- Attach icon button ---
   function AttachButton({ onClick, title = 'Attach images' }) {
     return H('button', {
@@ -178,14 +353,16 @@
   }
 
   // --- Header ---
-  function Header({ user, setUser, onNav, active, unreadCount, onAdminDeleteAll }) {
+  function Header({ user, setUser, onNav, active, unreadCount, alertCount, onAdminDeleteAll, onOpenProfile }) {
     const authArea = user
       ? H('div', { className: 'row', style: { gap: 8 } },
-          H('div', { className: 'muted' }, user.username ? `@${user.username}` : user.email),
+          user.username
+            ? H('button', { className: 'btn', title: 'Your profile', onClick: () => onOpenProfile?.(user.username) }, `@${user.username}`)
+            : H('div', { className: 'muted' }, user.email),
           user.is_admin && H('button', {
             className: 'btn danger',
             onClick: async () => {
-              if (confirm('Delete ALL listings? This cannot be undone.')) {
+              if (confirm('Move ALL listings to the trash?')) {
                 await onAdminDeleteAll?.();
               }
             }
@@ -210,6 +387,18 @@
         H('span', { style: { position: 'absolute', top: -2, right: -2, width: 10, height: 10, borderRadius: 10, background: '#ef4444' } })
     );
 
+    const savedBtn = H('button', {
+      className: `btn ${active==='saved'?'primary':''}`,
+      style: { position: 'relative' },
+      onClick: () => {
+        if (!user) { alert('Log in to see saved listings.'); return; }
+        onNav('saved');
+      }
+    }, 'Saved',
+      (alertCount > 0) &&
+        H('span', { style: { position: 'absolute', top: -2, right: -2, width: 10, height: 10, borderRadius: 10, background: '#ef4444' } })
+    );
+
     return H('header', null,
       H('div', { className: 'container row', style: { justifyContent: 'space-between' } },
         H('div', { className: 'row', style: { gap: 12 } },
@@ -218,7 +407,12 @@
         ),
         H('nav', { className: 'row' },
           H('button', { className: `btn ${active==='browse'?'primary':''}`, onClick: () => onNav('browse') }, 'Listings'),
-          messagesBtn
+          savedBtn,
+          messagesBtn,
+          user?.is_admin && H('button', { className: `btn ${active==='reports'?'primary':''}`, onClick: () => onNav('reports') }, 'Reports'),
+          user?.is_admin && H('button', { className: `btn ${active==='users'?'primary':''}`, onClick: () => onNav('users') }, 'Users'),
+          user?.is_admin && H('button', { className: `btn ${active==='audit'?'primary':''}`, onClick: () => onNav('audit') }, 'Audit'),
+          user?.is_admin && H('button', { className: `btn ${active==='trash'?'primary':''}`, onClick: () => onNav('trash') }, 'Trash')
         ),
         authArea
       )
@@ -231,11 +425,15 @@
     const [email, setEmail] = useState('');
     const [password, setPassword] = useState('');
     const [err, setErr] = useState('');
+    const [note, setNote] = useState('');
 
     async function go() {
-      setErr('');
+      setErr(''); setNote('');
       try {
-        if (mode === 'login') {
+        if (mode === 'forgot') {
+          await api.forgotPassword(email.trim());
+          setNote('If that email has an account, a reset link is on its way.');
+        } else if (mode === 'login') {
           const u = await api.login(email, password);
           setUser(u); setEmail(''); setPassword('');
         } else {
@@ -251,13 +449,67 @@
         H('button', { className: `btn ${mode==='register'?'primary':''}`, onClick: () => setMode('register') }, 'Register')
       ),
       err && H('span', { className: 'muted', style: { color: '#be123c' } }, err),
+      note && H('span', { className: 'muted' }, note),
       mode==='register' && H('input', { placeholder: 'Username', value: username, onChange: e => setUsername(e.target.value) }),
       H('input', { placeholder: 'Email', value: email, onChange: e => setEmail(e.target.value) }),
-      H('input', { placeholder: 'Password', type: 'password', value: password, onChange: e => setPassword(e.target.value) }),
-      H('button', { className: 'btn primary', onClick: go }, mode==='login' ? 'Log in' : 'Create account')
+      mode!=='forgot' && H('input', { placeholder: 'Password', type: 'password', value: password, onChange: e => setPassword(e.target.value) }),
+      H('button', { className: 'btn primary', onClick: go }, mode==='login' ? 'Log in' : mode==='register' ? 'Create account' : 'Send reset link'),
+      mode==='login' && H('button', { className: 'btn', onClick: () => { setMode('forgot'); setErr(''); } }, 'Forgot password?')
     );
   }
 
+  // --- Email links (#verify-email=… / #reset-password=…) + the unverified-email reminder ---
+  function AccountNotices({ user, setUser }) {
+    const [link] = useState(() => {
+      const m = /^#(verify-email|reset-password)=([\w-]+)$/.exec(window.location.hash);
+      return m ? { kind: m[1], token: m[2] } : null;
+    });
+    const [msg, setMsg] = useState('');
+    const [resetDone, setResetDone] = useState(false);
+    const [password, setPassword] = useState('');
+    const [sent, setSent] = useState(false);
+
+    useEffect(() => {
+      if (!link) return;
+      history.replaceState(null, '', window.location.pathname + window.location.search); // keep the token out of history
+      if (link.kind !== 'verify-email') return;
+      api.verifyEmail(link.token)
+        .then(async () => { setMsg('Your email address is verified.'); setUser(await api.me()); })
+        .catch(e => setMsg(e.message));
+    }, []);
+
+    async function reset() {
+      try {
+        await api.resetPassword(link.token, password);
+        setResetDone(true); setUser(null);
+        setMsg('Password changed. Log in with the new one.');
+      } catch(e){ setMsg(e.message); }
+    }
+    async function resend() {
+      try { await api.resendVerification(); setSent(true); } catch(e){ alert(e.message); }
+    }
+
+    const box = (...kids) => H('div', { className: 'card', style: { padding: 12, margin: '12px 0' } }, ...kids);
+    if (link?.kind === 'reset-password' && !resetDone) {
+      return box(
+        H('div', { className: 'row', style: { gap: 8 } },
+          H('strong', null, 'Choose a new password'),
+          H('input', { placeholder: 'New password', type: 'password', value: password, onChange: e => setPassword(e.target.value) }),
+          H('button', { className: 'btn primary', onClick: reset }, 'Set password')
+        ),
+        msg && H('div', { className: 'muted', style: { marginTop: 6 } }, msg)
+      );
+    }
+    if (msg) return box(H('span', null, msg));
+    if (user && user.email_verified === false) {
+      return box(H('div', { className: 'row', style: { gap: 8 } },
+        H('span', null, `Check ${user.email} for a link to verify your email address.`),
+        sent ? H('span', { className: 'muted' }, 'Sent.') : H('button', { className: 'btn', onClick: resend }, 'Resend')
+      ));
+    }
+    return null;
+  }
+
   // --- Multi Image Picker for listings ---
   function MultiImagePicker({ values, onChange }) {
     const ref = useRef();
@@ -279,37 +531,96 @@
 
     return H('div', null,
       H('div', { className:'row' },
-        H('input', { type:'file', accept:'image/*', multiple:true, ref, onChange: pick }),
+        H('input', { type:'file', accept:IMAGE_ACCEPT, multiple:true, ref, onChange: pick }),
         H('span', { className:'muted' }, `${(values||[]).length} image(s)`)
       ),
       H('div', { className:'row', style:{ flexWrap:'wrap', gap:8, marginTop:8 } },
         ...(values||[]).map((src,i)=> H('div', { key:i, style:{ position:'relative' } },
-          H('img', { src, style:{ width:96, height:96, objectFit:'cover', borderRadius:12, border:'1px solid #ddd' } }),
+          H('img', { src: thumbOf(src), style:{ width:96, height:96, objectFit:'cover', borderRadius:12, border:'1px solid #ddd' } }),
           H('button', { className:'btn danger', type:'button', style:{ position:'absolute', top:4, right:4, padding:'4px 8px' }, onClick:()=>removeAt(i) }, '×')
         ))
       )
     );
   }
 
+  // --- Category attribute fields (typed by the category schema) ---
+  function AttributeFields({ schema, values, onChange }) {
+    const set = (key, v) => onChange({ ...values, [key]: v });
+    return H('div', { className:'row', style:{ gap:8, flexWrap:'wrap' } },
+      ...schema.map(def => {
+        const v = values[def.key];
+        let input;
+        if (def.type === 'enum') {
+          input = H('select', { value:v ?? '', onChange:e=>set(def.key, e.target.value) },
+            H('option', { value:'' }, '—'),
+            ...def.options.map(o => H('option', { key:o, value:o }, o))
+          );
+        } else if (def.type === 'boolean') {
+          input = H('input', { type:'checkbox', checked:!!v, onChange:e=>set(def.key, e.target.checked), style:{ width:'auto' } });
+        } else if (def.type === 'integer' || def.type === 'number') {
+          input = H('input', { value:v ?? '', inputMode:'decimal', onChange:e=>set(def.key, e.target.value.replace(/[^0-9.]/g,'')) });
+        } else {
+          input = H('input', { value:v ?? '', maxLength:def.max_length || 80, onChange:e=>set(def.key, e.target.value) });
+        }
+        return H('label', { key:def.key, style:{ display:'flex', flexDirection:'column', gap:4, minWidth:140 } }, def.label, input);
+      })
+    );
+  }
+
+  // numeric fields are edited as text; send typed values and drop empty ones
+  function attributesPayload(schema, values) {
+    const out = {};
+    for (const def of schema) {
+      const v = values[def.key];
+      if (v === undefined || v === '' || v === null) continue;
+      if (def.type === 'boolean') { if (v) out[def.key] = true; continue; }
+      out[def.key] = (def.type === 'integer' || def.type === 'number') ? Number(v) : v;
+    }
+    return out;
+  }
+
   // --- Listing Form (adds "Use my location") ---
-  function ListingForm({ draft, onCancel, onSaved }) {
+  function ListingForm({ draft, categories, onCancel, onSaved }) {
     const [images, setImages] = useState([]);
     const [title, setTitle] = useState(draft?.title || '');
     const [description, setDescription] = useState(draft?.description || '');
     const [location, setLocation] = useState(draft?.location || '');
     const [priceVal, setPriceVal] = useState(draft?.price?.toString?.() || '');
     const [tags, setTags] = useState(Array.isArray(draft?.tags) ? draft.tags.join(', ') : '');
+    const [categoryId, setCategoryId] = useState(draft?.category_id ? String(draft.category_id) : '');
+    const [attrs, setAttrs] = useState(draft?.attributes || {});
+    const schema = useMemo(() => (categories.find(c => String(c.id) === categoryId)?.attributes) || [], [categories, categoryId]);
     const [aiBusy, setAiBusy] = useState(false);
     const [aiErr, setAiErr] = useState('');
 
     const [geoBusy, setGeoBusy] = useState(false);
     const [geoErr, setGeoErr] = useState('');
+    const [coords, setCoords] = useState(null); // from "Use my location" or a picked suggestion
+    const [places, setPlaces] = useState([]);
+    const [placeQuery, setPlaceQuery] = useState(''); // set only while the user is typing
+
+    // debounced place suggestions while typing in Location
+    useEffect(() => {
+      const q = placeQuery.trim();
+      if (q.length < 2) { setPlaces([]); return; }
+      let stale = false;
+      const t = setTimeout(async () => {
+        try { const r = await api.geoSearch(q); if (!stale) setPlaces(r || []); } catch { if (!stale) setPlaces([]); }
+      }, 350);
+      return () => { stale = true; clearTimeout(t); };
+    }, [placeQuery]);
+
+    function pickPlace(p) {
+      setLocation(p.display);
+      setCoords({ lat: p.lat, lon: p.lon });
+      setPlaceQuery(''); setPlaces([]);
+    }
 
     useEffect(() => {
       (async () => {
         if (draft?.id) {
-          try { const arr = await api.getListingImages(draft.id); setImages(arr || [draft.image_data].filter(Boolean)); }
-          catch { setImages([draft.image_data].filter(Boolean)); }
+          try { const arr = await api.getListingImages(draft.id); setImages(arr || [draft.image_url].filter(Boolean)); }
+          catch { setImages([draft.image_url].filter(Boolean)); }
         } else { setImages([]); }
       })();
     }, [draft?.id]);
@@ -324,6 +635,7 @@
         if (typeof res.suggested_price === 'number' && !Number.isNaN(res.suggested_price)) {
           setPriceVal(String(res.suggested_price));
         }
+        if (res.category_id && !categoryId) setCategoryId(String(res.category_id));
       } catch (e) {
         setAiErr(e.message || 'AI failed');
       } finally {
@@ -345,6 +657,7 @@
         );
         const r = await api.reverseGeocode(coords.lat, coords.lon);
         setLocation(r?.display || `${coords.lat.toFixed(5)}, ${coords.lon.toFixed(5)}`);
+        setCoords(coords);
       } catch (e) {
         setGeoErr('Could not get your location');
       } finally {
@@ -360,13 +673,21 @@
         description: description.trim(),
         location: location.trim(),
         price: Number(priceVal),
-        tags
+        tags,
+        category_id: categoryId ? Number(categoryId) : null,
+        attributes: attributesPayload(schema, attrs),
+        ...(coords || {})
       };
       if (!images.length || !payload.description || !payload.location || Number.isNaN(payload.price) || payload.price <= 0) {
         alert('Fill all fields and add at least one image.');
         return;
       }
-      if (draft) await api.updateListing(draft.id, payload); else await api.createListing(payload);
+      try {
+        if (draft) await api.updateListing(draft.id, payload); else await api.createListing(payload);
+      } catch (e) {
+        alert(e.message || 'Could not save listing');
+        return;
+      }
       onSaved?.();
     }
 
@@ -376,7 +697,7 @@
       H('div', { className:'row', style:{ gap:8 } },
         H('button', { type:'button', className:`btn ${aiBusy?'':'primary'}`, disabled:aiBusy, onClick:runAI }, aiBusy ? 'Analyzing…' : 'Run AI analysis'),
         aiErr && H('span', { className:'muted', style:{ color:'#b91c1c' } }, aiErr),
-        H('span', { className:'muted' }, 'Generates a concise title, ~20 tags, and a suggested price')
+        H('span', { className:'muted' }, 'Generates a concise title, ~20 tags, a suggested price and category')
       ),
 
       H('label', null, 'Title'),
@@ -386,8 +707,21 @@
       H('textarea', { value:description, maxLength:400, onChange:e=>setDescription(e.target.value) }),
 
       H('label', null, 'Location'),
-      H('div', { className:'row', style:{ gap:8 } },
-        H('input', { value:location, maxLength:80, onChange:e=>setLocation(e.target.value), placeholder:'City, State' }),
+      H('div', { className:'row', style:{ gap:8, position:'relative' } },
+        H('input', {
+          value:location, maxLength:80, placeholder:'City, State',
+          onChange:e=>{ setLocation(e.target.value); setCoords(null); setPlaceQuery(e.target.value); },
+          onBlur:()=>setTimeout(()=>setPlaces([]), 100)
+        }),
+        places.length > 0 && H('div', {
+          style:{ position:'absolute', top:'100%', left:0, zIndex:50, minWidth:260, background:'#fff', border:'1px solid #e5e7eb', borderRadius:10, marginTop:6, boxShadow:'0 6px 20px rgba(0,0,0,0.08)', overflow:'hidden' }
+        },
+          ...places.map((p, i) => H('div', {
+            key:i,
+            onMouseDown:(e)=>{ e.preventDefault(); pickPlace(p); },
+            style:{ padding:'10px 12px', cursor:'pointer' }
+          }, p.display))
+        ),
         H('button', { type:'button', className:'btn', onClick:useMyLocation, disabled:geoBusy }, geoBusy ? 'Locating…' : 'Use my location'),
         geoErr && H('span', { className:'muted', style:{ color:'#b91c1c' } }, geoErr)
       ),
@@ -395,6 +729,21 @@
       H('label', null, 'Price'),
       H('input', { value:priceVal, inputMode:'decimal', onChange:e=>setPriceVal(e.target.value.replace(/[^0-9.]/g,'')) }),
 
+      H('label', null, 'Category'),
+      H('select', {
+        value:categoryId,
+        onChange:e=>{
+          // keep values for attributes the new category also has
+          const next = categories.find(c => String(c.id) === e.target.value)?.attributes || [];
+          setAttrs(prev => Object.fromEntries(Object.entries(prev).filter(([k]) => next.some(a => a.key === k))));
+          setCategoryId(e.target.value);
+        }
+      },
+        H('option', { value:'' }, 'No category'),
+        ...categories.map(c => H('option', { key:c.id, value:String(c.id) }, c.path))
+      ),
+      schema.length > 0 && H(AttributeFields, { schema, values:attrs, onChange:setAttrs }),
+
       H('div', { className:'card', style:{ padding:12, background:'#fafafa' } },
         H('div', { style:{ fontWeight:600, marginBottom:6 } }, 'Search tags (private)'),
         H('div', { className:'muted', style:{ marginBottom:6 } }, 'Not shown publicly; help others find your item. Example: "car, suv, 4x4".'),
@@ -422,27 +771,266 @@
         H('img', { src: images[index] }),
         H('button', { className:'arrow right', onClick:next }, '▶'),
         H('div', { className:'thumbs' },
-          ...images.map((img,i)=> H('img', { key:i, src:img, className: i===index?'active':'', onClick:()=>onIndex(i) }))
+          ...images.map((img,i)=> H('img', { key:i, src:thumbOf(img), loading:'lazy', className: i===index?'active':'', onClick:()=>onIndex(i) }))
         )
       )
     );
   }
 
+  // --- Listing status (badge + owner control) ---
+  const STATUS_LABEL = { available:'Available', reserved:'Reserved', sold:'Sold' };
+  const NEXT_STATUSES = { available:['reserved','sold'], reserved:['available','sold'], sold:['available'] };
+
+  function StatusBadge({ status }) {
+    if (!status || status === 'available') return null;
+    const bg = status === 'sold' ? '#111' : '#f59e0b';
+    return H('div', { style:{ position:'absolute', top:10, left:10, right:'auto', bottom:'auto', width:'auto', height:'auto', padding:'4px 10px', borderRadius:999, background:bg, color:'#fff', fontSize:12, fontWeight:700 } }, STATUS_LABEL[status]);
+  }
+
+  function StatusControl({ item, onChanged }) {
+    const [picking, setPicking] = useState(false);
+    const [buyers, setBuyers] = useState([]);
+    const [convoId, setConvoId] = useState('');
+
+    async function change(status) {
+      if (status === 'sold' && !picking) {
+        // offer the people who messaged about this listing as the buyer
+        try {
+          const convos = await api.listConversations();
+          setBuyers((convos || []).filter(c => c.listing_id === item.id));
+        } catch { setBuyers([]); }
+        setPicking(true);
+        return;
+      }
+      try {
+        const row = await api.setListingStatus(item.id, status, status === 'sold' && convoId ? Number(convoId) : undefined);
+        setPicking(false); setConvoId('');
+        onChanged?.(row);
+      } catch (e) { alert(e.message || 'Could not update status'); }
+    }
+
+    const current = item.status || 'available';
+    if (picking) {
+      return H('div', { className:'row', style:{ gap:6, flexWrap:'wrap' } },
+        H('select', { value:convoId, onChange:e=>setConvoId(e.target.value), style:{ maxWidth:200 } },
+          H('option', { value:'' }, 'Buyer: not specified'),
+          ...buyers.map(c => H('option', { key:c.id, value:c.id }, `@${c.other_user_username}`))
+        ),
+        H('button', { className:'btn primary', onClick:()=>change('sold') }, 'Mark sold'),
+        H('button', { className:'btn', onClick:()=>setPicking(false) }, 'Cancel')
+      );
+    }
+    return H('div', { className:'row', style:{ gap:6 } },
+      ...NEXT_STATUSES[current].map(st => H('button', { key:st, className:'btn', onClick:()=>change(st) },
+        st === 'available' ? (current === 'sold' ? 'Relist' : 'Mark available') : `Mark ${st}`))
+    );
+  }
+
+  // --- Offers ---
+  const OFFER_STATUS_LABEL = { open:'Open', accepted:'Accepted', declined:'Declined', countered:'Countered', withdrawn:'Withdrawn' };
+
+  function OfferCard({ offer, user, isSeller, onAction }) {
+    const [countering, setCountering] = useState(false);
+    const [amount, setAmount] = useState('');
+    const mine = offer.from_user_id === user.id;
+    const open = offer.status === 'open';
+
+    async function act(action, body) {
+      try { await onAction(offer, action, body); setCountering(false); setAmount(''); }
+      catch (e) { alert(e.message || 'Could not update offer'); }
+    }
+
+    return H('div', { style:{ border:'1px solid #e5e7eb', borderRadius:12, padding:10, marginTop:6, background:'#fff', color:'#111' } },
+      H('div', { className:'row', style:{ justifyContent:'space-between', gap:8 } },
+        H('div', { style:{ fontWeight:800, fontSize:18 } }, price(offer.amount)),
+        H('span', { className:'muted', style:{ fontSize:12 } }, OFFER_STATUS_LABEL[offer.status] || offer.status)
+      ),
+      open && !mine && !countering && H('div', { className:'row', style:{ gap:6, marginTop:8, flexWrap:'wrap' } },
+        H('button', { className:'btn primary', onClick:()=>act('accept') }, 'Accept'),
+        isSeller && H('button', { className:'btn', onClick:()=>act('accept', { reserve:true }) }, 'Accept & reserve'),
+        H('button', { className:'btn', onClick:()=>setCountering(true) }, 'Counter'),
+        H('button', { className:'btn danger', onClick:()=>act('decline') }, 'Decline')
+      ),
+      open && !mine && countering && H('div', { className:'row', style:{ gap:6, marginTop:8 } },
+        H('input', { type:'number', min:1, step:'0.01', placeholder:'Amount', value:amount, onChange:e=>setAmount(e.target.value), style:{ width:110 } }),
+        H('button', { className:'btn primary', onClick:()=>act('counter', { amount:Number(amount) }) }, 'Send counter'),
+        H('button', { className:'btn', onClick:()=>setCountering(false) }, 'Cancel')
+      ),
+      open && mine && H('div', { className:'row', style:{ gap:6, marginTop:8 } },
+        H('button', { className:'btn', onClick:()=>act('withdraw') }, 'Withdraw')
+      )
+    );
+  }
+
+  // --- Pickup scheduling ---
+  const PICKUP_STATUS_LABEL = { open:'Waiting for a reply', accepted:'Booked', declined:'Declined', withdrawn:'Withdrawn', superseded:'Replaced' };
+
+  function PickupCard({ proposal, user, onAction }) {
+    const mine = proposal.from_user_id === user.id;
+    const open = proposal.status === 'open';
+    async function act(action, body) {
+      try { await onAction(proposal, action, body); }
+      catch (e) { alert(e.message || 'Could not update pickup'); }
+    }
+    return H('div', { style:{ border:'1px solid #e5e7eb', borderRadius:12, padding:10, marginTop:6, background:'#fff', color:'#111' } },
+      H('div', { style:{ fontWeight:700 } }, `📍 ${proposal.place}`),
+      H('div', { className:'muted', style:{ fontSize:12 } }, `${proposal.duration_minutes} min · ${PICKUP_STATUS_LABEL[proposal.status] || proposal.status}`),
+      H('div', { className:'row', style:{ gap:6, marginTop:8, flexWrap:'wrap' } },
+        ...proposal.slots.map(slot => open && !mine
+          ? H('button', { key:slot, className:'btn', title:'Book this time', onClick:()=>act('accept', { slot }) }, when(slot))
+          : H('span', { key:slot, className:'muted', style:{ fontSize:13 } }, when(slot)))
+      ),
+      open && H('div', { className:'row', style:{ gap:6, marginTop:8 } },
+        mine
+          ? H('button', { className:'btn', onClick:()=>act('withdraw') }, 'Withdraw')
+          : H('button', { className:'btn danger', onClick:()=>act('decline') }, 'None of these work')
+      )
+    );
+  }
+
+  function PickupForm({ onSubmit, onCancel }) {
+    const [place, setPlace] = useState('');
+    const [slots, setSlots] = useState(['']);
+    const [duration, setDuration] = useState(30);
+    function setSlot(i, v) { setSlots(prev => prev.map((s, j) => j === i ? v : s)); }
+    async function submit() {
+      const picked = slots.filter(Boolean).map(v => new Date(v).toISOString());
+      if (!place.trim() || !picked.length) { alert('Add a place and at least one time'); return; }
+      try { await onSubmit({ place: place.trim(), slots: picked, duration_minutes: Number(duration) }); }
+      catch (e) { alert(e.message || 'Could not propose pickup'); }
+    }
+    return H('div', { className:'col', style:{ gap:6, padding:'6px 0' } },
+      H('input', { placeholder:'Meeting spot (e.g. library entrance)', value:place, onChange:e=>setPlace(e.target.value), maxLength:200 }),
+      ...slots.map((v, i) => H('input', { key:i, type:'datetime-local', value:v, onChange:e=>setSlot(i, e.target.value) })),
+      H('div', { className:'row', style:{ gap:6, alignItems:'center', flexWrap:'wrap' } },
+        slots.length < 5 && H('button', { className:'btn', type:'button', onClick:()=>setSlots(prev => [...prev, '']) }, '+ Another time'),
+        H('select', { value:duration, onChange:e=>setDuration(e.target.value) },
+          ...[15, 30, 60].map(m => H('option', { key:m, value:m }, `${m} min`))),
+        H('button', { className:'btn primary', onClick:submit }, 'Propose pickup'),
+        H('button', { className:'btn', onClick:onCancel }, 'Cancel')
+      )
+    );
+  }
+
+  function UpcomingPickups({ user }) {
+    const [appts, setAppts] = useState([]);
+    const [feedUrl, setFeedUrl] = useState('');
+    async function load() { try { setAppts((await api.appointments()) || []); } catch {} }
+    useEffect(() => {
+      load();
+      // bookings and cancellations show up as pickup messages
+      return Events.on((type, data) => {
+        if (type === 'pickup.updated' || (type === 'message.created' && data.message?.kind === 'pickup_status')) load();
+      });
+    }, [user?.id]);
+    async function cancel(a) {
+      if (!confirm(`Cancel the pickup on ${when(a.starts_at)}?`)) return;
+      try { await api.cancelAppointment(a.id); load(); } catch (e) { alert(e.message || 'Could not cancel'); }
+    }
+    async function showFeed() { try { setFeedUrl((await api.calendarFeed()).url); } catch {} }
+
+    return H('div', { style:{ marginTop:16 } },
+      H('div', { style:{ fontWeight:700, marginBottom:8 } }, 'Upcoming pickups'),
+      ...(appts.length ? appts.map(a => H('div', { key:a.id, style:{ padding:'6px 0', borderTop:'1px solid #f3f4f6' } },
+          H('div', { style:{ fontWeight:600 } }, when(a.starts_at)),
+          H('div', { className:'muted', style:{ fontSize:13 } }, `${a.listing_title || 'Item'} · ${a.place}`),
+          H('div', { className:'row', style:{ gap:6, marginTop:4 } },
+            H('a', { className:'btn', href:`/api/appointments/${a.id}.ics`, download:`pickup-${a.id}.ics` }, 'Add to calendar'),
+            H('button', { className:'btn', onClick:()=>cancel(a) }, 'Cancel')
+          )
+        )) : [H('div', { key:'none', className:'muted' }, 'Nothing scheduled')]),
+      feedUrl
+        ? H('input', { readOnly:true, value:feedUrl, onFocus:e=>e.target.select(), title:'Subscribe to this URL in your calendar app', style:{ width:'100%', marginTop:8 } })
+        : H('button', { className:'btn', style:{ marginTop:8 }, onClick:showFeed }, 'Calendar feed')
+    );
+  }
+
+  // --- Reviews ---
+  function stars(rating) { return '★'.repeat(Math.round(rating)) + '☆'.repeat(5 - Math.round(rating)); }
+
+  function ReviewForm({ convo, onDone }) {
+    const [rating, setRating] = useState(0);
+    const [body, setBody] = useState('');
+    async function submit() {
+      try { await api.leaveReview(convo.id, { rating, body }); onDone?.(); }
+      catch (e) { alert(e.message || 'Could not save review'); }
+    }
+    const role = convo.listing_user_id === convo.other_user_id ? 'seller' : 'buyer';
+    return H('div', { style:{ border:'1px solid #e5e7eb', borderRadius:12, padding:10, marginBottom:8 } },
+      H('div', { style:{ fontWeight:700 } }, `How was @${convo.other_user_username} as a ${role}?`),
+      H('div', { className:'row', style:{ gap:2, margin:'6px 0' } },
+        ...[1, 2, 3, 4, 5].map(n => H('button', {
+          key:n, type:'button', 'aria-label':`${n} star${n > 1 ? 's' : ''}`, onClick:()=>setRating(n),
+          style:{ border:'none', background:'none', fontSize:22, cursor:'pointer', color: n <= rating ? '#f59e0b' : '#d1d5db' }
+        }, '★'))
+      ),
+      H('div', { className:'row', style:{ gap:6 } },
+        H('input', { placeholder:'A few words (optional)', value:body, maxLength:1000, onChange:e=>setBody(e.target.value), style:{ flex:1 } }),
+        H('button', { className:'btn primary', disabled:!rating, onClick:submit }, 'Post review')
+      )
+    );
+  }
+
+  // Seller view: open offers on one listing across all conversations
+  function ListingOffers({ item, onOpenConversation }) {
+    const [offers, setOffers] = useState(null);
+    async function toggle() {
+      if (offers) { setOffers(null); return; }
+      try { setOffers((await api.listingOffers(item.id)) || []); }
+      catch (e) { alert(e.message || 'Could not load offers'); }
+    }
+    return H('div', { style:{ marginTop:8 } },
+      H('button', { className:'btn', onClick:toggle }, offers ? 'Hide offers' : 'Offers'),
+      offers && (offers.length
+        ? H('div', { style:{ marginTop:6 } }, ...offers.map(o => H('div', { key:o.id, className:'row', style:{ justifyContent:'space-between', alignItems:'center', gap:8, padding:'4px 0' } },
+            H('span', null, `@${o.buyer_username}`, o.from_role === 'seller' && H('span', { className:'muted' }, ' (your counter)')),
+            H('span', { style:{ fontWeight:700, marginLeft:'auto' } }, price(o.amount)),
+            H('button', { className:'btn', onClick:()=>onOpenConversation?.(o.conversation_id) }, 'Open chat')
+          )))
+        : H('div', { className:'muted', style:{ marginTop:6 } }, 'No open offers'))
+    );
+  }
+
   // --- Listing card ---
-  function ListingCard({ item, canEdit, onEdit, onDelete, user, onMessage, onAdminDelete }) {
+  function attributeSummary(item, categories) {
+    const schema = categories.find(c => c.id === item.category_id)?.attributes || [];
+    return schema.filter(def => item.attributes?.[def.key] !== undefined).map(def => {
+      const v = item.attributes[def.key];
+      return def.type === 'boolean' ? (v ? def.label : null) : `${def.label}: ${typeof v === 'number' ? v.toLocaleString() : v}`;
+    }).filter(Boolean).join(' · ');
+  }
+
+  function HeartButton({ on, onClick }) {
+    const label = on ? 'Remove from saved' : 'Save';
+    return H('button', {
+      type:'button', title:label, 'aria-label':label, 'aria-pressed':on,
+      onClick:(e)=>{ e.stopPropagation(); onClick(); },
+      style:{ position:'absolute', top:10, right:10, left:'auto', bottom:'auto', width:36, height:36, borderRadius:999, border:'none', background:'rgba(255,255,255,0.9)', display:'grid', placeItems:'center', cursor:'pointer' }
+    },
+      H('svg', { width:20, height:20, viewBox:'0 0 24 24' },
+        H('path', { d:'M12 21s-7.5-4.6-9.5-9.1C1.1 8.6 3.2 5 6.7 5c2.1 0 3.6 1.2 5.3 3 1.7-1.8 3.2-3 5.3-3 3.5 0 5.6 3.6 4.2 6.9C19.5 16.4 12 21 12 21z',
+          fill: on ? '#ef4444' : 'none', stroke: on ? '#ef4444' : '#6b7280', 'stroke-width':2, 'stroke-linejoin':'round' })
+      )
+    );
+  }
+
+  function ListingCard({ item, categories, canEdit, onEdit, onDelete, user, onMessage, onAdminDelete, onStatusChange, favorited, onToggleFavorite, onOpenConversation, onOpenProfile }) {
     const [open, setOpen] = useState(false);
     const [images, setImages] = useState(null);
     const [idx, setIdx] = useState(0);
 
     async function openModal(start=0){
-      if(!images){ try { const arr = await api.getListingImages(item.id); setImages(arr && arr.length ? arr : [item.image_data]); } catch { setImages([item.image_data]); } }
+      if(!images){ try { const arr = await api.getListingImages(item.id); setImages(arr && arr.length ? arr : [item.image_url]); } catch { setImages([item.image_url]); } }
       setIdx(start); setOpen(true);
     }
 
     const controls = [];
-    if (!user || user.id !== item.user_id) {
+    if ((!user || user.id !== item.user_id) && item.status !== 'sold') {
       controls.push(H('button', { key:'m', className:'btn primary', onClick:()=>onMessage(item) }, 'Message seller'));
     }
+    if (user && user.id !== item.user_id) {
+      controls.push(H(ReportButton, { key:'r', type:'listing', id:item.id }));
+    }
     if (canEdit) {
       controls.push(H('button', { key:'e', className:'btn', onClick:()=>onEdit(item) }, 'Edit'));
       controls.push(H('button', { key:'d', className:'btn danger', onClick:()=>onDelete(item) }, 'Remove Listing'));
@@ -460,32 +1048,440 @@
     }
 
     return H('div', { className:'card' },
-      H('div', { className:'aspect', onClick:()=>openModal(0), style:{ cursor:'zoom-in' } }, H('img', { src:item.image_data })),
+      H('div', { className:'aspect', onClick:()=>openModal(0), style:{ cursor:'zoom-in' } }, H('img', { src:item.thumb_url || item.image_url, loading:'lazy' }), H(StatusBadge, { status:item.status }),
+        user && user.id !== item.user_id && onToggleFavorite && H(HeartButton, { on:!!favorited, onClick:()=>onToggleFavorite(item) })
+      ),
       H('div', { style:{ padding:16 } },
         H('div', { className:'row', style:{ justifyContent:'space-between', alignItems:'start' } },
           H('div', null,
             H('div', { style:{ fontWeight:800 } }, item.title || 'Item for sale'),
             H('div', { className:'muted' }, item.description)
           ),
-          H('div', { style:{ fontWeight:800, textAlign:'right' } }, price(item.price))
+          H('div', { style:{ fontWeight:800, textAlign:'right' } }, price(item.price),
+            item.price_drop > 0 && H('div', { style:{ color:'#15803d', fontSize:12, fontWeight:600 } }, `↓ ${price(item.price_drop)} since saved`)
+          )
         ),
-        H('div', { className:'muted' }, item.location),
-        H('div', { className:'muted' }, `Seller: ${item.owner_username ? '@'+item.owner_username : '—'}`),
-        H('div', { className:'row', style:{ marginTop:8, justifyContent:'flex-start', gap:8 } }, ...controls)
+        item.category_path && H('div', { className:'muted' }, item.category_path),
+        attributeSummary(item, categories) && H('div', { className:'muted', style:{ fontSize:13 } }, attributeSummary(item, categories)),
+        H('div', { className:'muted' }, item.location,
+          typeof item.distance_km === 'number' && ` · ${(item.distance_km / KM_PER_MILE).toFixed(item.distance_km < 16 ? 1 : 0)} mi away`),
+        H('div', { className:'muted' }, 'Seller: ',
+          item.owner_username
+            ? H('a', { href:'#', onClick:(e)=>{ e.preventDefault(); onOpenProfile?.(item.owner_username); } }, '@'+item.owner_username)
+            : '—',
+          item.owner_review_count > 0 && H('span', { title:`${item.owner_rating} out of 5`, style:{ marginLeft:6, color:'#f59e0b' } },
+            stars(item.owner_rating), H('span', { className:'muted' }, ` (${item.owner_review_count})`))),
+        H('div', { className:'row', style:{ marginTop:8, justifyContent:'flex-start', gap:8 } }, ...controls),
+        canEdit && H('div', { style:{ marginTop:8 } }, H(StatusControl, { item, onChanged:onStatusChange })),
+        canEdit && H(ListingOffers, { item, onOpenConversation })
       ),
-      H(Lightbox, { open, images: images || [item.image_data], index: idx, onClose:()=>setOpen(false), onIndex:setIdx })
+      H(Lightbox, { open, images: images || [item.image_url], index: idx, onClose:()=>setOpen(false), onIndex:setIdx })
+    );
+  }
+
+  // --- Reports + moderation ---
+  const REPORT_REASONS = { spam:'Spam', scam:'Scam or fraud', abusive:'Abusive or harassing', prohibited_item:'Prohibited item', other:'Something else' };
+
+  function ReportButton({ type, id, label = 'Report', small }) {
+    const [open, setOpen] = useState(false);
+    const [reason, setReason] = useState('scam');
+    const [note, setNote] = useState('');
+    async function submit() {
+      try {
+        await api.report(type, id, reason, note);
+        setOpen(false); setNote('');
+        alert('Thanks — a moderator will take a look.');
+      } catch (e) { alert(e.message || 'Could not send report'); }
+    }
+    if (!open) {
+      return H('button', { className: small ? '' : 'btn', type:'button', onClick:()=>setOpen(true),
+        style: small ? { border:'none', background:'none', color:'#6b7280', fontSize:12, cursor:'pointer', padding:0 } : undefined }, label);
+    }
+    return H('div', { className:'row', style:{ gap:6, flexWrap:'wrap', alignItems:'center', marginTop:4 } },
+      H('select', { value:reason, onChange:e=>setReason(e.target.value) },
+        ...Object.entries(REPORT_REASONS).map(([k, v]) => H('option', { key:k, value:k }, v))),
+      H('input', { placeholder:'Details (optional)', value:note, maxLength:1000, onChange:e=>setNote(e.target.value) }),
+      H('button', { className:'btn danger', type:'button', onClick:submit }, 'Send report'),
+      H('button', { className:'btn', type:'button', onClick:()=>setOpen(false) }, 'Cancel')
+    );
+  }
+
+  function reportTargetText(r) {
+    const t = r.target;
+    if (!t) return '(content no longer exists)';
+    if (r.target_type === 'listing') return `Listing “${t.title}” by @${t.owner_username} (${t.status})`;
+    if (r.target_type === 'message') return `Message from @${t.sender_username}: “${t.body}”`;
+    return `User @${t.username}`;
+  }
+
+  function AdminReportsPanel({ onOpenProfile }) {
+    const [status, setStatus] = useState('open');
+    const [reports, setReports] = useState(null);
+    async function load() { try { setReports((await api.adminReports(status)) || []); } catch { setReports([]); } }
+    useEffect(() => { load(); }, [status]);
+
+    async function act(r, action) {
+      const note = action === 'resolve' ? (prompt('Resolution note (optional)') ?? '') : '';
+      try { await api.adminReportAction(r.id, action, note); load(); }
+      catch (e) { alert(e.message || 'Could not update report'); }
+    }
+    async function removeListing(r) {
+      if (!confirm('Admin: Delete this listing?')) return;
+      await api.adminDeleteListing(r.target.listing_id);
+      await act(r, 'resolve');
+    }
+    const ownerOf = (r) => r.target && (r.target.owner_username || r.target.sender_username || r.target.username);
+
+    return H('section', { className:'card', style:{ padding:16, margin:'12px 0' } },
+      H('div', { className:'row', style:{ justifyContent:'space-between', marginBottom:8 } },
+        H('div', { style:{ fontWeight:700 } }, 'Reports'),
+        H('select', { value:status, onChange:e=>setStatus(e.target.value) },
+          ...['open', 'resolved', 'dismissed', 'all'].map(s => H('option', { key:s, value:s }, s[0].toUpperCase() + s.slice(1))))
+      ),
+      !reports ? H('div', { className:'muted' }, 'Loading…')
+      : !reports.length ? H('div', { className:'muted' }, 'Nothing to review.')
+      : H('div', null, ...reports.map(r => H('div', { key:r.id, style:{ padding:'8px 0', borderTop:'1px solid #f3f4f6' } },
+          H('div', { style:{ fontWeight:600 } }, reportTargetText(r)),
+          H('div', { className:'muted', style:{ fontSize:13 } },
+            `${REPORT_REASONS[r.reason] || r.reason} · reported by @${r.reporter_username} · ${new Date(r.created_at).toLocaleString()}`,
+            r.open_reports_on_target > 1 ? ` · ${r.open_reports_on_target} open reports` : '',
+            r.status !== 'open' ? ` · ${r.status}${r.resolution_note ? ': ' + r.resolution_note : ''}` : ''),
+          r.note && H('div', { style:{ fontSize:13 } }, r.note),
+          r.status === 'open' && H('div', { className:'row', style:{ gap:6, marginTop:6 } },
+            ownerOf(r) && H('button', { className:'btn', onClick:()=>onOpenProfile(ownerOf(r)) }, `View @${ownerOf(r)}`),
+            r.target_type === 'listing' && r.target && H('button', { className:'btn danger', onClick:()=>removeListing(r) }, 'Delete listing'),
+            H('button', { className:'btn primary', onClick:()=>act(r, 'resolve') }, 'Resolve'),
+            H('button', { className:'btn', onClick:()=>act(r, 'dismiss') }, 'Dismiss')
+          )
+        )))
+    );
+  }
+
+  const SUSPEND_DAYS = [['1', '1 day'], ['7', '7 days'], ['30', '30 days'], ['', 'Until lifted']];
+
+  function AdminUserDetail({ id, me, onChanged, onOpenProfile }) {
+    const [u, setU] = useState(null);
+    const [reason, setReason] = useState('');
+    const [days, setDays] = useState('7');
+    useEffect(() => { setU(null); api.adminUser(id).then(setU).catch(() => setU(null)); }, [id]);
+
+    async function act(action, body) {
+      try { setU(await api.adminUserAction(id, action, body)); onChanged(); }
+      catch (e) { alert(e.message || 'Could not update user'); }
+    }
+    function suspend() {
+      if (!reason.trim()) return alert('Give a reason for the suspension');
+      const until = days ? new Date(Date.now() + Number(days) * 86400000).toISOString() : null;
+      act('suspend', { reason: reason.trim(), until });
+      setReason('');
+    }
+    if (!u) return H('div', { className:'muted' }, 'Loading…');
+    const self = u.id === me.id;
+    return H('div', { style:{ padding:12, background:'#f9fafb', borderRadius:8, marginTop:6 } },
+      H('div', { className:'muted', style:{ fontSize:13 } },
+        `${u.email} · joined ${new Date(u.created_at).toLocaleDateString()} · last login ${u.last_login_at ? new Date(u.last_login_at).toLocaleString() : 'never'}`),
+      H('div', { style:{ fontSize:13, marginTop:4 } },
+        `${u.listing_count} listings · ${u.report_count} reports against · ${u.reports_filed} reports filed`),
+      u.suspended && H('div', { style:{ color:'#be123c', fontSize:13, marginTop:4 } },
+        `Suspended ${u.suspended_until ? `until ${when(u.suspended_until)}` : 'until lifted'}${u.suspended_by_username ? ` by @${u.suspended_by_username}` : ''}: ${u.suspended_reason}`),
+      H('div', { className:'row', style:{ gap:6, marginTop:8, flexWrap:'wrap', alignItems:'center' } },
+        H('button', { className:'btn', onClick:()=>onOpenProfile(u.username) }, 'Profile'),
+        !self && (u.is_admin
+          ? H('button', { className:'btn', onClick:()=>confirm(`Remove admin from @${u.username}?`) && act('demote') }, 'Demote')
+          : H('button', { className:'btn', onClick:()=>confirm(`Make @${u.username} an admin?`) && act('promote') }, 'Make admin')),
+        !self && (u.suspended
+          ? H('button', { className:'btn primary', onClick:()=>act('unsuspend') }, 'Unsuspend')
+          : [
+              H('input', { key:'r', placeholder:'Suspension reason', value:reason, maxLength:500, onChange:e=>setReason(e.target.value) }),
+              H('select', { key:'d', value:days, onChange:e=>setDays(e.target.value) },
+                ...SUSPEND_DAYS.map(([v, label]) => H('option', { key:v, value:v }, label))),
+              H('button', { key:'s', className:'btn danger', onClick:suspend }, 'Suspend')
+            ])
+      )
+    );
+  }
+
+  function AdminUsersPanel({ user, onOpenProfile }) {
+    const [q, setQ] = useState('');
+    const [status, setStatus] = useState('all');
+    const [page, setPage] = useState({ items: [], total: 0, next_cursor: null });
+    const [openId, setOpenId] = useState(null);
+
+    async function load(more) {
+      try {
+        const res = await api.adminUsers({ q, status, cursor: more ? page.next_cursor : null });
+        setPage(p => more ? { ...res, items: [...p.items, ...res.items] } : res);
+      } catch { setPage({ items: [], total: 0, next_cursor: null }); }
+    }
+    useEffect(() => { const t = setTimeout(() => load(false), 250); return () => clearTimeout(t); }, [q, status]);
+
+    return H('section', { className:'card', style:{ padding:16, margin:'12px 0' } },
+      H('div', { className:'row', style:{ gap:8, marginBottom:8, alignItems:'center' } },
+        H('div', { style:{ fontWeight:700 } }, 'Users'),
+        H('input', { placeholder:'Search username or email', value:q, onChange:e=>setQ(e.target.value), style:{ flex:1 } }),
+        H('select', { value:status, onChange:e=>setStatus(e.target.value) },
+          H('option', { value:'all' }, 'All'), H('option', { value:'suspended' }, 'Suspended'), H('option', { value:'admin' }, 'Admins')),
+        H('span', { className:'muted' }, `${page.total} total`)
+      ),
+      !page.items.length ? H('div', { className:'muted' }, 'No users match.')
+      : H('div', null, ...page.items.map(u => H('div', { key:u.id, style:{ padding:'8px 0', borderTop:'1px solid #f3f4f6' } },
+          H('div', { className:'row', style:{ gap:8, alignItems:'center', cursor:'pointer' }, onClick:()=>setOpenId(openId === u.id ? null : u.id) },
+            H('span', { style:{ fontWeight:600 } }, `@${u.username}`),
+            u.is_admin ? H('span', { className:'muted', style:{ fontSize:12 } }, 'admin') : null,
+            u.suspended && H('span', { style:{ color:'#be123c', fontSize:12 } }, 'suspended'),
+            H('span', { className:'muted', style:{ fontSize:13, marginLeft:'auto' } }, u.email)
+          ),
+          openId === u.id && H(AdminUserDetail, { id:u.id, me:user, onChanged:()=>load(false), onOpenProfile })
+        ))),
+      page.next_cursor && H('button', { className:'btn', style:{ marginTop:8 }, onClick:()=>load(true) }, 'Load more')
+    );
+  }
+
+  const AUDIT_ACTIONS = [['', 'All actions'], ['listing.', 'Listings'], ['report.', 'Reports'], ['user.', 'Users']];
+
+  function AdminAuditPanel() {
+    const [actor, setActor] = useState('');
+    const [action, setAction] = useState('');
+    const [page, setPage] = useState({ items: [], next_cursor: null });
+    const [openId, setOpenId] = useState(null);
+
+    async function load(more) {
+      try {
+        const res = await api.adminAudit({ actor: actor.trim(), action, cursor: more ? page.next_cursor : null });
+        setPage(p => more ? { ...res, items: [...p.items, ...res.items] } : res);
+      } catch { setPage({ items: [], next_cursor: null }); }
+    }
+    useEffect(() => { const t = setTimeout(() => load(false), 250); return () => clearTimeout(t); }, [actor, action]);
+
+    const snapshot = (label, v) => v && H('div', { style:{ flex:1, minWidth:0 } },
+      H('div', { className:'muted', style:{ fontSize:12 } }, label),
+      H('pre', { style:{ fontSize:12, whiteSpace:'pre-wrap', wordBreak:'break-word', margin:0 } }, JSON.stringify(v, null, 2)));
+
+    return H('section', { className:'card', style:{ padding:16, margin:'12px 0' } },
+      H('div', { className:'row', style:{ gap:8, marginBottom:8, alignItems:'center' } },
+        H('div', { style:{ fontWeight:700 } }, 'Audit log'),
+        H('input', { placeholder:'Admin username', value:actor, onChange:e=>setActor(e.target.value) }),
+        H('select', { value:action, onChange:e=>setAction(e.target.value) },
+          ...AUDIT_ACTIONS.map(([v, label]) => H('option', { key:v, value:v }, label)))
+      ),
+      !page.items.length ? H('div', { className:'muted' }, 'No entries.')
+      : H('div', null, ...page.items.map(e => H('div', { key:e.id, style:{ padding:'6px 0', borderTop:'1px solid #f3f4f6' } },
+          H('div', { className:'row', style:{ gap:8, cursor:'pointer', fontSize:14 }, onClick:()=>setOpenId(openId === e.id ? null : e.id) },
+            H('span', { className:'muted' }, new Date(e.created_at).toLocaleString()),
+            H('span', { style:{ fontWeight:600 } }, `@${e.actor_username}`),
+            H('span', null, e.action),
+            H('span', { className:'muted' }, e.target_id != null ? `${e.target_type} #${e.target_id}` : e.target_type),
+            e.ip && H('span', { className:'muted', style:{ marginLeft:'auto', fontSize:12 } }, e.ip)
+          ),
+          openId === e.id && H('div', { className:'row', style:{ gap:12, alignItems:'flex-start', marginTop:4 } },
+            snapshot('Before', e.before), snapshot('After', e.after))
+        ))),
+      page.next_cursor && H('button', { className:'btn', style:{ marginTop:8 }, onClick:()=>load(true) }, 'Load more')
+    );
+  }
+
+  // --- Trash (soft-deleted listings) ---
+  function TrashPanel({ admin, onRestored }) {
+    const [items, setItems] = useState(null);
+    async function load() { try { setItems((await (admin ? api.adminTrash() : api.trash())) || []); } catch { setItems([]); } }
+    useEffect(() => { load(); }, [admin]);
+
+    async function restore(item) {
+      try {
+        await (admin ? api.adminRestoreListing(item.id) : api.restoreListing(item.id));
+        await load();
+        onRestored?.();
+      } catch (e) { alert(e.message || 'Could not restore listing'); }
+    }
+
+    return H('section', { className:'card', style:{ padding:16, margin:'12px 0' } },
+      H('div', { style:{ fontWeight:700, marginBottom:4 } }, 'Trash'),
+      H('div', { className:'muted', style:{ fontSize:13, marginBottom:8 } }, 'Deleted listings are removed for good after 30 days.'),
+      !items ? H('div', { className:'muted' }, 'Loading…')
+      : !items.length ? H('div', { className:'muted' }, 'The trash is empty.')
+      : H('div', null, ...items.map(item => H('div', { key:item.id, className:'row', style:{ gap:10, padding:'8px 0', borderTop:'1px solid #f3f4f6', alignItems:'center' } },
+          H('img', { src:item.thumb_url || item.image_url, style:{ width:48, height:48, objectFit:'cover', borderRadius:8, flex:'none' } }),
+          H('div', { style:{ flex:1, minWidth:0 } },
+            H('div', { style:{ fontWeight:600 } }, `${item.title || item.description} · ${price(item.price)}`),
+            H('div', { className:'muted', style:{ fontSize:13 } },
+              admin ? `@${item.owner_username} · deleted by @${item.deleted_by_username || 'unknown'} ` : '',
+              `deleted ${new Date(item.deleted_at).toLocaleDateString()} · gone for good ${new Date(item.purge_after).toLocaleDateString()}`)
+          ),
+          admin || item.deleted_by === item.user_id
+            ? H('button', { className:'btn', onClick:()=>restore(item) }, 'Restore')
+            : H('span', { className:'muted', style:{ fontSize:13 } }, 'Removed by a moderator')
+        )))
+    );
+  }
+
+  // --- Profiles ---
+  function responseTimeText(min) {
+    if (min === null || min === undefined) return null;
+    if (min < 60) return `Usually replies within ${Math.max(min, 1)} min`;
+    if (min < 1440) return `Usually replies within ${Math.round(min / 60)} h`;
+    return `Usually replies within ${Math.round(min / 1440)} days`;
+  }
+
+  function ProfileEditor({ profile, onSaved }) {
+    const [bio, setBio] = useState(profile.bio);
+    const [location, setLocation] = useState(profile.location);
+    const [avatar, setAvatar] = useState(undefined); // data URL, null = remove, undefined = unchanged
+    const fileRef = useRef();
+    async function pick(e) {
+      const f = e.target.files?.[0];
+      if (!f) return;
+      if (f.size > 3*1024*1024) { alert('Image must be under 3MB'); return; }
+      const r = new FileReader();
+      r.onload = () => setAvatar(r.result);
+      r.readAsDataURL(f);
+    }
+    async function save() {
+      const body = { bio, location };
+      if (avatar !== undefined) body.avatar = avatar;
+      try { onSaved(await api.updateProfile(body)); }
+      catch (e) { alert(e.message || 'Could not save profile'); }
+    }
+    const preview = avatar === undefined ? profile.avatar_thumb_url : avatar;
+    return H('section', { className:'card col', style:{ padding:16, gap:8, marginTop:12 } },
+      H('div', { style:{ fontWeight:700 } }, 'Edit profile'),
+      H('div', { className:'row', style:{ gap:8, alignItems:'center' } },
+        preview && H('img', { src:preview, style:{ width:48, height:48, borderRadius:48, objectFit:'cover' } }),
+        H('input', { type:'file', accept:IMAGE_ACCEPT, ref:fileRef, onChange:pick, style:{ display:'none' } }),
+        H('button', { className:'btn', type:'button', onClick:()=>fileRef.current?.click() }, 'Choose photo'),
+        preview && H('button', { className:'btn', type:'button', onClick:()=>setAvatar(null) }, 'Remove photo')
+      ),
+      H('input', { placeholder:'Location (e.g. Austin, TX)', value:location, maxLength:80, onChange:e=>setLocation(e.target.value) }),
+      H('textarea', { placeholder:'A few words about you', value:bio, maxLength:500, rows:3, onChange:e=>setBio(e.target.value) }),
+      H('div', null, H('button', { className:'btn primary', onClick:save }, 'Save profile'))
+    );
+  }
+
+  function ProfilePanel({ username, user, renderCard, onListingsChanged }) {
+    const [profile, setProfile] = useState(null);
+    const [showTrash, setShowTrash] = useState(false);
+    const [blocked, setBlocked] = useState(false);
+    const [reviews, setReviews] = useState([]);
+    const [error, setError] = useState('');
+    const [editing, setEditing] = useState(false);
+
+    useEffect(() => {
+      setProfile(null); setError(''); setEditing(false); setShowTrash(false);
+      api.userProfile(username).then(setProfile).catch(e => setError(e.message || 'Profile not found'));
+      api.userReviews(username).then(r => setReviews(r.reviews || [])).catch(() => setReviews([]));
+    }, [username]);
+    useEffect(() => {
+      if (!user || !profile || user.id === profile.id) return;
+      api._fetch('/api/blocks', { method:'GET' }).then(list => setBlocked((list || []).some(b => b.id === profile.id))).catch(() => {});
+    }, [profile?.id, user?.id]);
+
+    async function toggleBlock() {
+      if (!blocked && !confirm(`Block @${profile.username}? You won't be able to message each other and you won't see their listings.`)) return;
+      try { blocked ? await api.unblock(profile.id) : await api.block(profile.id); setBlocked(!blocked); }
+      catch (e) { alert(e.message || 'Could not update block'); }
+    }
+
+    if (error) return H('p', { className:'muted', style:{ textAlign:'center', margin:'28px 0' } }, error);
+    if (!profile) return H('p', { className:'muted', style:{ textAlign:'center', margin:'28px 0' } }, 'Loading…');
+    const own = user && user.id === profile.id;
+    const facts = [
+      `Joined ${new Date(profile.joined_at).toLocaleDateString(undefined, { month:'long', year:'numeric' })}`,
+      profile.location,
+      `${profile.sold_count} sold`,
+      responseTimeText(profile.response_time_minutes),
+    ].filter(Boolean);
+
+    return H(React.Fragment, null,
+      H('section', { className:'card row', style:{ padding:16, gap:16, alignItems:'center', margin:'12px 0' } },
+        H('div', { style:{ width:72, height:72, borderRadius:72, background:'#e5e7eb', overflow:'hidden', flex:'none', display:'grid', placeItems:'center', fontSize:28, fontWeight:800, color:'#6b7280' } },
+          profile.avatar_thumb_url ? H('img', { src:profile.avatar_thumb_url, style:{ width:'100%', height:'100%', objectFit:'cover' } }) : profile.username[0].toUpperCase()),
+        H('div', { className:'col', style:{ gap:4, flex:1 } },
+          H('div', { style:{ fontWeight:800, fontSize:20 } }, `@${profile.username}`),
+          profile.review_count > 0
+            ? H('div', { style:{ color:'#f59e0b' } }, stars(profile.rating), H('span', { className:'muted' }, ` ${profile.rating} · ${profile.review_count} review${profile.review_count > 1 ? 's' : ''}`))
+            : H('div', { className:'muted' }, 'No reviews yet'),
+          H('div', { className:'muted' }, facts.join(' · ')),
+          profile.bio && H('div', null, profile.bio)
+        ),
+        own && H('div', { className:'row', style:{ gap:6 } },
+          H('button', { className:'btn', onClick:()=>setShowTrash(!showTrash) }, showTrash ? 'Hide trash' : 'Trash'),
+          H('button', { className:'btn', onClick:()=>setEditing(!editing) }, editing ? 'Close' : 'Edit profile')
+        ),
+        user && !own && H('div', { style:{ display:'flex', flexDirection:'column', gap:6, alignItems:'flex-end' } },
+          H('button', { className:'btn', onClick:toggleBlock }, blocked ? 'Unblock' : 'Block'),
+          H(ReportButton, { type:'user', id:profile.id, label:'Report user' })
+        )
+      ),
+      own && editing && H(ProfileEditor, { profile, onSaved:(p)=>{ setProfile(p); setEditing(false); } }),
+      own && showTrash && H(TrashPanel, { onRestored:()=>{ api.userProfile(username).then(setProfile).catch(()=>{}); onListingsChanged?.(); } }),
+      H('div', { style:{ fontWeight:700, margin:'16px 0 8px' } }, `Listings (${profile.active_listing_count})`),
+      profile.listings.length
+        ? H('section', { className:'grid' }, ...profile.listings.map(renderCard))
+        : H('p', { className:'muted' }, 'Nothing for sale right now.'),
+      reviews.length > 0 && H('section', { className:'card', style:{ padding:16, marginTop:16 } },
+        H('div', { style:{ fontWeight:700, marginBottom:8 } }, 'Reviews'),
+        ...reviews.map(r => H('div', { key:r.id, style:{ padding:'6px 0', borderTop:'1px solid #f3f4f6' } },
+          H('div', null, H('span', { style:{ color:'#f59e0b' } }, stars(r.rating)),
+            H('span', { className:'muted' }, ` @${r.reviewer_username} · as ${r.reviewee_role} · ${new Date(r.created_at).toLocaleDateString()}`)),
+          r.body && H('div', null, r.body)
+        ))
+      )
+    );
+  }
+
+  // --- Saved (favorites + their alerts) ---
+  function alertText(n) {
+    const title = n.listing_title || 'A saved item';
+    if (n.kind === 'price_drop') return `${title}: price dropped ${price(n.data.old_price)} → ${price(n.data.new_price)}`;
+    if (n.kind === 'status_change') return `${title} is now ${(STATUS_LABEL[n.data.status] || n.data.status).toLowerCase()}`;
+    if (n.kind === 'pickup_reminder') return `Pickup for ${title} at ${when(n.data.starts_at)} · ${n.data.place}`;
+    return title;
+  }
+
+  function SavedPanel({ user, renderCard, onSeen }) {
+    const [items, setItems] = useState(null);
+    const [alerts, setAlerts] = useState([]);
+
+    useEffect(() => {
+      (async () => {
+        try { setItems((await api.favorites()) || []); } catch { setItems([]); }
+        try {
+          const notes = ((await api.notifications()) || []).filter(n => n.kind !== 'saved_search');
+          setAlerts(notes.slice(0, 10));
+          const unread = notes.filter(n => !n.read_at).map(n => n.id);
+          if (unread.length) { await api.markNotificationsRead(unread); onSeen?.(); }
+        } catch {}
+      })();
+    }, [user?.id]);
+
+    if (!items) return H('p', { className:'muted', style:{ textAlign:'center', margin:'28px 0' } }, 'Loading…');
+    return H(React.Fragment, null,
+      alerts.length > 0 && H('section', { className:'card', style:{ padding:16, margin:'12px 0 16px' } },
+        H('div', { style:{ fontWeight:700, marginBottom:8 } }, 'Updates'),
+        ...alerts.map(n => H('div', { key:n.id, className:'muted', style:{ padding:'4px 0', fontWeight: n.read_at ? 400 : 700 } },
+          alertText(n), ' · ', new Date(n.created_at).toLocaleDateString()))
+      ),
+      items.length
+        ? H('section', { className:'grid', style:{ marginTop:12 } }, ...items.map(renderCard))
+        : H('p', { className:'muted', style:{ textAlign:'center', margin:'28px 0' } }, 'Tap the heart on a listing to save it here.')
     );
   }
 
   // --- Messages (with image attachments + attach icon) ---
-  function MessagesPanel({ user, initialActiveId, onSeenChange }) {
+  const MESSAGES_PAGE = 30;
+
+  function MessagesPanel({ user, convos, initialActiveId, onSeenChange, onOpenProfile, onConvosChanged }) {
     if (!user) return H('div', { className:'muted' }, 'Please log in to view messages.');
 
-    const [convos, setConvos] = useState([]);
     const [activeId, setActiveId] = useState(initialActiveId || null);
     const [msgs, setMsgs] = useState([]);
+    const [hasOlder, setHasOlder] = useState(false);
     const [input, setInput] = useState('');
-    const pollRef = useRef(null);
+    const [offerAmount, setOfferAmount] = useState(null); // string while the "Make offer" box is open
+    const [proposing, setProposing] = useState(false);
+    const msgsRef = useRef([]);
+    msgsRef.current = msgs;
+    const listRef = useRef(null);
+    const loadingOlder = useRef(false);
 
     // attachments state
     const [imgFiles, setImgFiles] = useState([]); // data URLs
@@ -511,39 +1507,124 @@
 
     useEffect(() => { if (initialActiveId) setActiveId(initialActiveId); }, [initialActiveId]);
 
-    async function fetchConvos(){ try{ setConvos(await api.listConversations()); } catch(_){} }
+    function scrollToBottom(){
+      requestAnimationFrame(() => { const el = listRef.current; if (el) el.scrollTop = el.scrollHeight; });
+    }
+    function nearBottom(){
+      const el = listRef.current;
+      return !el || el.scrollHeight - el.scrollTop - el.clientHeight < 80;
+    }
     async function fetchMsgs(){
       if(!activeId) return;
       try{
-        const arr = await api.getMessages(activeId);
+        const arr = await api.getMessages(activeId, { limit: MESSAGES_PAGE });
         setMsgs(arr);
+        setHasOlder(arr.length === MESSAGES_PAGE);
+        scrollToBottom();
         if (arr.length) onSeenChange?.(activeId, arr[arr.length-1].id);
       } catch{}
     }
+    // catch up after a dropped stream: only what arrived since the last message we have
+    async function fetchNewer(){
+      const last = msgsRef.current[msgsRef.current.length - 1];
+      if (!last) return fetchMsgs();
+      try{
+        const arr = await api.getMessages(activeId, { after_id: last.id });
+        arr.forEach(appendMsg);
+        if (arr.length) onSeenChange?.(activeId, arr[arr.length-1].id);
+      } catch{}
+    }
+    async function loadOlder(){
+      const first = msgsRef.current[0];
+      if (!first || loadingOlder.current) return;
+      loadingOlder.current = true;
+      const el = listRef.current;
+      const fromBottom = el ? el.scrollHeight - el.scrollTop : 0;
+      try{
+        const arr = await api.getMessages(activeId, { before_id: first.id, limit: MESSAGES_PAGE });
+        setMsgs(prev => [...arr.filter(m => !prev.some(x => x.id === m.id)), ...prev]);
+        setHasOlder(arr.length === MESSAGES_PAGE);
+        // keep the viewport on the message the user was looking at
+        requestAnimationFrame(() => { if (el) el.scrollTop = el.scrollHeight - fromBottom; });
+      } catch{}
+      finally { loadingOlder.current = false; }
+    }
+    function onListScroll(e){
+      if (hasOlder && e.currentTarget.scrollTop < 40) loadOlder();
+    }
+    function appendMsg(m){
+      const stick = nearBottom();
+      setMsgs(prev => prev.some(x => x.id === m.id) ? prev : [...prev, m]);
+      if (stick) scrollToBottom();
+    }
 
-    useEffect(()=>{ fetchConvos(); }, []);
-    useEffect(()=>{
-      fetchMsgs();
-      if(pollRef.current) clearInterval(pollRef.current);
-      if(activeId){ pollRef.current = setInterval(fetchMsgs, 2500); }
-      return ()=> pollRef.current && clearInterval(pollRef.current);
-    }, [activeId]);
+    useEffect(()=>{ setMsgs([]); setHasOlder(false); setOfferAmount(null); setProposing(false); fetchMsgs(); }, [activeId]);
+    // new messages arrive over the event stream
+    useEffect(() => Events.on((type, data) => {
+      if (type === 'message.created' && data.conversation_id === activeId) {
+        appendMsg(data.message);
+        onSeenChange?.(activeId, data.message.id);
+      } else if (type === 'offer.updated' && data.conversation_id === activeId) {
+        applyOffer(data.offer);
+      } else if (type === 'pickup.updated' && data.conversation_id === activeId) {
+        applyPickup(data.proposal);
+      } else if (type === 'resync') {
+        fetchNewer();
+      }
+    }), [activeId]);
+
+    function applyOffer(offer){
+      setMsgs(prev => prev.map(m => m.offer_id === offer.id ? { ...m, offer } : m));
+    }
+    async function onOfferAction(offer, action, body){
+      const res = await api.offerAction(activeId, offer.id, action, body);
+      if (action === 'counter') applyOffer({ ...offer, status:'countered' });
+      else applyOffer(res.offer);
+      appendMsg(res.message);
+    }
+    function applyPickup(pickup){
+      setMsgs(prev => prev.map(m => m.pickup_id === pickup.id && m.kind === 'pickup' ? { ...m, pickup } : m));
+    }
+    async function onPickupAction(proposal, action, body){
+      const res = await api.pickupAction(activeId, proposal.id, action, body);
+      applyPickup(res.proposal);
+      appendMsg(res.message);
+    }
+    async function proposePickup(body){
+      const res = await api.proposePickup(activeId, body);
+      // an open proposal is replaced by the new one
+      setMsgs(prev => prev.map(m => m.kind === 'pickup' && m.pickup?.status === 'open' ? { ...m, pickup:{ ...m.pickup, status:'superseded' } } : m));
+      setProposing(false);
+      appendMsg(res.message);
+      scrollToBottom();
+    }
+    async function toggleBlock(){
+      const c = activeConvo;
+      if (!c.blocked_by_me && !confirm(`Block @${c.other_user_username}? Neither of you will be able to send messages here.`)) return;
+      try { c.blocked_by_me ? await api.unblock(c.other_user_id) : await api.block(c.other_user_id); onConvosChanged?.(); }
+      catch (e) { alert(e.message || 'Could not update block'); }
+    }
+    async function sendOffer(){
+      try {
+        const res = await api.makeOffer(activeId, Number(offerAmount));
+        setOfferAmount(null);
+        appendMsg(res.message);
+        scrollToBottom();
+      } catch (e) { alert(e.message || 'Could not send offer'); }
+    }
 
     async function send(){
       const bodyTrim = (input || '').trim();
       if(!bodyTrim && imgFiles.length === 0) return;
-      await api.sendMessage(activeId, bodyTrim, imgFiles);
+      let sent;
+      try { sent = await api.sendMessage(activeId, bodyTrim, imgFiles); }
+      catch (e) { alert(e.message || 'Could not send message'); return; }
       setInput('');
       setImgFiles([]);
-      await fetchMsgs();
-      await fetchConvos();
+      if (sent) { appendMsg(sent); scrollToBottom(); }
     }
 
-    const seenMap = loadSeen(user?.id);
-    const convosDecorated = (convos||[]).map(c => {
-      const unread = !!(c.last_message_id && c.last_message_sender_id && c.last_message_sender_id !== user.id && (!seenMap[c.id] || seenMap[c.id] < c.last_message_id));
-      return { ...c, _unread: unread };
-    }).sort((a,b) => {
+    const convosDecorated = (convos||[]).map(c => ({ ...c, _unread: c.unread_count > 0 })).sort((a,b) => {
       const ua = a._unread ? 1 : 0, ub = b._unread ? 1 : 0;
       if (ub - ua) return ub - ua;
       const ta = a.last_message_at ? new Date(a.last_message_at).getTime() : 0;
@@ -551,6 +1632,13 @@
       return tb - ta;
     });
 
+    // "Seen" goes under my latest message the other side has read
+    const activeConvo = (convos||[]).find(c => c.id === activeId);
+    const otherReadId = activeConvo?.other_last_read_message_id || 0;
+    const isSeller = !!activeConvo && activeConvo.listing_user_id === user.id;
+    const canOffer = !!activeConvo?.listing_id && !isSeller;
+    const seenMsgId = msgs.reduce((acc, m) => (m.sender_id === user.id && m.id <= otherReadId ? m.id : acc), 0);
+
     return H('div', { className:'split' },
       H('aside', { className:'card sidebar', style:{ padding:12 } },
         H('div', { style:{ fontWeight:700, marginBottom:8 } }, 'Conversations'),
@@ -561,27 +1649,45 @@
             onClick:()=>setActiveId(c.id)
           },
           H('div', { style:{ fontWeight:600 } }, c.other_user_username ? '@'+c.other_user_username : 'Unknown'),
-          c.listing_title ? H('div', { className:'muted' }, ` • ${c.listing_title?.slice?.(0,24)}`) : null,
-          c._unread && H('span', { style:{ marginLeft:'auto', width:8, height:8, borderRadius:8, background:'#ef4444' } })
-        )) : [H('div', { key:'empty', className:'muted' }, 'No conversations yet')])
+          c.listing_title ? H('div', { className:'muted' }, ` • ${c.listing_title?.slice?.(0,24)}${c.listing_removed ? ' (removed)' : ''}`) : null,
+          c._unread && H('span', { title:`${c.unread_count} unread`, style:{ marginLeft:'auto', padding:'0 7px', borderRadius:999, background:'#ef4444', color:'#fff', fontSize:12, fontWeight:700 } }, c.unread_count)
+        )) : [H('div', { key:'empty', className:'muted' }, 'No conversations yet')]),
+        H(UpcomingPickups, { user })
       ),
       H('section', { className:'card col', style:{ padding:12, display:'flex', flexDirection:'column' } },
         !activeId && H('div', { className:'muted' }, 'Select a conversation'),
-        activeId && H('div', { style:{ flex:1, overflow:'auto', padding:4 } },
-          msgs.map(m => H('div', { key:m.id, className:`message ${m.sender_id===user.id?'mine':'their'}` },
+        activeConvo && H('div', { className:'row', style:{ gap:8, alignItems:'baseline', paddingBottom:8, marginBottom:8, borderBottom:'1px solid #f3f4f6' } },
+          H('a', { href:'#', style:{ fontWeight:700 }, onClick:(e)=>{ e.preventDefault(); onOpenProfile?.(activeConvo.other_user_username); } }, `@${activeConvo.other_user_username}`),
+          activeConvo.listing_title && H('span', { className:'muted' }, activeConvo.listing_title, activeConvo.listing_removed ? ' (removed)' : ''),
+          H('button', { className:'btn', style:{ marginLeft:'auto' }, onClick:toggleBlock }, activeConvo.blocked_by_me ? 'Unblock' : 'Block')
+        ),
+        activeConvo?.can_review === 1 && H(ReviewForm, { key:activeConvo.id, convo:activeConvo }),
+        activeId && H('div', { ref:listRef, onScroll:onListScroll, style:{ flex:1, overflow:'auto', padding:4 } },
+          hasOlder && H('div', { className:'muted', style:{ textAlign:'center', fontSize:12, padding:4 } }, 'Scroll up for older messages'),
+          msgs.map(m => H(React.Fragment, { key:m.id },
+           (m.kind === 'offer_status' || m.kind === 'pickup_status')
+            ? H('div', { className:'muted', style:{ textAlign:'center', fontSize:13, margin:'6px 0' } }, `@${m.sender_username} · ${m.body}`)
+            : H('div', { className:`message ${m.sender_id===user.id?'mine':'their'}` },
             m.body && H('div', null, m.body),
+            m.kind === 'offer' && m.offer && H(OfferCard, { offer:m.offer, user, isSeller, onAction:onOfferAction }),
+            m.kind === 'pickup' && m.pickup && H(PickupCard, { proposal:m.pickup, user, onAction:onPickupAction }),
+            m.sender_id !== user.id && H('div', { style:{ textAlign:'right' } }, H(ReportButton, { type:'message', id:m.id, small:true })),
             Array.isArray(m.images) && m.images.length > 0 &&
               H('div', { className:'row', style:{ gap:6, marginTop:6, flexWrap:'wrap' } },
                 ...m.images.map((src, i) =>
-                  H('img', { key:i, src, style:{ width:140, height:140, objectFit:'cover', borderRadius:10, border:'1px solid #e5e7eb', cursor:'zoom-in' },
+                  H('img', { key:i, src: thumbOf(src), loading:'lazy', style:{ width:140, height:140, objectFit:'cover', borderRadius:10, border:'1px solid #e5e7eb', cursor:'zoom-in' },
                     onClick:()=>openLightbox(m.images, i) })
                 )
               )
+           ),
+           m.id === seenMsgId && H('div', { className:'muted', style:{ textAlign:'right', fontSize:12, margin:'-2px 4px 6px' } }, 'Seen')
           ))
         ),
-        activeId && H('div', { className:'row', style:{ alignItems:'center', gap:8 } },
+        activeConvo?.blocked === 1 && H('div', { className:'muted', style:{ textAlign:'center', padding:8 } },
+          activeConvo.blocked_by_me ? `You blocked @${activeConvo.other_user_username}.` : 'You can\'t reply to this conversation.'),
+        activeId && activeConvo?.blocked !== 1 && H('div', { className:'row', style:{ alignItems:'center', gap:8 } },
           H('input', {
-            type:'file', accept:'image/*', multiple:true, ref:fileRef, onChange: pickImgs,
+            type:'file', accept:IMAGE_ACCEPT, multiple:true, ref:fileRef, onChange: pickImgs,
             style:{ position:'absolute', width:1, height:1, opacity:0, pointerEvents:'none' }
           }),
           H(AttachButton, { onClick: () => fileRef.current && fileRef.current.click() }),
@@ -592,7 +1698,15 @@
             onKeyDown:e=>{ if(e.key==='Enter') send(); },
             style:{ flex:1 }
           }),
-          H('button', { className:'btn primary', onClick:send }, 'Send')
+          H('button', { className:'btn primary', onClick:send }, 'Send'),
+          canOffer && offerAmount === null && H('button', { className:'btn', onClick:()=>setOfferAmount('') }, 'Make offer'),
+          activeConvo?.listing_id && !proposing && H('button', { className:'btn', onClick:()=>setProposing(true) }, 'Propose pickup')
+        ),
+        proposing && H(PickupForm, { onSubmit:proposePickup, onCancel:()=>setProposing(false) }),
+        offerAmount !== null && H('div', { className:'row', style:{ gap:8, padding:'6px 0', alignItems:'center' } },
+          H('input', { type:'number', min:1, step:'0.01', placeholder:'Your offer ($)', value:offerAmount, onChange:e=>setOfferAmount(e.target.value), onKeyDown:e=>{ if(e.key==='Enter') sendOffer(); }, style:{ width:140 } }),
+          H('button', { className:'btn primary', onClick:sendOffer }, 'Send offer'),
+          H('button', { className:'btn', onClick:()=>setOfferAmount(null) }, 'Cancel')
         ),
         imgFiles.length > 0 && H('div', { className:'row', style:{ gap:8, padding:'6px 0' } },
           ...imgFiles.map((src,i)=> H('div', { key:i, style:{ position:'relative' } },
@@ -619,12 +1733,27 @@
     const [mine, setMine] = useState([]);
     const [query, setQuery] = useState('');
     const [locationQuery, setLocationQuery] = useState('');
-    const [sort, setSort] = useState('new');
+    const [sort, setSort] = useState('relevance');
+    const [showSold, setShowSold] = useState(false);
+    const [categories, setCategories] = useState([]);
+    const [category, setCategory] = useState('');
+    const [attrFilters, setAttrFilters] = useState({});
+    const [facets, setFacets] = useState(null);
+    const [minPrice, setMinPrice] = useState('');
+    const [maxPrice, setMaxPrice] = useState('');
+    const [near, setNear] = useState(null); // { lat, lon } from "Use my location"
+    const [radiusMi, setRadiusMi] = useState('25');
+    const [savedSearches, setSavedSearches] = useState([]);
+    const [favIds, setFavIds] = useState(() => new Set());
+    const [alertCount, setAlertCount] = useState(0);
+    const [nextCursor, setNextCursor] = useState(null);
+    const [feedBusy, setFeedBusy] = useState(false);
     const [showForm, setShowForm] = useState(false);
     const [editing, setEditing] = useState(null);
 
     const [activeConvoId, setActiveConvoId] = useState(null);
-    const [unreadCount, setUnreadCount] = useState(0);
+    const [convos, setConvos] = useState([]);
+    const [profileName, setProfileName] = useState(null);
 
     useEffect(() => { AppNav.setUser = setUser; AppNav.setTab = setTab; }, [setUser, setTab]);
 
@@ -634,61 +1763,121 @@
       return map;
     }, [mine]);
 
-    async function reload(){
-      const [a, m] = await Promise.all([ api.listAll('', locationQuery), user ? api.listMine() : Promise.resolve([]) ]);
-      setAll(a); setMine(m||[]);
+    // browse feed: server-sorted pages, next page fetched when the sentinel scrolls into view
+    const feedReq = useRef(0);
+    const pageInFlight = useRef(null);
+    const sentinelRef = useRef(null);
+    async function loadFeed(reset){
+      if (!reset && (!nextCursor || pageInFlight.current === nextCursor)) return;
+      const seq = reset ? ++feedReq.current : feedReq.current;
+      const cursor = reset ? null : nextCursor;
+      pageInFlight.current = cursor;
+      setFeedBusy(true);
+      try {
+        const page = await api.listPage({ q: query.trim(), loc: locationQuery.trim(), sort, status: showSold ? 'all' : '', category, attrs: attrFilters, minPrice, maxPrice,
+          near, radiusKm: near && radiusMi ? Number(radiusMi) * KM_PER_MILE : null, facets: reset, cursor });
+        if (seq !== feedReq.current) return; // a newer search superseded this one
+        setAll(prev => reset ? page.items : [...prev, ...page.items]);
+        if (page.facets) setFacets(page.facets);
+        setNextCursor(page.next_cursor);
+      } catch {
+      } finally {
+        if (seq === feedReq.current) { pageInFlight.current = null; setFeedBusy(false); }
+      }
+    }
+    async function loadMine(){
+      try { setMine(user ? (await api.listMine()) || [] : []); } catch {}
+    }
+    async function reload(){ await Promise.all([ loadFeed(true), loadMine() ]); }
+    useEffect(()=>{ loadMine(); }, [user?.id]);
+    useEffect(()=>{ api.categories().then(c => setCategories(c || [])).catch(()=>{}); }, []);
+    useEffect(()=>{ loadFeed(true); }, [query, locationQuery, sort, showSold, category, attrFilters, minPrice, maxPrice, near, radiusMi]);
+    useEffect(()=>{ if (!near && sort === 'distance') setSort('relevance'); }, [near]);
+
+    async function loadSavedSearches(){
+      try { setSavedSearches(user ? (await api.savedSearches()) || [] : []); } catch {}
+    }
+    async function loadAlerts(){
+      try { setAlertCount(user ? ((await api.notifications(true)) || []).filter(n => n.kind !== 'saved_search').length : 0); } catch {}
     }
-    useEffect(()=>{ reload(); }, [user?.id, locationQuery]);
-
     useEffect(() => {
-      (async () => {
-        const a = await api.listAll(query.trim() || '', locationQuery.trim() || '');
-        setAll(a);
-      })();
-    }, [query, locationQuery]);
+      loadSavedSearches(); loadAlerts();
+      const t = setInterval(() => { loadSavedSearches(); loadAlerts(); }, 30000);
+      return () => clearInterval(t);
+    }, [user?.id]);
+    useEffect(() => {
+      if (!user) { setFavIds(new Set()); return; }
+      api.favorites().then(rows => setFavIds(new Set((rows || []).map(r => r.id)))).catch(()=>{});
+    }, [user?.id]);
 
-    async function recomputeUnread() {
+    async function toggleFavorite(item){
+      const on = !favIds.has(item.id);
+      setFavIds(prev => { const next = new Set(prev); on ? next.add(item.id) : next.delete(item.id); return next; });
+      try { on ? await api.favorite(item.id) : await api.unfavorite(item.id); }
+      catch (e) {
+        setFavIds(prev => { const next = new Set(prev); on ? next.delete(item.id) : next.add(item.id); return next; });
+        if (e.message !== 'auth') alert(e.message || 'Could not update saved listings');
+      }
+    }
+
+    async function saveCurrentSearch(){
+      if (!user) { alert('Log in to save searches.'); return; }
+      const toNum = v => v === '' ? null : Number(v);
       try {
-        if (!user) { setUnreadCount(0); return; }
-        const convos = await api.listConversations();
-        const seen = loadSeen(user.id);
-        const n = (convos || []).filter(c =>
-          c.last_message_id &&
-          c.last_message_sender_id &&
-          c.last_message_sender_id !== user.id &&
-          (!seen[c.id] || seen[c.id] < c.last_message_id)
-        ).length;
-        setUnreadCount(n);
-      } catch {}
+        await api.createSavedSearch({ q: query.trim(), loc: locationQuery.trim(), category: category || null, min_price: toNum(minPrice), max_price: toNum(maxPrice), sort: sort === 'distance' ? 'new' : sort });
+        await loadSavedSearches();
+      } catch (e) { alert(e.message || 'Could not save search'); }
+    }
+    async function openSavedSearch(s){
+      setQuery(s.q); setLocationQuery(s.loc); setSort(s.sort);
+      setCategory(s.category || ''); setAttrFilters({});
+      setMinPrice(s.min_price === null ? '' : String(s.min_price));
+      setMaxPrice(s.max_price === null ? '' : String(s.max_price));
+      if (s.new_count) {
+        try { await api.markSavedSearchSeen(s.id); } catch {}
+        setSavedSearches(prev => prev.map(x => x.id === s.id ? { ...x, new_count: 0 } : x));
+      }
     }
+    async function removeSavedSearch(s){
+      try { await api.deleteSavedSearch(s.id); } catch {}
+      setSavedSearches(prev => prev.filter(x => x.id !== s.id));
+    }
+
     useEffect(() => {
-      let t;
-      recomputeUnread();
-      t = setInterval(recomputeUnread, 3000);
-      return () => clearInterval(t);
+      const el = sentinelRef.current;
+      if (!el || !('IntersectionObserver' in window)) return;
+      const io = new IntersectionObserver(entries => {
+        if (entries.some(e => e.isIntersecting)) loadFeed(false);
+      }, { rootMargin: '400px' });
+      io.observe(el);
+      return () => io.disconnect();
+    });
+
+    async function loadConvos() {
+      try { setConvos(user ? (await api.listConversations()) || [] : []); } catch {}
+    }
+    function upsertConvo(c) { setConvos(prev => [c, ...prev.filter(x => x.id !== c.id)]); }
+
+    // conversation list + unread state follow the event stream
+    useEffect(() => {
+      loadConvos();
+      if (!user || !('EventSource' in window)) return;
+      const stop = connectEvents();
+      const off = Events.on((type, data) => {
+        // read receipts (ours from other tabs/devices, and theirs) arrive as updated summaries too
+        if (type === 'conversation.updated') upsertConvo(data);
+        else if (type === 'resync') loadConvos();
+      });
+      return () => { off(); stop(); };
     }, [user?.id]);
 
+    const unreadCount = useMemo(() => convos.filter(c => c.unread_count > 0).length, [convos]);
+
     useEffect(() => {
-      if (!user && tab === 'messages') setTab('browse');
+      if (!user && (tab === 'messages' || tab === 'saved')) setTab('browse');
     }, [user, tab]);
 
-    const feed = useMemo(()=>{
-      const list = [...(all || [])];
-      if (sort === 'price_asc') {
-        list.sort((a,b)=>a.price-b.price);
-      } else if (sort === 'price_desc') {
-        list.sort((a,b)=>b.price-a.price);
-      } else if (sort === 'city') {
-        list.sort((a,b)=>{
-          const la = (a.location || '').toLowerCase();
-          const lb = (b.location || '').toLowerCase();
-          return la.localeCompare(lb);
-        });
-      } else {
-        list.sort((a,b)=>b.id-a.id); // newest
-      }
-      return list;
-    }, [all, sort]);
+    const feed = all || [];
 
     // derive distinct city options for autocomplete
     const cityOptions = useMemo(() => {
@@ -702,6 +1891,12 @@
       return Array.from(set).sort((a,b)=> a.localeCompare(b));
     }, [all]);
 
+    function openProfile(username){
+      setProfileName(username);
+      setTab('profile');
+      window.scrollTo({ top:0, behavior:'smooth' });
+    }
+
     async function startMessage(item){
       if(!user){ alert('Log in to message a seller.'); return; }
       if(user.id === item.user_id){ alert('This is your listing.'); return; }
@@ -712,31 +1907,65 @@
 
     function handleSeen(convoId, lastMsgId){
       if (!user || !convoId || !lastMsgId) return;
-      const map = loadSeen(user.id);
-      if (!map[convoId] || map[convoId] < lastMsgId) {
-        map[convoId] = lastMsgId;
-        saveSeen(user.id, map);
-        setTimeout(() => { (async()=>{ await recomputeUnread(); })(); }, 0);
-      }
+      const c = convos.find(x => x.id === convoId);
+      if (c && c.last_read_message_id >= lastMsgId) return;
+      api.markRead(convoId, lastMsgId).then(upsertConvo).catch(()=>{});
     }
 
     async function handleAdminDeleteAll(){
-      await api.adminDeleteAll();
+      const res = await api.adminDeleteAll();
       setAll([]); setMine([]);
+      if (res?.deleted && confirm(`${res.deleted} listings moved to the trash. Undo?`)) {
+        await api.adminRestoreAll(res.deleted_at);
+        await reload();
+      }
+    }
+    function handleStatusChange(row) {
+      const patch = x => x.id === row.id ? { ...x, status: row.status } : x;
+      if (row.status === 'sold' && !showSold) setAll(prev => prev.filter(x => x.id !== row.id));
+      else setAll(prev => prev.map(patch));
+      setMine(prev => prev.map(patch));
     }
     function handleAdminDelete(listingId) {
       setAll(prev => prev.filter(x => x.id !== listingId));
       setMine(prev => prev.filter(x => x.id !== listingId));
     }
 
+    function renderCard(item){
+      const mineItem = mineById[item.id];
+      return H(ListingCard, {
+        key:item.id,
+        item,
+        categories,
+        user,
+        canEdit: !!mineItem,
+        favorited: favIds.has(item.id),
+        onToggleFavorite: toggleFavorite,
+        onEdit:(it)=>{
+          const rich = mineById[it.id] || it;
+          setEditing(rich);
+          setShowForm(true);
+          setTab('browse');
+          window.scrollTo({ top:0, behavior:'smooth' });
+        },
+        onDelete: async(it)=>{ if(confirm('Move this listing to the trash? You can restore it from your profile for 30 days.')){ await api.deleteListing(it.id); await reload(); } },
+        onMessage: startMessage,
+        onOpenConversation: (id) => { setActiveConvoId(id); setTab('messages'); },
+        onOpenProfile: openProfile,
+        onAdminDelete: handleAdminDelete,
+        onStatusChange: handleStatusChange
+      });
+    }
+
     return H(React.Fragment, null,
-      H(Header, { user, setUser, onNav:setTab, active:tab, unreadCount, onAdminDeleteAll: handleAdminDeleteAll }),
+      H(Header, { user, setUser, onNav:setTab, active:tab, unreadCount, alertCount, onAdminDeleteAll: handleAdminDeleteAll, onOpenProfile: openProfile }),
       H('main', { className:'container' },
+        H(AccountNotices, { user, setUser }),
         tab==='browse' && H(React.Fragment, null,
           H('div', { className:'row', style:{ justifyContent:'space-between', margin:'12px 0 18px' } },
             H('div', { className:'row', style:{ gap:10, flexWrap:'wrap' } },
               H('input', {
-                placeholder:'Search title, description, tags…',
+                placeholder:'Search title, description, tags… ("exact phrase", -exclude)',
                 value:query,
                 onChange:e=>setQuery(e.target.value),
                 style:{ maxWidth:360 }
@@ -751,55 +1980,89 @@
                     const { coords } = await new Promise((res, rej)=>
                       navigator.geolocation.getCurrentPosition(res, rej, { enableHighAccuracy:true, timeout:8000, maximumAge:60000 })
                     );
-                    const r = await api.reverseGeocode(coords.latitude, coords.longitude);
-                    const city = r?.city || (r?.display || '').split(',')[0];
-                    if (city) setLocationQuery(city);
+                    // radius search replaces the city text filter
+                    setLocationQuery('');
+                    setNear({ lat: coords.latitude, lon: coords.longitude });
+                    setSort('distance');
                   } catch { alert('Could not determine your location'); }
                 }
               }),
+              near && H('div', { className:'row', style:{ gap:6 } },
+                H('select', { value:radiusMi, onChange:e=>setRadiusMi(e.target.value) },
+                  ...['5','10','25','50','100'].map(m => H('option', { key:m, value:m }, `Within ${m} mi`)),
+                  H('option', { value:'' }, 'Any distance')
+                ),
+                H('button', { className:'btn', title:'Stop searching near me', onClick:()=>setNear(null) }, '×')
+              ),
               H('select', { value:sort, onChange:e=>setSort(e.target.value) },
+                H('option', { value:'relevance' }, 'Best match'),
                 H('option', { value:'new' }, 'Newest'),
                 H('option', { value:'price_asc' }, 'Price: Low → High'),
                 H('option', { value:'price_desc' }, 'Price: High → Low'),
-                H('option', { value:'city' }, 'City (A → Z)')
-              )
+                H('option', { value:'city' }, 'City (A → Z)'),
+                near && H('option', { value:'distance' }, 'Distance')
+              ),
+              H('select', { value:category, onChange:e=>{ setAttrFilters({}); setCategory(e.target.value); } },
+                H('option', { value:'' }, 'All categories'),
+                ...categories.map(c => {
+                  const f = facets?.categories.find(x => x.id === c.id);
+                  return H('option', { key:c.id, value:c.slug }, f ? `${c.path} (${f.count})` : c.path);
+                })
+              ),
+              ...Object.entries(facets?.attributes || {}).filter(([, f]) => f.values && f.values.length).map(([key, f]) =>
+                H('select', { key, value:attrFilters[key] || '', onChange:e=>setAttrFilters(prev => ({ ...prev, [key]: e.target.value })) },
+                  H('option', { value:'' }, `${f.label}: any`),
+                  ...f.values.map(v => H('option', { key:v.value, value:v.value }, `${v.value} (${v.count})`))
+                )
+              ),
+              H('input', { placeholder:'Min $', value:minPrice, inputMode:'decimal', onChange:e=>setMinPrice(e.target.value.replace(/[^0-9.]/g,'')), style:{ width:80 } }),
+              H('input', { placeholder:'Max $', value:maxPrice, inputMode:'decimal', onChange:e=>setMaxPrice(e.target.value.replace(/[^0-9.]/g,'')), style:{ width:80 } }),
+              H('label', { className:'row muted', style:{ gap:6, width:'auto', whiteSpace:'nowrap' } },
+                H('input', { type:'checkbox', checked:showSold, onChange:e=>setShowSold(e.target.checked), style:{ width:'auto' } }),
+                'Show sold'
+              ),
+              H('button', { className:'btn', onClick:saveCurrentSearch }, 'Save this search')
             ),
             H('button', { className:'btn primary', onClick:()=>{ if(!user){ alert('Log in to create a listing.'); return; } setEditing(null); setShowForm(true); } }, 'New listing')
           ),
 
+          savedSearches.length > 0 && H('div', { className:'row', style:{ gap:8, flexWrap:'wrap', margin:'-6px 0 16px' } },
+            H('span', { className:'muted' }, 'Saved:'),
+            ...savedSearches.map(s => H('div', { key:s.id, className:'row', style:{ gap:0 } },
+              H('button', { className:'btn', style:{ position:'relative' }, onClick:()=>openSavedSearch(s), title:'Show matches' },
+                s.name,
+                s.new_count > 0 && H('span', { style:{ marginLeft:6, padding:'0 7px', borderRadius:999, background:'#ef4444', color:'#fff', fontSize:12, fontWeight:700 } }, s.new_count)
+              ),
+              H('button', { className:'btn', style:{ padding:'4px 8px' }, title:'Delete saved search', onClick:()=>removeSavedSearch(s) }, '×')
+            ))
+          ),
+
           showForm && H('section', { className:'card', style:{ padding:16, marginBottom:16 } },
             H(ListingForm, {
               draft: editing,
+              categories,
               onCancel:()=>setShowForm(false),
               onSaved: async ()=>{ setShowForm(false); setEditing(null); await reload(); }
             })
           ),
 
-          H('section', { className:'grid' },
-            feed.map(item => {
-              const mineItem = mineById[item.id];
-              return H(ListingCard, {
-                key:item.id,
-                item,
-                user,
-                canEdit: !!mineItem,
-                onEdit:(it)=>{
-                  const rich = mineById[it.id] || it;
-                  setEditing(rich);
-                  setShowForm(true);
-                  window.scrollTo({ top:0, behavior:'smooth' });
-                },
-                onDelete: async(it)=>{ if(confirm('Remove this listing? (Your past messages will remain)')){ await api.deleteListing(it.id); await reload(); } },
-                onMessage: startMessage,
-                onAdminDelete: handleAdminDelete
-              });
-            })
+          H('section', { className:'grid' }, feed.map(renderCard)),
+          H('div', { ref:sentinelRef, style:{ height:1 } }),
+          feedBusy && H('p', { className:'muted', style:{ textAlign:'center', margin:'16px 0' } }, 'Loading…'),
+          !feedBusy && nextCursor && H('div', { style:{ textAlign:'center', margin:'16px 0' } },
+            H('button', { className:'btn', onClick:()=>loadFeed(false) }, 'Load more')
           ),
-          !feed.length && H('p', { className:'muted', style:{ textAlign:'center', margin:'28px 0' } }, 'No listings yet.')
+          !feed.length && !feedBusy && H('p', { className:'muted', style:{ textAlign:'center', margin:'28px 0' } }, 'No listings yet.')
         ),
+        (tab==='saved' && user) && H(SavedPanel, { user, renderCard, onSeen:()=>setAlertCount(0) }),
+        (tab==='profile' && profileName) && H(ProfilePanel, { username: profileName, user, renderCard, onListingsChanged: reload }),
+        (tab==='reports' && user?.is_admin) && H(AdminReportsPanel, { onOpenProfile: openProfile }),
+        (tab==='users' && user?.is_admin) && H(AdminUsersPanel, { user, onOpenProfile: openProfile }),
+        (tab==='audit' && user?.is_admin) && H(AdminAuditPanel),
+        (tab==='trash' && user?.is_admin) && H(TrashPanel, { admin: true, onRestored: reload }),
         (tab==='messages') &&
           (user
-            ? H(MessagesPanel, { user, initialActiveId: activeConvoId, onSeenChange: handleSeen })
+            ? H(MessagesPanel, { user, convos, initialActiveId: activeConvoId, onSeenChange: handleSeen, onOpenProfile: openProfile, onConvosChanged: loadConvos })
             : H('div', { className:'muted', style:{ padding:'16px 0' } }, 'Please log in to view messages.')
           )
       )
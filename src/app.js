@@ -0,0 +1,144 @@
+/* src/app.js — createApp({ db, config, aiClient, geocoder, mailer }): builds the Express app
+   Everything is optional: config overrides merge over loadConfig(process.env); without a db the
+   configured one is opened (in-memory under NODE_ENV=test); without an aiClient one is made from
+   OPENAI_API_KEY (or the keyword fallback runs); without a geocoder config.geocoder picks one;
+   without a mailer config.mailer does (smtp, or an outbox directory of JSON files).
+   The injected db is migrated like any other.
+*/
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const cookieParser = require('cookie-parser');
+let cors; try { cors = require('cors'); } catch {}
+let OpenAI; try { OpenAI = require('openai'); } catch {}
+
+const { loadConfig } = require('./config');
+const { openDatabase, prepareDatabase } = require('./db');
+const { defaultMediaDir } = require('./lib/media');
+const { createAuthMiddleware } = require('./routes/middleware');
+const { createMailer } = require('./lib/mailers');
+
+const { createAuthService } = require('./services/auth');
+const { createAccountsService } = require('./services/accounts');
+const { createAuditService } = require('./services/audit');
+const { createCategoriesService } = require('./services/categories');
+const { createMediaService } = require('./services/media');
+const { createGeoService } = require('./services/geo');
+const { createEventsService } = require('./services/events');
+const { createReviewsService } = require('./services/reviews');
+const { createNotificationsService } = require('./services/notifications');
+const { createListingsService } = require('./services/listings');
+const { createModerationService } = require('./services/moderation');
+const { createConversationsService } = require('./services/conversations');
+const { createOffersService } = require('./services/offers');
+const { createPickupsService } = require('./services/pickups');
+const { createProfilesService } = require('./services/profiles');
+const { createUsersService } = require('./services/users');
+const { createAiService } = require('./services/ai');
+
+// [mount path, routes/<name>.js], mounted in this order
+const ROUTERS = [
+  ['/api', 'auth'],
+  ['/api', 'accounts'],
+  ['/api', 'searches'],
+  ['/api', 'users'],
+  ['/api', 'appointments'],
+  ['/api', 'meta'],
+  ['/api/events', 'events'],
+  ['/api/listings', 'listings'],
+  ['/api/conversations', 'conversations'],
+  ['/api/ai', 'ai'],
+  ['/api/geo', 'geo'],
+  ['/api/admin', 'admin'],
+  ['/media', 'media'],
+];
+
+// Services reach each other through the shared `services` object at call time, so creation
+// order only matters for the ones that touch the database on startup.
+function createServices({ db, config, aiClient, geocoder, mailer }){
+  const services = {};
+  const deps = { db, config, services };
+  services.auth = createAuthService(deps);
+  services.accounts = createAccountsService({ ...deps, mailer });
+  services.audit = createAuditService(deps);
+  services.categories = createCategoriesService(deps);
+  services.media = createMediaService(deps);
+  services.geo = createGeoService({ ...deps, geocoder });
+  services.events = createEventsService(deps);
+  services.reviews = createReviewsService(deps);
+  services.notifications = createNotificationsService(deps);
+  services.listings = createListingsService(deps);
+  services.moderation = createModerationService(deps);
+  services.conversations = createConversationsService(deps);
+  services.offers = createOffersService(deps);
+  services.pickups = createPickupsService(deps);
+  services.profiles = createProfilesService(deps);
+  services.users = createUsersService(deps);
+  services.ai = createAiService({ ...deps, aiClient });
+  return services;
+}
+
+// The outbox goes next to the database file, or to a throwaway directory for in-memory / test runs.
+function defaultMailer(config, db){
+  if (config.mailer === 'smtp') return createMailer('smtp', { ...config.smtp, from: config.mailFrom });
+  const dir = config.mailOutboxDir || (config.isTest || db.memory
+    ? fs.mkdtempSync(path.join(os.tmpdir(), 'listit-outbox-'))
+    : path.join(path.dirname(db.name), 'outbox'));
+  return createMailer(config.mailer, { dir, from: config.mailFrom });
+}
+
+function createApp({ db, config: overrides, aiClient, geocoder, mailer } = {}){
+  const config = { ...loadConfig(), ...overrides };
+  db ||= openDatabase(config);
+  // settled before the migrations run, since one of them writes to the media store
+  config.mediaDir = defaultMediaDir(config, db);
+  prepareDatabase(db, { config });
+  if (aiClient === undefined) aiClient = config.openaiApiKey && OpenAI ? new OpenAI({ apiKey: config.openaiApiKey }) : null;
+  mailer ||= defaultMailer(config, db);
+
+  const services = createServices({ db, config, aiClient, geocoder, mailer });
+  services.auth.ensureAdmin();
+
+  const app = express();
+  app.locals.db = db;
+  app.locals.config = config;
+  app.locals.services = services;
+  app.locals.mailer = mailer;
+
+  // CORS (with credentials) for a separately hosted frontend
+  if (config.frontendOrigin && cors) {
+    const corsCfg = {
+      origin: config.frontendOrigin,
+      credentials: true,
+      methods: ['GET','POST','PUT','PATCH','DELETE','OPTIONS'],
+      allowedHeaders: ['Content-Type', 'Authorization'],
+      optionsSuccessStatus: 204,
+    };
+    app.use(cors(corsCfg));
+    app.options('*', cors(corsCfg));
+  }
+  app.use(express.json({ limit: '12mb' }));
+  app.use(cookieParser());
+  app.use(express.static(config.publicDir));
+
+  // ctx.routers ({ prefix, name, router }) is what the OpenAPI document is built from
+  const ctx = { db, config, services, mw: createAuthMiddleware({ config, services }), routers: [] };
+  const mounts = [...ROUTERS, ...(config.isTest ? [['/__test', 'testing']] : [])];
+  for (const [prefix, name] of mounts) {
+    const router = require(`./routes/${name}`)(ctx);
+    app.use(prefix, router);
+    ctx.routers.push({ prefix, name, router });
+  }
+  app.locals.routers = ctx.routers;
+
+  app.use((err, _req, res, _next) => {
+    console.error('Unhandled error:', err);
+    res.status(500).json({ error: 'server_error' });
+  });
+
+  return app;
+}
+
+module.exports = { createApp, createServices };
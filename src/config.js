@@ -0,0 +1,61 @@
+/* src/config.js — settings read from the environment
+   createApp({ config }) merges its overrides over loadConfig(process.env), so tests and
+   embedders can change any of these without touching process.env.
+*/
+
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const DAY_MS = 24 * 3600 * 1000;
+
+function loadConfig(env = process.env){
+  const isTest = env.NODE_ENV === 'test';
+  return {
+    port: env.PORT || 3000,
+    isTest,
+    isProd: env.NODE_ENV === 'production',
+    jwtSecret: env.JWT_SECRET || 'dev_jwt_change_me',
+    frontendOrigin: env.FRONTEND_ORIGIN || null,
+    cookieDomain: env.COOKIE_DOMAIN || undefined,
+    // tests run on an in-memory database unless one is injected
+    dbPath: isTest ? ':memory:' : (env.DB_PATH || path.join(ROOT, 'listit.db')),
+    // null = next to the database file (a throwaway directory under test / in memory)
+    mediaDir: isTest ? null : (env.MEDIA_DIR || null),
+    publicDir: path.join(ROOT, 'public'),
+    gazetteerPath: env.GAZETTEER_PATH || path.join(ROOT, 'data', 'gazetteer.csv'),
+    maxImagePixels: Number(env.MAX_IMAGE_PIXELS) || 40_000_000,
+    listingTrashRetentionMs: Number(env.LISTING_TRASH_RETENTION_MS) || 30 * DAY_MS,
+    eventsRetentionMs: Number(env.EVENTS_RETENTION_MS) || DAY_MS,
+    geocoder: env.GEOCODER || (isTest ? 'mock' : 'nominatim'),
+    nominatimUrl: env.NOMINATIM_URL || 'https://nominatim.openstreetmap.org',
+    geocoderMinIntervalMs: Number(env.GEOCODER_MIN_INTERVAL_MS) || 1000, // usage policy: at most 1 request per second
+    geocoderTimeoutMs: Number(env.GEOCODER_TIMEOUT_MS) || 10000,
+    geoCacheTtlMs: Number(env.GEO_CACHE_TTL_MS) || 30 * DAY_MS,
+    geoCacheMax: Number(env.GEO_CACHE_MAX) || 5000,
+    openaiApiKey: env.OPENAI_API_KEY || null,
+    // links in emails point here
+    appUrl: (env.APP_URL || `http://localhost:${env.PORT || 3000}`).replace(/\/+$/, ''),
+    mailer: env.MAILER || (env.SMTP_HOST && !isTest ? 'smtp' : 'outbox'),
+    mailFrom: env.MAIL_FROM || 'ListIt <no-reply@listit.local>',
+    smtp: {
+      host: env.SMTP_HOST || null,
+      port: Number(env.SMTP_PORT) || 587,
+      secure: env.SMTP_SECURE === '1',
+      user: env.SMTP_USER || null,
+      pass: env.SMTP_PASS || null,
+    },
+    // null = next to the database file (a throwaway directory under test / in memory)
+    mailOutboxDir: isTest ? null : (env.MAIL_OUTBOX_DIR || null),
+    verifyEmailTtlMs: Number(env.VERIFY_EMAIL_TTL_MS) || 2 * DAY_MS,
+    passwordResetTtlMs: Number(env.PASSWORD_RESET_TTL_MS) || 3600 * 1000,
+    // posting listings, messaging and offers need a verified email
+    requireVerifiedEmail: env.REQUIRE_VERIFIED_EMAIL === '1',
+    admin: {
+      email: (env.ADMIN_EMAIL || '').trim().toLowerCase(),
+      username: (env.ADMIN_USERNAME || '').trim(),
+      password: env.ADMIN_PASSWORD || '',
+    },
+  };
+}
+
+module.exports = { loadConfig };
@@ -0,0 +1,72 @@
+/* src/db.js — opening the SQLite database and bringing its schema up to date */
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { migrate } = require('../migrate');
+const { normLetters, cityOf, haversineKm } = require('./lib/location');
+
+// Render Disk friendly: the directory of DB_PATH is created, with ./listit.db as the fallback.
+function openDatabase(config){
+  if (config.dbPath === ':memory:') return new Database(':memory:');
+  const fallback = path.join(__dirname, '..', 'listit.db');
+  let dbPath = config.dbPath;
+  try { fs.mkdirSync(path.dirname(dbPath), { recursive: true }); }
+  catch (e) {
+    console.warn('Could not create DB dir', path.dirname(dbPath), e.message);
+    console.warn('Falling back to local DB path:', fallback);
+    dbPath = fallback;
+  }
+  try {
+    const db = new Database(dbPath);
+    console.log('SQLite DB opened at:', dbPath);
+    return db;
+  } catch (e) {
+    console.error('Failed to open DB at', dbPath, e);
+    console.warn('Using in-memory DB — data will not persist.');
+    return new Database(':memory:');
+  }
+}
+
+// Runs pending migrations (./migrations, see migrate.js), turns on foreign keys and registers
+// the SQL functions the queries use. The app refuses to start on a failed migration.
+function prepareDatabase(db, { config } = {}){
+  try { db.pragma('journal_mode = WAL'); } catch {}
+  const applied = migrate(db, { config });
+  // worth a line when a deployment upgrades its database; every test app starts from scratch
+  if (applied.length && !config?.isTest) console.log('Applied migrations:', applied.map(m => m.file).join(', '));
+  db.pragma('foreign_keys = ON');
+
+  db.function('haversine_km', { deterministic: true }, (lat1, lon1, lat2, lon2) =>
+    [lat1, lon1, lat2, lon2].some(v => v === null) ? null : haversineKm(lat1, lon1, lat2, lon2));
+  // city matching in SQL so location filtering happens before LIMIT
+  db.function('city_norm', { deterministic: true }, (loc) => normLetters(cityOf(loc)));
+  return db;
+}
+
+// Tables that hold reference data rather than user data; they survive resetDatabase.
+const KEEP_ON_RESET = new Set(['schema_migrations', 'categories']);
+
+// Empties every user-data table (test hook). The audit log's append-only triggers are lifted
+// for the duration and put back exactly as they were.
+function resetDatabase(db){
+  const tables = db.prepare(`
+    SELECT name FROM sqlite_master
+    WHERE type = 'table' AND name NOT LIKE 'sqlite_%' AND name NOT LIKE 'listings_fts%'
+  `).all().map(r => r.name).filter(name => !KEEP_ON_RESET.has(name));
+  const guards = db.prepare("SELECT name, sql FROM sqlite_master WHERE type = 'trigger' AND tbl_name = 'audit_log'").all();
+  db.pragma('foreign_keys = OFF');
+  try {
+    db.transaction(() => {
+      for (const g of guards) db.exec(`DROP TRIGGER ${g.name}`);
+      for (const table of tables) db.exec(`DELETE FROM ${table}`);
+      for (const g of guards) db.exec(g.sql);
+      db.exec("DELETE FROM sqlite_sequence WHERE name <> 'categories'");
+      db.exec("INSERT INTO listings_fts(listings_fts) VALUES ('rebuild')");
+    })();
+  } finally {
+    db.pragma('foreign_keys = ON');
+  }
+}
+
+module.exports = { openDatabase, prepareDatabase, resetDatabase };
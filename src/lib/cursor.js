@@ -0,0 +1,11 @@
+/* src/lib/cursor.js — opaque keyset pagination cursors */
+
+function encodeCursor(obj){ return Buffer.from(JSON.stringify(obj)).toString('base64url'); }
+function decodeCursor(str){
+  try {
+    const c = JSON.parse(Buffer.from(String(str), 'base64url').toString('utf8'));
+    return c && typeof c === 'object' && Number.isInteger(c.id) ? c : null;
+  } catch { return null; }
+}
+
+module.exports = { encodeCursor, decodeCursor };
@@ -0,0 +1,12 @@
+/* src/lib/errors.js — the failure a service returns for a bad request field
+   sendError answers it as { error: { code, field, message } }, the shape schema() uses, so a
+   client reads one shape whichever layer caught the value. Codes are schema()'s ERROR_CODES
+   plus the image_* ones from lib/images.js. Refusals about the operation rather than a field
+   ("Cannot message yourself") stay { status, error }.
+*/
+
+function invalid(field, error, code = 'invalid_value'){
+  return { status: 400, error, code, field };
+}
+
+module.exports = { invalid };
@@ -0,0 +1,115 @@
+/* src/lib/geocoders.js — pluggable geocoding providers
+   A geocoder is { name, reverse(lat, lon), search(q, { limit }) }; both return places
+   shaped { city, state, country, display, lat, lon } (reverse: one or null, search: an array).
+*/
+
+const { normLetters, regionCode, haversineKm } = require('./location');
+const { shortTitle } = require('./text');
+
+// Serializes calls so they start at least `minIntervalMs` apart; rejects when too many are waiting.
+function rateLimiter(minIntervalMs, maxQueue = 20){
+  let last = 0, queued = 0, chain = Promise.resolve();
+  return function schedule(fn){
+    if (queued >= maxQueue) return Promise.reject(Object.assign(new Error('rate_limited'), { code: 'rate_limited' }));
+    queued++;
+    const run = chain.then(async () => {
+      const wait = last + minIntervalMs - Date.now();
+      if (wait > 0) await new Promise(r => setTimeout(r, wait));
+      last = Date.now();
+      queued--;
+      return fn();
+    });
+    chain = run.catch(() => {});
+    return run;
+  };
+}
+
+function nominatimGeocoder({
+  baseUrl = 'https://nominatim.openstreetmap.org',
+  userAgent = 'ListIt/1.0 (geocoding)',
+  minIntervalMs = 1000, // usage policy: at most 1 request per second
+  timeoutMs = 10000,
+} = {}){
+  const schedule = rateLimiter(minIntervalMs);
+  const place = (data) => {
+    const a = data.address || {};
+    const city = a.city || a.town || a.village || a.hamlet || '';
+    const state = a.state || a.region || '';
+    const country = a.country || (a.country_code ? a.country_code.toUpperCase() : '');
+    const lat = Number(data.lat), lon = Number(data.lon);
+    return { city, state, country, display: [city, state || country].filter(Boolean).join(', ') || data.display_name || '', lat, lon };
+  };
+  // Calls run one at a time, so a hung one is cut off rather than holding up the queue;
+  // that rejects with code 'timeout'.
+  const get = (url) => schedule(async () => {
+    try {
+      const resp = await fetch(url, { headers: { 'User-Agent': userAgent }, signal: AbortSignal.timeout(timeoutMs) });
+      if (!resp.ok) throw new Error(`nominatim ${resp.status}`);
+      return await resp.json();
+    } catch (e) {
+      if (e.name === 'TimeoutError' || e.name === 'AbortError') throw Object.assign(new Error(`nominatim timed out after ${timeoutMs} ms`), { code: 'timeout' });
+      throw e;
+    }
+  });
+  return {
+    name: 'nominatim',
+    async reverse(lat, lon){
+      const data = await get(`${baseUrl}/reverse?format=jsonv2&lat=${encodeURIComponent(lat)}&lon=${encodeURIComponent(lon)}&zoom=10&addressdetails=1`);
+      return data && !data.error ? place(data) : null;
+    },
+    async search(q, { limit = 5 } = {}){
+      const data = await get(`${baseUrl}/search?format=jsonv2&addressdetails=1&limit=${limit}&q=${encodeURIComponent(q)}`);
+      return (Array.isArray(data) ? data : []).map(place).filter(p => p.display);
+    },
+  };
+}
+
+function gazetteerGeocoder({ gazetteer, maxKm = 50 } = {}){
+  const place = (e) => ({ city: e.name, state: e.region, country: e.country, display: `${e.name}, ${e.region}`, lat: e.lat, lon: e.lon });
+  const all = () => [...gazetteer.values()].flat();
+  return {
+    name: 'gazetteer',
+    async reverse(lat, lon){
+      let best = null, bestKm = maxKm;
+      for (const e of all()) {
+        const km = haversineKm(lat, lon, e.lat, e.lon);
+        if (km <= bestKm) { best = e; bestKm = km; }
+      }
+      return best ? place(best) : null;
+    },
+    async search(q, { limit = 5 } = {}){
+      const [city, region] = String(q).split(',').map(x => x.trim());
+      const cn = normLetters(String(city || '').replace(/^st\.? /i, 'saint '));
+      const code = region ? regionCode(region) : null;
+      if (!cn) return [];
+      return all()
+        .filter(e => normLetters(e.name.replace(/^st\.? /i, 'saint ')).startsWith(cn) && (!region || e.region === code))
+        .sort((a, b) => b.population - a.population)
+        .slice(0, limit)
+        .map(place);
+    },
+  };
+}
+
+// Deterministic and offline (the default under NODE_ENV=test).
+function mockGeocoder(){
+  return {
+    name: 'mock',
+    async reverse(lat, lon){
+      return { city: 'Mockville', state: 'Texas', country: 'United States', display: 'Mockville, Texas', lat, lon };
+    },
+    async search(q, { limit = 5 } = {}){
+      const city = shortTitle(String(q).split(',')[0]);
+      return [{ city, state: 'Texas', country: 'United States', display: `${city}, Texas`, lat: 30.25, lon: -97.75 }].slice(0, limit);
+    },
+  };
+}
+
+const GEOCODERS = { nominatim: nominatimGeocoder, gazetteer: gazetteerGeocoder, mock: mockGeocoder };
+function createGeocoder(name, options){
+  const factory = GEOCODERS[name];
+  if (!factory) throw new Error(`Unknown geocoder "${name}"`);
+  return factory(options);
+}
+
+module.exports = { rateLimiter, nominatimGeocoder, gazetteerGeocoder, mockGeocoder, createGeocoder };
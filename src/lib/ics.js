@@ -0,0 +1,43 @@
+/* src/lib/ics.js — iCalendar (RFC 5545) export */
+
+function icsDate(iso){ return iso.replace(/[-:]/g, '').replace(/\.\d{3}/, ''); }
+function icsText(s){ return String(s).replace(/\\/g, '\\\\').replace(/\r?\n/g, '\\n').replace(/([,;])/g, '\\$1'); }
+// Lines longer than 75 octets are folded with CRLF + space.
+function icsFold(line){
+  const out = [];
+  let buf = Buffer.from(line, 'utf8');
+  while (buf.length > 75) {
+    let cut = 75;
+    while (cut > 0 && (buf[cut] & 0xc0) === 0x80) cut--; // don't split a UTF-8 sequence
+    out.push(buf.subarray(0, cut).toString('utf8'));
+    buf = Buffer.concat([Buffer.from(' '), buf.subarray(cut)]);
+  }
+  out.push(buf.toString('utf8'));
+  return out.join('\r\n');
+}
+function icsCalendar(appts, name){
+  const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//ListIt//Pickups//EN', 'CALSCALE:GREGORIAN', `X-WR-CALNAME:${icsText(name)}`];
+  for (const a of appts) {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:appointment-${a.id}@listit`,
+      `DTSTAMP:${icsDate(a.updated_at)}`,
+      `DTSTART:${icsDate(a.starts_at)}`,
+      `DTEND:${icsDate(a.ends_at)}`,
+      `SUMMARY:${icsText(`Pickup: ${a.listing_title || 'ListIt item'}`)}`,
+      `LOCATION:${icsText(a.place)}`,
+      `DESCRIPTION:${icsText(`@${a.seller_username} (seller) and @${a.buyer_username} (buyer)`)}`,
+      `STATUS:${a.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'}`,
+      'END:VEVENT'
+    );
+  }
+  lines.push('END:VCALENDAR');
+  return lines.map(icsFold).join('\r\n') + '\r\n';
+}
+function sendIcs(res, body, filename){
+  res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+  if (filename) res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.send(body);
+}
+
+module.exports = { icsCalendar, sendIcs };
@@ -0,0 +1,219 @@
+/* src/lib/images.js — image validation + metadata stripping */
+
+// Magic bytes must match the claimed MIME type; EXIF/XMP/GPS/comments are removed
+// losslessly per format (JPEG keeps only its Orientation tag).
+const MAX_IMAGE_SIDE = 16384;
+const IMAGE_TYPES = { 'image/jpeg': 'jpeg', 'image/jpg': 'jpeg', 'image/png': 'png', 'image/webp': 'webp', 'image/gif': 'gif' };
+const IMAGE_MIME = { jpeg: 'image/jpeg', png: 'image/png', webp: 'image/webp', gif: 'image/gif' };
+// Codes of a rejected upload (image_invalid_data_url is set by the callers that parse data URLs).
+const IMAGE_ERROR_CODES = ['image_invalid_data_url', 'image_unsupported_type', 'image_type_mismatch', 'image_corrupt', 'image_too_large'];
+const PNG_SIG = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+
+function sniffImageType(buf){
+  if (buf.length >= 3 && buf[0] === 0xFF && buf[1] === 0xD8 && buf[2] === 0xFF) return 'jpeg';
+  if (buf.length >= 8 && buf.subarray(0, 8).equals(PNG_SIG)) return 'png';
+  if (buf.length >= 6 && /^GIF8[79]a$/.test(buf.toString('latin1', 0, 6))) return 'gif';
+  if (buf.length >= 12 && buf.toString('latin1', 0, 4) === 'RIFF' && buf.toString('latin1', 8, 12) === 'WEBP') return 'webp';
+  return null;
+}
+
+const CRC_TABLE = (() => {
+  const t = new Int32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+    t[n] = c;
+  }
+  return t;
+})();
+function crc32(buf){
+  let c = -1;
+  for (let i = 0; i < buf.length; i++) c = CRC_TABLE[(c ^ buf[i]) & 0xFF] ^ (c >>> 8);
+  return (c ^ -1) >>> 0;
+}
+
+function exifOrientation(tiff){
+  try {
+    const le = tiff.toString('latin1', 0, 2) === 'II';
+    const u16 = o => le ? tiff.readUInt16LE(o) : tiff.readUInt16BE(o);
+    const u32 = o => le ? tiff.readUInt32LE(o) : tiff.readUInt32BE(o);
+    const ifd = u32(4);
+    const n = u16(ifd);
+    for (let i = 0; i < n; i++) {
+      const e = ifd + 2 + i * 12;
+      if (u16(e) === 0x0112) { const v = u16(e + 8); return v >= 1 && v <= 8 ? v : 0; }
+    }
+  } catch {}
+  return 0;
+}
+function orientationApp1(v){
+  // big-endian TIFF with a single IFD0 entry: Orientation (SHORT)
+  const tiff = Buffer.from([0x4D,0x4D,0x00,0x2A, 0,0,0,8, 0,1, 0x01,0x12, 0,3, 0,0,0,1, 0,v,0,0, 0,0,0,0]);
+  const body = Buffer.concat([Buffer.from('Exif\0\0', 'latin1'), tiff]);
+  const hdr = Buffer.from([0xFF, 0xE1, 0, 0]);
+  hdr.writeUInt16BE(body.length + 2, 2);
+  return Buffer.concat([hdr, body]);
+}
+
+function stripJpeg(buf){
+  const parts = [buf.subarray(0, 2)];
+  let pos = 2, width = 0, height = 0, orientation = 0;
+  for (;;) {
+    if (pos + 4 > buf.length || buf[pos] !== 0xFF) return null;
+    const marker = buf[pos + 1];
+    if (marker === 0xFF) { pos++; continue; } // fill byte
+    if (marker === 0xD8 || marker === 0xD9) return null;
+    if (marker === 0x01 || (marker >= 0xD0 && marker <= 0xD7)) { parts.push(buf.subarray(pos, pos + 2)); pos += 2; continue; }
+    const len = buf.readUInt16BE(pos + 2);
+    if (len < 2 || pos + 2 + len > buf.length) return null;
+    const body = buf.subarray(pos + 4, pos + 2 + len);
+    if (marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+      if (body.length < 5) return null;
+      height = body.readUInt16BE(1);
+      width = body.readUInt16BE(3);
+    }
+    if (marker === 0xE1) {
+      // APP1: EXIF (incl. GPS) or XMP, dropped
+      if (body.toString('latin1', 0, 6) === 'Exif\0\0') orientation = orientation || exifOrientation(body.subarray(6));
+    } else if (marker !== 0xED && marker !== 0xFE) {
+      // APP13 (Photoshop/IPTC) and COM are dropped too
+      parts.push(buf.subarray(pos, pos + 2 + len));
+    }
+    pos += 2 + len;
+    if (marker === 0xDA) break;
+  }
+  // scan data runs to the first EOI; anything after it (maker trailers, motion-photo video) is dropped
+  const eoi = buf.indexOf(Buffer.from([0xFF, 0xD9]), pos);
+  if (eoi < 0) return null;
+  parts.push(buf.subarray(pos, eoi + 2));
+  if (orientation > 1) {
+    const at = parts[1] && parts[1][1] === 0xE0 ? 2 : 1; // after JFIF APP0
+    parts.splice(at, 0, orientationApp1(orientation));
+  }
+  return { buf: Buffer.concat(parts), width, height };
+}
+
+const PNG_DROP = new Set(['eXIf', 'tEXt', 'zTXt', 'iTXt', 'tIME']);
+function stripPng(buf){
+  const parts = [PNG_SIG];
+  let pos = 8, width = 0, height = 0;
+  while (pos + 12 <= buf.length) {
+    const len = buf.readUInt32BE(pos);
+    const type = buf.toString('latin1', pos + 4, pos + 8);
+    if (pos + 12 + len > buf.length) return null;
+    if (crc32(buf.subarray(pos + 4, pos + 8 + len)) !== buf.readUInt32BE(pos + 8 + len)) return null;
+    if (pos === 8) {
+      if (type !== 'IHDR' || len !== 13) return null;
+      width = buf.readUInt32BE(pos + 8);
+      height = buf.readUInt32BE(pos + 12);
+    }
+    if (!PNG_DROP.has(type)) parts.push(buf.subarray(pos, pos + 12 + len));
+    pos += 12 + len;
+    if (type === 'IEND') return { buf: Buffer.concat(parts), width, height };
+  }
+  return null;
+}
+
+function stripGif(buf){
+  if (buf.length < 13) return null;
+  const width = buf.readUInt16LE(6), height = buf.readUInt16LE(8);
+  const tableSize = (packed) => (packed & 0x80) ? 3 * (1 << ((packed & 7) + 1)) : 0;
+  const skipSubBlocks = (p) => {
+    while (p < buf.length) { const n = buf[p]; p += 1 + n; if (n === 0) return p <= buf.length ? p : -1; }
+    return -1;
+  };
+  let pos = 13 + tableSize(buf[10]);
+  const parts = [buf.subarray(0, pos)];
+  let frames = 0;
+  while (pos < buf.length) {
+    const b = buf[pos];
+    if (b === 0x3B) {
+      if (!frames) return null;
+      parts.push(buf.subarray(pos, pos + 1));
+      return { buf: Buffer.concat(parts), width, height };
+    }
+    if (b === 0x21) {
+      const label = buf[pos + 1];
+      const end = skipSubBlocks(pos + 2);
+      if (end < 0) return null;
+      let keep = label !== 0xFE; // comment
+      if (label === 0xFF) {
+        // application extensions: keep looping info, drop XMP and the rest
+        const id = buf.toString('latin1', pos + 3, pos + 14);
+        keep = id === 'NETSCAPE2.0' || id === 'ANIMEXTS1.0';
+      }
+      if (keep) parts.push(buf.subarray(pos, end));
+      pos = end;
+    } else if (b === 0x2C) {
+      if (pos + 11 > buf.length) return null;
+      const end = skipSubBlocks(pos + 10 + tableSize(buf[pos + 9]) + 1);
+      if (end < 0) return null;
+      parts.push(buf.subarray(pos, end));
+      pos = end;
+      frames++;
+    } else {
+      return null;
+    }
+  }
+  return null;
+}
+
+function stripWebp(buf){
+  const end = 8 + buf.readUInt32LE(4);
+  if (end > buf.length || end < 12) return null;
+  const parts = [];
+  let pos = 12, width = 0, height = 0;
+  while (pos + 8 <= end) {
+    const id = buf.toString('latin1', pos, pos + 4);
+    const size = buf.readUInt32LE(pos + 4);
+    if (pos + 8 + size > end) return null;
+    const data = buf.subarray(pos + 8, pos + 8 + size);
+    if (id === 'VP8X') {
+      if (size < 10) return null;
+      width = 1 + data.readUIntLE(4, 3);
+      height = 1 + data.readUIntLE(7, 3);
+    } else if (id === 'VP8 ' && !width) {
+      if (size < 10 || data[3] !== 0x9D || data[4] !== 0x01 || data[5] !== 0x2A) return null;
+      width = data.readUInt16LE(6) & 0x3FFF;
+      height = data.readUInt16LE(8) & 0x3FFF;
+    } else if (id === 'VP8L' && !width) {
+      if (size < 5 || data[0] !== 0x2F) return null;
+      const bits = data.readUInt32LE(1);
+      width = (bits & 0x3FFF) + 1;
+      height = ((bits >>> 14) & 0x3FFF) + 1;
+    }
+    const next = Math.min(pos + 8 + size + (size & 1), end);
+    if (id !== 'EXIF' && id !== 'XMP ') {
+      let chunk = buf.subarray(pos, next);
+      if (id === 'VP8X') { chunk = Buffer.from(chunk); chunk[8] &= ~0x0C; } // clear EXIF + XMP flags
+      parts.push(chunk);
+    }
+    pos = next;
+  }
+  const body = Buffer.concat(parts);
+  const hdr = Buffer.alloc(12);
+  hdr.write('RIFF', 0, 'latin1');
+  hdr.writeUInt32LE(body.length + 4, 4);
+  hdr.write('WEBP', 8, 'latin1');
+  return { buf: Buffer.concat([hdr, body]), width, height };
+}
+
+const IMAGE_STRIPPERS = { jpeg: stripJpeg, png: stripPng, gif: stripGif, webp: stripWebp };
+
+// Returns { buf, mime, width, height } or { code, error }.
+function sanitizeImage(buf, claimedMime, maxPixels){
+  const claimed = IMAGE_TYPES[claimedMime];
+  if (!claimed) return { code: 'image_unsupported_type', error: 'Only JPEG, PNG, WebP and GIF images are allowed' };
+  const actual = sniffImageType(buf);
+  if (!actual) return { code: 'image_unsupported_type', error: 'File content is not a JPEG, PNG, WebP or GIF image' };
+  if (actual !== claimed) return { code: 'image_type_mismatch', error: `Image content is ${actual}, not ${claimedMime}` };
+  let out = null;
+  try { out = IMAGE_STRIPPERS[actual](buf); } catch {}
+  if (!out || !out.width || !out.height) return { code: 'image_corrupt', error: 'Image is corrupt or truncated' };
+  if (out.width > MAX_IMAGE_SIDE || out.height > MAX_IMAGE_SIDE || out.width * out.height > maxPixels) {
+    return { code: 'image_too_large', error: `Image exceeds the ${Math.round(maxPixels / 1e6)} megapixel limit` };
+  }
+  return { buf: out.buf, mime: IMAGE_MIME[actual], width: out.width, height: out.height };
+}
+
+module.exports = { IMAGE_ERROR_CODES, sanitizeImage };
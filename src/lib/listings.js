@@ -0,0 +1,28 @@
+/* src/lib/listings.js — listing lifecycle + sort definitions shared by listings and saved searches */
+
+const { FTS_WEIGHTS } = require('./search');
+
+/* ---------- listing lifecycle ---------- */
+// allowed transitions per current status
+const LISTING_STATUSES = {
+  available: ['reserved', 'sold'],
+  reserved:  ['available', 'sold'],
+  sold:      ['available'],
+};
+
+/* ---------- listing sort + keyset pagination ---------- */
+// Each sort mode orders by one key plus id DESC as tie-breaker; the cursor carries both
+// values of the last row so the next page starts strictly after it.
+const LISTING_SORTS = {
+  new:        { key: null,                         dir: null },
+  price_asc:  { key: 'l.price',                    dir: 'ASC' },
+  price_desc: { key: 'l.price',                    dir: 'DESC' },
+  city:       { key: 'LOWER(l.location)',          dir: 'ASC' },
+  relevance:  { key: `bm25(listings_fts, ${FTS_WEIGHTS})`, dir: 'ASC' },
+  distance:   { key: 'haversine_km(l.lat, l.lon, @lat, @lon)', dir: 'ASC' },
+};
+const RADIUS_KM_MAX = 20000;
+const LISTINGS_PAGE_DEFAULT = 24;
+const LISTINGS_PAGE_MAX = 100;
+
+module.exports = { LISTING_STATUSES, LISTING_SORTS, RADIUS_KM_MAX, LISTINGS_PAGE_DEFAULT, LISTINGS_PAGE_MAX };
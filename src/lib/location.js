@@ -0,0 +1,125 @@
+/* src/lib/location.js — city matching, offline gazetteer lookups and distances */
+
+const fs = require('fs');
+
+/* ---------- fuzzy helpers for location (city) ---------- */
+function normLetters(s){ return String(s||'').toLowerCase().replace(/[^a-z]/g,''); }
+function cityOf(location){
+  // first chunk before comma, trimmed
+  return String(location||'').split(',')[0].trim();
+}
+function levenshtein(a,b){
+  a = String(a); b = String(b);
+  const m = a.length, n = b.length;
+  if (m===0) return n; if (n===0) return m;
+  const dp = new Array(n+1);
+  for (let j=0;j<=n;j++) dp[j]=j;
+  for (let i=1;i<=m;i++){
+    let prev = i-1, cur = i;
+    dp[0]=i;
+    for (let j=1;j<=n;j++){
+      const tmp = dp[j];
+      const cost = a[i-1]===b[j-1]?0:1;
+      dp[j] = Math.min(
+        dp[j]+1,     // deletion
+        dp[j-1]+1,   // insertion
+        prev+cost    // substitution
+      );
+      prev = tmp;
+    }
+  }
+  return dp[n];
+}
+function pickMatchingCities(allCities, query){
+  // Only return city strings that exist in DB, but allow fuzzy matching
+  const out = new Set();
+  const q = (query||'').trim();
+  if (!q) return out;
+  const qn = normLetters(q);
+  for (const c of allCities){
+    const cn = normLetters(c);
+    if (!cn) continue;
+    // direct contains / prefix / exact (case-insensitive)
+    if (c.toLowerCase().includes(q.toLowerCase()) || cn.includes(qn) || cn.startsWith(qn)) { out.add(c); continue; }
+    // fuzzy on normalized city
+    const d = levenshtein(cn, qn);
+    if (d <= 2) { out.add(c); continue; } // allow small typos
+  }
+  return out;
+}
+
+/* ---------- offline gazetteer + distance ---------- */
+const US_STATES = {
+  AL:'alabama', AK:'alaska', AZ:'arizona', AR:'arkansas', CA:'california', CO:'colorado', CT:'connecticut',
+  DE:'delaware', DC:'districtofcolumbia', FL:'florida', GA:'georgia', HI:'hawaii', ID:'idaho', IL:'illinois',
+  IN:'indiana', IA:'iowa', KS:'kansas', KY:'kentucky', LA:'louisiana', ME:'maine', MD:'maryland',
+  MA:'massachusetts', MI:'michigan', MN:'minnesota', MS:'mississippi', MO:'missouri', MT:'montana',
+  NE:'nebraska', NV:'nevada', NH:'newhampshire', NJ:'newjersey', NM:'newmexico', NY:'newyork',
+  NC:'northcarolina', ND:'northdakota', OH:'ohio', OK:'oklahoma', OR:'oregon', PA:'pennsylvania',
+  RI:'rhodeisland', SC:'southcarolina', SD:'southdakota', TN:'tennessee', TX:'texas', UT:'utah',
+  VT:'vermont', VA:'virginia', WA:'washington', WV:'westvirginia', WI:'wisconsin', WY:'wyoming',
+};
+
+// data/gazetteer.csv: name,region,country,lat,lon,population (one row per city).
+// Returns normalized city name -> [{ name, region, country, lat, lon, population }], most populous first.
+function loadGazetteer(file){
+  const gazetteer = new Map();
+  let text;
+  try { text = fs.readFileSync(file, 'utf8'); }
+  catch (e) { console.warn('Gazetteer not loaded:', e.message); return gazetteer; }
+  const [header, ...lines] = text.split(/\r?\n/).filter(Boolean);
+  const cols = header.split(',');
+  for (const line of lines) {
+    const f = line.split(',');
+    const row = Object.fromEntries(cols.map((c, i) => [c, f[i]]));
+    const entry = { name: row.name, region: row.region, country: row.country, lat: Number(row.lat), lon: Number(row.lon), population: Number(row.population) || 0 };
+    if (!Number.isFinite(entry.lat) || !Number.isFinite(entry.lon)) continue;
+    const key = normLetters(entry.name.replace(/^st\.? /i, 'saint '));
+    if (!gazetteer.has(key)) gazetteer.set(key, []);
+    gazetteer.get(key).push(entry);
+  }
+  for (const list of gazetteer.values()) list.sort((a, b) => b.population - a.population);
+  return gazetteer;
+}
+
+function regionCode(s){
+  const t = String(s || '').trim();
+  if (/^[A-Za-z]{2}$/.test(t)) return t.toUpperCase();
+  const n = normLetters(t);
+  return Object.keys(US_STATES).find(k => US_STATES[k] === n) || null;
+}
+
+// "Springfield, IL" -> Springfield, Illinois; "Springfield" alone -> the most populous one.
+function gazetteerLookup(gazetteer, location){
+  const [city, region] = String(location || '').split(',').map(x => x.trim());
+  const list = gazetteer.get(normLetters(String(city || '').replace(/^st\.? /i, 'saint ')));
+  if (!list) return null;
+  if (!region) return list[0];
+  const code = regionCode(region);
+  return list.find(e => e.region === code) || null;
+}
+
+function haversineKm(lat1, lon1, lat2, lon2){
+  const rad = Math.PI / 180;
+  const dLat = (lat2 - lat1) * rad, dLon = (lon2 - lon1) * rad;
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(lat1 * rad) * Math.cos(lat2 * rad) * Math.sin(dLon / 2) ** 2;
+  return 6371.0088 * 2 * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+// Degrees of latitude/longitude covering `km` around a point (prefilter before haversine).
+function boundingBox(lat, lon, km){
+  const dLat = km / 111.32;
+  const cos = Math.cos(lat * Math.PI / 180);
+  const dLon = cos > 1e-6 ? km / (111.32 * cos) : 360;
+  return { minLat: Math.max(-90, lat - dLat), maxLat: Math.min(90, lat + dLat), minLon: lon - dLon, maxLon: lon + dLon };
+}
+
+function validCoords(lat, lon){
+  return typeof lat === 'number' && typeof lon === 'number' && Number.isFinite(lat) && Number.isFinite(lon)
+    && lat >= -90 && lat <= 90 && lon >= -180 && lon <= 180;
+}
+
+module.exports = {
+  normLetters, cityOf, levenshtein, pickMatchingCities,
+  loadGazetteer, regionCode, gazetteerLookup, haversineKm, boundingBox, validCoords,
+};
@@ -0,0 +1,57 @@
+/* src/lib/mailers.js — outgoing mail transports
+   A mailer is { name, send({ to, subject, text }) -> Promise }. `smtp` relays through a server
+   (nodemailer); `outbox` writes each message as a JSON file to a directory instead of sending
+   it — for development, and for tests, which read the messages back.
+*/
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+let nodemailer; try { nodemailer = require('nodemailer'); } catch {}
+
+function smtpMailer({ host, port = 587, secure = false, user, pass, from }){
+  if (!nodemailer) throw new Error('The smtp mailer needs the nodemailer package');
+  if (!host) throw new Error('The smtp mailer needs SMTP_HOST');
+  const transport = nodemailer.createTransport({
+    host, port, secure,
+    auth: user ? { user, pass } : undefined,
+  });
+  return {
+    name: 'smtp',
+    async send({ to, subject, text }){
+      await transport.sendMail({ from, to, subject, text });
+    },
+  };
+}
+
+function outboxMailer({ dir, from }){
+  fs.mkdirSync(dir, { recursive: true });
+  let seq = 0;
+  return {
+    name: 'outbox',
+    dir,
+    async send({ to, subject, text }){
+      const sentAt = new Date().toISOString();
+      // sortable by time, then by order sent; the random part keeps other processes' files apart
+      const name = `${sentAt.replace(/[:.]/g, '-')}-${String(seq++).padStart(6, '0')}-${crypto.randomBytes(4).toString('hex')}.json`;
+      const file = path.join(dir, name);
+      // written aside and renamed, so messages() never reads a half-written file
+      await fs.promises.writeFile(`${file}.tmp`, JSON.stringify({ from, to, subject, text, sent_at: sentAt }, null, 2));
+      await fs.promises.rename(`${file}.tmp`, file);
+    },
+    // Messages written so far, oldest first.
+    messages(){
+      return fs.readdirSync(dir).filter(f => f.endsWith('.json')).sort()
+        .map(f => JSON.parse(fs.readFileSync(path.join(dir, f), 'utf8')));
+    },
+  };
+}
+
+const MAILERS = { smtp: smtpMailer, outbox: outboxMailer };
+function createMailer(name, options){
+  const factory = MAILERS[name];
+  if (!factory) throw new Error(`Unknown mailer "${name}"`);
+  return factory(options);
+}
+
+module.exports = { smtpMailer, outboxMailer, createMailer };
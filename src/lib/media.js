@@ -0,0 +1,55 @@
+/* src/lib/media.js — the content-addressed media store on disk
+   Blobs live at <dir>/<aa>/<sha256>, thumbnails next to them as <sha256>.thumb.jpg; the media
+   table has a row per blob and media_uploads records who uploaded it. Shared by the media
+   service and the migration that moved inline images out of the database.
+*/
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { nowIso } = require('./text');
+
+function parseDataUrl(str){
+  const m = /^data:(image\/[a-z0-9.+-]+);base64,(.*)$/is.exec(String(str || ''));
+  if (!m) return null;
+  return { mime: m[1].toLowerCase(), buf: Buffer.from(m[2], 'base64') };
+}
+
+function writeFileAtomic(file, buf){
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, buf);
+  fs.renameSync(tmp, file);
+}
+
+// config.mediaDir, else next to the database file; tests and in-memory databases get a
+// throwaway directory.
+function defaultMediaDir(config, db){
+  if (config.mediaDir) return config.mediaDir;
+  return config.isTest || db.memory
+    ? fs.mkdtempSync(path.join(os.tmpdir(), 'listit-media-'))
+    : path.join(path.dirname(db.name), 'media');
+}
+
+function createMediaStore(db, dir){
+  function mediaPath(hash, thumb){
+    return path.join(dir, hash.slice(0, 2), thumb ? `${hash}.thumb.jpg` : hash);
+  }
+
+  // Write the original (sync, idempotent) and record it with its uploader; returns the hash.
+  function putMediaSync(buf, mime, thumb, userId){
+    const hash = crypto.createHash('sha256').update(buf).digest('hex');
+    if (!fs.existsSync(mediaPath(hash))) writeFileAtomic(mediaPath(hash), buf);
+    if (thumb && !fs.existsSync(mediaPath(hash, true))) writeFileAtomic(mediaPath(hash, true), thumb);
+    const now = nowIso();
+    db.prepare('INSERT OR IGNORE INTO media (hash, mime, bytes, created_at) VALUES (?, ?, ?, ?)')
+      .run(hash, mime, buf.length, now);
+    if (userId) db.prepare('INSERT OR IGNORE INTO media_uploads (hash, user_id, created_at) VALUES (?, ?, ?)').run(hash, userId, now);
+    return hash;
+  }
+
+  return { dir, mediaPath, putMediaSync };
+}
+
+module.exports = { parseDataUrl, defaultMediaDir, createMediaStore };
@@ -0,0 +1,33 @@
+/* src/lib/search.js — full-text query parsing (FTS5) */
+
+// bm25 column weights: title, description, tags, location
+const FTS_WEIGHTS = '10.0, 4.0, 3.0, 2.0';
+function ftsPhrase(s){ return `"${String(s).replace(/"/g, '""')}"`; }
+function parseSearchQuery(input){
+  // words -> prefix terms (AND), "quoted words" -> exact phrase, -word / -"phrase" -> excluded
+  const include = [], exclude = [];
+  const re = /(-?)"([^"]*)"?|(\S+)/g;
+  let m;
+  while ((m = re.exec(String(input || '')))) {
+    let neg, text, prefix;
+    if (m[3] !== undefined) {
+      neg = m[3].startsWith('-');
+      text = neg ? m[3].slice(1) : m[3];
+      prefix = !neg;
+    } else {
+      neg = m[1] === '-';
+      text = m[2];
+      prefix = false;
+    }
+    if (!/[\p{L}\p{N}]/u.test(text)) continue;
+    const term = ftsPhrase(text.trim()) + (prefix ? '*' : '');
+    (neg ? exclude : include).push(term);
+    if (include.length + exclude.length >= 16) break;
+  }
+  return {
+    match: include.length ? include.join(' ') : null,
+    exclude: exclude.length ? exclude.join(' OR ') : null
+  };
+}
+
+module.exports = { FTS_WEIGHTS, ftsPhrase, parseSearchQuery };
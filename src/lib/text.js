@@ -0,0 +1,41 @@
+/* src/lib/text.js — small text helpers (titles, tags, timestamps) */
+
+function nowIso(){ return new Date().toISOString(); }
+function normalizePair(u1, u2){
+  const a = Math.min(Number(u1), Number(u2));
+  const b = Math.max(Number(u1), Number(u2));
+  return { a, b };
+}
+function normalizeTags(input) {
+  if (!input) return '';
+  let arr = Array.isArray(input) ? input : String(input).split(',');
+  arr = arr.map(s => String(s).trim().toLowerCase()).filter(Boolean);
+  const seen = new Set();
+  const clean = [];
+  for (let t of arr) {
+    t = t.replace(/[^a-z0-9 \-]/g, '').trim();
+    if (!t || t.length > 32) continue;
+    if (seen.has(t)) continue;
+    seen.add(t);
+    clean.push(t);
+    if (clean.length >= 20) break;
+  }
+  return clean.join(',');
+}
+function shortTitle(str) {
+  const s = String(str || '').trim();
+  if (!s) return '';
+  const t = s.replace(/\s+/g, ' ').slice(0, 80);
+  return t.charAt(0).toUpperCase() + t.slice(1);
+}
+function fallbackTagsFromTitleDesc(title, desc) {
+  const s = `${title || ''} ${desc || ''}`.toLowerCase();
+  const words = (s.match(/[a-z0-9\-]{3,}/g) || []).slice(0, 80);
+  const freq = {};
+  for (const w of words) { freq[w] = (freq[w] || 0) + 1; }
+  const base = Object.entries(freq).sort((a,b)=>b[1]-a[1]).map(([w])=>w).slice(0,10);
+  const generic = ['sale','buy','deal','used','second hand','good','condition','local','pickup','cheap','discount','shop','offer'];
+  return [...new Set([...base, ...generic])].slice(0, 20);
+}
+
+module.exports = { nowIso, normalizePair, normalizeTags, shortTitle, fallbackTagsFromTitleDesc };
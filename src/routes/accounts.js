@@ -0,0 +1,36 @@
+/* src/routes/accounts.js — email verification and password reset (mounted at /api) */
+
+const express = require('express');
+const { sendError } = require('./middleware');
+const { schema } = require('./schema');
+const s = require('../schemas/accounts');
+
+module.exports = function accountsRouter({ services, mw }){
+  const router = express.Router();
+  const { accounts } = services;
+  const reply = (res, r) => r.error ? sendError(res, r) : res.json(r);
+
+  router.post('/email/verify', schema(s.verifyEmail), (req, res) => {
+    const r = accounts.verifyEmail(req.body.token);
+    if (r.error) return sendError(res, r);
+    res.json({ ok: true });
+  });
+
+  router.post('/email/verify/resend', mw.auth, schema(s.resendVerification), async (req, res) => {
+    reply(res, await accounts.resendVerification(req.user.id));
+  });
+
+  router.post('/password/forgot', schema(s.forgotPassword), (req, res) => {
+    reply(res, accounts.forgotPassword(req.body.email));
+  });
+
+  // Every session of the account ends, this one included; the client signs in again.
+  router.post('/password/reset', schema(s.resetPassword), async (req, res) => {
+    const r = await accounts.resetPassword(req.body.token, req.body.password);
+    if (r.error) return sendError(res, r);
+    mw.clearAuthCookie(res);
+    res.json(r);
+  });
+
+  return router;
+};
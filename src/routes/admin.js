@@ -0,0 +1,60 @@
+/* src/routes/admin.js — /api/admin: moderation queue, listings + trash, users, audit log */
+
+const express = require('express');
+const { sendError } = require('./middleware');
+const { schema } = require('./schema');
+const s = require('../schemas/admin');
+
+module.exports = function adminRouter({ services, mw }){
+  const router = express.Router();
+  const { listings, users } = services;
+  const reply = (res, r) => r.error ? sendError(res, r) : res.json(r);
+  router.use(mw.auth, mw.requireAdmin);
+
+  /* ---------- reports ---------- */
+  // Open reports by default (?status=resolved|dismissed|all), oldest first.
+  router.get('/reports', schema(s.reports), (req, res) => reply(res, services.moderation.queue((req.query.status || 'open').toString())));
+
+  // Resolving or dismissing closes every open report on the same target.
+  for (const action of ['resolve', 'dismiss']) {
+    router.post(`/reports/:id/${action}`, schema(s.reportActions[action]), (req, res) => reply(res, services.moderation.close(req, req.params.id, action, req.body?.note)));
+  }
+
+  /* ---------- listings + trash ---------- */
+  router.delete('/listings/:id', schema(s.deleteListing), (req, res) => res.json(listings.adminDelete(req, Number(req.params.id))));
+
+  // Everything goes to the trash in one batch, so POST /trash/restore-all can undo it.
+  router.delete('/listings', schema(s.deleteAllListings), (req, res) => res.json(listings.adminDeleteAll(req)));
+
+  // All trashed listings; ?user_id narrows to one owner.
+  router.get('/trash', schema(s.trash), (req, res) => {
+    res.json(listings.adminTrash(req.query.user_id === undefined ? null : Number(req.query.user_id)));
+  });
+
+  router.post('/listings/:id/restore', schema(s.restoreListing), (req, res) => reply(res, listings.adminRestore(req, req.params.id)));
+
+  // Undoes one batch delete (everything trashed at the same moment as the given deleted_at).
+  router.post('/trash/restore-all', schema(s.restoreBatch), (req, res) => reply(res, listings.restoreBatch(req, req.body?.deleted_at)));
+
+  /* ---------- users ---------- */
+  // Newest first; ?q matches username or email, ?status=suspended|admin narrows, ?cursor pages.
+  router.get('/users', schema(s.users), (req, res) => reply(res, users.search(req.query)));
+
+  router.get('/users/:id', schema(s.user), (req, res) => {
+    const detail = users.detail(Number(req.params.id));
+    if (!detail) return res.status(404).json({ error: 'Not found' });
+    res.json(detail);
+  });
+
+  // Body: { reason, until? } — until is an ISO time in the future; omitted = until lifted.
+  router.post('/users/:id/suspend', schema(s.suspend), (req, res) => reply(res, users.suspend(req, req.params.id, req.body || {})));
+  router.post('/users/:id/unsuspend', schema(s.userActions.unsuspend), (req, res) => reply(res, users.unsuspend(req, req.params.id)));
+  for (const action of ['promote', 'demote']) {
+    router.post(`/users/:id/${action}`, schema(s.userActions[action]), (req, res) => reply(res, users.setAdmin(req, req.params.id, action)));
+  }
+
+  /* ---------- audit log (read-only) ---------- */
+  router.get('/audit', schema(s.audit), (req, res) => reply(res, services.audit.list(req.query)));
+
+  return router;
+};
@@ -0,0 +1,23 @@
+/* src/routes/ai.js — /api/ai: listing analysis from photos */
+
+const express = require('express');
+const { sendError } = require('./middleware');
+const { schema } = require('./schema');
+const s = require('../schemas/ai');
+
+module.exports = function aiRouter({ services, mw }){
+  const router = express.Router();
+
+  router.post('/analyze', mw.auth, schema(s.analyze), async (req, res) => {
+    try {
+      const r = await services.ai.analyze(req.user, req.body || {});
+      if (r.error) return sendError(res, r);
+      res.json(r);
+    } catch (e) {
+      console.error('AI analyze failed:', e);
+      res.status(500).json({ error: 'AI analysis failed' });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,50 @@
+/* src/routes/appointments.js — pickup appointments, .ics downloads and the per-user iCal feed
+   (mounted at /api) */
+
+const express = require('express');
+const { sendError } = require('./middleware');
+const { schema } = require('./schema');
+const s = require('../schemas/appointments');
+const { icsCalendar, sendIcs } = require('../lib/ics');
+
+// Subscription URL for calendar apps; rotating the token invalidates the old URL.
+function calendarFeedUrl(req, token){ return `${req.protocol}://${req.get('host')}/api/calendar/${token}.ics`; }
+
+module.exports = function appointmentsRouter({ services, mw }){
+  const router = express.Router();
+  const { pickups } = services;
+  const { auth } = mw;
+
+  // The caller's appointments: upcoming scheduled ones by default, ?all=1 for past + cancelled too.
+  router.get('/appointments', auth, schema(s.list), (req, res) => {
+    res.json(pickups.appointments(req.user.id, { all: req.query.all === '1' }));
+  });
+
+  router.post('/appointments/:id/cancel', auth, schema(s.cancel), (req, res) => {
+    const r = pickups.cancel(req.user, req.params.id);
+    if (r.error) return sendError(res, r);
+    res.json(r);
+  });
+
+  router.get('/appointments/:id.ics', auth, schema(s.ics), (req, res) => {
+    const appt = pickups.appointment(req.user, req.params.id);
+    if (appt.error) return sendError(res, appt);
+    sendIcs(res, icsCalendar([appt], 'ListIt pickup'), `pickup-${appt.id}.ics`);
+  });
+
+  router.get('/calendar-feed', auth, schema(s.feed), (req, res) => {
+    res.json({ url: calendarFeedUrl(req, pickups.calendarToken(req.user.id)) });
+  });
+
+  router.post('/calendar-feed/rotate', auth, schema(s.rotateFeed), (req, res) => {
+    res.json({ url: calendarFeedUrl(req, pickups.calendarToken(req.user.id, { rotate: true })) });
+  });
+
+  router.get('/calendar/:token.ics', schema(s.calendar), (req, res) => {
+    const feed = pickups.calendarFeed(req.params.token);
+    if (!feed) return res.status(404).json({ error: 'Not found' });
+    sendIcs(res, icsCalendar(feed.appointments, `ListIt pickups (@${feed.user.username})`));
+  });
+
+  return router;
+};
@@ -0,0 +1,39 @@
+/* src/routes/auth.js — register, login, logout, current user (mounted at /api) */
+
+const express = require('express');
+const { sendError } = require('./middleware');
+const { schema } = require('./schema');
+const s = require('../schemas/auth');
+
+module.exports = function authRouter({ services, mw }){
+  const router = express.Router();
+
+  router.post('/register', schema(s.register), async (req, res) => {
+    const r = await services.auth.register(req.body || {});
+    if (r.error) return sendError(res, r);
+    mw.setAuthCookie(res, r.user);
+    res.json(r.user);
+  });
+
+  router.post('/login', schema(s.login), async (req, res) => {
+    const r = await services.auth.login(req.body || {});
+    if (r.error) return sendError(res, r);
+    mw.setAuthCookie(res, r.user);
+    res.json(r.user);
+  });
+
+  router.post('/logout', schema(s.logout), (req, res) => {
+    mw.clearAuthCookie(res);
+    res.json({ ok: true });
+  });
+
+  router.get('/me', schema(s.me), (req, res) => {
+    const { token } = req.cookies || {};
+    if (!token) return res.json(null);
+    const { user } = services.auth.sessionUser(token);
+    if (!user) mw.clearAuthCookie(res);
+    res.json(user || null);
+  });
+
+  return router;
+};
@@ -0,0 +1,88 @@
+/* src/routes/conversations.js — /api/conversations: threads, messages, read receipts,
+   plus the offers, pickups and reviews that live inside a listing conversation */
+
+const express = require('express');
+const { sendError } = require('./middleware');
+const { schema } = require('./schema');
+const s = require('../schemas/conversations');
+
+module.exports = function conversationsRouter({ services, mw }){
+  const router = express.Router();
+  const { conversations, offers, pickups, reviews } = services;
+  const reply = (res, r) => r.error ? sendError(res, r) : res.json(r);
+  router.use(mw.auth);
+
+  // Loads the listing conversation for :id, or sends the error and returns null.
+  function listingConversation(req, res, opts){
+    const ctx = conversations.listingConversation(req.user, req.params.id, opts);
+    if (ctx.error) { sendError(res, ctx); return null; }
+    return ctx;
+  }
+
+  router.post('/', schema(s.open), (req, res) => reply(res, conversations.open(req.user, req.body)));
+
+  router.get('/', schema(s.list), (req, res) => res.json(conversations.summaries(req.user.id)));
+
+  router.get('/:id/messages', schema(s.messages), (req, res) => {
+    const convo = conversations.memberConversation(req.user, req.params.id);
+    if (convo.error) return sendError(res, convo);
+    reply(res, conversations.messages(convo, req.query));
+  });
+
+  router.post('/:id/messages', mw.requireVerified, schema(s.send), async (req, res) => {
+    reply(res, await conversations.sendMessage(req.user, req.params.id, req.body || {}));
+  });
+
+  // Read receipt: the caller has seen the conversation up to `last_message_id`.
+  router.post('/:id/read', schema(s.read), (req, res) => {
+    const convo = conversations.memberConversation(req.user, req.params.id);
+    if (convo.error) return sendError(res, convo);
+    reply(res, conversations.markRead(req.user, convo, Number(req.body?.last_message_id)));
+  });
+
+  /* ---------- offers ---------- */
+  router.get('/:id/offers', schema(s.offers), (req, res) => {
+    const ctx = listingConversation(req, res);
+    if (ctx) res.json(offers.list(ctx.convo));
+  });
+
+  // The buyer opens an offer; the seller answers it (or counters) through the action route.
+  router.post('/:id/offers', mw.requireVerified, schema(s.createOffer), (req, res) => {
+    const ctx = listingConversation(req, res, { write: true });
+    if (ctx) reply(res, offers.create(req.user, ctx, req.body));
+  });
+
+  for (const action of offers.actions) {
+    router.post(`/:id/offers/:offerId/${action}`, schema(s.offerActions[action]), (req, res) => {
+      const ctx = listingConversation(req, res, { write: true });
+      if (ctx) reply(res, offers.respond(req.user, ctx, req.params.offerId, action, req.body || {}));
+    });
+  }
+
+  /* ---------- pickups ---------- */
+  router.get('/:id/pickups', schema(s.pickups), (req, res) => {
+    const ctx = listingConversation(req, res);
+    if (ctx) res.json(pickups.list(ctx.convo));
+  });
+
+  // Either side proposes; a new proposal replaces any open one in the conversation.
+  router.post('/:id/pickups', schema(s.proposePickup), (req, res) => {
+    const ctx = listingConversation(req, res, { write: true });
+    if (ctx) reply(res, pickups.propose(req.user, ctx, req.body));
+  });
+
+  for (const action of pickups.actions) {
+    router.post(`/:id/pickups/:pickupId/${action}`, schema(s.pickupActions[action]), (req, res) => {
+      const ctx = listingConversation(req, res, { write: true });
+      if (ctx) reply(res, pickups.respond(req.user, ctx, req.params.pickupId, action, req.body || {}));
+    });
+  }
+
+  /* ---------- reviews ---------- */
+  router.post('/:id/reviews', schema(s.review), (req, res) => {
+    const ctx = listingConversation(req, res, { write: true });
+    if (ctx) reply(res, reviews.create(req.user, ctx, req.body));
+  });
+
+  return router;
+};
@@ -0,0 +1,26 @@
+/* src/routes/events.js — GET /api/events: Server-Sent Events stream with Last-Event-ID resume */
+
+const express = require('express');
+const { schema } = require('./schema');
+const s = require('../schemas/events');
+
+module.exports = function eventsRouter({ services, mw }){
+  const router = express.Router();
+
+  router.get('/', mw.auth, schema(s.stream), (req, res) => {
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+    res.write('retry: 3000\n\n');
+
+    const lastRaw = req.get('Last-Event-ID') ?? req.query.last_event_id;
+    const detach = services.events.subscribe(req.user.id, res, lastRaw);
+    req.on('close', detach);
+  });
+
+  return router;
+};
@@ -0,0 +1,42 @@
+/* src/routes/geo.js — /api/geo: reverse + forward geocoding through the cached provider */
+
+const express = require('express');
+const { schema } = require('./schema');
+const { sendError } = require('./middleware');
+const { invalid } = require('../lib/errors');
+const s = require('../schemas/geo');
+
+function geoError(res, e){
+  if (e.code === 'rate_limited') return res.status(429).json({ error: 'rate_limited' });
+  if (e.code === 'timeout') return res.status(504).json({ error: 'geocode_timeout' });
+  console.error('geocode error', e);
+  return res.status(502).json({ error: 'geocode_failed' });
+}
+
+module.exports = function geoRouter({ services }){
+  const router = express.Router();
+
+  router.get('/reverse', schema(s.reverse), async (req, res) => {
+    const lat = Number(req.query.lat);
+    const lon = Number(req.query.lon);
+    try {
+      const place = await services.geo.reverse(lat, lon);
+      res.json(place || { city: '', state: '', country: '', display: `${lat.toFixed(4)},${lon.toFixed(4)}`, lat, lon });
+    } catch (e) {
+      geoError(res, e);
+    }
+  });
+
+  router.get('/search', schema(s.search), async (req, res) => {
+    const q = String(req.query.q || '').trim().replace(/\s+/g, ' ');
+    if (q.length < 2 || q.length > 100) return sendError(res, invalid('q', 'q must be 2-100 characters', 'out_of_range'));
+    const limit = Math.min(Math.max(Number(req.query.limit) || 5, 1), 10);
+    try {
+      res.json(await services.geo.search(q, limit) || []);
+    } catch (e) {
+      geoError(res, e);
+    }
+  });
+
+  return router;
+};
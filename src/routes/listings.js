@@ -0,0 +1,64 @@
+/* src/routes/listings.js — /api/listings: search, writes, lifecycle, trash, favorites, seller offers */
+
+const express = require('express');
+const { sendError } = require('./middleware');
+const { schema } = require('./schema');
+const s = require('../schemas/listings');
+
+module.exports = function listingsRouter({ services, mw }){
+  const router = express.Router();
+  const { listings } = services;
+  const { auth } = mw;
+  const reply = (res, r) => r.error ? sendError(res, r) : res.json(r);
+
+  router.get('/', schema(s.search), (req, res) => {
+    // ?mine=1 needs a session; otherwise a signed-in viewer only changes what's hidden (blocks)
+    let me = null;
+    if (req.query.mine === '1') {
+      me = mw.requireSession(req, res);
+      if (!me) return;
+    }
+    const r = listings.search(req.query, { me, viewer: me ? null : mw.optionalUser(req) });
+    if (r.error) return sendError(res, r);
+    const { items, next_cursor, facets, paginated } = r;
+    if (facets) return res.json({ items, next_cursor, facets });
+    if (paginated) return res.json({ items, next_cursor });
+    // the plain-array shape has nowhere to put the cursor
+    if (next_cursor) res.set('X-Next-Cursor', next_cursor);
+    res.json(items);
+  });
+
+  router.post('/', auth, mw.requireVerified, schema(s.create), async (req, res) => reply(res, await listings.create(req.user, req.body)));
+
+  // Owner's trash: their deleted listings, newest deletion first.
+  router.get('/trash', auth, schema(s.trash), (req, res) => res.json(listings.trashFor(req.user.id)));
+
+  router.put('/:id', auth, schema(s.update), async (req, res) => reply(res, await listings.update(req, Number(req.params.id), req.body || {})));
+
+  // Moves a listing to the trash (restorable until purged).
+  router.delete('/:id', auth, schema(s.remove), (req, res) => reply(res, listings.trash(req, Number(req.params.id))));
+
+  router.post('/:id/restore', auth, schema(s.restore), (req, res) => reply(res, listings.restoreOwn(req.user, req.params.id)));
+
+  router.patch('/:id/status', auth, schema(s.setStatus), (req, res) => reply(res, listings.setStatus(req, Number(req.params.id), req.body)));
+
+  router.get('/:id/images', schema(s.images), (req, res) => res.json(listings.images(Number(req.params.id))));
+
+  router.post('/:id/favorite', auth, schema(s.favorite), (req, res) => reply(res, listings.favorite(req.user, Number(req.params.id))));
+  router.delete('/:id/favorite', auth, schema(s.unfavorite), (req, res) => reply(res, listings.unfavorite(req.user, Number(req.params.id))));
+
+  router.get('/:id/price-history', schema(s.priceHistory), (req, res) => {
+    const history = listings.priceHistory(Number(req.params.id));
+    if (!history) return res.status(404).json({ error: 'Not found' });
+    res.json(history);
+  });
+
+  // Seller view: offers across every conversation about one listing (open ones by default).
+  router.get('/:id/offers', auth, schema(s.offers), (req, res) => {
+    const listing = listings.editable(req, Number(req.params.id));
+    if (listing.error) return sendError(res, listing);
+    res.json(services.offers.forListing(listing, { all: req.query.status === 'all' }));
+  });
+
+  return router;
+};
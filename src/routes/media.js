@@ -0,0 +1,30 @@
+/* src/routes/media.js — /media/:hash(/thumb): immutable, content-addressed blobs
+   Message attachments need a session (see mediaAccess in services/media.js) and are only cached
+   privately; everything else is public. A blob the viewer may not see is a 404, like a missing one.
+*/
+
+const express = require('express');
+const { schema } = require('./schema');
+const s = require('../schemas/media');
+
+module.exports = function mediaRouter({ services, mw }){
+  const router = express.Router();
+
+  async function sendMedia(req, res, thumb){
+    const hash = String(req.params.hash || '');
+    const media = await services.media.mediaFile(hash, thumb, mw.optionalUser(req));
+    if (!media) return res.status(404).json({ error: 'Not found' });
+    res.set('ETag', `"${hash}${media.thumb ? '-thumb' : ''}"`);
+    res.set('Cache-Control', `${media.access}, max-age=31536000, immutable`);
+    if (media.access === 'private') res.vary('Cookie');
+    res.set('X-Content-Type-Options', 'nosniff');
+    res.set('Content-Security-Policy', "default-src 'none'; sandbox");
+    if (req.fresh) return res.status(304).end();
+    res.type(media.mime);
+    res.sendFile(media.file, { etag: false, lastModified: false, cacheControl: false });
+  }
+  router.get('/:hash', schema(s.file), (req, res) => sendMedia(req, res, false));
+  router.get('/:hash/thumb', schema(s.thumb), (req, res) => sendMedia(req, res, true));
+
+  return router;
+};
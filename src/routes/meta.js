@@ -0,0 +1,22 @@
+/* src/routes/meta.js — health check and the OpenAPI document (mounted at /api) */
+
+const express = require('express');
+const { schema } = require('./schema');
+const { openApiDocument } = require('./openapi');
+const s = require('../schemas/meta');
+const { version } = require('../../package.json');
+
+module.exports = function metaRouter(ctx){
+  const router = express.Router();
+
+  router.get('/health', schema(s.health), (_req, res) => res.json({ ok: true, ts: Date.now() }));
+
+  // built on first request, once every router is mounted
+  let doc = null;
+  router.get('/openapi.json', schema(s.openapi), (_req, res) => {
+    doc ??= openApiDocument(ctx.routers, { title: 'ListIt API', version });
+    res.json(doc);
+  });
+
+  return router;
+};
@@ -0,0 +1,73 @@
+/* src/routes/middleware.js — session cookie + auth middleware shared by the routers */
+
+// Services report failures as { status, error, ...details }; this sends one. A failure that
+// names a request field (lib/errors invalid()) goes out in the shape schema() uses for
+// validation errors: { error: { code, field, message } }.
+function sendError(res, { status = 400, ...body }){
+  if (body.field) return res.status(status).json({ error: { code: body.code || 'invalid', field: body.field, message: body.error } });
+  return res.status(status).json(body);
+}
+
+function createAuthMiddleware({ config, services }){
+  const cookieOptions = () => ({
+    httpOnly: true,
+    sameSite: config.frontendOrigin ? 'none' : 'lax',
+    secure: config.isProd,
+    domain: config.cookieDomain,
+    path: '/'
+  });
+
+  function setAuthCookie(res, payload){
+    res.cookie('token', services.auth.signToken(payload), { ...cookieOptions(), maxAge: 7*24*60*60*1000 });
+  }
+  function clearAuthCookie(res){
+    res.clearCookie('token', cookieOptions());
+  }
+
+  // The session behind the request's cookie; on failure the response is sent (401, or 403
+  // for a suspended account) and null returned.
+  function requireSession(req, res){
+    const { token } = req.cookies || {};
+    if (!token) { res.status(401).json({ error: 'Not authenticated' }); return null; }
+    const s = services.auth.sessionUser(token);
+    if (s.error) {
+      clearAuthCookie(res);
+      if (s.suspended) res.status(403).json({ error: s.error, suspended: s.suspended });
+      else res.status(401).json({ error: s.error });
+      return null;
+    }
+    return s.user;
+  }
+
+  function auth(req, res, next){
+    const user = requireSession(req, res);
+    if (!user) return;
+    req.user = user;
+    next();
+  }
+  // The signed-in user if the request carries a valid session, else null (for public routes).
+  function optionalUser(req){
+    const { token } = req.cookies || {};
+    if (!token) return null;
+    return services.auth.sessionUser(token).user || null;
+  }
+  function requireAdmin(req, res, next){
+    if (!req.user?.is_admin) return res.status(403).json({ error: 'Admin only' });
+    next();
+  }
+  // With REQUIRE_VERIFIED_EMAIL set, writes that reach other people (posting a listing, sending
+  // a message, making an offer) wait until the address is verified. Goes after auth.
+  function requireVerified(req, res, next){
+    if (config.requireVerifiedEmail && !req.user?.email_verified) {
+      return res.status(403).json({ error: 'Verify your email address first', code: 'email_unverified' });
+    }
+    next();
+  }
+  // read by the OpenAPI document (routes/openapi.js)
+  auth.guard = 'session';
+  requireAdmin.guard = 'admin';
+
+  return { setAuthCookie, clearAuthCookie, requireSession, auth, optionalUser, requireAdmin, requireVerified };
+}
+
+module.exports = { createAuthMiddleware, sendError };
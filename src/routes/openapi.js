@@ -0,0 +1,116 @@
+/* src/routes/openapi.js — the OpenAPI 3.1 document, built from the mounted routers
+   Every route carries its schema() spec; auth middleware is marked with `.guard` ('session' |
+   'admin'), either on the route or router-wide (router.use). A route without a spec is left out
+   of the document (tests/openapi.test.js fails on it).
+*/
+
+const { ERROR_CODES } = require('./schema');
+const { IMAGE_ERROR_CODES } = require('../lib/images');
+
+function openApiPath(prefix, path){
+  const full = `${prefix}${path}`.replace(/(.)\/$/, '$1');
+  return full.replace(/:(\w+)/g, '{$1}');
+}
+
+// [{ method, path, tag, spec, guards }] for every route of the mounted routers, in mount order.
+function routeList(routers){
+  const out = [];
+  for (const { prefix, name, router } of routers) {
+    let guards = [];
+    for (const layer of router.stack) {
+      if (!layer.route) {
+        if (layer.handle.guard) guards = [...guards, layer.handle.guard];
+        continue;
+      }
+      const handlers = layer.route.stack.map(l => l.handle);
+      const spec = handlers.find(h => h.spec)?.spec || null;
+      const routeGuards = [...guards, ...handlers.map(h => h.guard).filter(Boolean)];
+      for (const method of Object.keys(layer.route.methods)) {
+        out.push({ method, path: openApiPath(prefix, layer.route.path), tag: name, spec, guards: routeGuards });
+      }
+    }
+  }
+  return out;
+}
+
+function parameters(where, schema){
+  if (!schema?.properties) return [];
+  const required = schema.required || [];
+  return Object.entries(schema.properties).map(([name, { description, deprecated, ...rest }]) => ({
+    name, in: where, required: where === 'path' || required.includes(name),
+    ...(description ? { description } : {}), ...(deprecated ? { deprecated } : {}),
+    schema: rest,
+  }));
+}
+
+function operation({ tag, spec, guards }){
+  const op = { tags: [tag], summary: spec.summary };
+  const params = [...parameters('path', spec.params), ...parameters('query', spec.query)];
+  if (params.length) op.parameters = params;
+  if (spec.body) {
+    op.requestBody = { required: !!spec.body.required?.length, content: { 'application/json': { schema: spec.body } } };
+  }
+  const produces = spec.produces || 'application/json';
+  op.responses = { 200: { description: 'OK', content: { [produces]: {} } } };
+  if (spec.params || spec.query || spec.body) op.responses[400] = { $ref: '#/components/responses/BadRequest' };
+  if (guards.length) {
+    op.security = [{ session: [] }];
+    op.responses[401] = { $ref: '#/components/responses/NotAuthenticated' };
+  }
+  if (guards.includes('admin')) op.responses[403] = { $ref: '#/components/responses/Forbidden' };
+  // whatever else the service refuses with (404, 409, 429, ...)
+  op.responses.default = { $ref: '#/components/responses/Error' };
+  return op;
+}
+
+function openApiDocument(routers, { title, version }){
+  const paths = {};
+  for (const route of routeList(routers)) {
+    if (!route.spec) continue;
+    paths[route.path] ??= {};
+    paths[route.path][route.method] = operation(route);
+  }
+  const error = {
+    type: 'object',
+    properties: { error: { type: 'string' }, code: { type: 'string', description: 'Set on a few refusals, such as email_unverified' } },
+    required: ['error'],
+  };
+  const json = (ref) => ({ 'application/json': { schema: { $ref: `#/components/schemas/${ref}` } } });
+  return {
+    openapi: '3.1.0',
+    info: { title, version },
+    paths,
+    components: {
+      securitySchemes: { session: { type: 'apiKey', in: 'cookie', name: 'token' } },
+      schemas: {
+        Error: error,
+        ValidationError: {
+          type: 'object',
+          properties: {
+            error: {
+              type: 'object',
+              properties: {
+                code: { type: 'string', enum: [...new Set(Object.values(ERROR_CODES)), 'invalid', ...IMAGE_ERROR_CODES] },
+                field: { type: 'string', description: 'Dotted path into the body, query or params (images.0)' },
+                message: { type: 'string' },
+              },
+              required: ['code', 'field', 'message'],
+            },
+          },
+          required: ['error'],
+        },
+      },
+      responses: {
+        BadRequest: {
+          description: 'A request field is invalid ({ error: { code, field, message } }), whether the schema or the service caught it: a malformed, out-of-range or unknown value, an image that fails decoding, a reference to the wrong record. A request that breaks a rule of the operation (messaging or reporting yourself, too many saved searches) is answered { error }',
+          content: { 'application/json': { schema: { oneOf: [{ $ref: '#/components/schemas/ValidationError' }, { $ref: '#/components/schemas/Error' }] } } },
+        },
+        NotAuthenticated: { description: 'No valid session', content: json('Error') },
+        Forbidden: { description: 'Admin only', content: json('Error') },
+        Error: { description: 'The request was refused or failed', content: json('Error') },
+      },
+    },
+  };
+}
+
+module.exports = { routeList, openApiDocument };
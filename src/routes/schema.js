@@ -0,0 +1,85 @@
+/* src/routes/schema.js — declarative request schemas, enforced per route and read back for OpenAPI
+   schema({ summary, params, query, body, produces }) is route middleware: it checks req.params,
+   req.query and req.body against the JSON Schemas and answers the first failure with
+   400 { error: { code, field, message } }. Path params and query strings are coerced on a copy
+   (?limit=5 validates as an integer, ?x= counts as absent); handlers still read the request as sent.
+   The spec stays on the middleware (`.spec`) so routes/openapi.js can document every route.
+*/
+
+// JSON Schema 2020-12, the dialect OpenAPI 3.1 embeds
+const Ajv = require('ajv/dist/2020');
+
+// ISO dates/times, as the services read them (Date.parse); email is a shape check only —
+// verification mail is what proves an address
+const FORMATS = {
+  timestamp: (s) => Number.isFinite(Date.parse(s)),
+  email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+};
+
+function compiler(options){
+  const ajv = new Ajv({ strictTypes: false, ...options });
+  for (const [name, fn] of Object.entries(FORMATS)) ajv.addFormat(name, fn);
+  return ajv;
+}
+const bodyAjv = compiler({});
+const stringAjv = compiler({ coerceTypes: true });
+
+const ERROR_CODES = {
+  required: 'required', dependentRequired: 'required',
+  type: 'invalid_type',
+  enum: 'invalid_value', const: 'invalid_value', anyOf: 'invalid_value', oneOf: 'invalid_value',
+  minLength: 'out_of_range', maxLength: 'out_of_range', minItems: 'out_of_range', maxItems: 'out_of_range',
+  minimum: 'out_of_range', maximum: 'out_of_range', exclusiveMinimum: 'out_of_range', exclusiveMaximum: 'out_of_range',
+  minProperties: 'out_of_range',
+  format: 'invalid_format', pattern: 'invalid_format',
+  additionalProperties: 'unknown_field',
+};
+
+// ajv errors -> { code, field, message } for the outermost one (anyOf reports its branches first);
+// `field` is dotted (images.0), or the part of the request.
+function errorOut(where, errors){
+  const err = errors[errors.length - 1];
+  // anyOf over alternative required fields: "username or name is required"
+  const branches = errors.slice(0, -1);
+  if (err.keyword === 'anyOf' && branches.length && branches.every(e => e.keyword === 'required' && e.instancePath === err.instancePath)) {
+    const fields = branches.map(e => [...err.instancePath.split('/').slice(1), e.params.missingProperty].join('.'));
+    return { code: 'required', field: fields[0], message: `${fields.join(' or ')} is required` };
+  }
+  const path = err.instancePath.split('/').slice(1);
+  if (err.keyword === 'required' || err.keyword === 'dependentRequired') path.push(err.params.missingProperty);
+  if (err.keyword === 'additionalProperties') path.push(err.params.additionalProperty);
+  const field = path.join('.') || where;
+  const code = ERROR_CODES[err.keyword] || 'invalid';
+  let message;
+  if (err.keyword === 'required') message = `${field} is required`;
+  else if (err.keyword === 'dependentRequired') message = `${field} is required with ${err.params.property}`;
+  else if (err.keyword === 'additionalProperties') message = `${field} is not allowed`;
+  else if (err.keyword === 'format') message = `${field} must be ${err.params.format === 'timestamp' ? 'an ISO date/time' : `a valid ${err.params.format}`}`;
+  else message = `${field} ${err.message}`;
+  return { code, field, message };
+}
+
+const objectOf = (schema) => ({ type: 'object', ...schema });
+// `?x=` reads as absent, like the services treat it
+const withoutEmpty = (obj) => Object.fromEntries(Object.entries(obj).filter(([, v]) => v !== ''));
+
+function schema(spec = {}){
+  const checks = [];
+  if (spec.params) checks.push(['params', stringAjv.compile(objectOf(spec.params))]);
+  if (spec.query) checks.push(['query', stringAjv.compile(objectOf(spec.query))]);
+  if (spec.body) checks.push(['body', bodyAjv.compile(spec.body)]);
+
+  function validateRequest(req, res, next){
+    for (const [where, check] of checks) {
+      const input = where === 'body' ? (req.body ?? {}) : withoutEmpty(req[where]);
+      if (!check(input)) {
+        return res.status(400).json({ error: errorOut(where, check.errors) });
+      }
+    }
+    next();
+  }
+  validateRequest.spec = spec;
+  return validateRequest;
+}
+
+module.exports = { schema, ERROR_CODES };
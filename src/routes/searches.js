@@ -0,0 +1,68 @@
+/* src/routes/searches.js — categories, saved searches, notifications, favorites (mounted at /api) */
+
+const express = require('express');
+const { sendError } = require('./middleware');
+const { schema } = require('./schema');
+const s = require('../schemas/searches');
+
+module.exports = function searchesRouter({ services, mw }){
+  const router = express.Router();
+  const { notifications } = services;
+  const { auth } = mw;
+
+  // flat, tree-ordered (parents before their children), with effective attribute schemas
+  router.get('/categories', schema(s.categories), (_req, res) => res.json(services.categories.tree()));
+
+  /* ---------- saved searches ---------- */
+  // The caller's saved search for :id, or sends 404 and returns null.
+  function ownSavedSearch(req, res){
+    const row = notifications.savedSearch(req.user.id, req.params.id);
+    if (!row) { res.status(404).json({ error: 'Not found' }); return null; }
+    return row;
+  }
+
+  router.get('/saved-searches', auth, schema(s.savedSearches), (req, res) => res.json(notifications.savedSearches(req.user.id)));
+
+  router.post('/saved-searches', auth, schema(s.createSavedSearch), (req, res) => {
+    const r = notifications.createSavedSearch(req.user.id, req.body);
+    if (r.error) return sendError(res, r);
+    res.json(r);
+  });
+
+  router.put('/saved-searches/:id', auth, schema(s.updateSavedSearch), (req, res) => {
+    const existing = ownSavedSearch(req, res);
+    if (!existing) return;
+    const r = notifications.updateSavedSearch(existing, req.body);
+    if (r.error) return sendError(res, r);
+    res.json(r);
+  });
+
+  router.delete('/saved-searches/:id', auth, schema(s.deleteSavedSearch), (req, res) => {
+    const existing = ownSavedSearch(req, res);
+    if (!existing) return;
+    notifications.deleteSavedSearch(existing);
+    res.json({ ok: true });
+  });
+
+  // Marks the search's notifications as read (the client opens the search).
+  router.post('/saved-searches/:id/seen', auth, schema(s.savedSearchSeen), (req, res) => {
+    const existing = ownSavedSearch(req, res);
+    if (!existing) return;
+    res.json(notifications.markSavedSearchSeen(existing));
+  });
+
+  /* ---------- notifications ---------- */
+  router.get('/notifications', auth, schema(s.notifications), (req, res) => {
+    res.json(notifications.list(req.user.id, { unread: req.query.unread === '1' }));
+  });
+
+  // Marks the given notification ids (or all of them) as read.
+  router.post('/notifications/read', auth, schema(s.readNotifications), (req, res) => {
+    const ids = Array.isArray(req.body?.ids) ? req.body.ids.map(Number).filter(Number.isInteger) : null;
+    res.json({ ok: true, updated: notifications.markRead(req.user.id, ids) });
+  });
+
+  router.get('/favorites', auth, schema(s.favorites), (req, res) => res.json(services.listings.favorites(req.user.id)));
+
+  return router;
+};
@@ -0,0 +1,20 @@
+/* src/routes/testing.js — test-only hooks, mounted at /__test when NODE_ENV=test */
+
+const express = require('express');
+const { resetDatabase } = require('../db');
+const { schema } = require('./schema');
+const s = require('../schemas/testing');
+
+module.exports = function testRouter({ db, services }){
+  const router = express.Router();
+
+  // Empties every user-data table, closes open event streams and re-creates the bootstrap admin.
+  router.post('/reset', schema(s.reset), (_req, res) => {
+    services.events.disconnectAll();
+    resetDatabase(db);
+    services.auth.ensureAdmin();
+    res.json({ ok: true });
+  });
+
+  return router;
+};
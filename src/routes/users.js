@@ -0,0 +1,63 @@
+/* src/routes/users.js — public profiles + reviews, own profile, blocks, reports (mounted at /api) */
+
+const express = require('express');
+const { sendError } = require('./middleware');
+const { schema } = require('./schema');
+const s = require('../schemas/users');
+
+module.exports = function usersRouter({ services, mw }){
+  const router = express.Router();
+  const { moderation } = services;
+  const { auth } = mw;
+
+  router.get('/users/:username', schema(s.profile), (req, res) => {
+    const profile = services.profiles.byUsername(req.params.username);
+    if (!profile) return res.status(404).json({ error: 'User not found' });
+    res.json(profile);
+  });
+
+  router.get('/users/:username/reviews', schema(s.reviews), (req, res) => {
+    const out = services.reviews.forUser(req.params.username);
+    if (!out) return res.status(404).json({ error: 'User not found' });
+    res.json(out);
+  });
+
+  // Partial update: only the fields present are changed; avatar: null removes the picture.
+  router.put('/me/profile', auth, schema(s.updateProfile), async (req, res) => {
+    const r = await services.profiles.update(req.user.id, req.body || {});
+    if (r.error) return sendError(res, r);
+    res.json(r);
+  });
+
+  /* ---------- blocking ---------- */
+  // The user behind :id the caller may (un)block, or sends the error and returns null.
+  function blockTarget(req, res){
+    const target = moderation.blockTarget(req.user, req.params.id);
+    if (target.error) { sendError(res, target); return null; }
+    return target;
+  }
+
+  router.post('/users/:id/block', auth, schema(s.block), (req, res) => {
+    const target = blockTarget(req, res);
+    if (!target) return;
+    moderation.block(req.user, target);
+    res.json({ ok: true, blocked: true });
+  });
+
+  router.delete('/users/:id/block', auth, schema(s.unblock), (req, res) => {
+    const target = blockTarget(req, res);
+    if (!target) return;
+    moderation.unblock(req.user, target);
+    res.json({ ok: true, blocked: false });
+  });
+
+  router.get('/blocks', auth, schema(s.blocks), (req, res) => res.json(moderation.blocks(req.user.id)));
+
+  router.post('/reports', auth, schema(s.report), (req, res) => {
+    const r = moderation.report(req.user, req.body);
+    if (r.error) return sendError(res, r);
+    res.json(r);
+  });
+
+  return router;
+};
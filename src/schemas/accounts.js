@@ -0,0 +1,26 @@
+/* src/schemas/accounts.js — email verification and password reset */
+
+const { text } = require('./common');
+
+// the base64url token from the emailed link
+const token = text(100, { minLength: 1 });
+
+module.exports = {
+  verifyEmail: {
+    summary: 'Verify the account\'s email address with the token from the emailed link',
+    body: { type: 'object', properties: { token }, required: ['token'] },
+  },
+  resendVerification: { summary: 'Email a new verification link to the signed-in user' },
+  forgotPassword: {
+    summary: 'Email a password reset link (answers the same whether or not the address has an account)',
+    body: { type: 'object', properties: { email: text(254, { format: 'email' }) }, required: ['email'] },
+  },
+  resetPassword: {
+    summary: 'Set a new password with the token from the reset link (signs out every session)',
+    body: {
+      type: 'object',
+      properties: { token, password: text(200, { minLength: 6 }) },
+      required: ['token', 'password'],
+    },
+  },
+};
@@ -0,0 +1,76 @@
+/* src/schemas/admin.js — /api/admin: moderation queue, listings + trash, users, audit log */
+
+const { REPORT_NOTE_MAX } = require('../services/moderation');
+const { ADMIN_USERS_PAGE_MAX, SUSPEND_REASON_MAX } = require('../services/users');
+const { AUDIT_PAGE_MAX } = require('../services/audit');
+const { id, idParams, cursor, limit, timestamp, text, nullable } = require('./common');
+
+const closeReport = (summary) => ({
+  summary,
+  params: idParams('id'),
+  body: { type: 'object', properties: { note: nullable(text(REPORT_NOTE_MAX)) } },
+});
+const userAction = (summary) => ({ summary, params: idParams('id') });
+
+module.exports = {
+  reports: {
+    summary: 'The moderation queue (open reports, oldest first, by default)',
+    query: { properties: { status: { type: 'string', enum: ['open', 'resolved', 'dismissed', 'all'] } } },
+  },
+  reportActions: {
+    resolve: closeReport('Resolve every open report on the report\'s target'),
+    dismiss: closeReport('Dismiss every open report on the report\'s target'),
+  },
+  deleteListing: { summary: 'Move any listing to the trash', params: idParams('id') },
+  deleteAllListings: { summary: 'Move every listing to the trash in one batch' },
+  trash: {
+    summary: 'All trashed listings, newest deletion first',
+    query: { properties: { user_id: id } },
+  },
+  restoreListing: { summary: 'Restore any trashed listing', params: idParams('id') },
+  restoreBatch: {
+    summary: 'Undo a batch delete (everything trashed at the given deleted_at)',
+    body: { type: 'object', properties: { deleted_at: text(40, { minLength: 1 }) }, required: ['deleted_at'] },
+  },
+  users: {
+    summary: 'Users, newest first',
+    query: {
+      properties: {
+        q: text(200, { description: 'Matches username or email' }),
+        status: { type: 'string', enum: ['all', 'suspended', 'admin'] },
+        limit: limit(ADMIN_USERS_PAGE_MAX),
+        cursor,
+      },
+    },
+  },
+  user: userAction('One user with listing and report counts'),
+  suspend: {
+    summary: 'Suspend a user (until lifted, or until a time)',
+    params: idParams('id'),
+    body: {
+      type: 'object',
+      properties: { reason: text(SUSPEND_REASON_MAX, { minLength: 1, pattern: '\\S' }), until: nullable(timestamp) },
+      required: ['reason'],
+    },
+  },
+  userActions: {
+    unsuspend: userAction('Lift a suspension'),
+    promote: userAction('Make a user an admin'),
+    demote: userAction('Remove a user\'s admin rights'),
+  },
+  audit: {
+    summary: 'The audit log, newest first',
+    query: {
+      properties: {
+        limit: limit(AUDIT_PAGE_MAX),
+        cursor,
+        actor: text(100, { description: 'Username or id' }),
+        action: text(100, { description: 'An action, or a prefix like "listing."' }),
+        target_type: text(40),
+        target_id: { type: 'integer' },
+        since: timestamp,
+        until: timestamp,
+      },
+    },
+  },
+};
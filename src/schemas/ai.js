@@ -0,0 +1,17 @@
+/* src/schemas/ai.js — /api/ai */
+
+const { image, text } = require('./common');
+
+module.exports = {
+  analyze: {
+    summary: 'Suggest a title, tags, price and category from listing photos',
+    body: {
+      type: 'object',
+      properties: {
+        images: { type: 'array', items: image, minItems: 1, maxItems: 10, description: 'The first 3 are analyzed' },
+        hint: text(1000, { description: 'What the seller typed so far; the first 200 characters are used' }),
+      },
+      required: ['images'],
+    },
+  },
+};
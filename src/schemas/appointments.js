@@ -0,0 +1,19 @@
+/* src/schemas/appointments.js — pickup appointments, .ics downloads, the per-user iCal feed */
+
+const { idParams, flag } = require('./common');
+
+module.exports = {
+  list: {
+    summary: 'The caller\'s upcoming appointments',
+    query: { properties: { all: { ...flag, description: 'Include past and cancelled ones' } } },
+  },
+  cancel: { summary: 'Cancel a scheduled appointment', params: idParams('id') },
+  ics: { summary: 'One appointment as an iCalendar file', params: idParams('id'), produces: 'text/calendar' },
+  feed: { summary: 'The caller\'s calendar subscription URL' },
+  rotateFeed: { summary: 'Issue a new calendar subscription URL (the old one stops working)' },
+  calendar: {
+    summary: 'A user\'s appointments as an iCalendar feed (the token is the credential)',
+    params: { properties: { token: { type: 'string', pattern: '^[0-9a-f]{48}$' } }, required: ['token'] },
+    produces: 'text/calendar',
+  },
+};
@@ -0,0 +1,30 @@
+/* src/schemas/auth.js — register, login, logout, current user */
+
+const { text } = require('./common');
+
+module.exports = {
+  register: {
+    summary: 'Create an account and sign in',
+    body: {
+      type: 'object',
+      properties: {
+        username: text(32, { minLength: 3, pattern: '\\S' }),
+        name: text(32, { minLength: 3, pattern: '\\S', deprecated: true, description: 'Older clients: same as username' }),
+        email: text(254, { format: 'email' }),
+        password: text(200, { minLength: 6 }),
+      },
+      required: ['email', 'password'],
+      anyOf: [{ required: ['username'] }, { required: ['name'] }],
+    },
+  },
+  login: {
+    summary: 'Sign in (sets the session cookie)',
+    body: {
+      type: 'object',
+      properties: { email: text(254, { minLength: 1 }), password: text(200, { minLength: 1 }) },
+      required: ['email', 'password'],
+    },
+  },
+  logout: { summary: 'Sign out (clears the session cookie)' },
+  me: { summary: 'The signed-in user, or null' },
+};
@@ -0,0 +1,24 @@
+/* src/schemas/common.js — JSON Schema fragments shared by the route schemas */
+
+const id = { type: 'integer', minimum: 1 };
+
+// Path params: every name is a positive integer id, e.g. idParams('id', 'offerId').
+function idParams(...names){
+  return { properties: Object.fromEntries(names.map(n => [n, id])), required: names };
+}
+
+// ?all=1 style switches (anything but '1' reads as off)
+const flag = { type: 'string', enum: ['0', '1'] };
+const cursor = { type: 'string', maxLength: 500, description: 'Opaque cursor from a previous page (next_cursor)' };
+const limit = (max) => ({ type: 'integer', minimum: 1, ...(max ? { maximum: max } : {}) });
+const timestamp = { type: 'string', format: 'timestamp', description: 'ISO 8601 date or date-time' };
+const lat = { type: 'number', minimum: -90, maximum: 90 };
+const lon = { type: 'number', minimum: -180, maximum: 180 };
+const price = { type: 'number', minimum: 0, maximum: 10000000 };
+
+// An upload: a data:image/… URL, or a /media/<hash> reference to an image already stored.
+const image = { type: 'string', minLength: 1, maxLength: Math.floor(3 * 1024 * 1024 * 1.6) };
+const text = (max, extra = {}) => ({ type: 'string', maxLength: max, ...extra });
+const nullable = (schema) => ({ anyOf: [schema, { type: 'null' }] });
+
+module.exports = { id, idParams, flag, cursor, limit, timestamp, lat, lon, price, image, text, nullable };
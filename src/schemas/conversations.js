@@ -0,0 +1,105 @@
+/* src/schemas/conversations.js — /api/conversations, with the offers, pickups and reviews inside them */
+
+const { MESSAGE_BODY_MAX } = require('../services/conversations');
+const { OFFER_AMOUNT_MAX } = require('../services/offers');
+const { PICKUP_SLOTS_MAX } = require('../services/pickups');
+const { REVIEW_BODY_MAX } = require('../services/reviews');
+const { id, idParams, limit, timestamp, image, text } = require('./common');
+
+const inConversation = { params: idParams('id') };
+const amount = { type: 'number', exclusiveMinimum: 0, maximum: OFFER_AMOUNT_MAX };
+
+module.exports = {
+  open: {
+    summary: 'Open (or return the existing) conversation with a user, optionally about a listing',
+    body: {
+      type: 'object',
+      properties: { with_user_id: id, listing_id: id },
+      anyOf: [{ required: ['with_user_id'] }, { required: ['listing_id'] }],
+    },
+  },
+  list: { summary: 'The caller\'s conversations with last message and unread count' },
+  messages: {
+    summary: 'Messages, oldest first: the newest page, ?before_id pages back, ?after_id reads forward',
+    params: idParams('id'),
+    query: {
+      properties: {
+        before_id: { type: 'integer', minimum: 0 },
+        after_id: { type: 'integer', minimum: 0 },
+        limit: limit(),
+      },
+    },
+  },
+  send: {
+    summary: 'Send a message (text and/or up to 5 images)',
+    params: idParams('id'),
+    body: {
+      type: 'object',
+      properties: {
+        body: text(MESSAGE_BODY_MAX),
+        images: { type: 'array', items: image, maxItems: 5 },
+      },
+      anyOf: [{ required: ['body'] }, { required: ['images'] }],
+    },
+  },
+  read: {
+    summary: 'Read receipt: the caller has seen the conversation up to last_message_id',
+    params: idParams('id'),
+    body: { type: 'object', properties: { last_message_id: id }, required: ['last_message_id'] },
+  },
+
+  offers: { summary: 'Offers in a listing conversation', ...inConversation },
+  createOffer: {
+    summary: 'Buyer: make an offer',
+    params: idParams('id'),
+    body: { type: 'object', properties: { amount }, required: ['amount'] },
+  },
+  offerActions: {
+    accept: {
+      summary: 'Recipient: accept an offer (the seller may also reserve the listing)',
+      params: idParams('id', 'offerId'),
+      body: { type: 'object', properties: { reserve: { type: 'boolean' } } },
+    },
+    decline: { summary: 'Recipient: decline an offer', params: idParams('id', 'offerId') },
+    counter: {
+      summary: 'Recipient: counter an offer with a new amount',
+      params: idParams('id', 'offerId'),
+      body: { type: 'object', properties: { amount }, required: ['amount'] },
+    },
+    withdraw: { summary: 'Sender: withdraw an offer', params: idParams('id', 'offerId') },
+  },
+
+  pickups: { summary: 'Pickup proposals in a listing conversation', ...inConversation },
+  proposePickup: {
+    summary: 'Propose pickup times and a place (replaces any open proposal)',
+    params: idParams('id'),
+    body: {
+      type: 'object',
+      properties: {
+        slots: { type: 'array', items: timestamp, minItems: 1, maxItems: PICKUP_SLOTS_MAX },
+        place: text(200, { minLength: 1, pattern: '\\S' }),
+        duration_minutes: { type: 'integer', minimum: 5, maximum: 240 },
+      },
+      required: ['slots', 'place'],
+    },
+  },
+  pickupActions: {
+    accept: {
+      summary: 'Recipient: accept one of the proposed times (books an appointment)',
+      params: idParams('id', 'pickupId'),
+      body: { type: 'object', properties: { slot: timestamp }, required: ['slot'] },
+    },
+    decline: { summary: 'Recipient: decline a proposal', params: idParams('id', 'pickupId') },
+    withdraw: { summary: 'Sender: withdraw a proposal', params: idParams('id', 'pickupId') },
+  },
+
+  review: {
+    summary: 'Review the other side once the listing is sold to this buyer',
+    params: idParams('id'),
+    body: {
+      type: 'object',
+      properties: { rating: { type: 'integer', minimum: 1, maximum: 5 }, body: text(REVIEW_BODY_MAX) },
+      required: ['rating'],
+    },
+  },
+};
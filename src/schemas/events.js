@@ -0,0 +1,11 @@
+/* src/schemas/events.js — /api/events */
+
+const { text } = require('./common');
+
+module.exports = {
+  stream: {
+    summary: 'Server-Sent Events for the caller; resumes after Last-Event-ID (header or query)',
+    query: { properties: { last_event_id: text(20) } },
+    produces: 'text/event-stream',
+  },
+};
@@ -0,0 +1,20 @@
+/* src/schemas/geo.js — /api/geo */
+
+const { lat, lon, text } = require('./common');
+
+module.exports = {
+  reverse: {
+    summary: 'The place at a coordinate',
+    query: { properties: { lat, lon }, required: ['lat', 'lon'] },
+  },
+  search: {
+    summary: 'Places matching a name, best first',
+    query: {
+      properties: {
+        q: text(100, { minLength: 2 }),
+        limit: { type: 'integer', minimum: 1, description: 'At most 10 (default 5)' },
+      },
+      required: ['q'],
+    },
+  },
+};
@@ -0,0 +1,89 @@
+/* src/schemas/listings.js — /api/listings */
+
+const { LISTING_STATUSES, LISTING_SORTS, RADIUS_KM_MAX, LISTINGS_PAGE_MAX } = require('../lib/listings');
+const { id, idParams, flag, cursor, limit, lat, lon, price, image, text, nullable } = require('./common');
+
+const idOnly = { params: idParams('id') };
+
+const categoryRef = { anyOf: [id, { type: 'string', maxLength: 80 }], description: 'Category id or slug' };
+
+const fields = {
+  images: { type: 'array', items: image, minItems: 1, maxItems: 10 },
+  image_data: { ...image, deprecated: true, description: 'Older clients: a single image' },
+  title: text(80),
+  description: text(400),
+  location: text(80),
+  price,
+  tags: { anyOf: [{ type: 'array', items: text(100), maxItems: 100 }, text(2000)], description: 'List or comma-separated' },
+  category_id: nullable(categoryRef),
+  attributes: nullable({ type: 'object', description: 'Values for the category\'s attributes (GET /api/categories)' }),
+  lat: nullable(lat),
+  lon: nullable(lon),
+};
+
+module.exports = {
+  search: {
+    summary: `Browse and search listings: { items, next_cursor } with limit/cursor, else an array of at most ${LISTINGS_PAGE_MAX} (X-Next-Cursor when there are more)`,
+    query: {
+      properties: {
+        q: text(200, { description: 'Full-text query; -word excludes' }),
+        loc: text(80),
+        mine: { ...flag, description: 'The caller\'s own listings (needs a session)' },
+        sort: { type: 'string', enum: Object.keys(LISTING_SORTS) },
+        status: text(100, { description: '"all" or a comma-separated list of statuses' }),
+        lat, lon,
+        radius_km: { type: 'number', exclusiveMinimum: 0, maximum: RADIUS_KM_MAX },
+        min_price: { type: 'number' },
+        max_price: { type: 'number' },
+        category: text(80, { description: 'Category id or slug (includes sub-categories)' }),
+        facets: flag,
+        limit: limit(),
+        cursor,
+      },
+      patternProperties: {
+        '^attr\\.[a-z0-9_]+$': text(200, { description: 'attr.<key>=a,b matches any of the values' }),
+        '^attr\\.[a-z0-9_]+\\.(min|max)$': { type: 'number' },
+      },
+      dependentRequired: { lat: ['lon'], lon: ['lat'], radius_km: ['lat', 'lon'] },
+    },
+  },
+  create: {
+    summary: 'Create a listing',
+    body: {
+      type: 'object',
+      properties: { ...fields, description: text(400, { minLength: 1, pattern: '\\S' }), location: text(80, { minLength: 1, pattern: '\\S' }) },
+      required: ['description', 'location', 'price'],
+      anyOf: [{ required: ['images'] }, { required: ['image_data'] }],
+      dependentRequired: { lat: ['lon'], lon: ['lat'] },
+    },
+  },
+  trash: { summary: 'The caller\'s trashed listings, newest deletion first' },
+  update: {
+    summary: 'Edit a listing (owner or admin); only the fields sent change',
+    params: idParams('id'),
+    body: { type: 'object', properties: fields, dependentRequired: { lat: ['lon'], lon: ['lat'] } },
+  },
+  remove: { summary: 'Move a listing to the trash', ...idOnly },
+  restore: { summary: 'Restore a trashed listing', ...idOnly },
+  setStatus: {
+    summary: 'Mark a listing available, reserved or sold',
+    params: idParams('id'),
+    body: {
+      type: 'object',
+      properties: {
+        status: { type: 'string', enum: Object.keys(LISTING_STATUSES) },
+        conversation_id: nullable({ ...id, description: 'Buyer attribution when marking sold' }),
+      },
+      required: ['status'],
+    },
+  },
+  images: { summary: 'A listing\'s image URLs, in order', ...idOnly },
+  favorite: { summary: 'Favorite a listing', ...idOnly },
+  unfavorite: { summary: 'Remove a listing from favorites', ...idOnly },
+  priceHistory: { summary: 'A listing\'s price changes', ...idOnly },
+  offers: {
+    summary: 'Seller view: offers on a listing across conversations',
+    params: idParams('id'),
+    query: { properties: { status: { type: 'string', enum: ['open', 'all'] } } },
+  },
+};
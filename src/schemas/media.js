@@ -0,0 +1,8 @@
+/* src/schemas/media.js — /media */
+
+const hash = { properties: { hash: { type: 'string', maxLength: 64, description: 'SHA-256 of the stored bytes' } }, required: ['hash'] };
+
+module.exports = {
+  file: { summary: 'A stored image (immutable)', params: hash, produces: 'image/*' },
+  thumb: { summary: 'A stored image\'s thumbnail (immutable)', params: hash, produces: 'image/jpeg' },
+};
@@ -0,0 +1,6 @@
+/* src/schemas/meta.js — health check, OpenAPI document */
+
+module.exports = {
+  health: { summary: 'Liveness check' },
+  openapi: { summary: 'This document (OpenAPI 3.1)' },
+};
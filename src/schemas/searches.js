@@ -0,0 +1,39 @@
+/* src/schemas/searches.js — categories, saved searches, notifications, favorites */
+
+const { LISTING_SORTS } = require('../lib/listings');
+const { id, idParams, flag, price, text, nullable } = require('./common');
+
+const savedSearchFields = {
+  name: text(60),
+  q: text(200),
+  loc: text(80),
+  category: nullable({ anyOf: [id, text(80)], description: 'Category id or slug' }),
+  min_price: nullable(price),
+  max_price: nullable(price),
+  sort: { type: 'string', enum: Object.keys(LISTING_SORTS).filter(k => k !== 'distance') },
+};
+
+module.exports = {
+  categories: { summary: 'All categories, parents before children, with their attribute schemas' },
+  savedSearches: { summary: 'The caller\'s saved searches with new-match counts' },
+  createSavedSearch: {
+    summary: 'Save a search (needs a query, location, category or price range)',
+    body: { type: 'object', properties: savedSearchFields },
+  },
+  updateSavedSearch: {
+    summary: 'Edit a saved search; only the fields sent change',
+    params: idParams('id'),
+    body: { type: 'object', properties: savedSearchFields },
+  },
+  deleteSavedSearch: { summary: 'Delete a saved search and its notifications', params: idParams('id') },
+  savedSearchSeen: { summary: 'Mark a saved search\'s notifications read', params: idParams('id') },
+  notifications: {
+    summary: 'The caller\'s latest notifications',
+    query: { properties: { unread: { ...flag, description: 'Only unread ones' } } },
+  },
+  readNotifications: {
+    summary: 'Mark notifications read: the given ids, or all of them',
+    body: { type: 'object', properties: { ids: nullable({ type: 'array', items: id, maxItems: 500 }) } },
+  },
+  favorites: { summary: 'The caller\'s favorited listings' },
+};
@@ -0,0 +1,5 @@
+/* src/schemas/testing.js — test-only hooks (NODE_ENV=test) */
+
+module.exports = {
+  reset: { summary: 'Test only: empty the database and re-create the bootstrap admin' },
+};
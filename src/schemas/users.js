@@ -0,0 +1,39 @@
+/* src/schemas/users.js — public profiles + reviews, own profile, blocks, reports */
+
+const { PROFILE_BIO_MAX, PROFILE_LOCATION_MAX } = require('../services/profiles');
+const { REPORT_REASONS, REPORT_NOTE_MAX } = require('../services/moderation');
+const { id, idParams, image, text, nullable } = require('./common');
+
+const byUsername = { params: { properties: { username: text(32, { minLength: 1 }) }, required: ['username'] } };
+
+module.exports = {
+  profile: { summary: 'A user\'s public profile', ...byUsername },
+  reviews: { summary: 'Reviews of a user, newest first, with their rating', ...byUsername },
+  updateProfile: {
+    summary: 'Edit the caller\'s profile; only the fields sent change (avatar: null removes it)',
+    body: {
+      type: 'object',
+      properties: {
+        bio: nullable(text(PROFILE_BIO_MAX)),
+        location: nullable(text(PROFILE_LOCATION_MAX)),
+        avatar: nullable(image),
+      },
+    },
+  },
+  block: { summary: 'Block a user (hides their listings and stops messages both ways)', params: idParams('id') },
+  unblock: { summary: 'Unblock a user', params: idParams('id') },
+  blocks: { summary: 'Users the caller has blocked' },
+  report: {
+    summary: 'Report a listing, message or user to the moderators',
+    body: {
+      type: 'object',
+      properties: {
+        target_type: { type: 'string', enum: ['listing', 'message', 'user'] },
+        target_id: id,
+        reason: { type: 'string', enum: REPORT_REASONS },
+        note: text(REPORT_NOTE_MAX),
+      },
+      required: ['target_type', 'target_id', 'reason'],
+    },
+  },
+};
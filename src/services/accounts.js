@@ -0,0 +1,133 @@
+/* src/services/accounts.js — email verification and password reset
+   Both run on emailed one-time tokens: 32 random bytes (base64url) go out in the link, only their
+   SHA-256 is stored. A token works once, until it expires, and only while the account still has
+   the address it was sent to; issuing a new one retires the earlier unused ones.
+*/
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { nowIso } = require('../lib/text');
+
+const PURPOSES = { verify: 'verify_email', reset: 'reset_password' };
+// at most one mail per account and purpose in this window (resend / forgot-password spam)
+const RESEND_INTERVAL_MS = 60 * 1000;
+
+function hashToken(token){
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function createAccountsService({ db, config, services, mailer }){
+  function recentlySent(userId, purpose){
+    const since = new Date(Date.now() - RESEND_INTERVAL_MS).toISOString();
+    return !!db.prepare('SELECT 1 FROM email_tokens WHERE user_id = ? AND purpose = ? AND created_at > ?').get(userId, purpose, since);
+  }
+
+  function issueToken(user, purpose, ttlMs){
+    const token = crypto.randomBytes(32).toString('base64url');
+    const now = Date.now();
+    db.transaction(() => {
+      db.prepare('UPDATE email_tokens SET used_at = ? WHERE user_id = ? AND purpose = ? AND used_at IS NULL')
+        .run(new Date(now).toISOString(), user.id, purpose);
+      db.prepare('INSERT INTO email_tokens (user_id, purpose, token_hash, email, expires_at, created_at) VALUES (?, ?, ?, ?, ?, ?)')
+        .run(user.id, purpose, hashToken(token), user.email, new Date(now + ttlMs).toISOString(), new Date(now).toISOString());
+    })();
+    return token;
+  }
+
+  // The live token row for `token` (joined with its user), or null.
+  function findToken(token, purpose){
+    if (!token) return null;
+    const row = db.prepare(`
+      SELECT t.*, u.email AS user_email, u.email_verified_at FROM email_tokens t
+      JOIN users u ON u.id = t.user_id
+      WHERE t.token_hash = ? AND t.purpose = ?`).get(hashToken(token), purpose);
+    if (!row || row.used_at || Date.parse(row.expires_at) <= Date.now()) return null;
+    if (row.email !== row.user_email) return null; // the address changed since it was sent
+    return row;
+  }
+
+  // Mail failures are logged, not surfaced: the caller's action (register, forgot) has happened.
+  async function deliver(message){
+    try { await mailer.send(message); return true; }
+    catch (e) { console.error('Mail to', message.to, 'failed:', e.message); return false; }
+  }
+
+  async function sendVerification(user){
+    const token = issueToken(user, PURPOSES.verify, config.verifyEmailTtlMs);
+    const hours = Math.round(config.verifyEmailTtlMs / 3600000);
+    return deliver({
+      to: user.email,
+      subject: 'Confirm your ListIt email address',
+      text: `Hi ${user.username},\n\nConfirm your email address by opening this link:\n\n${config.appUrl}/#verify-email=${token}\n\n`
+        + `The link works once and expires in ${hours} hours. If you didn't create a ListIt account, ignore this email.\n`,
+    });
+  }
+
+  // Returns { ok } or { status, error }.
+  async function resendVerification(userId){
+    const user = db.prepare('SELECT id, email, username, email_verified_at FROM users WHERE id = ?').get(userId);
+    if (!user) return { status: 404, error: 'User not found' };
+    if (user.email_verified_at) return { status: 409, error: 'Email already verified' };
+    if (recentlySent(user.id, PURPOSES.verify)) return { status: 429, error: 'A verification email was just sent; try again in a minute' };
+    const sent = await sendVerification(user);
+    if (!sent) return { status: 502, error: 'Could not send the email' };
+    return { ok: true };
+  }
+
+  // Returns { ok, user_id } or { status, error }.
+  function verifyEmail(token){
+    const row = findToken(token, PURPOSES.verify);
+    if (!row) return { status: 400, error: 'Invalid or expired link' };
+    const now = nowIso();
+    db.transaction(() => {
+      db.prepare('UPDATE email_tokens SET used_at = ? WHERE id = ?').run(now, row.id);
+      db.prepare('UPDATE users SET email_verified_at = COALESCE(email_verified_at, ?) WHERE id = ?').run(now, row.user_id);
+    })();
+    return { ok: true, user_id: row.user_id };
+  }
+
+  // Always { ok: true }, whether or not the address has an account, so it can't be probed. The
+  // mail goes out in the background: waiting for it would make known addresses answer slower.
+  function forgotPassword(email){
+    email = String(email || '').trim().toLowerCase();
+    const user = db.prepare('SELECT id, email, username FROM users WHERE email = ?').get(email);
+    if (user && !recentlySent(user.id, PURPOSES.reset)) {
+      const token = issueToken(user, PURPOSES.reset, config.passwordResetTtlMs);
+      const minutes = Math.round(config.passwordResetTtlMs / 60000);
+      deliver({
+        to: user.email,
+        subject: 'Reset your ListIt password',
+        text: `Hi ${user.username},\n\nSomeone asked to reset the password of your ListIt account. To choose a new one, open:\n\n`
+          + `${config.appUrl}/#reset-password=${token}\n\nThe link works once and expires in ${minutes} minutes. `
+          + `If it wasn't you, ignore this email; your password stays the same.\n`,
+      });
+    }
+    return { ok: true };
+  }
+
+  // Sets the new password, signs out every existing session (closing its live event streams)
+  // and, since the link came through the inbox, marks the address verified.
+  // Returns { ok } or { status, error }.
+  async function resetPassword(token, password){
+    const row = findToken(token, PURPOSES.reset);
+    if (!row) return { status: 400, error: 'Invalid or expired link' };
+    const hash = await bcrypt.hash(password, 10);
+    const now = nowIso();
+    const done = db.transaction(() => {
+      // re-check: another request may have used the token during the hash
+      const used = db.prepare('UPDATE email_tokens SET used_at = ? WHERE id = ? AND used_at IS NULL').run(now, row.id);
+      if (!used.changes) return false;
+      db.prepare('UPDATE email_tokens SET used_at = ? WHERE user_id = ? AND purpose = ? AND used_at IS NULL').run(now, row.user_id, PURPOSES.reset);
+      db.prepare('UPDATE users SET password_hash = ?, password_changed_at = ?, email_verified_at = COALESCE(email_verified_at, ?) WHERE id = ?')
+        .run(hash, now, now, row.user_id);
+      return true;
+    })();
+    if (!done) return { status: 400, error: 'Invalid or expired link' };
+    services.events.disconnect(row.user_id);
+    return { ok: true };
+  }
+
+  return { sendVerification, resendVerification, verifyEmail, forgotPassword, resetPassword };
+}
+
+module.exports = { createAccountsService, hashToken, RESEND_INTERVAL_MS };
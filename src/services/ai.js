@@ -0,0 +1,83 @@
+/* src/services/ai.js — listing analysis from photos (title, tags, suggested price, category)
+   Uses the injected aiClient (an OpenAI-compatible `chat.completions.create`); without one,
+   a keyword fallback built from the user's hint.
+*/
+
+const { normalizeTags, shortTitle, fallbackTagsFromTitleDesc } = require('../lib/text');
+const { invalid } = require('../lib/errors');
+
+function createAiService({ services, aiClient }){
+  // A suggested category is only returned when it names a known one.
+  function categoryFields(cat){
+    return cat ? { category_id: cat.id, category: services.categories.categoryOut(cat) } : { category_id: null, category: null };
+  }
+
+  // `user` may pass /media references to their own uploads instead of data URLs.
+  // Returns { title, tags, suggested_price, category_id, category } or { status, error }.
+  async function analyze(user, body = {}){
+    const { findCategory, guessCategory, leafSlugs } = services.categories;
+    const images = Array.isArray(body.images) ? body.images.slice(0, 3).map(img => services.media.mediaToDataUrl(img, user.id)) : [];
+    const hint = String(body.hint || '').slice(0, 200);
+    if (!images.length) return invalid('images', 'No images provided', 'required');
+
+    if (aiClient) {
+      const content = [];
+      content.push({
+        type: 'text',
+        text: [
+          'You are a listing assistant for a local marketplace.',
+          'Analyze the item images and output STRICT JSON with:',
+          '"title": concise <=80 chars, no emojis;',
+          '"tags": array of 12-24 short, lowercase search terms (generic words users type; include generic synonyms, e.g., "car" for a Jeep);',
+          '"price_usd": fair used-market price in USD as a number (no symbols), based on comparable items and visible condition; estimate conservatively if unsure.',
+          `"category": the best matching slug from: ${leafSlugs().join(', ')}.`,
+          'Return ONLY JSON.'
+        ].join('\n')
+      });
+      if (hint) content.push({ type: 'text', text: `User hint: ${hint}` });
+      for (const img of images) content.push({ type: 'image_url', image_url: { url: img } });
+
+      const resp = await aiClient.chat.completions.create({
+        model: 'gpt-4o-mini',
+        temperature: 0.2,
+        messages: [{ role: 'user', content }],
+        response_format: { type: 'json_object' }
+      });
+
+      const txt = resp.choices?.[0]?.message?.content || '{}';
+      let parsed = {};
+      try { parsed = JSON.parse(txt); } catch {}
+      let title = shortTitle(parsed.title || '');
+      let tags = Array.isArray(parsed.tags) ? parsed.tags : [];
+      let priceNum = Number(parsed.price_usd);
+
+      const tagStr = normalizeTags(tags);
+      const outTags = tagStr ? tagStr.split(',') : [];
+      if (!title) title = 'Item for sale';
+      const category = categoryFields(findCategory(parsed.category) || guessCategory(`${title} ${hint} ${outTags.join(' ')}`));
+
+      let suggested_price = undefined;
+      if (!Number.isNaN(priceNum)) {
+        priceNum = Math.min(Math.max(priceNum, 1), 100000);
+        suggested_price = Math.round(priceNum * 100) / 100;
+      }
+
+      if (outTags.length < 8) {
+        const extra = fallbackTagsFromTitleDesc(title, hint);
+        const merged = normalizeTags([...outTags, ...extra]).split(',').filter(Boolean).slice(0,20);
+        return { title, tags: merged, suggested_price, ...category };
+      }
+
+      return { title, tags: outTags.slice(0, 24), suggested_price, ...category };
+    }
+
+    // Fallback (no AI client)
+    const title = shortTitle(hint || 'Item for sale');
+    const tags = normalizeTags(fallbackTagsFromTitleDesc(title, hint)).split(',').filter(Boolean);
+    return { title, tags: tags.slice(0, 20), suggested_price: undefined, ...categoryFields(guessCategory(hint)) };
+  }
+
+  return { analyze };
+}
+
+module.exports = { createAiService };
@@ -0,0 +1,80 @@
+/* src/services/audit.js — append-only audit log of admin / moderation actions */
+
+const { nowIso } = require('../lib/text');
+const { encodeCursor, decodeCursor } = require('../lib/cursor');
+const { invalid } = require('../lib/errors');
+
+const AUDIT_PAGE_DEFAULT = 50;
+const AUDIT_PAGE_MAX = 200;
+
+// An admin acting on someone else's listing (the owner's own edits aren't audited).
+function actsAsAdmin(user, ownerId){ return !!user.is_admin && ownerId !== user.id; }
+// Listing row as stored, minus legacy inline image data.
+function listingSnapshot(row){
+  if (!row) return null;
+  const { image_data, ...rest } = row;
+  return rest;
+}
+
+function createAuditService({ db }){
+  // Records a privileged action by `by.user` (an Express request works: { user, ip });
+  // before / after are JSON snapshots (null when n/a).
+  function record(by, action, targetType, targetId, before = null, after = null){
+    db.prepare(`
+      INSERT INTO audit_log (actor_id, actor_username, action, target_type, target_id, before, after, ip, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(by.user.id, by.user.username, action, targetType, targetId ?? null,
+      before == null ? null : JSON.stringify(before), after == null ? null : JSON.stringify(after),
+      by.ip || null, nowIso());
+  }
+
+  // Newest first. Filters: actor (username or id), action (exact, or a prefix ending in "."
+  // such as "listing."), target_type, target_id, since / until (ISO times); cursor pages.
+  // Returns { items, next_cursor } or an invalid(...) failure.
+  function list(query){
+    const limit = query.limit === undefined ? AUDIT_PAGE_DEFAULT : Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > AUDIT_PAGE_MAX) return invalid('limit', `limit must be 1–${AUDIT_PAGE_MAX}`, 'out_of_range');
+    const where = [];
+    const params = { limit: limit + 1 };
+    if (query.cursor) {
+      const cursor = decodeCursor(query.cursor);
+      if (!cursor || cursor.s !== 'audit') return invalid('cursor', 'Invalid cursor');
+      where.push('a.id < @cursor'); params.cursor = cursor.id;
+    }
+    if (query.actor) {
+      const actor = String(query.actor);
+      where.push(/^\d+$/.test(actor) ? 'a.actor_id = @actor' : 'a.actor_username = @actor COLLATE NOCASE');
+      params.actor = /^\d+$/.test(actor) ? Number(actor) : actor;
+    }
+    if (query.action) {
+      const action = String(query.action);
+      if (action.endsWith('.')) { where.push('substr(a.action, 1, length(@action)) = @action'); }
+      else where.push('a.action = @action');
+      params.action = action;
+    }
+    if (query.target_type) { where.push('a.target_type = @target_type'); params.target_type = String(query.target_type); }
+    if (query.target_id !== undefined) {
+      const targetId = Number(query.target_id);
+      if (!Number.isInteger(targetId)) return invalid('target_id', 'target_id must be an integer', 'invalid_type');
+      where.push('a.target_id = @target_id'); params.target_id = targetId;
+    }
+    for (const [key, op] of [['since', '>='], ['until', '<']]) {
+      if (query[key] === undefined) continue;
+      const t = Date.parse(query[key]);
+      if (!Number.isFinite(t)) return invalid(key, `${key} must be an ISO date/time`, 'invalid_format');
+      where.push(`a.created_at ${op} @${key}`); params[key] = new Date(t).toISOString();
+    }
+
+    const rows = db.prepare(`
+      SELECT a.* FROM audit_log a ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+      ORDER BY a.id DESC LIMIT @limit
+    `).all(params);
+    const more = rows.length > limit;
+    const items = rows.slice(0, limit).map(r => ({ ...r, before: r.before && JSON.parse(r.before), after: r.after && JSON.parse(r.after) }));
+    return { items, next_cursor: more ? encodeCursor({ s: 'audit', id: items[items.length - 1].id }) : null };
+  }
+
+  return { record, list };
+}
+
+module.exports = { createAuditService, actsAsAdmin, listingSnapshot, AUDIT_PAGE_MAX };
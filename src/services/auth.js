@@ -0,0 +1,97 @@
+/* src/services/auth.js — accounts, sessions (JWT) and suspension checks */
+
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const { nowIso } = require('../lib/text');
+const { invalid } = require('../lib/errors');
+
+function isSuspended(row, now = Date.now()){
+  return !!row?.suspended_at && (!row.suspended_until || Date.parse(row.suspended_until) > now);
+}
+function suspensionOut(row){
+  return { reason: row.suspended_reason || '', until: row.suspended_until || null };
+}
+function sessionPayload(row){
+  return { id: row.id, email: row.email, username: row.username, is_admin: row.is_admin || 0, email_verified: !!row.email_verified_at };
+}
+
+function createAuthService({ db, config, services }){
+  // iat_ms: `iat` is in whole seconds, too coarse to order a session against a password reset
+  function signToken(user){
+    return jwt.sign({ ...user, iat_ms: Date.now() }, config.jwtSecret, { expiresIn: '7d' });
+  }
+
+  // A JWT stays valid for 7 days, so every request re-reads the account: suspensions, admin
+  // changes and password resets (which end older sessions) take effect at once.
+  // Returns { user } or { error, suspended? }.
+  function sessionUser(token){
+    let data;
+    try { data = jwt.verify(token, config.jwtSecret); } catch { return { error: 'Invalid token' }; }
+    const row = db.prepare(`SELECT id, email, username, is_admin, email_verified_at, password_changed_at,
+      suspended_at, suspended_until, suspended_reason FROM users WHERE id = ?`).get(data.id);
+    if (!row) return { error: 'Invalid token' };
+    if (row.password_changed_at && (data.iat_ms ?? data.iat * 1000) < Date.parse(row.password_changed_at)) return { error: 'Invalid token' };
+    if (isSuspended(row)) return { error: 'Account suspended', suspended: suspensionOut(row) };
+    return { user: sessionPayload(row) };
+  }
+
+  // Sends the verification email too (a failed send is logged; /api/email/verify/resend retries).
+  // Returns { user } or { status, error }.
+  async function register(body){
+    const username = (body.username || body.name || '').trim();
+    const email = (body.email || '').trim().toLowerCase();
+    const password = body.password || '';
+    for (const [field, v] of [['username', username], ['email', email], ['password', password]]) {
+      if (!v) return invalid(field, 'Username, email, and password are required', 'required');
+    }
+    if (username.length < 3 || username.length > 32) return invalid('username', 'Username must be 3–32 chars', 'out_of_range');
+    if (password.length < 6) return invalid('password', 'Password must be at least 6 chars', 'out_of_range');
+
+    const hash = await bcrypt.hash(password, 10);
+    let user;
+    try {
+      const info = db.prepare('INSERT INTO users (email, username, password_hash, created_at, is_admin) VALUES (?, ?, ?, ?, 0)')
+        .run(email, username, hash, nowIso());
+      user = { id: info.lastInsertRowid, email, username, is_admin: 0, email_verified: false };
+    } catch (e) {
+      const msg = String(e);
+      if (msg.includes('users.email'))   return { status: 409, error: 'Email already registered' };
+      if (msg.includes('users.username'))return { status: 409, error: 'Username already taken' };
+      console.error(e);
+      return { status: 500, error: 'Registration failed' };
+    }
+    await services.accounts.sendVerification(user);
+    return { user };
+  }
+
+  // Returns { user } or { status, error, suspended? }.
+  async function login(body){
+    const email = (body.email || '').trim().toLowerCase();
+    const password = body.password || '';
+    if (!email || !password) return invalid(email ? 'password' : 'email', 'Email and password required', 'required');
+    const row = db.prepare('SELECT * FROM users WHERE email = ?').get(email);
+    if (!row) return { status: 401, error: 'Invalid credentials' };
+    const ok = await bcrypt.compare(password, row.password_hash);
+    if (!ok) return { status: 401, error: 'Invalid credentials' };
+    if (isSuspended(row)) return { status: 403, error: 'Account suspended', suspended: suspensionOut(row) };
+    db.prepare('UPDATE users SET last_login_at = ? WHERE id = ?').run(nowIso(), row.id);
+    return { user: sessionPayload(row) };
+  }
+
+  // Optional admin bootstrap (ADMIN_EMAIL / ADMIN_USERNAME / ADMIN_PASSWORD).
+  function ensureAdmin(){
+    const { email, username, password } = config.admin || {};
+    if (!email || !username || !password) return;
+    const exists = db.prepare('SELECT id FROM users WHERE email = ?').get(email);
+    if (exists) { console.log('Admin exists:', email); return; }
+    const hash = bcrypt.hashSync(password, 10);
+    const now = nowIso();
+    db.prepare('INSERT INTO users (email, username, password_hash, created_at, is_admin, email_verified_at) VALUES (?, ?, ?, ?, 1, ?)')
+      .run(email, username, hash, now, now);
+    console.log('Admin created:', email, 'username:', username);
+  }
+
+  return { signToken, sessionUser, register, login, ensureAdmin };
+}
+
+module.exports = { createAuthService, isSuspended, suspensionOut };
@@ -0,0 +1,198 @@
+/* src/services/categories.js — category tree with typed per-category attributes */
+
+const { invalid } = require('../lib/errors');
+
+// A category inherits its ancestors' attributes; a child may redefine a key.
+// Attribute types: integer | number (min/max), enum (options), string (max_length), boolean.
+const CATEGORY_SEED = [
+  { slug: 'vehicles', name: 'Vehicles', keywords: 'vehicle',
+    attributes: [
+      { key: 'year', label: 'Year', type: 'integer', min: 1900, max: 2100 },
+      { key: 'mileage', label: 'Mileage', type: 'integer', min: 0, max: 2000000 },
+      { key: 'make', label: 'Make', type: 'string', max_length: 40 },
+    ],
+    children: [
+      { slug: 'cars', name: 'Cars', keywords: 'car suv sedan truck jeep pickup',
+        attributes: [{ key: 'transmission', label: 'Transmission', type: 'enum', options: ['automatic', 'manual'] }] },
+      { slug: 'motorcycles', name: 'Motorcycles', keywords: 'motorcycle motorbike scooter moped' },
+    ] },
+  { slug: 'furniture', name: 'Furniture', keywords: 'furniture',
+    attributes: [{ key: 'material', label: 'Material', type: 'enum', options: ['wood', 'metal', 'fabric', 'leather', 'glass', 'plastic', 'other'] }],
+    children: [
+      { slug: 'sofas', name: 'Sofas', keywords: 'sofa couch loveseat sectional futon',
+        attributes: [{ key: 'seats', label: 'Seats', type: 'integer', min: 1, max: 12 }] },
+      { slug: 'tables', name: 'Tables', keywords: 'table desk nightstand' },
+      { slug: 'chairs', name: 'Chairs', keywords: 'chair stool armchair recliner' },
+    ] },
+  { slug: 'electronics', name: 'Electronics', keywords: 'electronics electronic',
+    attributes: [{ key: 'brand', label: 'Brand', type: 'string', max_length: 40 }],
+    children: [
+      { slug: 'phones', name: 'Phones', keywords: 'phone iphone smartphone android cellphone',
+        attributes: [{ key: 'storage_gb', label: 'Storage (GB)', type: 'integer', min: 1, max: 4096 }] },
+      { slug: 'computers', name: 'Computers', keywords: 'computer laptop pc macbook desktop monitor' },
+    ] },
+  { slug: 'clothing', name: 'Clothing', keywords: 'clothing clothes shirt jacket dress coat jeans',
+    attributes: [
+      { key: 'size', label: 'Size', type: 'enum', options: ['XS', 'S', 'M', 'L', 'XL', 'XXL'] },
+      { key: 'brand', label: 'Brand', type: 'string', max_length: 40 },
+    ],
+    children: [
+      { slug: 'shoes', name: 'Shoes', keywords: 'shoe shoes sneakers boots sandals',
+        attributes: [{ key: 'size', label: 'Size (US)', type: 'number', min: 1, max: 20 }] },
+    ] },
+  { slug: 'sports', name: 'Sports & Outdoors', keywords: 'sports sport outdoor camping fitness',
+    children: [
+      { slug: 'bicycles', name: 'Bicycles', keywords: 'bike bicycle mtb cycling ebike',
+        attributes: [{ key: 'frame_size', label: 'Frame size', type: 'enum', options: ['XS', 'S', 'M', 'L', 'XL'] }] },
+    ] },
+  { slug: 'other', name: 'Other', keywords: '' },
+];
+
+function createCategoriesService({ db }){
+  // The built-in tree goes into an empty table once.
+  function seed(){
+    if (db.prepare('SELECT COUNT(*) AS n FROM categories').get().n > 0) return;
+    const ins = db.prepare('INSERT INTO categories (parent_id, slug, name, keywords, attributes, position) VALUES (?, ?, ?, ?, ?, ?)');
+    const walk = (nodes, parentId) => nodes.forEach((c, i) => {
+      const info = ins.run(parentId, c.slug, c.name, c.keywords || '', JSON.stringify(c.attributes || []), i);
+      walk(c.children || [], info.lastInsertRowid);
+    });
+    db.transaction(() => walk(CATEGORY_SEED, null))();
+  }
+
+  // Categories are small and read-mostly: keep them in memory.
+  const categoriesById = new Map();
+  seed();
+  for (const c of db.prepare('SELECT * FROM categories ORDER BY parent_id IS NOT NULL, position, id').all()) {
+    categoriesById.set(c.id, { ...c, attributes: JSON.parse(c.attributes || '[]') });
+  }
+
+  function findCategory(ref){
+    if (ref === undefined || ref === null || ref === '') return null;
+    const asId = Number(ref);
+    if (Number.isInteger(asId) && categoriesById.has(asId)) return categoriesById.get(asId);
+    for (const c of categoriesById.values()) if (c.slug === String(ref)) return c;
+    return null;
+  }
+  function categoryAncestry(id){
+    const chain = [];
+    for (let c = categoriesById.get(id); c; c = categoriesById.get(c.parent_id)) chain.unshift(c);
+    return chain;
+  }
+  function categoryPath(id){
+    const chain = categoryAncestry(id);
+    return chain.length ? chain.map(c => c.name).join(' › ') : null;
+  }
+  function categoryChildren(id){
+    return [...categoriesById.values()].filter(c => (c.parent_id || null) === (id || null));
+  }
+  function categoryDescendantIds(id){
+    const out = [id];
+    for (let i = 0; i < out.length; i++) for (const c of categoryChildren(out[i])) out.push(c.id);
+    return out;
+  }
+  function categoryAttributes(id){
+    const byKey = new Map();
+    for (const c of categoryAncestry(id)) for (const a of c.attributes) byKey.set(a.key, a);
+    return [...byKey.values()];
+  }
+  function categoryOut(c){
+    return { id: c.id, parent_id: c.parent_id, slug: c.slug, name: c.name, path: categoryPath(c.id), attributes: categoryAttributes(c.id) };
+  }
+
+  // Returns { values: { key: value } } or an invalid(attributes.<key>) failure.
+  function validateAttributes(categoryId, input){
+    if (input === undefined || input === null) input = {};
+    if (typeof input !== 'object' || Array.isArray(input)) return invalid('attributes', 'attributes must be an object', 'invalid_type');
+    const schema = categoryId ? categoryAttributes(categoryId) : [];
+    for (const key of Object.keys(input)) {
+      if (!schema.some(a => a.key === key)) return invalid(`attributes.${key}`, `Unknown attribute "${key}" for this category`, 'unknown_field');
+    }
+    const values = {};
+    for (const def of schema) {
+      const v = input[def.key];
+      if (v === undefined || v === null || v === '') {
+        if (def.required) return invalid(`attributes.${def.key}`, `${def.label} is required`, 'required');
+        continue;
+      }
+      if (def.type === 'integer' || def.type === 'number') {
+        if (typeof v !== 'number' || !Number.isFinite(v) || (def.type === 'integer' && !Number.isInteger(v))) {
+          return invalid(`attributes.${def.key}`, `${def.label} must be ${def.type === 'integer' ? 'a whole number' : 'a number'}`, 'invalid_type');
+        }
+        if ((def.min !== undefined && v < def.min) || (def.max !== undefined && v > def.max)) {
+          return invalid(`attributes.${def.key}`, `${def.label} must be between ${def.min} and ${def.max}`, 'out_of_range');
+        }
+        values[def.key] = v;
+      } else if (def.type === 'enum') {
+        if (!def.options.includes(v)) return invalid(`attributes.${def.key}`, `${def.label} must be one of: ${def.options.join(', ')}`);
+        values[def.key] = v;
+      } else if (def.type === 'boolean') {
+        if (typeof v !== 'boolean') return invalid(`attributes.${def.key}`, `${def.label} must be true or false`, 'invalid_type');
+        values[def.key] = v;
+      } else {
+        if (typeof v !== 'string') return invalid(`attributes.${def.key}`, `${def.label} must be text`, 'invalid_type');
+        const t = v.trim().slice(0, def.max_length || 80);
+        if (t) values[def.key] = t;
+      }
+    }
+    return { values };
+  }
+
+  function saveListingAttributes(listingId, values){
+    db.prepare('DELETE FROM listing_attributes WHERE listing_id = ?').run(listingId);
+    const ins = db.prepare('INSERT INTO listing_attributes (listing_id, key, value_text, value_num) VALUES (?, ?, ?, ?)');
+    for (const [key, v] of Object.entries(values)) {
+      if (typeof v === 'number') ins.run(listingId, key, String(v), v);
+      else if (typeof v === 'boolean') ins.run(listingId, key, String(v), v ? 1 : 0);
+      else ins.run(listingId, key, v, null);
+    }
+  }
+  function attributesFor(listingIds){
+    const out = new Map(listingIds.map(id => [id, {}]));
+    if (!listingIds.length) return out;
+    const rows = db.prepare(`
+      SELECT la.listing_id, la.key, la.value_text, la.value_num, l.category_id
+      FROM listing_attributes la JOIN listings l ON l.id = la.listing_id
+      WHERE la.listing_id IN (SELECT value FROM json_each(?))
+    `).all(JSON.stringify(listingIds));
+    for (const r of rows) {
+      const def = categoryAttributes(r.category_id).find(a => a.key === r.key);
+      if (!def) continue; // stale value from a previous category
+      out.get(r.listing_id)[r.key] = def.type === 'boolean' ? r.value_num === 1
+        : (def.type === 'integer' || def.type === 'number') ? r.value_num
+        : r.value_text;
+    }
+    return out;
+  }
+
+  // Keyword fallback used when the AI gives no (valid) category: best-scoring, deepest wins.
+  function guessCategory(text){
+    const words = new Set(String(text || '').toLowerCase().match(/[a-z0-9]+/g) || []);
+    let best = null, bestScore = 0;
+    for (const c of categoriesById.values()) {
+      const terms = `${c.name} ${c.keywords}`.toLowerCase().match(/[a-z0-9]+/g) || [];
+      const score = terms.filter(t => words.has(t) || words.has(`${t}s`)).length + (c.parent_id ? 0.5 : 0);
+      if (score > bestScore && score >= 1) { best = c; bestScore = score; }
+    }
+    return best;
+  }
+
+  // Flat, tree-ordered (parents before their children), with effective attribute schemas.
+  function tree(){
+    const out = [];
+    const walk = (parentId) => categoryChildren(parentId).forEach(c => { out.push(categoryOut(c)); walk(c.id); });
+    walk(null);
+    return out;
+  }
+  // Leaf slugs, as offered to the AI model.
+  function leafSlugs(){
+    return [...categoriesById.values()].filter(c => !categoryChildren(c.id).length).map(c => c.slug);
+  }
+
+  return {
+    findCategory, categoryPath, categoryChildren, categoryDescendantIds, categoryAttributes, categoryOut, tree, leafSlugs,
+    validateAttributes, saveListingAttributes, attributesFor, guessCategory,
+  };
+}
+
+module.exports = { createCategoriesService };
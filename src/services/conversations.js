@@ -0,0 +1,249 @@
+/* src/services/conversations.js — conversations, messages (with images), read state
+   Every write is pushed to both participants over the events service.
+*/
+
+const { nowIso, normalizePair } = require('../lib/text');
+const { invalid } = require('../lib/errors');
+const { mediaUrl } = require('./media');
+
+const MESSAGES_PAGE_DEFAULT = 50;
+const MESSAGES_PAGE_MAX = 200;
+const MESSAGE_BODY_MAX = 2000;
+const NOT_ALLOWED = 'You can\'t message this user';
+
+function isMember(convo, uid){ return convo && (convo.a_user_id === uid || convo.b_user_id === uid); }
+
+function createConversationsService({ db, services }){
+  function publishEvent(...args){ return services.events.publishEvent(...args); }
+
+  // Attaches image URLs, offers and pickup proposals (current state) to a page of messages,
+  // one query each.
+  function messagesOut(msgs){
+    const byMsg = new Map(msgs.map(m => [m.id, []]));
+    const offers = new Map();
+    const pickups = new Map();
+    if (msgs.length) {
+      const rows = db.prepare(`
+        SELECT message_id, image_hash FROM message_images
+        WHERE message_id IN (SELECT value FROM json_each(?))
+        ORDER BY message_id, position
+      `).all(JSON.stringify(msgs.map(m => m.id)));
+      for (const r of rows) byMsg.get(r.message_id).push(mediaUrl(r.image_hash));
+      const offerIds = [...new Set(msgs.map(m => m.offer_id).filter(Boolean))];
+      if (offerIds.length) {
+        db.prepare('SELECT * FROM offers WHERE id IN (SELECT value FROM json_each(?))')
+          .all(JSON.stringify(offerIds)).forEach(o => offers.set(o.id, o));
+      }
+      const pickupIds = [...new Set(msgs.map(m => m.pickup_id).filter(Boolean))];
+      if (pickupIds.length) {
+        db.prepare('SELECT * FROM pickup_proposals WHERE id IN (SELECT value FROM json_each(?))')
+          .all(JSON.stringify(pickupIds)).forEach(p => pickups.set(p.id, services.pickups.pickupOut(p)));
+      }
+    }
+    return msgs.map(m => ({
+      ...m,
+      images: byMsg.get(m.id),
+      offer: offers.get(m.offer_id) || null,
+      pickup: pickups.get(m.pickup_id) || null,
+    }));
+  }
+
+  // Stores a message and pushes it (plus refreshed summaries) to both participants.
+  function createMessage(convo, senderId, body, { kind = 'text', offerId = null, pickupId = null, hashes = [] } = {}){
+    const info = db.prepare(
+      'INSERT INTO messages (conversation_id, sender_id, body, created_at, kind, offer_id, pickup_id) VALUES (?, ?, ?, ?, ?, ?, ?)'
+    ).run(convo.id, senderId, String(body || '').slice(0, MESSAGE_BODY_MAX), nowIso(), kind, offerId, pickupId);
+    const msgId = info.lastInsertRowid;
+
+    if (hashes.length) {
+      const stmt = db.prepare("INSERT INTO message_images (message_id, image_data, image_hash, position) VALUES (?, '', ?, ?)");
+      hashes.forEach((hash, i) => stmt.run(msgId, hash, i));
+    }
+
+    const row = db.prepare(`
+      SELECT m.*, u.username AS sender_username
+      FROM messages m JOIN users u ON u.id = m.sender_id
+      WHERE m.id = ?
+    `).get(msgId);
+    const [message] = messagesOut([row]);
+    markConversationRead(senderId, convo.id, msgId); // you've read what you just sent
+    publishEvent([convo.a_user_id, convo.b_user_id], 'message.created', { conversation_id: convo.id, message });
+    publishUpdated(convo);
+    return message;
+  }
+
+  // Conversation list rows as seen by `me` (optionally just one conversation).
+  function summaries(me, convoId = null){
+    return db.prepare(`
+      SELECT
+        c.id,
+        c.listing_id,
+        CASE WHEN c.a_user_id = @me THEN c.b_user_id ELSE c.a_user_id END AS other_user_id,
+        u.username AS other_user_username,
+        COALESCE(l.title, c.listing_title, '') AS listing_title,
+        CASE WHEN c.listing_id IS NOT NULL AND (l.id IS NULL OR l.deleted_at IS NOT NULL) THEN 1 ELSE 0 END AS listing_removed,
+        l.user_id AS listing_user_id,
+        l.status AS listing_status,
+        EXISTS (SELECT 1 FROM blocks WHERE blocker_id = @me AND blocked_id = u.id) AS blocked_by_me,
+        EXISTS (SELECT 1 FROM blocks WHERE (blocker_id = @me AND blocked_id = u.id) OR (blocker_id = u.id AND blocked_id = @me)) AS blocked,
+        CASE WHEN l.status = 'sold' AND l.buyer_id IN (c.a_user_id, c.b_user_id)
+                  AND l.user_id IN (c.a_user_id, c.b_user_id)
+                  AND NOT EXISTS (SELECT 1 FROM reviews r WHERE r.listing_id = l.id AND r.reviewer_id = @me AND r.reviewee_id = u.id)
+             THEN 1 ELSE 0 END AS can_review,
+        (SELECT created_at FROM messages WHERE conversation_id = c.id ORDER BY id DESC LIMIT 1) AS last_message_at,
+        (SELECT body       FROM messages WHERE conversation_id = c.id ORDER BY id DESC LIMIT 1) AS last_message_body,
+        (SELECT sender_id  FROM messages WHERE conversation_id = c.id ORDER BY id DESC LIMIT 1) AS last_message_sender_id,
+        (SELECT id         FROM messages WHERE conversation_id = c.id ORDER BY id DESC LIMIT 1) AS last_message_id,
+        COALESCE(mine.last_read_message_id, 0) AS last_read_message_id,
+        COALESCE(theirs.last_read_message_id, 0) AS other_last_read_message_id,
+        (SELECT COUNT(*) FROM messages
+          WHERE conversation_id = c.id AND sender_id <> @me AND id > COALESCE(mine.last_read_message_id, 0)) AS unread_count
+      FROM conversations c
+      JOIN users u
+        ON u.id = CASE WHEN c.a_user_id = @me THEN c.b_user_id ELSE c.a_user_id END
+      LEFT JOIN listings l
+        ON l.id = c.listing_id
+      LEFT JOIN conversation_reads mine
+        ON mine.conversation_id = c.id AND mine.user_id = @me
+      LEFT JOIN conversation_reads theirs
+        ON theirs.conversation_id = c.id AND theirs.user_id = u.id
+      WHERE (c.a_user_id = @me OR c.b_user_id = @me) ${convoId ? 'AND c.id = @convoId' : ''}
+      ORDER BY c.id DESC
+    `).all(convoId ? { me, convoId } : { me });
+  }
+
+  // Moves the user's read position forward (never back); returns the stored position.
+  function markConversationRead(uid, convoId, messageId){
+    db.prepare(`
+      INSERT INTO conversation_reads (user_id, conversation_id, last_read_message_id, updated_at)
+      VALUES (?, ?, ?, ?)
+      ON CONFLICT (user_id, conversation_id) DO UPDATE SET
+        last_read_message_id = MAX(last_read_message_id, excluded.last_read_message_id),
+        updated_at = excluded.updated_at
+    `).run(uid, convoId, messageId, nowIso());
+    return db.prepare('SELECT last_read_message_id FROM conversation_reads WHERE user_id = ? AND conversation_id = ?').get(uid, convoId).last_read_message_id;
+  }
+
+  // Pushes each participant their own view of the conversation.
+  function publishUpdated(convo){
+    for (const uid of [convo.a_user_id, convo.b_user_id]) {
+      const [summary] = summaries(uid, convo.id);
+      if (summary) publishEvent([uid], 'conversation.updated', summary);
+    }
+  }
+
+  // A conversation `me` belongs to, or { status, error }.
+  function memberConversation(me, id){
+    const convo = db.prepare('SELECT * FROM conversations WHERE id = ?').get(Number(id));
+    if (!convo) return { status: 404, error: 'Not found' };
+    if (!isMember(convo, me.id)) return { status: 403, error: 'Forbidden' };
+    return convo;
+  }
+
+  // The conversation (and listing) behind offer / pickup / review routes: { convo, listing } or
+  // { status, error }. `write` routes post into the thread, which a block (either way) stops.
+  function listingConversation(me, id, { write = false } = {}){
+    const convo = memberConversation(me, id);
+    if (convo.error) return convo;
+    if (write && services.moderation.isBlocked(convo.a_user_id, convo.b_user_id)) return { status: 403, error: NOT_ALLOWED };
+    const listing = convo.listing_id && db.prepare('SELECT * FROM listings WHERE id = ?').get(convo.listing_id);
+    if (!listing) return { status: 400, error: 'Only available in a conversation about a listing' };
+    if (write && listing.deleted_at) return { status: 409, error: 'This listing was removed' };
+    return { convo, listing };
+  }
+
+  // Opens (or returns the existing) conversation with a user, optionally about a listing.
+  function open(me, body){
+    let { with_user_id, listing_id } = body || {};
+    if (!with_user_id && !listing_id) return invalid('with_user_id', 'with_user_id or listing_id required', 'required');
+    let lst = null;
+    if (listing_id) {
+      lst = services.listings.activeListing(Number(listing_id));
+      if (!lst) return { status: 404, error: 'Listing not found' };
+      if (!with_user_id) with_user_id = lst.user_id;
+    }
+    with_user_id = Number(with_user_id);
+    if (with_user_id === me.id) return { status: 400, error: 'Cannot message yourself' };
+    if (services.moderation.isBlocked(me.id, with_user_id)) return { status: 403, error: NOT_ALLOWED };
+
+    const { a, b } = normalizePair(me.id, with_user_id);
+    if (lst && lst.status === 'sold') {
+      // existing threads stay reachable; new ones are refused
+      const row = db.prepare('SELECT * FROM conversations WHERE a_user_id=? AND b_user_id=? AND listing_id IS ?').get(a, b, listing_id);
+      if (row) return row;
+      return { status: 409, error: 'Listing has been sold' };
+    }
+    try {
+      const info = db.prepare('INSERT INTO conversations (a_user_id, b_user_id, listing_id, created_at) VALUES (?, ?, ?, ?)').run(a, b, listing_id || null, nowIso());
+      const convo = { id: info.lastInsertRowid, a_user_id: a, b_user_id: b, listing_id: listing_id || null };
+      publishUpdated(convo);
+      return convo;
+    } catch {
+      return db.prepare('SELECT * FROM conversations WHERE a_user_id=? AND b_user_id=? AND listing_id IS ?').get(a, b, listing_id || null);
+    }
+  }
+
+  // ?before_id pages back through history, ?after_id fetches what's new; always ascending.
+  function messages(convo, query){
+    const params = { id: convo.id, limit: MESSAGES_PAGE_DEFAULT };
+    const where = ['m.conversation_id = @id'];
+    for (const key of ['before_id', 'after_id']) {
+      if (query[key] === undefined) continue;
+      const v = Number(query[key]);
+      if (!Number.isInteger(v) || v < 0) return invalid(key, `Invalid ${key}`);
+      params[key] = v;
+      where.push(key === 'before_id' ? 'm.id < @before_id' : 'm.id > @after_id');
+    }
+    if (query.limit !== undefined) {
+      const limit = Number(query.limit);
+      if (!Number.isInteger(limit) || limit < 1) return invalid('limit', 'Invalid limit', 'out_of_range');
+      params.limit = Math.min(limit, MESSAGES_PAGE_MAX);
+    }
+    // after_id alone reads forward from that point; otherwise take the newest page
+    const forward = params.after_id !== undefined && params.before_id === undefined;
+    const msgs = db.prepare(`
+      SELECT m.*, u.username AS sender_username
+      FROM messages m JOIN users u ON u.id = m.sender_id
+      WHERE ${where.join(' AND ')}
+      ORDER BY m.id ${forward ? 'ASC' : 'DESC'}
+      LIMIT @limit
+    `).all(params);
+    if (!forward) msgs.reverse();
+    return messagesOut(msgs);
+  }
+
+  async function sendMessage(me, id, { body, images } = {}){
+    if ((!body || !String(body).trim()) && (!Array.isArray(images) || images.length === 0)) {
+      return invalid('body', 'Message body or image required', 'required');
+    }
+    const convo = memberConversation(me, id);
+    if (convo.error) return convo;
+    if (services.moderation.isBlocked(convo.a_user_id, convo.b_user_id)) return { status: 403, error: NOT_ALLOWED };
+
+    const err = services.media.validateMsgImages(images);
+    if (err) return err;
+    const prep = await services.media.prepareImages(Array.isArray(images) ? images : [], me.id);
+    if (prep.error) return prep.error;
+    const hashes = services.media.storeImages(prep.items, me.id);
+
+    return createMessage(convo, me.id, body, { hashes });
+  }
+
+  // Read receipt: `me` has seen the conversation up to `lastId`. Returns their summary.
+  function markRead(me, convo, lastId){
+    const msg = db.prepare('SELECT id FROM messages WHERE id = ? AND conversation_id = ?').get(lastId, convo.id);
+    if (!msg) return invalid('last_message_id', 'last_message_id must be a message in this conversation');
+    const readId = markConversationRead(me.id, convo.id, lastId);
+    publishEvent([convo.a_user_id, convo.b_user_id], 'conversation.read', { conversation_id: convo.id, user_id: me.id, last_message_id: readId });
+    publishUpdated(convo);
+    const [summary] = summaries(me.id, convo.id);
+    return summary;
+  }
+
+  return {
+    isMember, messagesOut, createMessage, summaries, publishUpdated,
+    memberConversation, listingConversation, open, messages, sendMessage, markRead,
+  };
+}
+
+module.exports = { createConversationsService, isMember, MESSAGE_BODY_MAX };
@@ -0,0 +1,62 @@
+/* src/services/events.js — real-time events (Server-Sent Events)
+   Every event is stored per recipient so a reconnecting client can resume from
+   Last-Event-ID; rows older than config.eventsRetentionMs are pruned as new ones arrive.
+*/
+
+const SSE_HEARTBEAT_MS = 25000;
+
+function sseWrite(res, ev){ res.write(`id: ${ev.id}\nevent: ${ev.type}\ndata: ${ev.data}\n\n`); }
+
+function createEventsService({ db, config }){
+  const sseClients = new Map(); // user id -> Set of open event-stream responses
+
+  function publishEvent(userIds, type, payload){
+    const ins = db.prepare('INSERT INTO user_events (user_id, type, data, created_at) VALUES (?, ?, ?, ?)');
+    const data = JSON.stringify(payload);
+    for (const uid of new Set(userIds)) {
+      const id = Number(ins.run(uid, type, data, Date.now()).lastInsertRowid);
+      for (const res of sseClients.get(uid) || []) sseWrite(res, { id, type, data });
+      if (id % 500 === 0) db.prepare('DELETE FROM user_events WHERE created_at < ?').run(Date.now() - config.eventsRetentionMs);
+    }
+  }
+
+  // Attaches an open event-stream response for `uid`: replays what was missed since
+  // `lastRaw` (or asks the client to resync if that's older than we keep), then streams.
+  // Returns a function that detaches it.
+  function subscribe(uid, res, lastRaw){
+    if (lastRaw !== undefined && lastRaw !== '') {
+      const lastId = Number(lastRaw);
+      const oldest = db.prepare('SELECT MIN(id) AS id FROM user_events').get().id;
+      if (!Number.isInteger(lastId) || lastId < 0 || (oldest !== null && lastId < oldest - 1)) {
+        res.write('event: resync\ndata: {}\n\n');
+      } else {
+        const missed = db.prepare('SELECT id, type, data FROM user_events WHERE user_id = ? AND id > ? ORDER BY id').all(uid, lastId);
+        for (const ev of missed) sseWrite(res, ev);
+      }
+    }
+
+    if (!sseClients.has(uid)) sseClients.set(uid, new Set());
+    sseClients.get(uid).add(res);
+    const ping = setInterval(() => res.write(': ping\n\n'), SSE_HEARTBEAT_MS);
+    ping.unref?.();
+    return () => {
+      clearInterval(ping);
+      const set = sseClients.get(uid);
+      set?.delete(res);
+      if (set && !set.size) sseClients.delete(uid);
+    };
+  }
+
+  // Ends a user's live streams (e.g. on suspension); their next request is rejected by auth.
+  function disconnect(uid){
+    for (const stream of sseClients.get(uid) || []) stream.end();
+    sseClients.delete(uid);
+  }
+  function disconnectAll(){
+    for (const uid of [...sseClients.keys()]) disconnect(uid);
+  }
+
+  return { publishEvent, subscribe, disconnect, disconnectAll };
+}
+
+module.exports = { createEventsService };
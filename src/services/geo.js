@@ -0,0 +1,69 @@
+/* src/services/geo.js — listing coordinates, geocoding with a SQLite cache (TTL + LRU)
+   The geocoder is injected (createApp({ geocoder })) or built from config.geocoder:
+   nominatim | gazetteer | mock (tests default to mock).
+*/
+
+const { loadGazetteer, gazetteerLookup, validCoords } = require('../lib/location');
+const { createGeocoder } = require('../lib/geocoders');
+const { invalid } = require('../lib/errors');
+
+function createGeoService({ db, config, geocoder }){
+  const gazetteer = loadGazetteer(config.gazetteerPath);
+  geocoder = geocoder || createGeocoder(config.geocoder, config.geocoder === 'nominatim'
+    ? { baseUrl: config.nominatimUrl, minIntervalMs: config.geocoderMinIntervalMs, timeoutMs: config.geocoderTimeoutMs }
+    : { gazetteer });
+
+  // Coordinates for a listing write: device coordinates win (coarsened to ~1 km so the
+  // seller's address isn't published), otherwise the gazetteer position of `location`.
+  // Returns { lat, lon } (possibly null) or an invalid(lat) failure.
+  function listingCoords(body, location){
+    const { lat, lon } = body || {};
+    if (lat !== undefined && lat !== null || lon !== undefined && lon !== null) {
+      if (!validCoords(lat, lon)) return invalid('lat', 'lat and lon must be valid coordinates', 'out_of_range');
+      return { lat: Math.round(lat * 100) / 100, lon: Math.round(lon * 100) / 100 };
+    }
+    const hit = gazetteerLookup(gazetteer, location);
+    return hit ? { lat: hit.lat, lon: hit.lon } : { lat: null, lon: null };
+  }
+
+  function geoCacheGet(key){
+    const row = db.prepare('SELECT value, created_at FROM geo_cache WHERE key = ?').get(key);
+    if (!row) return undefined;
+    if (Date.now() - row.created_at > config.geoCacheTtlMs) {
+      db.prepare('DELETE FROM geo_cache WHERE key = ?').run(key);
+      return undefined;
+    }
+    db.prepare('UPDATE geo_cache SET last_used_at = ? WHERE key = ?').run(Date.now(), key);
+    return JSON.parse(row.value);
+  }
+  function geoCacheSet(key, value){
+    const now = Date.now();
+    db.prepare('INSERT OR REPLACE INTO geo_cache (key, value, created_at, last_used_at) VALUES (?, ?, ?, ?)')
+      .run(key, JSON.stringify(value), now, now);
+    // least-recently-used eviction once over capacity
+    const { n } = db.prepare('SELECT COUNT(*) AS n FROM geo_cache').get();
+    if (n > config.geoCacheMax) {
+      db.prepare('DELETE FROM geo_cache WHERE key IN (SELECT key FROM geo_cache ORDER BY last_used_at ASC LIMIT ?)').run(n - config.geoCacheMax);
+    }
+  }
+  async function geoCached(key, fetcher){
+    const hit = geoCacheGet(key);
+    if (hit !== undefined) return hit;
+    const value = await fetcher();
+    geoCacheSet(key, value ?? null);
+    return value ?? null;
+  }
+
+  // Provider errors propagate; a full queue rejects with code 'rate_limited', a hung call with 'timeout'.
+  function reverse(lat, lon){
+    const key = `${lat.toFixed(4)},${lon.toFixed(4)}`;
+    return geoCached(`${geocoder.name}:reverse:${key}`, () => geocoder.reverse(lat, lon));
+  }
+  function search(q, limit){
+    return geoCached(`${geocoder.name}:search:${limit}:${q.toLowerCase()}`, () => geocoder.search(q, { limit }));
+  }
+
+  return { listingCoords, reverse, search };
+}
+
+module.exports = { createGeoService };
@@ -0,0 +1,584 @@
+/* src/services/listings.js — listings: search (FTS, location, radius, facets, keyset pages),
+   writes, lifecycle, trash (soft delete + purge) and favorites.
+   Trashed listings (deleted_at set) are hidden everywhere except the trash views, and purged
+   for good once config.listingTrashRetentionMs has passed.
+*/
+
+const { nowIso, normalizeTags, shortTitle } = require('../lib/text');
+const { parseSearchQuery } = require('../lib/search');
+const { encodeCursor, decodeCursor } = require('../lib/cursor');
+const { normLetters, cityOf, pickMatchingCities, boundingBox, validCoords } = require('../lib/location');
+const { LISTING_STATUSES, LISTING_SORTS, RADIUS_KM_MAX, LISTINGS_PAGE_DEFAULT, LISTINGS_PAGE_MAX } = require('../lib/listings');
+const { invalid } = require('../lib/errors');
+const { mediaUrl, thumbUrl } = require('./media');
+const { actsAsAdmin, listingSnapshot } = require('./audit');
+
+function createListingsService({ db, config, services }){
+  // Public listing shape: media URLs instead of inline image data, plus category + attributes.
+  function listingOut(row, attrs){
+    if (!row) return row;
+    const { image_data, image_hash, ...rest } = row;
+    return {
+      ...rest,
+      image_url: mediaUrl(image_hash), thumb_url: thumbUrl(image_hash),
+      category_path: services.categories.categoryPath(row.category_id),
+      attributes: attrs || services.categories.attributesFor([row.id]).get(row.id) || {}
+    };
+  }
+  function listingsOut(rows){
+    const attrs = services.categories.attributesFor(rows.map(r => r.id));
+    const ratings = services.reviews.userRatingsFor(rows.map(r => r.user_id));
+    return rows.map(r => ({
+      ...listingOut(r, attrs.get(r.id)),
+      owner_rating: ratings.get(r.user_id)?.rating ?? null,
+      owner_review_count: ratings.get(r.user_id)?.count ?? 0,
+    }));
+  }
+
+  // Facet counts over the filtered (unpaginated) result set: sub-category counts under the
+  // selected category (or top level), and per-attribute value counts / numeric ranges.
+  function listingFacets(from, whereSql, params, category){
+    const { categoryChildren, categoryDescendantIds, categoryAttributes } = services.categories;
+    const byCategory = db.prepare(`SELECT l.category_id, COUNT(*) AS n ${from} ${whereSql} GROUP BY l.category_id`).all(params);
+    const categories = categoryChildren(category ? category.id : null).map(c => {
+      const ids = new Set(categoryDescendantIds(c.id));
+      const count = byCategory.reduce((sum, r) => sum + (ids.has(r.category_id) ? r.n : 0), 0);
+      return { id: c.id, slug: c.slug, name: c.name, count };
+    });
+
+    const attributes = {};
+    if (category) {
+      const matched = `SELECT l.id ${from} ${whereSql}`;
+      for (const def of categoryAttributes(category.id)) {
+        const p = { ...params, fkey: def.key };
+        if (def.type === 'integer' || def.type === 'number') {
+          const r = db.prepare(`SELECT MIN(value_num) AS min, MAX(value_num) AS max, COUNT(*) AS count FROM listing_attributes WHERE key = @fkey AND listing_id IN (${matched})`).get(p);
+          attributes[def.key] = { type: def.type, label: def.label, ...r };
+        } else {
+          const values = db.prepare(`
+            SELECT value_text AS value, COUNT(*) AS count FROM listing_attributes
+            WHERE key = @fkey AND listing_id IN (${matched})
+            GROUP BY LOWER(value_text) ORDER BY count DESC, value LIMIT 20
+          `).all(p);
+          attributes[def.key] = { type: def.type, label: def.label, values };
+        }
+      }
+    }
+    return { categories, attributes };
+  }
+
+  function fail(error, status = 400){ return { status, error }; }
+
+  // GET /api/listings. `me` is set for ?mine=1 (the caller's own listings, tags included),
+  // `viewer` is the signed-in browser otherwise. Returns { items, next_cursor, facets, paginated }
+  // or, for a bad parameter, { status, error, code, field }. Requests without limit/cursor (older
+  // clients, paginated false) still get one bounded page: LISTINGS_PAGE_MAX rows, with next_cursor
+  // for the rest.
+  function search(query, { me = null, viewer = null } = {}){
+    const { findCategory, categoryDescendantIds } = services.categories;
+    const qRaw   = (query.q   || '').toString().trim();
+    const locRaw = (query.loc || '').toString().trim(); // keep case for final compare
+    const { match, exclude } = parseSearchQuery(qRaw);
+
+    let sort = (query.sort || '').toString() || (match ? 'relevance' : 'new');
+    if (!LISTING_SORTS[sort]) return invalid('sort', 'Invalid sort');
+    if (sort === 'relevance' && !match) sort = 'new';
+
+    const paginated = query.limit !== undefined || query.cursor !== undefined;
+    let limit = paginated ? LISTINGS_PAGE_DEFAULT : LISTINGS_PAGE_MAX;
+    if (query.limit !== undefined) {
+      limit = Number(query.limit);
+      if (!Number.isInteger(limit) || limit < 1) return invalid('limit', 'Invalid limit', 'out_of_range');
+      limit = Math.min(limit, LISTINGS_PAGE_MAX);
+    }
+    let cursor = null;
+    if (query.cursor) {
+      cursor = decodeCursor(query.cursor);
+      if (!cursor || cursor.s !== sort) return invalid('cursor', 'Invalid cursor');
+    }
+
+    const where = ['l.deleted_at IS NULL'];
+    const params = {};
+    let from = 'FROM listings l JOIN users u ON u.id = l.user_id';
+
+    // full-text query (FTS5)
+    if (match) {
+      from += ' JOIN listings_fts ON listings_fts.rowid = l.id';
+      where.push('listings_fts MATCH @match');
+      params.match = exclude ? `(${match}) NOT (${exclude})` : match;
+    } else if (exclude) {
+      where.push('l.id NOT IN (SELECT rowid FROM listings_fts WHERE listings_fts MATCH @exclude)');
+      params.exclude = exclude;
+    }
+    if (me) { where.push('l.user_id = @uid'); params.uid = me.id; }
+    // signed-in browsers don't see listings from people they've blocked
+    if (!me && viewer) {
+      where.push('l.user_id NOT IN (SELECT blocked_id FROM blocks WHERE blocker_id = @viewer)');
+      params.viewer = viewer.id;
+    }
+
+    // lifecycle filter: public browse hides sold items unless asked (status=all or an explicit list)
+    const statusRaw = (query.status || '').toString().trim();
+    const statuses = statusRaw === 'all' ? null
+      : statusRaw ? statusRaw.split(',').map(x => x.trim()).filter(Boolean)
+      : (me ? null : ['available', 'reserved']);
+    if (statuses) {
+      if (statuses.some(x => !LISTING_STATUSES[x])) return invalid('status', 'Invalid status');
+      where.push('l.status IN (SELECT value FROM json_each(@statuses))');
+      params.statuses = JSON.stringify(statuses);
+    }
+
+    // semantic location narrowing (only to existing listing locations)
+    if (locRaw) {
+      const distinct = db.prepare('SELECT DISTINCT location FROM listings WHERE deleted_at IS NULL').all().map(r => r.location).filter(Boolean);
+      const allCities = distinct.map(cityOf).filter(Boolean);
+      const matches = pickMatchingCities(allCities, locRaw);
+      // If nothing fuzzy-matched, keep zero results (strict)
+      where.push('city_norm(l.location) IN (SELECT value FROM json_each(@cities))');
+      params.cities = JSON.stringify(Array.from(matches).map(c => normLetters(c)));
+    }
+
+    // radius search: bounding box (indexed prefilter), then exact haversine distance
+    let near = null;
+    if (query.lat !== undefined || query.lon !== undefined) {
+      near = { lat: Number(query.lat), lon: Number(query.lon) };
+      if (!validCoords(near.lat, near.lon)) return invalid('lat', 'lat and lon must be valid coordinates', 'out_of_range');
+      params.lat = near.lat;
+      params.lon = near.lon;
+    }
+    if (query.radius_km !== undefined && query.radius_km !== '') {
+      if (!near) return invalid('lat', 'radius_km requires lat and lon', 'required');
+      const r = Number(query.radius_km);
+      if (!Number.isFinite(r) || r <= 0 || r > RADIUS_KM_MAX) return invalid('radius_km', 'Invalid radius_km', 'out_of_range');
+      const box = boundingBox(near.lat, near.lon, r);
+      Object.assign(params, box, { radius: r });
+      where.push('l.lat BETWEEN @minLat AND @maxLat');
+      // a box crossing the antimeridian wraps around
+      if (box.minLon < -180 || box.maxLon > 180) {
+        params.minLon = box.minLon < -180 ? box.minLon + 360 : box.minLon;
+        params.maxLon = box.maxLon > 180 ? box.maxLon - 360 : box.maxLon;
+        where.push('(l.lon >= @minLon OR l.lon <= @maxLon)');
+      } else {
+        where.push('l.lon BETWEEN @minLon AND @maxLon');
+      }
+      where.push('haversine_km(l.lat, l.lon, @lat, @lon) <= @radius');
+    }
+    if (sort === 'distance') {
+      if (!near) return invalid('lat', 'sort=distance requires lat and lon', 'required');
+      where.push('l.lat IS NOT NULL');
+    }
+
+    // price range
+    for (const [name, op] of [['min_price', '>='], ['max_price', '<=']]) {
+      if (query[name] === undefined || query[name] === '') continue;
+      const n = Number(query[name]);
+      if (!Number.isFinite(n)) return invalid(name, `${name} must be a number`, 'invalid_type');
+      where.push(`l.price ${op} @${name}`);
+      params[name] = n;
+    }
+
+    // category (includes sub-categories)
+    let category = null;
+    if (query.category) {
+      category = findCategory(query.category.toString());
+      if (!category) return invalid('category', 'Unknown category');
+      where.push('l.category_id IN (SELECT value FROM json_each(@cats))');
+      params.cats = JSON.stringify(categoryDescendantIds(category.id));
+    }
+
+    // attribute filters: attr.<key>=a,b (any of) / attr.<key>.min / attr.<key>.max
+    let ai = 0;
+    for (const [name, raw] of Object.entries(query)) {
+      const m = /^attr\.([a-z0-9_]+)(?:\.(min|max))?$/.exec(name);
+      if (!m) continue;
+      const k = `ak${ai}`, v = `av${ai}`;
+      ai++;
+      params[k] = m[1];
+      if (m[2]) {
+        const n = Number(raw);
+        if (!Number.isFinite(n)) return invalid(name, `${name} must be a number`, 'invalid_type');
+        params[v] = n;
+        where.push(`EXISTS (SELECT 1 FROM listing_attributes la WHERE la.listing_id = l.id AND la.key = @${k} AND la.value_num ${m[2] === 'min' ? '>=' : '<='} @${v})`);
+      } else {
+        params[v] = JSON.stringify(String(raw).split(',').map(x => x.trim().toLowerCase()).filter(Boolean));
+        where.push(`EXISTS (SELECT 1 FROM listing_attributes la WHERE la.listing_id = l.id AND la.key = @${k} AND LOWER(la.value_text) IN (SELECT value FROM json_each(@${v})))`);
+      }
+    }
+
+    const whereSql = where.length ? 'WHERE ' + where.join(' AND ') : '';
+    const facets = query.facets === '1' ? listingFacets(from, whereSql, { ...params }, category) : null;
+
+    const { key, dir } = LISTING_SORTS[sort];
+    const outer = [];
+    if (cursor) {
+      params.cid = cursor.id;
+      if (key) {
+        params.ck = cursor.k;
+        outer.push(`(sort_key ${dir === 'ASC' ? '>' : '<'} @ck OR (sort_key = @ck AND id < @cid))`);
+      } else {
+        outer.push('id < @cid');
+      }
+    }
+
+    const sql = `
+      SELECT * FROM (
+        SELECT l.id, l.user_id, l.image_hash, l.title, l.description, l.location, l.price, l.created_at, l.status,
+               l.category_id, l.lat, l.lon, u.username AS owner_username${me ? ', l.tags' : ''},
+               ${near ? 'haversine_km(l.lat, l.lon, @lat, @lon) AS distance_km, ' : ''}${key || 'NULL'} AS sort_key
+        ${from}
+        ${whereSql}
+      )
+      ${outer.length ? 'WHERE ' + outer.join(' AND ') : ''}
+      ORDER BY ${key ? `sort_key ${dir}, ` : ''}id DESC
+      LIMIT @limit
+    `;
+    params.limit = limit + 1;
+    let rows = db.prepare(sql).all(params);
+
+    let next_cursor = null;
+    if (rows.length > limit) {
+      rows = rows.slice(0, limit);
+      const last = rows[rows.length - 1];
+      next_cursor = encodeCursor({ s: sort, k: last.sort_key, id: last.id });
+    }
+    const items = listingsOut(rows.map(({ sort_key, ...r }) => {
+      // include tags for owner
+      if (me) r.tags = r.tags ? r.tags.split(',') : [];
+      if (near) r.distance_km = r.distance_km === null ? null : Math.round(r.distance_km * 10) / 10;
+      return r;
+    }));
+    return { items, next_cursor, facets, paginated };
+  }
+
+  /* ---------- writes ---------- */
+  function imagesInput(images, image_data){
+    return Array.isArray(images) ? images : (image_data ? [image_data] : []);
+  }
+  // Decodes, sanitizes and stores validated uploads as uploaded by `userId`; /media references
+  // must belong to one of `owners`. Returns { hashes } or an invalid(images.<i>) failure.
+  async function storeListingImages(imgs, userId, owners){
+    const prep = await services.media.prepareImages(imgs, owners);
+    if (prep.error) return prep.error;
+    return { hashes: services.media.storeImages(prep.items, userId) };
+  }
+  function saveImageRows(listingId, hashes){
+    const stmt = db.prepare("INSERT INTO listing_images (listing_id, image_data, image_hash, position) VALUES (?, '', ?, ?)");
+    hashes.forEach((hash, i) => stmt.run(listingId, hash, i));
+  }
+
+  async function create(user, body){
+    const { findCategory, validateAttributes, saveListingAttributes } = services.categories;
+    const { images, image_data, title, description, location, price, tags, category_id, attributes } = body || {};
+    const imgs = imagesInput(images, image_data);
+    const err = services.media.validateImages(imgs, user.id);
+    if (err) return err;
+    if (!description) return invalid('description', 'description is required', 'required');
+    if (!location) return invalid('location', 'location is required', 'required');
+    if (typeof price !== 'number' || Number.isNaN(price)) return invalid('price', 'price must be a number', price === undefined ? 'required' : 'invalid_type');
+    const category = findCategory(category_id);
+    if (category_id && !category) return invalid('category_id', 'Unknown category');
+    const attrs = validateAttributes(category?.id, attributes);
+    if (attrs.error) return attrs;
+    const coords = services.geo.listingCoords(body, location);
+    if (coords.error) return coords;
+
+    const stored = await storeListingImages(imgs, user.id, user.id);
+    if (stored.error) return stored;
+    const { hashes } = stored;
+    const tagStr = normalizeTags(tags);
+    const safeTitle = shortTitle(title) || shortTitle(description);
+
+    const info = db.prepare(`
+      INSERT INTO listings (user_id, image_data, image_hash, title, description, location, price, created_at, tags, category_id, lat, lon)
+      VALUES (?, '', ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(user.id, hashes[0], safeTitle, String(description).slice(0,400), String(location).slice(0,80), Number(price), nowIso(), tagStr, category?.id ?? null, coords.lat, coords.lon);
+
+    const listingId = info.lastInsertRowid;
+    saveImageRows(listingId, hashes);
+    saveListingAttributes(listingId, attrs.values);
+    services.notifications.notifySavedSearches(listingId);
+    return listingOut(db.prepare('SELECT * FROM listings WHERE id = ?').get(listingId));
+  }
+
+  // An active listing `by.user` may change (owner or admin), or { status, error }.
+  function editable(by, id){
+    const existing = activeListing(id);
+    if (!existing) return fail('Not found', 404);
+    if (!by.user.is_admin && existing.user_id !== by.user.id) return fail('Not your listing', 403);
+    return existing;
+  }
+
+  async function update(by, id, body){
+    const { findCategory, categoryAttributes, attributesFor, validateAttributes, saveListingAttributes } = services.categories;
+    const existing = editable(by, id);
+    if (existing.error) return existing;
+
+    const { images, image_data, title, description, location, price, tags, category_id, attributes } = body || {};
+
+    // category + attributes are validated against the (new) category's schema before anything is written
+    let attrs = null;
+    let newCategoryId = existing.category_id;
+    if (category_id !== undefined || attributes !== undefined) {
+      if (category_id !== undefined) {
+        const category = findCategory(category_id);
+        if (category_id !== null && category_id !== '' && !category) return invalid('category_id', 'Unknown category');
+        newCategoryId = category ? category.id : null;
+      }
+      let input = attributes;
+      if (input === undefined) {
+        // only the category changed: carry over values whose definition is unchanged
+        const oldDefs = categoryAttributes(existing.category_id);
+        const newDefs = categoryAttributes(newCategoryId);
+        const same = (k) => { const o = oldDefs.find(a => a.key === k), n = newDefs.find(a => a.key === k); return o && n && o.type === n.type; };
+        input = Object.fromEntries(Object.entries(attributesFor([id]).get(id)).filter(([k]) => same(k)));
+      }
+      attrs = validateAttributes(newCategoryId, input);
+      if (attrs.error) return attrs;
+    }
+
+    // new coordinates when sent explicitly, or re-placed from the gazetteer when the location text changes
+    let coords = null;
+    if (body.lat !== undefined || body.lon !== undefined || (location && String(location).slice(0,80) !== existing.location)) {
+      coords = services.geo.listingCoords(body, location || existing.location);
+      if (coords.error) return coords;
+    }
+
+    if (images || image_data) {
+      const imgs = imagesInput(images, image_data);
+      // an admin editing someone's listing may keep the owner's images
+      const owners = [by.user.id, existing.user_id];
+      const err = services.media.validateImages(imgs, owners);
+      if (err) return err;
+      const stored = await storeListingImages(imgs, by.user.id, owners);
+      if (stored.error) return stored;
+      db.prepare('DELETE FROM listing_images WHERE listing_id = ?').run(id);
+      saveImageRows(id, stored.hashes);
+      db.prepare("UPDATE listings SET image_data = '', image_hash = ? WHERE id = ?").run(stored.hashes[0], id);
+    }
+
+    const newTitle = title !== undefined ? shortTitle(title) : existing.title;
+    const newDesc = description ? String(description).slice(0,400) : existing.description;
+    const newLoc  = location ? String(location).slice(0,80) : existing.location;
+    const newPrice = (typeof price === 'number' && !Number.isNaN(price)) ? Number(price) : existing.price;
+
+    db.prepare('UPDATE listings SET title=?, description=?, location=?, price=? WHERE id=?')
+      .run(newTitle, newDesc, newLoc, newPrice, id);
+    if (newPrice !== existing.price) {
+      db.prepare('INSERT INTO price_history (listing_id, old_price, new_price, changed_at) VALUES (?, ?, ?, ?)')
+        .run(id, existing.price, newPrice, nowIso());
+      if (newPrice < existing.price) services.notifications.notifyFavoriters(existing, 'price_drop', { old_price: existing.price, new_price: newPrice });
+    }
+
+    if (typeof tags !== 'undefined') {
+      const tagStr = normalizeTags(tags);
+      db.prepare('UPDATE listings SET tags=? WHERE id=?').run(tagStr, id);
+    }
+
+    if (coords) db.prepare('UPDATE listings SET lat=?, lon=? WHERE id=?').run(coords.lat, coords.lon, id);
+
+    if (attrs) {
+      db.prepare('UPDATE listings SET category_id=? WHERE id=?').run(newCategoryId, id);
+      saveListingAttributes(id, attrs.values);
+    }
+
+    services.notifications.notifySavedSearches(id);
+    const row = db.prepare('SELECT * FROM listings WHERE id = ?').get(id);
+    if (actsAsAdmin(by.user, existing.user_id)) services.audit.record(by, 'listing.update', 'listing', id, listingSnapshot(existing), listingSnapshot(row));
+    return listingOut(row);
+  }
+
+  function setStatus(by, id, body){
+    const existing = editable(by, id);
+    if (existing.error) return existing;
+
+    const { status, conversation_id } = body || {};
+    if (!LISTING_STATUSES[status]) return invalid('status', 'status must be available, reserved or sold');
+    const from = existing.status || 'available';
+    if (!LISTING_STATUSES[from].includes(status)) return fail(`Cannot change status from ${from} to ${status}`, 409);
+
+    // optional buyer attribution: the seller's counterpart in a conversation about this listing
+    let buyerId = null;
+    if (conversation_id !== undefined && conversation_id !== null) {
+      if (status !== 'sold') return invalid('conversation_id', 'conversation_id is only allowed when marking sold');
+      const convo = db.prepare('SELECT * FROM conversations WHERE id = ?').get(Number(conversation_id));
+      if (!convo || convo.listing_id !== id) return invalid('conversation_id', 'Conversation is not about this listing');
+      if (!services.conversations.isMember(convo, existing.user_id)) return invalid('conversation_id', 'The seller is not part of this conversation');
+      buyerId = convo.a_user_id === existing.user_id ? convo.b_user_id : convo.a_user_id;
+    }
+
+    db.prepare('UPDATE listings SET status = ?, buyer_id = ?, status_changed_at = ? WHERE id = ?')
+      .run(status, buyerId, nowIso(), id);
+    services.notifications.notifyFavoriters(existing, 'status_change', { old_status: from, status });
+    if (status === 'available') services.notifications.notifySavedSearches(id); // relisted
+    const row = db.prepare('SELECT * FROM listings WHERE id = ?').get(id);
+    if (actsAsAdmin(by.user, existing.user_id)) {
+      services.audit.record(by, 'listing.status', 'listing', id, { status: from, buyer_id: existing.buyer_id ?? null }, { status, buyer_id: buyerId });
+    }
+    return listingOut(row);
+  }
+
+  function images(id){
+    const rows = db.prepare('SELECT image_hash FROM listing_images WHERE listing_id = ? ORDER BY position ASC').all(id);
+    return rows.map(r => mediaUrl(r.image_hash));
+  }
+
+  /* ---------- trash ---------- */
+  function activeListing(id){
+    return db.prepare('SELECT * FROM listings WHERE id = ? AND deleted_at IS NULL').get(id);
+  }
+  function purgeAfter(deletedAt){
+    return new Date(Date.parse(deletedAt) + config.listingTrashRetentionMs).toISOString();
+  }
+  function trashListing(id, byUserId){
+    db.prepare('UPDATE listings SET deleted_at = ?, deleted_by = ? WHERE id = ? AND deleted_at IS NULL').run(nowIso(), byUserId, id);
+  }
+  function restoreListing(row){
+    db.prepare('UPDATE listings SET deleted_at = NULL, deleted_by = NULL WHERE id = ?').run(row.id);
+    return listingOut(activeListing(row.id));
+  }
+  function trashedOut(row){
+    return { ...listingOut(row), deleted_at: row.deleted_at, deleted_by: row.deleted_by, purge_after: purgeAfter(row.deleted_at) };
+  }
+  function trashedListing(id){
+    return db.prepare('SELECT * FROM listings WHERE id = ? AND deleted_at IS NOT NULL').get(Number(id));
+  }
+
+  // Hard-deletes trashed listings past the retention window, keeping their titles on conversations.
+  function purgeDeletedListings(now = Date.now()){
+    const cutoff = new Date(now - config.listingTrashRetentionMs).toISOString();
+    const ids = db.prepare('SELECT id FROM listings WHERE deleted_at IS NOT NULL AND deleted_at < ?').all(cutoff).map(r => r.id);
+    if (!ids.length) return 0;
+    const json = JSON.stringify(ids);
+    db.transaction(() => {
+      db.prepare(`
+        UPDATE conversations SET listing_title = (SELECT title FROM listings WHERE id = conversations.listing_id)
+        WHERE listing_id IN (SELECT value FROM json_each(?))
+      `).run(json);
+      for (const table of ['listing_images', 'listing_attributes', 'notifications', 'favorites', 'price_history']) {
+        db.prepare(`DELETE FROM ${table} WHERE listing_id IN (SELECT value FROM json_each(?))`).run(json);
+      }
+      db.prepare('DELETE FROM listings WHERE id IN (SELECT value FROM json_each(?))').run(json);
+    })();
+    return ids.length;
+  }
+
+  // Moves a listing to the trash (restorable until purged).
+  function trash(by, id){
+    const existing = editable(by, id);
+    if (existing.error) return existing;
+    if (actsAsAdmin(by.user, existing.user_id)) services.audit.record(by, 'listing.delete', 'listing', id, listingSnapshot(existing));
+    trashListing(id, by.user.id);
+    return { ok: true, purge_after: purgeAfter(nowIso()) };
+  }
+
+  // Owner's trash: their deleted listings, newest deletion first.
+  function trashFor(userId){
+    purgeDeletedListings();
+    const rows = db.prepare(`
+      SELECT l.*, u.username AS owner_username FROM listings l JOIN users u ON u.id = l.user_id
+      WHERE l.user_id = ? AND l.deleted_at IS NOT NULL
+      ORDER BY l.deleted_at DESC, l.id DESC
+    `).all(userId);
+    return rows.map(trashedOut);
+  }
+
+  // Owners can restore what they deleted themselves; listings an admin removed need an admin.
+  function restoreOwn(user, id){
+    const row = trashedListing(id);
+    if (!row || row.user_id !== user.id) return fail('Not found', 404);
+    if (row.deleted_by !== row.user_id) return fail('Removed by a moderator', 403);
+    return restoreListing(row);
+  }
+
+  /* ---------- admin ---------- */
+  function adminDelete(by, id){
+    const existing = activeListing(id);
+    if (existing) {
+      services.audit.record(by, 'listing.delete', 'listing', id, listingSnapshot(existing));
+      trashListing(id, by.user.id);
+    }
+    return { ok: true, deleted: existing ? 1 : 0 };
+  }
+
+  // Everything goes to the trash in one batch, so restoreBatch can undo it.
+  function adminDeleteAll(by){
+    const ids = db.prepare('SELECT id FROM listings WHERE deleted_at IS NULL ORDER BY id').all().map(r => r.id);
+    const at = nowIso();
+    services.audit.record(by, 'listing.delete_all', 'listing', null, { count: ids.length, listing_ids: ids }, { deleted_at: at });
+    db.prepare('UPDATE listings SET deleted_at = ?, deleted_by = ? WHERE deleted_at IS NULL').run(at, by.user.id);
+    return { ok: true, deleted: ids.length, deleted_at: at };
+  }
+
+  // All trashed listings; userId narrows to one owner.
+  function adminTrash(userId = null){
+    purgeDeletedListings();
+    const rows = db.prepare(`
+      SELECT l.*, u.username AS owner_username, d.username AS deleted_by_username
+      FROM listings l JOIN users u ON u.id = l.user_id LEFT JOIN users d ON d.id = l.deleted_by
+      WHERE l.deleted_at IS NOT NULL ${userId !== null ? 'AND l.user_id = @userId' : ''}
+      ORDER BY l.deleted_at DESC, l.id DESC LIMIT 500
+    `).all({ userId });
+    return rows.map(r => ({ ...trashedOut(r), deleted_by_username: r.deleted_by_username }));
+  }
+
+  function adminRestore(by, id){
+    const row = trashedListing(id);
+    if (!row) return fail('Not found', 404);
+    const out = restoreListing(row);
+    services.audit.record(by, 'listing.restore', 'listing', row.id, { deleted_at: row.deleted_at, deleted_by: row.deleted_by }, { deleted_at: null });
+    return out;
+  }
+
+  // Undoes one batch delete (everything trashed at the same moment as the given deleted_at).
+  function restoreBatch(by, at){
+    if (typeof at !== 'string' || !at) return invalid('deleted_at', 'deleted_at is required', 'required');
+    const ids = db.prepare('SELECT id FROM listings WHERE deleted_at = ? ORDER BY id').all(at).map(r => r.id);
+    db.prepare('UPDATE listings SET deleted_at = NULL, deleted_by = NULL WHERE deleted_at = ?').run(at);
+    services.audit.record(by, 'listing.restore_all', 'listing', null, { deleted_at: at }, { count: ids.length, listing_ids: ids });
+    return { ok: true, restored: ids.length };
+  }
+
+  /* ---------- favorites (watchlist) + price history ---------- */
+  function favorite(user, id){
+    const listing = activeListing(id);
+    if (!listing) return fail('Not found', 404);
+    if (listing.user_id === user.id) return fail('Cannot favorite your own listing');
+    db.prepare('INSERT OR IGNORE INTO favorites (user_id, listing_id, created_at) VALUES (?, ?, ?)').run(user.id, id, nowIso());
+    return { ok: true, favorited: true };
+  }
+  function unfavorite(user, id){
+    db.prepare('DELETE FROM favorites WHERE user_id = ? AND listing_id = ?').run(user.id, id);
+    return { ok: true, favorited: false };
+  }
+  // Every status, so buyers can see what sold; price_drop = lowered since it was favorited.
+  function favorites(userId){
+    const rows = db.prepare(`
+      SELECT l.*, u.username AS owner_username, f.created_at AS favorited_at,
+             (SELECT old_price FROM price_history ph WHERE ph.listing_id = l.id AND ph.changed_at >= f.created_at ORDER BY ph.id ASC LIMIT 1) AS price_at_favorite
+      FROM favorites f
+      JOIN listings l ON l.id = f.listing_id AND l.deleted_at IS NULL
+      JOIN users u ON u.id = l.user_id
+      WHERE f.user_id = ?
+      ORDER BY f.created_at DESC, l.id DESC
+    `).all(userId);
+    return listingsOut(rows).map(({ tags, ...r }) => ({
+      ...r,
+      price_drop: r.price_at_favorite !== null && r.price < r.price_at_favorite ? r.price_at_favorite - r.price : 0
+    }));
+  }
+  // null for a missing (or trashed) listing.
+  function priceHistory(id){
+    if (!activeListing(id)) return null;
+    return db.prepare('SELECT old_price, new_price, changed_at FROM price_history WHERE listing_id = ? ORDER BY id ASC').all(id);
+  }
+
+  return {
+    listingOut, listingsOut, activeListing, editable,
+    search, create, update, setStatus, images,
+    trash, trashFor, restoreOwn, purgeDeletedListings,
+    adminDelete, adminDeleteAll, adminTrash, adminRestore, restoreBatch,
+    favorite, unfavorite, favorites, priceHistory,
+  };
+}
+
+module.exports = { createListingsService };
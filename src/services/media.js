@@ -0,0 +1,168 @@
+/* src/services/media.js — content-addressed media store (blobs + thumbnails)
+   Uploaded data URLs are decoded once and written to <mediaDir>/<aa>/<sha256>; rows keep only
+   the hash. Thumbnails live next to the original as <sha256>.thumb.jpg.
+   Access: blobs on listings and avatars are public; message attachments are served only to the
+   conversation's members. A write may reuse a /media/<hash> reference only if the caller
+   uploaded that blob (media_uploads) or it is already on one of their listings.
+*/
+
+const fs = require('fs');
+let sharp; try { sharp = require('sharp'); } catch {}
+const { sanitizeImage } = require('../lib/images');
+const { parseDataUrl, defaultMediaDir, createMediaStore } = require('../lib/media');
+const { invalid } = require('../lib/errors');
+
+const THUMB_W = 480, THUMB_H = 360;
+const MEDIA_HASH_RE = /^[a-f0-9]{64}$/;
+const MEDIA_REF_RE = /^\/media\/([a-f0-9]{64})(?:\/thumb)?$/;
+
+function mediaUrl(hash){ return hash ? `/media/${hash}` : null; }
+function thumbUrl(hash){ return hash ? `/media/${hash}/thumb` : null; }
+
+// Request-level checks before any decoding; each returns an invalid(...) failure or null.
+function validateImageItem(img, i){
+  if (typeof img !== 'string' || !img.startsWith('data:image')) return invalid(`images.${i}`, 'Each image must be a data URL', 'invalid_format');
+  if (img.length > 3 * 1024 * 1024 * 1.6) return invalid(`images.${i}`, 'Each image must be <= ~3MB', 'out_of_range');
+  return null;
+}
+function validateImages(images, isStored) {
+  if (!Array.isArray(images) || images.length === 0) return invalid('images', 'At least one image is required', 'required');
+  if (images.length > 10) return invalid('images', 'Too many images (max 10)', 'out_of_range');
+  for (let i = 0; i < images.length; i++) {
+    if (isStored(images[i])) continue; // already in the media store
+    const err = validateImageItem(images[i], i);
+    if (err) return err;
+  }
+  return null;
+}
+function validateMsgImages(images) {
+  if (!images) return null;
+  if (!Array.isArray(images)) return invalid('images', 'images must be an array', 'invalid_type');
+  if (images.length > 5) return invalid('images', 'Too many images (max 5)', 'out_of_range');
+  for (let i = 0; i < images.length; i++) {
+    const err = validateImageItem(images[i], i);
+    if (err) return err;
+  }
+  return null;
+}
+
+function createMediaService({ db, config }){
+  const mediaDir = defaultMediaDir(config, db);
+  try { fs.mkdirSync(mediaDir, { recursive: true }); }
+  catch (e) { console.warn('Could not create media dir', mediaDir, e.message); }
+  const { mediaPath, putMediaSync } = createMediaStore(db, mediaDir);
+
+  async function ensureThumb(hash){
+    const file = mediaPath(hash, true);
+    if (fs.existsSync(file)) return file;
+    if (!sharp) return null;
+    try {
+      const tmp = `${file}.${process.pid}.tmp`;
+      await sharp(mediaPath(hash)).rotate().resize(THUMB_W, THUMB_H, { fit: 'cover' }).jpeg({ quality: 78 }).toFile(tmp);
+      fs.renameSync(tmp, file);
+      return file;
+    } catch (e) {
+      console.warn('thumbnail failed for', hash, e.message);
+      return null;
+    }
+  }
+
+  // Whether any of `userIds` uploaded the blob or has it on one of their listings.
+  function ownsMedia(hash, userIds){
+    return !!db.prepare(`
+      SELECT 1 FROM media_uploads WHERE hash = @hash AND user_id IN (SELECT value FROM json_each(@users))
+      UNION ALL
+      SELECT 1 FROM listings WHERE image_hash = @hash AND user_id IN (SELECT value FROM json_each(@users))
+      UNION ALL
+      SELECT 1 FROM listing_images li JOIN listings l ON l.id = li.listing_id
+      WHERE li.image_hash = @hash AND l.user_id IN (SELECT value FROM json_each(@users))
+      LIMIT 1
+    `).get({ hash, users: JSON.stringify([].concat(userIds)) });
+  }
+  // The hash behind a /media/<hash> reference that `owners` (a user id or several) may reuse, else null.
+  function resolveImageRef(img, owners){
+    const ref = MEDIA_REF_RE.exec(String(img || ''));
+    if (!ref || owners == null) return null;
+    return ownsMedia(ref[1], owners) ? ref[1] : null;
+  }
+  // Decode + sanitize every upload before anything is written; `owners` may reuse their stored
+  // blobs by reference. Returns { items } or { error: invalid(images.<i>) } for the first bad
+  // image, coded with one of IMAGE_ERROR_CODES.
+  async function prepareImages(images, owners){
+    const items = [];
+    for (let i = 0; i < images.length; i++) {
+      const hash = resolveImageRef(images[i], owners);
+      if (hash) { items.push({ hash }); continue; }
+      const parsed = parseDataUrl(images[i]);
+      if (!parsed) return { error: invalid(`images.${i}`, 'Each image must be a base64 data URL', 'image_invalid_data_url') };
+      const clean = sanitizeImage(parsed.buf, parsed.mime, config.maxImagePixels);
+      if (clean.code) return { error: invalid(`images.${i}`, clean.error, clean.code) };
+      // a full decode (via the thumbnail) doubles as the corruption check
+      let thumb = null;
+      if (sharp) {
+        try {
+          thumb = await sharp(clean.buf, { failOn: 'error', limitInputPixels: config.maxImagePixels })
+            .rotate().resize(THUMB_W, THUMB_H, { fit: 'cover' }).jpeg({ quality: 78 }).toBuffer();
+        } catch {
+          return { error: invalid(`images.${i}`, 'Image could not be decoded', 'image_corrupt') };
+        }
+      }
+      items.push({ buf: clean.buf, mime: clean.mime, thumb });
+    }
+    return { items };
+  }
+  function storeImages(prepared, userId){
+    return prepared.map(p => p.hash || putMediaSync(p.buf, p.mime, p.thumb, userId));
+  }
+  function mediaToDataUrl(img, owners){
+    const hash = resolveImageRef(img, owners);
+    if (!hash) return img;
+    const meta = db.prepare('SELECT mime FROM media WHERE hash = ?').get(hash);
+    return `data:${meta.mime};base64,${fs.readFileSync(mediaPath(hash)).toString('base64')}`;
+  }
+
+  // 'public' for blobs on a live (not trashed) listing or an avatar; 'private' for message
+  // attachments in one of the viewer's conversations, blobs the viewer uploaded and a trashed
+  // listing's photos shown to its owner or an admin; null when the viewer may not see it.
+  function mediaAccess(hash, viewer){
+    const published = db.prepare(`
+      SELECT 1 FROM listings WHERE image_hash = @hash AND deleted_at IS NULL
+      UNION ALL SELECT 1 FROM listing_images li JOIN listings l ON l.id = li.listing_id
+      WHERE li.image_hash = @hash AND l.deleted_at IS NULL
+      UNION ALL SELECT 1 FROM users WHERE avatar_hash = @hash
+      LIMIT 1`).get({ hash });
+    if (published) return 'public';
+    if (!viewer) return null;
+    const mine = db.prepare(`
+      SELECT 1 FROM message_images mi
+      JOIN messages m ON m.id = mi.message_id
+      JOIN conversations c ON c.id = m.conversation_id
+      WHERE mi.image_hash = @hash AND @uid IN (c.a_user_id, c.b_user_id)
+      UNION ALL SELECT 1 FROM media_uploads WHERE hash = @hash AND user_id = @uid
+      UNION ALL SELECT 1 FROM listings l LEFT JOIN listing_images li ON li.listing_id = l.id
+      WHERE (l.image_hash = @hash OR li.image_hash = @hash) AND (l.user_id = @uid OR @admin)
+      LIMIT 1`).get({ hash, uid: viewer.id, admin: viewer.is_admin ? 1 : 0 });
+    return mine ? 'private' : null;
+  }
+
+  // The file to serve for /media/:hash(/thumb) to `viewer` (or null when signed out):
+  // { file, mime, thumb, access } or null.
+  async function mediaFile(hash, thumb, viewer){
+    if (!MEDIA_HASH_RE.test(hash)) return null;
+    const meta = db.prepare('SELECT mime FROM media WHERE hash = ?').get(hash);
+    if (!meta) return null;
+    const access = mediaAccess(hash, viewer);
+    if (!access) return null;
+    const thumbFile = thumb ? await ensureThumb(hash) : null;
+    return thumbFile
+      ? { file: thumbFile, mime: 'image/jpeg', thumb: true, access }
+      : { file: mediaPath(hash), mime: meta.mime, thumb: false, access };
+  }
+
+  return {
+    mediaDir, mediaUrl, thumbUrl, mediaFile, resolveImageRef, prepareImages, storeImages, mediaToDataUrl,
+    validateImages: (images, owners) => validateImages(images, img => !!resolveImageRef(img, owners)), validateMsgImages,
+  };
+}
+
+module.exports = { createMediaService, mediaUrl, thumbUrl };
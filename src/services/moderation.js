@@ -0,0 +1,109 @@
+/* src/services/moderation.js — blocking + abuse reports (admin moderation queue) */
+
+const { nowIso } = require('../lib/text');
+const { invalid } = require('../lib/errors');
+
+const REPORT_REASONS = ['spam', 'scam', 'abusive', 'prohibited_item', 'other'];
+const REPORT_NOTE_MAX = 1000;
+
+function createModerationService({ db, services }){
+  function isBlocked(u1, u2){
+    return !!db.prepare('SELECT 1 FROM blocks WHERE (blocker_id = ? AND blocked_id = ?) OR (blocker_id = ? AND blocked_id = ?)').get(u1, u2, u2, u1);
+  }
+
+  // The user `me` may block / unblock: { id, username } or { status, error }.
+  function blockTarget(me, id){
+    const target = db.prepare('SELECT id, username FROM users WHERE id = ?').get(Number(id));
+    if (!target) return { status: 404, error: 'User not found' };
+    if (target.id === me.id) return { status: 400, error: 'Cannot block yourself' };
+    return target;
+  }
+  function block(me, target){
+    db.prepare('INSERT OR IGNORE INTO blocks (blocker_id, blocked_id, created_at) VALUES (?, ?, ?)').run(me.id, target.id, nowIso());
+  }
+  function unblock(me, target){
+    db.prepare('DELETE FROM blocks WHERE blocker_id = ? AND blocked_id = ?').run(me.id, target.id);
+  }
+  function blocks(userId){
+    return db.prepare(`
+      SELECT u.id, u.username, b.created_at
+      FROM blocks b JOIN users u ON u.id = b.blocked_id
+      WHERE b.blocker_id = ? ORDER BY b.created_at DESC
+    `).all(userId);
+  }
+
+  // What a report points at, as the admin queue shows it (null once the content is gone).
+  function reportTarget(type, id){
+    if (type === 'listing') {
+      const l = db.prepare('SELECT l.id, l.title, l.description, l.status, l.user_id, l.deleted_at, u.username FROM listings l JOIN users u ON u.id = l.user_id WHERE l.id = ?').get(id);
+      return l && { listing_id: l.id, title: l.title, description: l.description, status: l.status, owner_id: l.user_id, owner_username: l.username, deleted_at: l.deleted_at };
+    }
+    if (type === 'message') {
+      const m = db.prepare('SELECT m.id, m.body, m.conversation_id, m.created_at, m.sender_id, u.username FROM messages m JOIN users u ON u.id = m.sender_id WHERE m.id = ?').get(id);
+      return m && { message_id: m.id, body: m.body, conversation_id: m.conversation_id, sent_at: m.created_at, sender_id: m.sender_id, sender_username: m.username };
+    }
+    const u = db.prepare('SELECT id, username, created_at FROM users WHERE id = ?').get(id);
+    return u && { user_id: u.id, username: u.username, joined_at: u.created_at };
+  }
+
+  // Returns { id, status } or { status, error }.
+  function report(me, body){
+    const { target_type, reason } = body || {};
+    const targetId = Number(body?.target_id);
+    if (!['listing', 'message', 'user'].includes(target_type)) return invalid('target_type', 'target_type must be listing, message or user');
+    if (!REPORT_REASONS.includes(reason)) return invalid('reason', `reason must be one of: ${REPORT_REASONS.join(', ')}`);
+    const note = body?.note === undefined ? '' : body.note;
+    if (typeof note !== 'string' || note.length > REPORT_NOTE_MAX) return invalid('note', `note must be text up to ${REPORT_NOTE_MAX} characters`, typeof note === 'string' ? 'out_of_range' : 'invalid_type');
+
+    const target = Number.isInteger(targetId) ? reportTarget(target_type, targetId) : null;
+    if (!target || target.deleted_at) return { status: 404, error: 'Reported content not found' };
+    const ownerId = target.owner_id ?? target.sender_id ?? target.user_id;
+    if (ownerId === me.id) return { status: 400, error: 'Cannot report yourself' };
+    if (target_type === 'message') {
+      // only messages you could see
+      const convo = db.prepare('SELECT * FROM conversations WHERE id = ?').get(target.conversation_id);
+      if (!services.conversations.isMember(convo, me.id)) return { status: 404, error: 'Reported content not found' };
+    }
+    if (db.prepare("SELECT 1 FROM reports WHERE reporter_id = ? AND target_type = ? AND target_id = ? AND status = 'open'").get(me.id, target_type, targetId)) {
+      return { status: 409, error: 'You already reported this' };
+    }
+
+    const info = db.prepare('INSERT INTO reports (reporter_id, target_type, target_id, reason, note, created_at) VALUES (?, ?, ?, ?, ?, ?)')
+      .run(me.id, target_type, targetId, reason, note.trim(), nowIso());
+    return { id: info.lastInsertRowid, status: 'open' };
+  }
+
+  // Admin queue: open reports by default (status resolved | dismissed | all), oldest first.
+  function queue(status = 'open'){
+    if (!['open', 'resolved', 'dismissed', 'all'].includes(status)) return invalid('status', 'Invalid status');
+    const rows = db.prepare(`
+      SELECT r.*, u.username AS reporter_username,
+        (SELECT COUNT(*) FROM reports r2 WHERE r2.target_type = r.target_type AND r2.target_id = r.target_id AND r2.status = 'open') AS open_reports_on_target
+      FROM reports r JOIN users u ON u.id = r.reporter_id
+      ${status === 'all' ? '' : 'WHERE r.status = @status'}
+      ORDER BY r.id ${status === 'open' ? 'ASC' : 'DESC'} LIMIT 200
+    `).all({ status });
+    return rows.map(r => ({ ...r, target: reportTarget(r.target_type, r.target_id) }));
+  }
+
+  // Resolving or dismissing ('resolve' | 'dismiss') closes every open report on the same target.
+  function close(by, id, action, noteRaw){
+    const status = action === 'resolve' ? 'resolved' : 'dismissed';
+    const report = db.prepare('SELECT * FROM reports WHERE id = ?').get(Number(id));
+    if (!report) return { status: 404, error: 'Not found' };
+    if (report.status !== 'open') return { status: 409, error: `Report is already ${report.status}` };
+    const note = typeof noteRaw === 'string' ? noteRaw.slice(0, REPORT_NOTE_MAX) : null;
+    const info = db.prepare(`
+      UPDATE reports SET status = ?, resolved_at = ?, resolved_by = ?, resolution_note = ?
+      WHERE target_type = ? AND target_id = ? AND status = 'open'
+    `).run(status, nowIso(), by.user.id, note, report.target_type, report.target_id);
+    services.audit.record(by, `report.${action}`, 'report', report.id,
+      { status: 'open', target_type: report.target_type, target_id: report.target_id },
+      { status, resolution_note: note, closed: info.changes });
+    return { ok: true, status, closed: info.changes };
+  }
+
+  return { isBlocked, blockTarget, block, unblock, blocks, report, queue, close };
+}
+
+module.exports = { createModerationService, REPORT_REASONS, REPORT_NOTE_MAX };
@@ -0,0 +1,159 @@
+/* src/services/notifications.js — saved searches, new-match / favorite notifications
+   Listings are checked against other users' saved searches when created, edited or relisted.
+*/
+
+const { nowIso } = require('../lib/text');
+const { parseSearchQuery } = require('../lib/search');
+const { cityOf, pickMatchingCities } = require('../lib/location');
+const { LISTING_SORTS } = require('../lib/listings');
+const { invalid } = require('../lib/errors');
+const { thumbUrl } = require('./media');
+
+const SAVED_SEARCHES_MAX = 20;
+
+const SAVED_SEARCH_SELECT = `
+  SELECT s.*, (SELECT COUNT(*) FROM notifications n WHERE n.saved_search_id = s.id AND n.read_at IS NULL) AS new_count
+  FROM saved_searches s`;
+
+function createNotificationsService({ db, services }){
+  function listingMatchesSearch(listing, s){
+    const { findCategory, categoryDescendantIds } = services.categories;
+    if (listing.status !== 'available') return false;
+    if (s.min_price !== null && listing.price < s.min_price) return false;
+    if (s.max_price !== null && listing.price > s.max_price) return false;
+    if (s.loc && !pickMatchingCities([cityOf(listing.location)].filter(Boolean), s.loc).size) return false;
+    if (s.category) {
+      const cat = findCategory(s.category);
+      if (!cat || !categoryDescendantIds(cat.id).includes(listing.category_id)) return false;
+    }
+    const { match, exclude } = parseSearchQuery(s.q);
+    const hit = (expr) => !!db.prepare('SELECT 1 FROM listings_fts WHERE rowid = ? AND listings_fts MATCH ?').get(listing.id, expr);
+    if (match && !hit(match)) return false;
+    if (exclude && hit(exclude)) return false;
+    return true;
+  }
+  function notifySavedSearches(listingId){
+    const listing = db.prepare('SELECT * FROM listings WHERE id = ?').get(listingId);
+    if (!listing) return 0;
+    const ins = db.prepare('INSERT OR IGNORE INTO notifications (user_id, saved_search_id, listing_id, created_at) VALUES (?, ?, ?, ?)');
+    let created = 0;
+    for (const s of db.prepare('SELECT * FROM saved_searches WHERE user_id != ?').all(listing.user_id)) {
+      // nothing crosses a block, in either direction
+      if (services.moderation.isBlocked(s.user_id, listing.user_id)) continue;
+      if (listingMatchesSearch(listing, s)) created += ins.run(s.user_id, s.id, listing.id, nowIso()).changes;
+    }
+    return created;
+  }
+  function notifyFavoriters(listing, kind, data){
+    const ins = db.prepare('INSERT INTO notifications (user_id, kind, listing_id, data, created_at) VALUES (?, ?, ?, ?, ?)');
+    const users = db.prepare('SELECT user_id FROM favorites WHERE listing_id = ? AND user_id != ?').all(listing.id, listing.user_id);
+    for (const { user_id } of users) ins.run(user_id, kind, listing.id, JSON.stringify(data), nowIso());
+    return users.length;
+  }
+
+  // Returns { values } or an invalid(...) failure; `current` holds the stored row when updating.
+  function savedSearchInput(body, current){
+    const { findCategory, categoryPath } = services.categories;
+    const b = body || {};
+    const pick = (k) => b[k] !== undefined ? b[k] : current?.[k];
+    const values = {
+      q: String(pick('q') || '').trim().slice(0, 200),
+      loc: String(pick('loc') || '').trim().slice(0, 80),
+      category: null,
+      min_price: null,
+      max_price: null,
+      sort: String(pick('sort') || 'new'),
+    };
+    const cat = pick('category');
+    if (cat) {
+      const found = findCategory(cat);
+      if (!found) return invalid('category', 'Unknown category');
+      values.category = found.slug;
+    }
+    for (const k of ['min_price', 'max_price']) {
+      const v = pick(k);
+      if (v === undefined || v === null || v === '') continue;
+      if (typeof v !== 'number' || !Number.isFinite(v) || v < 0) return invalid(k, `${k} must be a non-negative number`, typeof v === 'number' ? 'out_of_range' : 'invalid_type');
+      values[k] = v;
+    }
+    if (values.min_price !== null && values.max_price !== null && values.min_price > values.max_price) {
+      return invalid('min_price', 'min_price must not exceed max_price', 'out_of_range');
+    }
+    if (!LISTING_SORTS[values.sort] || values.sort === 'distance') return invalid('sort', 'Invalid sort');
+    if (!values.q && !values.loc && !values.category && values.min_price === null && values.max_price === null) {
+      return invalid('q', 'Saved search needs a query, location, category or price range', 'required');
+    }
+    const name = String(pick('name') || '').trim().slice(0, 60);
+    values.name = name || [values.q, values.loc].filter(Boolean).join(' · ') || (values.category ? categoryPath(findCategory(values.category).id) : 'Price range');
+    return { values };
+  }
+
+  /* ---------- saved searches ---------- */
+  // The user's own saved search (with new_count), or null.
+  function savedSearch(userId, id){
+    const row = db.prepare(`${SAVED_SEARCH_SELECT} WHERE s.id = ?`).get(Number(id));
+    return row && row.user_id === userId ? row : null;
+  }
+  function savedSearches(userId){
+    return db.prepare(`${SAVED_SEARCH_SELECT} WHERE s.user_id = ? ORDER BY s.id DESC`).all(userId);
+  }
+  function createSavedSearch(userId, body){
+    const input = savedSearchInput(body);
+    if (input.error) return input;
+    const { n } = db.prepare('SELECT COUNT(*) AS n FROM saved_searches WHERE user_id = ?').get(userId);
+    if (n >= SAVED_SEARCHES_MAX) return { status: 400, error: `Too many saved searches (max ${SAVED_SEARCHES_MAX})` };
+    const v = input.values;
+    const info = db.prepare(`
+      INSERT INTO saved_searches (user_id, name, q, loc, category, min_price, max_price, sort, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(userId, v.name, v.q, v.loc, v.category, v.min_price, v.max_price, v.sort, nowIso());
+    return db.prepare(`${SAVED_SEARCH_SELECT} WHERE s.id = ?`).get(info.lastInsertRowid);
+  }
+  function updateSavedSearch(existing, body){
+    const input = savedSearchInput(body, existing);
+    if (input.error) return input;
+    const v = input.values;
+    db.prepare('UPDATE saved_searches SET name=?, q=?, loc=?, category=?, min_price=?, max_price=?, sort=? WHERE id=?')
+      .run(v.name, v.q, v.loc, v.category, v.min_price, v.max_price, v.sort, existing.id);
+    return db.prepare(`${SAVED_SEARCH_SELECT} WHERE s.id = ?`).get(existing.id);
+  }
+  function deleteSavedSearch(existing){
+    db.prepare('DELETE FROM notifications WHERE saved_search_id = ?').run(existing.id);
+    db.prepare('DELETE FROM saved_searches WHERE id = ?').run(existing.id);
+  }
+  // Marks the search's notifications as read (the client opens the search).
+  function markSavedSearchSeen(existing){
+    db.prepare('UPDATE notifications SET read_at = ? WHERE saved_search_id = ? AND read_at IS NULL').run(nowIso(), existing.id);
+    return { ...existing, new_count: 0 };
+  }
+
+  /* ---------- notifications ---------- */
+  function list(userId, { unread = false } = {}){
+    services.pickups.sendPickupReminders();
+    const rows = db.prepare(`
+      SELECT n.id, n.kind, n.saved_search_id, s.name AS saved_search_name, n.listing_id, n.data, n.created_at, n.read_at,
+             l.title AS listing_title, l.price AS listing_price, l.image_hash
+      FROM notifications n
+      LEFT JOIN saved_searches s ON s.id = n.saved_search_id
+      JOIN listings l ON l.id = n.listing_id AND l.deleted_at IS NULL
+      WHERE n.user_id = ? ${unread ? 'AND n.read_at IS NULL' : ''}
+      ORDER BY n.id DESC LIMIT 50
+    `).all(userId);
+    return rows.map(({ image_hash, data, ...r }) => ({ ...r, data: data ? JSON.parse(data) : null, listing_thumb_url: thumbUrl(image_hash) }));
+  }
+  // Marks the given notification ids (or all of them, ids = null) as read; returns the count.
+  function markRead(userId, ids){
+    const info = ids
+      ? db.prepare('UPDATE notifications SET read_at = ? WHERE user_id = ? AND read_at IS NULL AND id IN (SELECT value FROM json_each(?))').run(nowIso(), userId, JSON.stringify(ids))
+      : db.prepare('UPDATE notifications SET read_at = ? WHERE user_id = ? AND read_at IS NULL').run(nowIso(), userId);
+    return info.changes;
+  }
+
+  return {
+    notifySavedSearches, notifyFavoriters,
+    savedSearch, savedSearches, createSavedSearch, updateSavedSearch, deleteSavedSearch, markSavedSearchSeen,
+    list, markRead,
+  };
+}
+
+module.exports = { createNotificationsService };
@@ -0,0 +1,122 @@
+/* src/services/offers.js — structured price negotiation inside listing conversations
+   open -> accepted | declined | withdrawn | countered (a counter opens a new offer the other way)
+*/
+
+const { nowIso } = require('../lib/text');
+const { LISTING_STATUSES } = require('../lib/listings');
+const { invalid } = require('../lib/errors');
+
+const OFFER_AMOUNT_MAX = 10000000;
+
+function offerAmount(v){
+  if (typeof v !== 'number' || !Number.isFinite(v) || v <= 0 || v > OFFER_AMOUNT_MAX) return null;
+  return Math.round(v * 100) / 100;
+}
+function money(n){ return `$${Number(n).toFixed(2).replace(/\.00$/, '')}`; }
+
+const OFFER_ACTIONS = {
+  accept:   { by: 'to',   status: 'accepted',  text: (o) => `Accepted the offer of ${money(o.amount)}` },
+  decline:  { by: 'to',   status: 'declined',  text: (o) => `Declined the offer of ${money(o.amount)}` },
+  counter:  { by: 'to',   status: 'countered', text: (o, amount) => `Countered with ${money(amount)}` },
+  withdraw: { by: 'from', status: 'withdrawn', text: (o) => `Withdrew the offer of ${money(o.amount)}` },
+};
+
+function createOffersService({ db, services }){
+  function insertOffer(convo, listing, fromId, toId, amount, parentId = null){
+    const info = db.prepare(`
+      INSERT INTO offers (conversation_id, listing_id, from_user_id, to_user_id, amount, parent_offer_id, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(convo.id, listing.id, fromId, toId, amount, parentId, nowIso());
+    return db.prepare('SELECT * FROM offers WHERE id = ?').get(info.lastInsertRowid);
+  }
+
+  function publishOffer(convo, offer){
+    services.events.publishEvent([convo.a_user_id, convo.b_user_id], 'offer.updated', { conversation_id: convo.id, offer });
+  }
+
+  function list(convo){
+    return db.prepare('SELECT * FROM offers WHERE conversation_id = ? ORDER BY id ASC').all(convo.id);
+  }
+
+  // The buyer opens an offer; the seller answers it (or counters) through respond().
+  function create(me, { convo, listing }, body){
+    if (listing.user_id === me.id) return { status: 400, error: 'Sellers respond to offers with a counter' };
+    if (!services.conversations.isMember(convo, listing.user_id)) return { status: 400, error: 'Offers go to the seller; this conversation is not with them' };
+    if (listing.status === 'sold') return { status: 409, error: 'Listing has been sold' };
+    const amount = offerAmount(body?.amount);
+    if (amount === null) return invalid('amount', 'amount must be a positive number', 'out_of_range');
+    if (db.prepare("SELECT 1 FROM offers WHERE conversation_id = ? AND status = 'open'").get(convo.id)) {
+      return { status: 409, error: 'There is already an open offer in this conversation' };
+    }
+
+    const offer = insertOffer(convo, listing, me.id, listing.user_id, amount);
+    const message = services.conversations.createMessage(convo, me.id, `Offered ${money(amount)}`, { kind: 'offer', offerId: offer.id });
+    return { offer, message };
+  }
+
+  // accept | decline | counter | withdraw; returns { offer, message, listing? } or { status, error }.
+  function respond(me, { convo, listing }, offerId, actionName, body = {}){
+    const action = OFFER_ACTIONS[actionName];
+    if (!action) return { status: 404, error: 'Not found' };
+    const offer = db.prepare('SELECT * FROM offers WHERE id = ? AND conversation_id = ?').get(Number(offerId), convo.id);
+    if (!offer) return { status: 404, error: 'Offer not found' };
+    if (offer[`${action.by}_user_id`] !== me.id) {
+      return { status: 403, error: action.by === 'to' ? 'Only the recipient can respond to this offer' : 'Only the sender can withdraw this offer' };
+    }
+    if (offer.status !== 'open') return { status: 409, error: `Offer is already ${offer.status}` };
+
+    let amount = null;
+    if (actionName === 'counter') {
+      amount = offerAmount(body.amount);
+      if (amount === null) return invalid('amount', 'amount must be a positive number', 'out_of_range');
+    }
+    const reserve = actionName === 'accept' && !!body.reserve;
+    if ((actionName === 'accept' || actionName === 'counter') && listing.status === 'sold') {
+      return { status: 409, error: 'Listing has been sold' };
+    }
+    if (reserve) {
+      if (listing.user_id !== me.id) return { status: 400, error: 'Only the seller can reserve the listing' };
+      if (!LISTING_STATUSES[listing.status || 'available'].includes('reserved')) {
+        return { status: 409, error: `Cannot change status from ${listing.status} to reserved` };
+      }
+    }
+
+    let next = null;
+    db.transaction(() => {
+      db.prepare('UPDATE offers SET status = ?, responded_at = ? WHERE id = ?').run(action.status, nowIso(), offer.id);
+      if (amount !== null) next = insertOffer(convo, listing, me.id, offer.from_user_id, amount, offer.id);
+      if (reserve) db.prepare("UPDATE listings SET status = 'reserved', status_changed_at = ? WHERE id = ?").run(nowIso(), listing.id);
+    })();
+
+    const updated = db.prepare('SELECT * FROM offers WHERE id = ?').get(offer.id);
+    publishOffer(convo, updated);
+    const { createMessage } = services.conversations;
+    const message = next
+      ? createMessage(convo, me.id, action.text(offer, amount), { kind: 'offer', offerId: next.id })
+      : createMessage(convo, me.id, action.text(offer), { kind: 'offer_status', offerId: offer.id });
+
+    const out = { offer: next || updated, message };
+    if (reserve) {
+      services.notifications.notifyFavoriters(listing, 'status_change', { old_status: listing.status, status: 'reserved' });
+      out.listing = services.listings.listingOut(db.prepare('SELECT * FROM listings WHERE id = ?').get(listing.id));
+    }
+    return out;
+  }
+
+  // Seller view: offers across every conversation about one listing (open ones unless `all`).
+  function forListing(listing, { all = false } = {}){
+    return db.prepare(`
+      SELECT o.*, u.username AS buyer_username,
+        CASE WHEN o.from_user_id = @seller THEN 'seller' ELSE 'buyer' END AS from_role
+      FROM offers o
+      JOIN conversations c ON c.id = o.conversation_id
+      JOIN users u ON u.id = CASE WHEN c.a_user_id = @seller THEN c.b_user_id ELSE c.a_user_id END
+      WHERE o.listing_id = @id ${all ? '' : "AND o.status = 'open'"}
+      ORDER BY (o.status = 'open') DESC, o.amount DESC, o.id DESC
+    `).all({ id: listing.id, seller: listing.user_id });
+  }
+
+  return { actions: Object.keys(OFFER_ACTIONS), list, create, respond, forListing };
+}
+
+module.exports = { createOffersService, OFFER_AMOUNT_MAX };
@@ -0,0 +1,199 @@
+/* src/services/pickups.js — pickup scheduling (proposals -> appointments) + reminders
+   open -> accepted (books an appointment) | declined | withdrawn | superseded (by a newer proposal)
+*/
+
+const crypto = require('crypto');
+const { nowIso } = require('../lib/text');
+const { invalid } = require('../lib/errors');
+
+const PICKUP_SLOTS_MAX = 5;
+const PICKUP_DURATION_DEFAULT = 30;
+const PICKUP_REMINDER_LEAD_MS = 2 * 60 * 60 * 1000;
+
+const PICKUP_ACTIONS = {
+  accept:   { by: 'to',   status: 'accepted' },
+  decline:  { by: 'to',   status: 'declined' },
+  withdraw: { by: 'from', status: 'withdrawn' },
+};
+
+function pickupOut(p){ return { ...p, slots: JSON.parse(p.slots) }; }
+
+function pickupInput(body){
+  const { slots, place } = body || {};
+  if (!Array.isArray(slots) || !slots.length || slots.length > PICKUP_SLOTS_MAX) {
+    return invalid('slots', `slots must be a list of 1-${PICKUP_SLOTS_MAX} start times`, Array.isArray(slots) ? 'out_of_range' : 'invalid_type');
+  }
+  const times = [];
+  for (const [i, s] of slots.entries()) {
+    const t = typeof s === 'string' ? Date.parse(s) : NaN;
+    if (Number.isNaN(t)) return invalid(`slots.${i}`, 'Each slot must be an ISO date-time', 'invalid_format');
+    if (t <= Date.now()) return invalid(`slots.${i}`, 'Slots must be in the future', 'out_of_range');
+    const iso = new Date(t).toISOString();
+    if (!times.includes(iso)) times.push(iso);
+  }
+  times.sort();
+  if (typeof place !== 'string' || !place.trim() || place.length > 200) return invalid('place', 'place is required (max 200 characters)', typeof place === 'string' && place.trim() ? 'out_of_range' : 'required');
+  let duration = PICKUP_DURATION_DEFAULT;
+  if (body.duration_minutes !== undefined) {
+    duration = Number(body.duration_minutes);
+    if (!Number.isInteger(duration) || duration < 5 || duration > 240) return invalid('duration_minutes', 'duration_minutes must be 5-240', 'out_of_range');
+  }
+  return { slots: times, place: place.trim(), duration };
+}
+
+function createPickupsService({ db, services }){
+  function appointmentRows(where, params){
+    return db.prepare(`
+      SELECT a.*, COALESCE(l.title, '') AS listing_title, b.username AS buyer_username, s.username AS seller_username
+      FROM appointments a
+      LEFT JOIN listings l ON l.id = a.listing_id
+      JOIN users b ON b.id = a.buyer_id
+      JOIN users s ON s.id = a.seller_id
+      WHERE ${where}
+      ORDER BY a.starts_at ASC, a.id ASC
+    `).all(params);
+  }
+
+  // Reminder notifications for appointments starting within the lead time (each sent once).
+  function sendPickupReminders(now = Date.now()){
+    const due = db.prepare(`
+      SELECT * FROM appointments
+      WHERE status = 'scheduled' AND reminded_at IS NULL AND starts_at > ? AND starts_at <= ?
+    `).all(new Date(now).toISOString(), new Date(now + PICKUP_REMINDER_LEAD_MS).toISOString());
+    const ins = db.prepare("INSERT INTO notifications (user_id, kind, listing_id, data, created_at) VALUES (?, 'pickup_reminder', ?, ?, ?)");
+    const listingExists = db.prepare('SELECT 1 FROM listings WHERE id = ? AND deleted_at IS NULL');
+    for (const a of due) {
+      db.transaction(() => {
+        if (listingExists.get(a.listing_id)) {
+          const data = JSON.stringify({ appointment_id: a.id, starts_at: a.starts_at, place: a.place });
+          for (const uid of [a.buyer_id, a.seller_id]) ins.run(uid, a.listing_id, data, nowIso());
+        }
+        db.prepare('UPDATE appointments SET reminded_at = ? WHERE id = ?').run(nowIso(), a.id);
+      })();
+    }
+    return due.length;
+  }
+
+  function list(convo){
+    return db.prepare('SELECT * FROM pickup_proposals WHERE conversation_id = ? ORDER BY id ASC').all(convo.id).map(pickupOut);
+  }
+
+  // A pickup is between the seller and a buyer, so the seller has to be in the conversation.
+  const WITHOUT_SELLER = { status: 400, error: 'Pickups are arranged with the seller; this conversation is not with them' };
+
+  // Either side proposes; a new proposal replaces any open one in the conversation.
+  function propose(me, { convo, listing }, body){
+    if (!services.conversations.isMember(convo, listing.user_id)) return WITHOUT_SELLER;
+    const input = pickupInput(body);
+    if (input.error) return input;
+    const otherId = convo.a_user_id === me.id ? convo.b_user_id : convo.a_user_id;
+
+    let proposal;
+    db.transaction(() => {
+      db.prepare("UPDATE pickup_proposals SET status = 'superseded', responded_at = ? WHERE conversation_id = ? AND status = 'open'").run(nowIso(), convo.id);
+      const info = db.prepare(`
+        INSERT INTO pickup_proposals (conversation_id, listing_id, from_user_id, to_user_id, slots, duration_minutes, place, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(convo.id, listing.id, me.id, otherId, JSON.stringify(input.slots), input.duration, input.place, nowIso());
+      proposal = pickupOut(db.prepare('SELECT * FROM pickup_proposals WHERE id = ?').get(info.lastInsertRowid));
+    })();
+
+    const n = input.slots.length;
+    const message = services.conversations.createMessage(convo, me.id, `Proposed pickup at ${input.place} (${n} time${n === 1 ? '' : 's'})`, { kind: 'pickup', pickupId: proposal.id });
+    return { proposal, message };
+  }
+
+  // accept (books `body.slot`) | decline | withdraw; returns { proposal, appointment, message } or { status, error }.
+  function respond(me, { convo, listing }, pickupId, actionName, body = {}){
+    const action = PICKUP_ACTIONS[actionName];
+    if (!action) return { status: 404, error: 'Not found' };
+    const row = db.prepare('SELECT * FROM pickup_proposals WHERE id = ? AND conversation_id = ?').get(Number(pickupId), convo.id);
+    if (!row) return { status: 404, error: 'Proposal not found' };
+    if (row[`${action.by}_user_id`] !== me.id) {
+      return { status: 403, error: action.by === 'to' ? 'Only the recipient can respond to this proposal' : 'Only the sender can withdraw this proposal' };
+    }
+    if (row.status !== 'open') return { status: 409, error: `Proposal is already ${row.status}` };
+    const proposal = pickupOut(row);
+
+    let slot = null;
+    if (actionName === 'accept') {
+      const t = Date.parse(body.slot);
+      slot = Number.isNaN(t) ? null : proposal.slots.find(s => Date.parse(s) === t);
+      if (!slot) return invalid('slot', 'slot must be one of the proposed times');
+      if (Date.parse(slot) <= Date.now()) return invalid('slot', 'That time has already passed', 'out_of_range');
+      if (!services.conversations.isMember(convo, listing.user_id)) return WITHOUT_SELLER;
+    }
+
+    let appointment = null;
+    db.transaction(() => {
+      db.prepare('UPDATE pickup_proposals SET status = ?, responded_at = ? WHERE id = ?').run(action.status, nowIso(), row.id);
+      if (slot) {
+        const sellerId = listing.user_id;
+        const buyerId = convo.a_user_id === sellerId ? convo.b_user_id : convo.a_user_id;
+        const endsAt = new Date(Date.parse(slot) + proposal.duration_minutes * 60000).toISOString();
+        const info = db.prepare(`
+          INSERT INTO appointments (proposal_id, conversation_id, listing_id, buyer_id, seller_id, starts_at, ends_at, place, created_at, updated_at)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(row.id, convo.id, listing.id, buyerId, sellerId, slot, endsAt, proposal.place, nowIso(), nowIso());
+        [appointment] = appointmentRows('a.id = @id', { id: info.lastInsertRowid });
+      }
+    })();
+
+    const updated = pickupOut(db.prepare('SELECT * FROM pickup_proposals WHERE id = ?').get(row.id));
+    services.events.publishEvent([convo.a_user_id, convo.b_user_id], 'pickup.updated', { conversation_id: convo.id, proposal: updated });
+    const text = slot
+      ? `Pickup booked for ${new Date(slot).toUTCString()} at ${proposal.place}`
+      : `${action.status === 'declined' ? 'Declined' : 'Withdrew'} the pickup proposal`;
+    const message = services.conversations.createMessage(convo, me.id, text, { kind: 'pickup_status', pickupId: row.id });
+    return { proposal: updated, appointment, message };
+  }
+
+  /* ---------- appointments ---------- */
+  // The user's appointments: upcoming scheduled ones, or every one with `all`.
+  function appointments(userId, { all = false } = {}){
+    sendPickupReminders();
+    const where = `(a.buyer_id = @me OR a.seller_id = @me) ${all ? '' : "AND a.status = 'scheduled' AND a.ends_at > @now"}`;
+    return appointmentRows(where, { me: userId, now: nowIso() });
+  }
+  // One of the user's appointments, or { status, error }.
+  function appointment(me, id){
+    const [appt] = appointmentRows('a.id = @id', { id: Number(id) });
+    if (!appt) return { status: 404, error: 'Not found' };
+    if (appt.buyer_id !== me.id && appt.seller_id !== me.id) return { status: 403, error: 'Forbidden' };
+    return appt;
+  }
+  function cancel(me, id){
+    const appt = appointment(me, id);
+    if (appt.error) return appt;
+    if (appt.status !== 'scheduled') return { status: 409, error: `Appointment is already ${appt.status}` };
+    db.prepare("UPDATE appointments SET status = 'cancelled', updated_at = ? WHERE id = ?").run(nowIso(), appt.id);
+    const convo = db.prepare('SELECT * FROM conversations WHERE id = ?').get(appt.conversation_id);
+    if (convo) services.conversations.createMessage(convo, me.id, `Cancelled the pickup on ${new Date(appt.starts_at).toUTCString()}`, { kind: 'pickup_status', pickupId: appt.proposal_id });
+    const [out] = appointmentRows('a.id = @id', { id: appt.id });
+    return out;
+  }
+
+  /* ---------- calendar feed ---------- */
+  // The user's feed token, created on first use; rotate() invalidates the old one.
+  function calendarToken(userId, { rotate = false } = {}){
+    let token = rotate ? null : db.prepare('SELECT calendar_token FROM users WHERE id = ?').get(userId).calendar_token;
+    if (!token) {
+      token = crypto.randomBytes(24).toString('hex');
+      db.prepare('UPDATE users SET calendar_token = ? WHERE id = ?').run(token, userId);
+    }
+    return token;
+  }
+  // { user, appointments } for a feed token, or null.
+  function calendarFeed(token){
+    const user = db.prepare('SELECT id, username FROM users WHERE calendar_token = ?').get(token);
+    if (!user) return null;
+    return { user, appointments: appointmentRows('(a.buyer_id = @me OR a.seller_id = @me)', { me: user.id }) };
+  }
+
+  return {
+    actions: Object.keys(PICKUP_ACTIONS), pickupOut, sendPickupReminders, list, propose, respond,
+    appointments, appointment, cancel, calendarToken, calendarFeed,
+  };
+}
+
+module.exports = { createPickupsService, PICKUP_SLOTS_MAX };
@@ -0,0 +1,94 @@
+/* src/services/profiles.js — public profiles (bio, avatar, listings, sold count, rating, response time) */
+
+const { invalid } = require('../lib/errors');
+const { mediaUrl, thumbUrl } = require('./media');
+
+const PROFILE_BIO_MAX = 500;
+const PROFILE_LOCATION_MAX = 80;
+const PROFILE_LISTINGS_MAX = 24;
+const RESPONSE_TIME_SAMPLES = 50;
+
+function createProfilesService({ db, services }){
+  // Typical response time: median delay between the first message someone else sends the user
+  // in a conversation and the user's first reply, over their most recent conversations.
+  function responseTimeMinutes(uid){
+    const delays = db.prepare(`
+      SELECT (julianday(r.created_at) - julianday(f.created_at)) * 1440 AS minutes
+      FROM (
+        SELECT m.conversation_id, MIN(m.id) AS first_id
+        FROM messages m JOIN conversations c ON c.id = m.conversation_id
+        WHERE (c.a_user_id = @uid OR c.b_user_id = @uid) AND m.sender_id <> @uid
+        GROUP BY m.conversation_id
+        ORDER BY first_id DESC LIMIT ${RESPONSE_TIME_SAMPLES}
+      ) x
+      JOIN messages f ON f.id = x.first_id
+      JOIN messages r ON r.id = (SELECT MIN(id) FROM messages WHERE conversation_id = x.conversation_id AND sender_id = @uid AND id > x.first_id)
+    `).all({ uid }).map(r => r.minutes).sort((a, b) => a - b);
+    if (!delays.length) return null;
+    const mid = delays.length >> 1;
+    const median = delays.length % 2 ? delays[mid] : (delays[mid - 1] + delays[mid]) / 2;
+    return Math.max(0, Math.round(median));
+  }
+
+  function profileOut(user){
+    const listings = db.prepare(`
+      SELECT l.*, u.username AS owner_username
+      FROM listings l JOIN users u ON u.id = l.user_id
+      WHERE l.user_id = ? AND l.status IN ('available', 'reserved') AND l.deleted_at IS NULL
+      ORDER BY l.id DESC LIMIT ${PROFILE_LISTINGS_MAX}
+    `).all(user.id);
+    const { rating = null, count = 0 } = services.reviews.userRatingsFor([user.id]).get(user.id) || {};
+    return {
+      id: user.id,
+      username: user.username,
+      joined_at: user.created_at,
+      bio: user.bio || '',
+      location: user.location || '',
+      avatar_url: mediaUrl(user.avatar_hash),
+      avatar_thumb_url: thumbUrl(user.avatar_hash),
+      active_listing_count: db.prepare("SELECT COUNT(*) AS n FROM listings WHERE user_id = ? AND status IN ('available', 'reserved') AND deleted_at IS NULL").get(user.id).n,
+      sold_count: db.prepare("SELECT COUNT(*) AS n FROM listings WHERE user_id = ? AND status = 'sold' AND deleted_at IS NULL").get(user.id).n,
+      rating,
+      review_count: count,
+      response_time_minutes: responseTimeMinutes(user.id),
+      listings: services.listings.listingsOut(listings).map(({ tags, buyer_id, ...r }) => r),
+    };
+  }
+
+  // null for an unknown username.
+  function byUsername(username){
+    const user = db.prepare('SELECT * FROM users WHERE username = ? COLLATE NOCASE').get(String(username));
+    return user ? profileOut(user) : null;
+  }
+
+  // Partial update: only the fields present are changed; avatar: null removes the picture.
+  async function update(userId, body = {}){
+    const sets = {};
+    for (const [key, max] of [['bio', PROFILE_BIO_MAX], ['location', PROFILE_LOCATION_MAX]]) {
+      if (body[key] === undefined) continue;
+      if (body[key] !== null && typeof body[key] !== 'string') return invalid(key, `${key} must be text`, 'invalid_type');
+      const v = String(body[key] ?? '').trim();
+      if (v.length > max) return invalid(key, `${key} must be at most ${max} characters`, 'out_of_range');
+      sets[key] = v || null;
+    }
+    if (body.avatar !== undefined) {
+      if (body.avatar === null) sets.avatar_hash = null;
+      else {
+        const err = services.media.validateMsgImages([body.avatar]);
+        if (err) return { ...err, field: 'avatar' };
+        const prep = await services.media.prepareImages([body.avatar], userId);
+        if (prep.error) return { ...prep.error, field: 'avatar' };
+        [sets.avatar_hash] = services.media.storeImages(prep.items, userId);
+      }
+    }
+    const keys = Object.keys(sets);
+    if (keys.length) {
+      db.prepare(`UPDATE users SET ${keys.map(k => `${k} = @${k}`).join(', ')} WHERE id = @id`).run({ ...sets, id: userId });
+    }
+    return profileOut(db.prepare('SELECT * FROM users WHERE id = ?').get(userId));
+  }
+
+  return { byUsername, update };
+}
+
+module.exports = { createProfilesService, PROFILE_BIO_MAX, PROFILE_LOCATION_MAX };
@@ -0,0 +1,77 @@
+/* src/services/reviews.js — buyer / seller reviews + reputation
+   Opens once the listing is marked sold to the conversation's buyer; each side reviews the other once.
+*/
+
+const { nowIso } = require('../lib/text');
+const { invalid } = require('../lib/errors');
+
+const REVIEW_BODY_MAX = 1000;
+
+function createReviewsService({ db, services }){
+  // Average rating (1 decimal) and review count per user, for a batch of user ids.
+  function userRatingsFor(userIds){
+    const out = new Map();
+    const ids = [...new Set(userIds.filter(Boolean))];
+    if (!ids.length) return out;
+    const rows = db.prepare(`
+      SELECT reviewee_id, ROUND(AVG(rating), 1) AS rating, COUNT(*) AS count
+      FROM reviews WHERE reviewee_id IN (SELECT value FROM json_each(?))
+      GROUP BY reviewee_id
+    `).all(JSON.stringify(ids));
+    for (const r of rows) out.set(r.reviewee_id, { rating: r.rating, count: r.count });
+    return out;
+  }
+
+  function reviewRows(where, params){
+    return db.prepare(`
+      SELECT r.id, r.listing_id, r.rating, r.body, r.reviewee_role, r.created_at,
+             r.reviewer_id, ru.username AS reviewer_username, r.reviewee_id, eu.username AS reviewee_username,
+             COALESCE(l.title, '') AS listing_title
+      FROM reviews r
+      JOIN users ru ON ru.id = r.reviewer_id
+      JOIN users eu ON eu.id = r.reviewee_id
+      LEFT JOIN listings l ON l.id = r.listing_id
+      WHERE ${where}
+      ORDER BY r.id DESC
+    `).all(params);
+  }
+
+  // `user` reviews the other member of a listing conversation. Returns the review or { status, error }.
+  function create(user, { convo, listing }, body){
+    const { isMember } = services.conversations;
+    const otherId = convo.a_user_id === user.id ? convo.b_user_id : convo.a_user_id;
+    const sellerId = listing.user_id;
+    const soldHere = listing.status === 'sold' && listing.buyer_id && isMember(convo, listing.buyer_id) && isMember(convo, sellerId);
+    if (!soldHere) return { status: 403, error: 'Reviews open once the listing is marked sold to this buyer' };
+
+    const rating = Number(body?.rating);
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) return invalid('rating', 'rating must be a whole number from 1 to 5', 'out_of_range');
+    const text = body?.body === undefined ? '' : body.body;
+    if (typeof text !== 'string' || text.length > REVIEW_BODY_MAX) return invalid('body', `body must be text up to ${REVIEW_BODY_MAX} characters`, typeof text === 'string' ? 'out_of_range' : 'invalid_type');
+
+    let id;
+    try {
+      id = db.prepare(`
+        INSERT INTO reviews (listing_id, conversation_id, reviewer_id, reviewee_id, reviewee_role, rating, body, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(listing.id, convo.id, user.id, otherId, otherId === sellerId ? 'seller' : 'buyer', rating, text.trim(), nowIso()).lastInsertRowid;
+    } catch {
+      return { status: 409, error: 'You already reviewed this transaction' };
+    }
+    services.conversations.publishUpdated(convo);
+    return reviewRows('r.id = @id', { id })[0];
+  }
+
+  // A user's rating summary and latest reviews, or null for an unknown username.
+  function forUser(username){
+    const user = db.prepare('SELECT id, username FROM users WHERE username = ? COLLATE NOCASE').get(String(username));
+    if (!user) return null;
+    const { rating = null, count = 0 } = userRatingsFor([user.id]).get(user.id) || {};
+    const reviews = reviewRows('r.reviewee_id = @id', { id: user.id }).slice(0, 100);
+    return { username: user.username, rating, count, reviews };
+  }
+
+  return { userRatingsFor, create, forUser };
+}
+
+module.exports = { createReviewsService, REVIEW_BODY_MAX };
@@ -0,0 +1,132 @@
+/* src/services/users.js — admin user management: search, detail, suspend / unsuspend, promote / demote */
+
+const { nowIso } = require('../lib/text');
+const { encodeCursor, decodeCursor } = require('../lib/cursor');
+const { invalid } = require('../lib/errors');
+const { isSuspended } = require('./auth');
+
+const ADMIN_USERS_PAGE_DEFAULT = 50;
+const ADMIN_USERS_PAGE_MAX = 200;
+const SUSPEND_REASON_MAX = 500;
+
+function adminUserOut(row){
+  return {
+    id: row.id, username: row.username, email: row.email, is_admin: row.is_admin || 0,
+    created_at: row.created_at, last_login_at: row.last_login_at || null,
+    suspended: isSuspended(row),
+    suspended_at: row.suspended_at || null, suspended_until: row.suspended_until || null,
+    suspended_reason: row.suspended_reason || null,
+  };
+}
+function suspensionSnapshot(row){
+  return { suspended: isSuspended(row), until: row.suspended_until || null, reason: row.suspended_reason || null };
+}
+
+function createUsersService({ db, services }){
+  // Newest first; q matches username or email, status suspended | admin narrows, cursor pages.
+  // Returns { items, total, next_cursor } or { status, error }.
+  function search(query){
+    const q = (query.q || '').toString().trim();
+    const status = (query.status || 'all').toString();
+    if (!['all', 'suspended', 'admin'].includes(status)) return invalid('status', 'Invalid status');
+    const limit = query.limit === undefined ? ADMIN_USERS_PAGE_DEFAULT : Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > ADMIN_USERS_PAGE_MAX) {
+      return invalid('limit', `limit must be 1–${ADMIN_USERS_PAGE_MAX}`, 'out_of_range');
+    }
+    let cursor = null;
+    if (query.cursor) {
+      cursor = decodeCursor(query.cursor);
+      if (!cursor || cursor.s !== 'users') return invalid('cursor', 'Invalid cursor');
+    }
+
+    const where = [];
+    const params = { now: nowIso(), limit: limit + 1 };
+    if (q) {
+      where.push("(u.username LIKE @q ESCAPE '\\' OR u.email LIKE @q ESCAPE '\\')");
+      params.q = `%${q.replace(/[\\%_]/g, m => '\\' + m)}%`;
+    }
+    if (status === 'admin') where.push('u.is_admin = 1');
+    if (status === 'suspended') where.push('u.suspended_at IS NOT NULL AND (u.suspended_until IS NULL OR u.suspended_until > @now)');
+    const filter = where.length ? `WHERE ${where.join(' AND ')}` : '';
+    const total = db.prepare(`SELECT COUNT(*) AS n FROM users u ${filter}`).get(params).n;
+    if (cursor) { where.push('u.id < @cursor'); params.cursor = cursor.id; }
+
+    const rows = db.prepare(`
+      SELECT u.* FROM users u ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+      ORDER BY u.id DESC LIMIT @limit
+    `).all(params);
+    const more = rows.length > limit;
+    const items = rows.slice(0, limit).map(adminUserOut);
+    return { items, total, next_cursor: more ? encodeCursor({ s: 'users', id: items[items.length - 1].id }) : null };
+  }
+
+  function detail(id){
+    const row = db.prepare('SELECT * FROM users WHERE id = ?').get(id);
+    if (!row) return null;
+    const counts = db.prepare(`
+      SELECT
+        (SELECT COUNT(*) FROM listings WHERE user_id = @id AND deleted_at IS NULL) AS listing_count,
+        (SELECT COUNT(*) FROM reports r WHERE
+           (r.target_type = 'user' AND r.target_id = @id)
+           OR (r.target_type = 'listing' AND r.target_id IN (SELECT id FROM listings WHERE user_id = @id))
+           OR (r.target_type = 'message' AND r.target_id IN (SELECT id FROM messages WHERE sender_id = @id))) AS report_count,
+        (SELECT COUNT(*) FROM reports WHERE reporter_id = @id) AS reports_filed
+    `).get({ id });
+    return {
+      ...adminUserOut(row), ...counts,
+      suspended_by_username: row.suspended_by ? db.prepare('SELECT username FROM users WHERE id = ?').get(row.suspended_by)?.username || null : null,
+    };
+  }
+
+  // The target of an admin user action; admins can't act on their own account.
+  function target(by, id){
+    const row = db.prepare('SELECT * FROM users WHERE id = ?').get(Number(id));
+    if (!row) return { status: 404, error: 'Not found' };
+    if (row.id === by.user.id) return { status: 400, error: 'You can\'t change your own account' };
+    return row;
+  }
+
+  // Body: { reason, until? } — until is an ISO time in the future; omitted = until lifted.
+  function suspend(by, id, body = {}){
+    const row = target(by, id);
+    if (row.error) return row;
+    const reason = typeof body.reason === 'string' ? body.reason.trim() : '';
+    if (!reason) return invalid('reason', 'reason is required', 'required');
+    if (reason.length > SUSPEND_REASON_MAX) return invalid('reason', `reason must be at most ${SUSPEND_REASON_MAX} chars`, 'out_of_range');
+    let until = null;
+    if (body.until !== undefined && body.until !== null && body.until !== '') {
+      const t = Date.parse(body.until);
+      if (!Number.isFinite(t)) return invalid('until', 'until must be an ISO date/time', 'invalid_format');
+      if (t <= Date.now()) return invalid('until', 'until must be in the future', 'out_of_range');
+      until = new Date(t).toISOString();
+    }
+    db.prepare('UPDATE users SET suspended_at = ?, suspended_until = ?, suspended_reason = ?, suspended_by = ? WHERE id = ?')
+      .run(nowIso(), until, reason, by.user.id, row.id);
+    services.audit.record(by, 'user.suspend', 'user', row.id, suspensionSnapshot(row), { suspended: true, until, reason });
+    // drop live event streams; their next request is rejected by auth
+    services.events.disconnect(row.id);
+    return detail(row.id);
+  }
+
+  function unsuspend(by, id){
+    const row = target(by, id);
+    if (row.error) return row;
+    db.prepare('UPDATE users SET suspended_at = NULL, suspended_until = NULL, suspended_reason = NULL, suspended_by = NULL WHERE id = ?').run(row.id);
+    services.audit.record(by, 'user.unsuspend', 'user', row.id, suspensionSnapshot(row), { suspended: false });
+    return detail(row.id);
+  }
+
+  // 'promote' | 'demote'
+  function setAdmin(by, id, action){
+    const row = target(by, id);
+    if (row.error) return row;
+    const isAdmin = action === 'promote' ? 1 : 0;
+    db.prepare('UPDATE users SET is_admin = ? WHERE id = ?').run(isAdmin, row.id);
+    services.audit.record(by, `user.${action}`, 'user', row.id, { is_admin: row.is_admin || 0 }, { is_admin: isAdmin });
+    return detail(row.id);
+  }
+
+  return { search, detail, suspend, unsuspend, setAdmin };
+}
+
+module.exports = { createUsersService, ADMIN_USERS_PAGE_MAX, SUSPEND_REASON_MAX };
@@ -0,0 +1,232 @@
+/* tests/accounts.test.js (email verification, password reset, outbox / smtp mailers, verified-email gate) */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const net = require('net');
+const http = require('http');
+const request = require('supertest');
+const { outboxMailer, smtpMailer, createMailer } = require('../src/lib/mailers');
+const { IMG, makeApp } = require('./helpers');
+
+function outbox(){
+  return outboxMailer({ dir: fs.mkdtempSync(path.join(os.tmpdir(), 'listit-outbox-test-')), from: 'ListIt <no-reply@test>' });
+}
+// The token from the newest mail to `to` whose link has `#<kind>=`.
+function tokenFrom(mailer, to, kind){
+  const mail = mailer.messages().filter(m => m.to === to).pop();
+  const m = new RegExp(`#${kind}=([\\w-]+)`).exec(mail?.text || '');
+  return m && m[1];
+}
+// forgot-password mails in the background: polls for a link other than `prev`.
+async function nextToken(mailer, to, kind, prev = null){
+  for (let i = 0; i < 200; i++) {
+    const token = tokenFrom(mailer, to, kind);
+    if (token && token !== prev) return token;
+    await new Promise(r => setTimeout(r, 10));
+  }
+  return null;
+}
+
+describe('ListIt API (email verification)', () => {
+  const mailer = outbox();
+  const app = makeApp({ appUrl: 'https://listit.example' }, { mailer });
+  const alice = request.agent(app);
+
+  it('rejects malformed email addresses at registration', async () => {
+    const res = await request(app).post('/api/register').send({ username: 'nobody', email: 'not-an-email', password: 'secret1' });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatchObject({ code: 'invalid_format', field: 'email' });
+  });
+
+  it('mails a verification link on register', async () => {
+    const res = await alice.post('/api/register').send({ username: 'alice', email: 'Alice@Test.com', password: 'secret1' });
+    expect(res.status).toBe(200);
+    expect(res.body.email_verified).toBe(false);
+    const [mail] = mailer.messages();
+    expect(mail).toMatchObject({ to: 'alice@test.com', from: 'ListIt <no-reply@test>', subject: expect.stringMatching(/confirm/i) });
+    expect(mail.text).toContain('https://listit.example/#verify-email=');
+    // only the hash is stored
+    const token = tokenFrom(mailer, 'alice@test.com', 'verify-email');
+    const stored = app.locals.db.prepare('SELECT token_hash FROM email_tokens').get();
+    expect(stored.token_hash).not.toContain(token);
+  });
+
+  it('verifies with the token, once', async () => {
+    const token = tokenFrom(mailer, 'alice@test.com', 'verify-email');
+    expect((await request(app).post('/api/email/verify').send({ token: 'bogus' })).status).toBe(400);
+    const res = await request(app).post('/api/email/verify').send({ token });
+    expect(res.status).toBe(200);
+    expect((await alice.get('/api/me')).body.email_verified).toBe(true);
+    const again = await request(app).post('/api/email/verify').send({ token });
+    expect(again.status).toBe(400);
+    expect(again.body.error).toBe('Invalid or expired link');
+  });
+
+  it('resends to unverified accounts only, and retires the older link', async () => {
+    expect((await alice.post('/api/email/verify/resend')).status).toBe(409);
+    expect((await request(app).post('/api/email/verify/resend')).status).toBe(401);
+
+    const bob = request.agent(app);
+    await bob.post('/api/register').send({ username: 'bob', email: 'bob@test.com', password: 'secret1' });
+    const first = tokenFrom(mailer, 'bob@test.com', 'verify-email');
+    expect((await bob.post('/api/email/verify/resend')).status).toBe(429);
+
+    const now = Date.now();
+    const clock = jest.spyOn(Date, 'now').mockReturnValue(now + 2 * 60 * 1000);
+    try {
+      expect((await bob.post('/api/email/verify/resend')).status).toBe(200);
+    } finally { clock.mockRestore(); }
+    const second = tokenFrom(mailer, 'bob@test.com', 'verify-email');
+    expect(second).not.toBe(first);
+    expect((await request(app).post('/api/email/verify').send({ token: first })).status).toBe(400);
+    expect((await request(app).post('/api/email/verify').send({ token: second })).status).toBe(200);
+  });
+
+  it('expires verification links', async () => {
+    await request(app).post('/api/register').send({ username: 'carol', email: 'carol@test.com', password: 'secret1' });
+    const token = tokenFrom(mailer, 'carol@test.com', 'verify-email');
+    const clock = jest.spyOn(Date, 'now').mockReturnValue(Date.now() + app.locals.config.verifyEmailTtlMs + 1000);
+    try {
+      expect((await request(app).post('/api/email/verify').send({ token })).status).toBe(400);
+    } finally { clock.mockRestore(); }
+  });
+});
+
+describe('ListIt API (password reset)', () => {
+  const mailer = outbox();
+  const app = makeApp({}, { mailer });
+  const dave = request.agent(app);
+
+  it('answers forgot-password the same for unknown addresses, without sending mail', async () => {
+    await dave.post('/api/register').send({ username: 'dave', email: 'dave@test.com', password: 'oldpass1' });
+    const before = mailer.messages().length;
+    const res = await request(app).post('/api/password/forgot').send({ email: 'nobody@test.com' });
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ ok: true });
+    expect(mailer.messages()).toHaveLength(before);
+    expect((await request(app).post('/api/password/forgot').send({ email: 'nope' })).status).toBe(400);
+  });
+
+  it('resets the password with the mailed token and ends existing sessions', async () => {
+    const res = await request(app).post('/api/password/forgot').send({ email: 'DAVE@test.com' });
+    expect(res.body).toEqual({ ok: true });
+    const token = await nextToken(mailer, 'dave@test.com', 'reset-password');
+    expect(token).toBeTruthy();
+
+    const short = await request(app).post('/api/password/reset').send({ token, password: '123' });
+    expect(short.body.error).toMatchObject({ code: 'out_of_range', field: 'password' });
+
+    // a live event stream of the account is closed by the reset
+    const cookie = (await request(app).post('/api/login').send({ email: 'dave@test.com', password: 'oldpass1' })).headers['set-cookie'][0].split(';')[0];
+    const server = app.listen(0);
+    try {
+      const stream = await new Promise((resolve, reject) => {
+        http.get({ host: '127.0.0.1', port: server.address().port, path: '/api/events', headers: { Cookie: cookie } }, resolve).on('error', reject);
+      });
+      const closed = new Promise(resolve => stream.on('close', () => resolve(true)));
+      stream.resume();
+
+      const reset = await request(app).post('/api/password/reset').send({ token, password: 'newpass1' });
+      expect(reset.status).toBe(200);
+      expect(await Promise.race([closed, new Promise(r => setTimeout(r, 1000, false))])).toBe(true);
+    } finally {
+      server.closeAllConnections();
+      await new Promise(r => server.close(r));
+    }
+    expect((await dave.get('/api/me')).body).toBeNull();
+
+    expect((await request(app).post('/api/login').send({ email: 'dave@test.com', password: 'oldpass1' })).status).toBe(401);
+    const login = await dave.post('/api/login').send({ email: 'dave@test.com', password: 'newpass1' });
+    expect(login.status).toBe(200);
+    // the reset link came through the inbox, so the address counts as verified
+    expect((await dave.get('/api/me')).body).toMatchObject({ username: 'dave', email_verified: true });
+
+    const reuse = await request(app).post('/api/password/reset').send({ token, password: 'another1' });
+    expect(reuse.status).toBe(400);
+  });
+
+  it('rejects expired reset tokens and tokens sent to an address the account no longer has', async () => {
+    const clock = jest.spyOn(Date, 'now');
+    clock.mockReturnValue(Date.now() + 5 * 60 * 1000); // past the resend window
+    try {
+      const used = tokenFrom(mailer, 'dave@test.com', 'reset-password');
+      await request(app).post('/api/password/forgot').send({ email: 'dave@test.com' });
+      const token = await nextToken(mailer, 'dave@test.com', 'reset-password', used);
+      clock.mockReturnValue(Date.now() + app.locals.config.passwordResetTtlMs + 1000);
+      expect((await request(app).post('/api/password/reset').send({ token, password: 'newpass2' })).status).toBe(400);
+      clock.mockReturnValue(Date.now() + 10 * 60 * 1000);
+
+      await request(app).post('/api/password/forgot').send({ email: 'dave@test.com' });
+      const stale = await nextToken(mailer, 'dave@test.com', 'reset-password', token);
+      expect(stale).toBeTruthy();
+      app.locals.db.prepare('UPDATE users SET email = ? WHERE username = ?').run('dave2@test.com', 'dave');
+      expect((await request(app).post('/api/password/reset').send({ token: stale, password: 'newpass2' })).status).toBe(400);
+    } finally { clock.mockRestore(); }
+  });
+});
+
+describe('ListIt API (REQUIRE_VERIFIED_EMAIL)', () => {
+  const mailer = outbox();
+  const app = makeApp({ requireVerifiedEmail: true }, { mailer });
+  const erin = request.agent(app);
+  const listing = { images: [IMG], description: 'Lamp', location: 'Austin, TX', price: 10 };
+
+  it('holds back listings until the email is verified', async () => {
+    await erin.post('/api/register').send({ username: 'erin', email: 'erin@test.com', password: 'secret1' });
+    const res = await erin.post('/api/listings').send(listing);
+    expect(res.status).toBe(403);
+    expect(res.body).toEqual({ error: 'Verify your email address first', code: 'email_unverified' });
+
+    await request(app).post('/api/email/verify').send({ token: tokenFrom(mailer, 'erin@test.com', 'verify-email') });
+    expect((await erin.post('/api/listings').send(listing)).status).toBe(200);
+  });
+
+  it('holds back messages from unverified accounts', async () => {
+    const frank = request.agent(app);
+    await frank.post('/api/register').send({ username: 'frank', email: 'frank@test.com', password: 'secret1' });
+    const erinId = (await erin.get('/api/me')).body.id;
+    const convo = (await frank.post('/api/conversations').send({ with_user_id: erinId })).body;
+    const res = await frank.post(`/api/conversations/${convo.id}/messages`).send({ body: 'hi' });
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe('email_unverified');
+  });
+});
+
+describe('mail transports', () => {
+  it('keeps outbox messages in the order sent', async () => {
+    const mailer = createMailer('outbox', { dir: fs.mkdtempSync(path.join(os.tmpdir(), 'listit-outbox-test-')), from: 'a@test' });
+    for (const n of [1, 2, 3]) await mailer.send({ to: 'x@test.com', subject: `#${n}`, text: 'hi' });
+    expect(mailer.messages().map(m => m.subject)).toEqual(['#1', '#2', '#3']);
+    expect(() => createMailer('pigeon', {})).toThrow('Unknown mailer "pigeon"');
+  });
+
+  it('relays through an SMTP server', async () => {
+    // just enough of SMTP to accept one message
+    let received = '';
+    const server = net.createServer((sock) => {
+      let data = false;
+      sock.write('220 test ESMTP\r\n');
+      sock.on('data', (chunk) => {
+        for (const line of chunk.toString().split('\r\n').filter(Boolean)) {
+          if (data) {
+            if (line === '.') { data = false; sock.write('250 queued\r\n'); } else received += `${line}\n`;
+          } else if (/^(EHLO|HELO)/i.test(line)) sock.write('250 test\r\n');
+          else if (/^DATA/i.test(line)) { data = true; sock.write('354 go\r\n'); }
+          else if (/^QUIT/i.test(line)) sock.end('221 bye\r\n');
+          else sock.write('250 ok\r\n');
+        }
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    try {
+      const mailer = smtpMailer({ host: '127.0.0.1', port: server.address().port, from: 'ListIt <no-reply@test>' });
+      await mailer.send({ to: 'gina@test.com', subject: 'Hello', text: 'Over SMTP' });
+      expect(received).toMatch(/^Subject: Hello$/m);
+      expect(received).toMatch(/^To: gina@test.com$/m);
+      expect(received).toContain('Over SMTP');
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+});
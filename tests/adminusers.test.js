@@ -0,0 +1,113 @@
+/* tests/adminusers.test.js (admin user list / detail, suspension, promote / demote) */
+
+const request = require('supertest');
+const { IMG, ADMIN, makeApp } = require('./helpers');
+
+describe('ListIt API (admin users)', () => {
+  const app = makeApp({ admin: ADMIN });
+  const admin = request.agent(app);
+  const alice = request.agent(app);
+  const bob = request.agent(app);
+  let adminId, aliceId, bobId;
+
+  beforeAll(async () => {
+    adminId = (await admin.post('/api/login').send({ email: 'admin@test.com', password: 'secret1' })).body.id;
+    aliceId = (await alice.post('/api/register').send({ username: 'alice', email: 'alice@test.com', password: 'secret1' })).body.id;
+    bobId = (await bob.post('/api/register').send({ username: 'bob_99', email: 'bob@example.org', password: 'secret1' })).body.id;
+    const listing = (await bob.post('/api/listings').send({ images: [IMG], description: 'Bike', location: 'Austin, TX', price: 50 })).body;
+    await alice.post('/api/reports').send({ target_type: 'listing', target_id: listing.id, reason: 'scam' });
+    await alice.post('/api/reports').send({ target_type: 'user', target_id: bobId, reason: 'abusive' });
+  });
+
+  it('is admin only', async () => {
+    expect((await request(app).get('/api/admin/users')).status).toBe(401);
+    expect((await alice.get('/api/admin/users')).status).toBe(403);
+    expect((await alice.post(`/api/admin/users/${bobId}/suspend`).send({ reason: 'x' })).status).toBe(403);
+  });
+
+  it('lists, searches and pages users', async () => {
+    let res = await admin.get('/api/admin/users');
+    expect(res.body.total).toBe(3);
+    expect(res.body.items.map(u => u.username)).toEqual(['bob_99', 'alice', 'admin']);
+    expect(res.body.items[0]).not.toHaveProperty('password_hash');
+
+    res = await admin.get('/api/admin/users').query({ q: 'EXAMPLE.org' });
+    expect(res.body.items.map(u => u.id)).toEqual([bobId]);
+    // LIKE wildcards are literal
+    res = await admin.get('/api/admin/users').query({ q: 'b_b' });
+    expect(res.body.items).toEqual([]);
+    res = await admin.get('/api/admin/users').query({ status: 'admin' });
+    expect(res.body.items.map(u => u.id)).toEqual([adminId]);
+
+    const first = await admin.get('/api/admin/users').query({ limit: 2 });
+    expect(first.body.items.map(u => u.id)).toEqual([bobId, aliceId]);
+    res = await admin.get('/api/admin/users').query({ limit: 2, cursor: first.body.next_cursor });
+    expect(res.body.items.map(u => u.id)).toEqual([adminId]);
+    expect(res.body.next_cursor).toBeNull();
+
+    expect((await admin.get('/api/admin/users').query({ limit: 0 })).status).toBe(400);
+    expect((await admin.get('/api/admin/users').query({ cursor: 'junk' })).status).toBe(400);
+    expect((await admin.get('/api/admin/users').query({ status: 'nope' })).status).toBe(400);
+  });
+
+  it('shows user detail with counts and last login', async () => {
+    let res = await admin.get(`/api/admin/users/${bobId}`);
+    expect(res.body).toMatchObject({ username: 'bob_99', listing_count: 1, report_count: 2, reports_filed: 0, last_login_at: null, suspended: false });
+    await bob.post('/api/login').send({ email: 'bob@example.org', password: 'secret1' });
+    res = await admin.get(`/api/admin/users/${bobId}`);
+    expect(Date.parse(res.body.last_login_at)).not.toBeNaN();
+    expect((await admin.get('/api/admin/users/9999')).status).toBe(404);
+  });
+
+  it('suspends immediately, even with a valid session', async () => {
+    expect((await admin.post(`/api/admin/users/${bobId}/suspend`).send({})).status).toBe(400);
+    expect((await admin.post(`/api/admin/users/${bobId}/suspend`).send({ reason: 'Scams', until: 'soon' })).status).toBe(400);
+    expect((await admin.post(`/api/admin/users/${bobId}/suspend`).send({ reason: 'Scams', until: '2001-01-01T00:00:00Z' })).status).toBe(400);
+    expect((await admin.post(`/api/admin/users/${adminId}/suspend`).send({ reason: 'oops' })).status).toBe(400);
+
+    const res = await admin.post(`/api/admin/users/${bobId}/suspend`).send({ reason: 'Scams' });
+    expect(res.body).toMatchObject({ suspended: true, suspended_reason: 'Scams', suspended_until: null, suspended_by_username: 'admin' });
+
+    const denied = await bob.get('/api/notifications');
+    expect(denied.status).toBe(403);
+    expect(denied.body).toEqual({ error: 'Account suspended', suspended: { reason: 'Scams', until: null } });
+    expect((await bob.get('/api/me')).body).toBeNull();
+    expect((await bob.post('/api/login').send({ email: 'bob@example.org', password: 'secret1' })).status).toBe(403);
+    // suspended users' listings stay public
+    expect((await request(app).get('/api/listings')).body).toHaveLength(1);
+
+    expect((await admin.get('/api/admin/users').query({ status: 'suspended' })).body.items.map(u => u.id)).toEqual([bobId]);
+  });
+
+  it('lifts suspensions manually or when they expire', async () => {
+    await admin.post(`/api/admin/users/${bobId}/unsuspend`);
+    expect((await bob.post('/api/login').send({ email: 'bob@example.org', password: 'secret1' })).status).toBe(200);
+    expect((await bob.get('/api/notifications')).status).toBe(200);
+
+    const until = new Date(Date.now() + 3600 * 1000).toISOString();
+    await admin.post(`/api/admin/users/${bobId}/suspend`).send({ reason: 'Cool off', until });
+    expect((await bob.get('/api/notifications')).status).toBe(403);
+    expect((await bob.post('/api/login').send({ email: 'bob@example.org', password: 'secret1' })).body.suspended).toEqual({ reason: 'Cool off', until });
+
+    const spy = jest.spyOn(Date, 'now').mockReturnValue(Date.parse(until) + 1000);
+    try {
+      expect((await bob.post('/api/login').send({ email: 'bob@example.org', password: 'secret1' })).status).toBe(200);
+      expect((await admin.get(`/api/admin/users/${bobId}`)).body.suspended).toBe(false);
+    } finally {
+      spy.mockRestore();
+    }
+  });
+
+  it('promotes and demotes admins without a new login', async () => {
+    expect((await alice.get('/api/admin/reports')).status).toBe(403);
+    let res = await admin.post(`/api/admin/users/${aliceId}/promote`);
+    expect(res.body.is_admin).toBe(1);
+    expect((await alice.get('/api/admin/reports')).status).toBe(200);
+    expect((await alice.get('/api/me')).body.is_admin).toBe(1);
+
+    expect((await alice.post(`/api/admin/users/${aliceId}/demote`)).status).toBe(400);
+    res = await alice.post(`/api/admin/users/${adminId}/demote`);
+    expect(res.body.is_admin).toBe(0);
+    expect((await admin.get('/api/admin/users')).status).toBe(403);
+  });
+});
@@ -0,0 +1,59 @@
+/* tests/app.test.js (createApp factory: injected db, AI client and geocoder; test reset hook) */
+
+const Database = require('better-sqlite3');
+const request = require('supertest');
+const { createApp } = require('../server');
+const { IMG } = require('./helpers');
+
+describe('ListIt API (createApp with injected dependencies)', () => {
+  const db = new Database(':memory:');
+  const prompts = [];
+  const aiClient = {
+    chat: { completions: { create: async (req) => {
+      prompts.push(req);
+      const content = JSON.stringify({ title: 'Red road bike', tags: ['bike', 'bicycle', 'road'], price_usd: 149.999, category: 'bicycles' });
+      return { choices: [{ message: { content } }] };
+    } } },
+  };
+  const geocoder = {
+    name: 'test',
+    async reverse(lat, lon){ return { city: 'Testville', state: 'TX', country: 'United States', display: 'Testville, TX', lat, lon }; },
+    async search(q){ return [{ city: q, state: 'TX', country: 'United States', display: `${q}, TX`, lat: 1, lon: 2 }]; },
+  };
+  const app = createApp({ db, aiClient, geocoder });
+  const alice = request.agent(app);
+
+  it('migrates and uses the injected database', async () => {
+    expect(app.locals.db).toBe(db);
+    const res = await alice.post('/api/register').send({ username: 'alice', email: 'a@test.com', password: 'secret1' });
+    expect(res.status).toBe(200);
+    expect(db.prepare('SELECT username FROM users').all()).toEqual([{ username: 'alice' }]);
+  });
+
+  it('analyzes photos with the injected AI client', async () => {
+    const res = await alice.post('/api/ai/analyze').send({ images: [IMG], hint: 'bike' });
+    expect(res.status).toBe(200);
+    expect(prompts).toHaveLength(1);
+    expect(res.body).toMatchObject({ title: 'Red road bike', suggested_price: 150 });
+    expect(res.body.tags).toEqual(expect.arrayContaining(['bike', 'bicycle', 'road']));
+  });
+
+  it('geocodes with the injected geocoder', async () => {
+    let res = await request(app).get('/api/geo/reverse').query({ lat: 10, lon: 20 });
+    expect(res.body).toMatchObject({ display: 'Testville, TX', lat: 10, lon: 20 });
+    res = await request(app).get('/api/geo/search').query({ q: 'Plano' });
+    expect(res.body[0].display).toBe('Plano, TX');
+  });
+
+  it('empties the database through the test-only reset hook', async () => {
+    const res = await request(app).post('/__test/reset');
+    expect(res.body).toEqual({ ok: true });
+    expect(db.prepare('SELECT COUNT(*) AS n FROM users').get().n).toBe(0);
+  });
+
+  it('only mounts the reset hook under NODE_ENV=test', async () => {
+    const prod = createApp({ db: new Database(':memory:'), aiClient: null, geocoder, config: { isTest: false } });
+    const res = await request(prod).post('/__test/reset');
+    expect(res.status).toBe(404);
+  });
+});
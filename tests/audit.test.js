@@ -0,0 +1,97 @@
+/* tests/audit.test.js (append-only audit log of admin / moderation actions) */
+
+const request = require('supertest');
+const { IMG, ADMIN, makeApp } = require('./helpers');
+
+describe('ListIt API (audit log)', () => {
+  const app = makeApp({ admin: ADMIN });
+  const admin = request.agent(app);
+  const seller = request.agent(app);
+  let adminId, sellerId, a, b;
+  const post = (description) => seller.post('/api/listings').send({ images: [IMG], description, location: 'Austin, TX', price: 100 });
+  const audit = (query = {}) => admin.get('/api/admin/audit').query(query);
+
+  beforeAll(async () => {
+    adminId = (await admin.post('/api/login').send({ email: 'admin@test.com', password: 'secret1' })).body.id;
+    sellerId = (await seller.post('/api/register').send({ username: 'seller', email: 'seller@test.com', password: 'secret1' })).body.id;
+    a = (await post('Lamp')).body;
+    b = (await post('Desk')).body;
+  });
+
+  it('is admin only', async () => {
+    expect((await request(app).get('/api/admin/audit')).status).toBe(401);
+    expect((await seller.get('/api/admin/audit')).status).toBe(403);
+  });
+
+  it('does not audit owners editing their own listings', async () => {
+    await seller.put(`/api/listings/${a.id}`).send({ price: 90 });
+    expect((await audit()).body.items).toEqual([]);
+  });
+
+  it('records admin edits with before / after snapshots', async () => {
+    await admin.put(`/api/listings/${a.id}`).send({ price: 10, description: 'Lamp (edited by staff)' });
+    await admin.patch(`/api/listings/${a.id}/status`).send({ status: 'reserved' });
+    const items = (await audit()).body.items;
+    expect(items.map(e => e.action)).toEqual(['listing.status', 'listing.update']);
+    const edit = items[1];
+    expect(edit).toMatchObject({ actor_id: adminId, actor_username: 'admin', target_type: 'listing', target_id: a.id });
+    expect(edit.before).toMatchObject({ price: 90, description: 'Lamp', user_id: sellerId });
+    expect(edit.after).toMatchObject({ price: 10, description: 'Lamp (edited by staff)' });
+    expect(edit.before).not.toHaveProperty('image_data');
+    expect(edit.ip).toBeTruthy();
+    expect(items[0]).toMatchObject({ before: { status: 'available' }, after: { status: 'reserved' } });
+  });
+
+  it('records moderation and user management actions', async () => {
+    await seller.post('/api/reports').send({ target_type: 'user', target_id: adminId, reason: 'other' });
+    const report = (await admin.get('/api/admin/reports')).body[0];
+    await admin.post(`/api/admin/reports/${report.id}/dismiss`).send({ note: 'not actionable' });
+    await admin.post(`/api/admin/users/${sellerId}/suspend`).send({ reason: 'spam' });
+    await admin.post(`/api/admin/users/${sellerId}/unsuspend`);
+    await admin.post(`/api/admin/users/${sellerId}/promote`);
+    await admin.post(`/api/admin/users/${sellerId}/demote`);
+
+    let items = (await audit({ target_type: 'user' })).body.items;
+    expect(items.map(e => e.action)).toEqual(['user.demote', 'user.promote', 'user.unsuspend', 'user.suspend']);
+    expect(items[3]).toMatchObject({ target_id: sellerId, before: { suspended: false }, after: { suspended: true, reason: 'spam', until: null } });
+
+    items = (await audit({ action: 'report.dismiss' })).body.items;
+    expect(items).toHaveLength(1);
+    expect(items[0]).toMatchObject({ target_id: report.id, after: { status: 'dismissed', resolution_note: 'not actionable', closed: 1 } });
+  });
+
+  it('records deletions, including delete-all', async () => {
+    await admin.delete(`/api/admin/listings/${a.id}`);
+    await admin.delete('/api/admin/listings');
+    const items = (await audit({ action: 'listing.' })).body.items;
+    expect(items.map(e => e.action)).toEqual(['listing.delete_all', 'listing.delete', 'listing.status', 'listing.update']);
+    expect(items[0]).toMatchObject({ target_id: null, before: { count: 1, listing_ids: [b.id] } });
+    expect(items[1].before).toMatchObject({ id: a.id, description: 'Lamp (edited by staff)' });
+  });
+
+  it('filters and pages', async () => {
+    let res = await audit({ actor: 'ADMIN', target_type: 'listing', target_id: a.id });
+    expect(res.body.items.map(e => e.action)).toEqual(['listing.delete', 'listing.status', 'listing.update']);
+    expect((await audit({ actor: String(sellerId) })).body.items).toEqual([]);
+
+    const first = await audit({ limit: 3 });
+    expect(first.body.items).toHaveLength(3);
+    res = await audit({ limit: 3, cursor: first.body.next_cursor });
+    expect(res.body.items[0].id).toBeLessThan(first.body.items[2].id);
+
+    const all = (await audit()).body.items;
+    expect((await audit({ since: '2999-01-01' })).body.items).toEqual([]);
+    expect((await audit({ until: '2999-01-01' })).body.items).toHaveLength(all.length);
+    expect((await audit({ since: 'whenever' })).status).toBe(400);
+    expect((await audit({ limit: 500 })).status).toBe(400);
+    expect((await audit({ cursor: 'x' })).status).toBe(400);
+  });
+
+  it('cannot be changed through the API', async () => {
+    const id = (await audit()).body.items[0].id;
+    expect((await admin.delete(`/api/admin/audit/${id}`)).status).toBe(404);
+    expect((await admin.put(`/api/admin/audit/${id}`).send({ action: 'nothing' })).status).toBe(404);
+    expect((await admin.delete('/api/admin/audit')).status).toBe(404);
+    expect((await audit()).body.items[0].id).toBe(id);
+  });
+});
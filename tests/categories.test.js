@@ -0,0 +1,86 @@
+/* tests/categories.test.js (category tree, typed attributes, filters + facets) */
+
+const request = require('supertest');
+const app = require('../server');
+const { IMG } = require('./helpers');
+
+describe('ListIt API (categories + attributes)', () => {
+  const agent = request.agent(app);
+  let cats;
+  const bySlug = (slug) => cats.find(c => c.slug === slug);
+  const post = (body) => agent.post('/api/listings').send({ images: [IMG], location: 'Austin, TX', price: 100, ...body });
+
+  it('lists the category tree with inherited attribute schemas', async () => {
+    const res = await request(app).get('/api/categories');
+    expect(res.status).toBe(200);
+    cats = res.body;
+    const cars = bySlug('cars');
+    expect(cars.parent_id).toBe(bySlug('vehicles').id);
+    expect(cars.path).toBe('Vehicles › Cars');
+    const keys = cars.attributes.map(a => a.key);
+    expect(keys).toEqual(expect.arrayContaining(['year', 'mileage']));
+    // parents come before their children
+    expect(cats.indexOf(bySlug('vehicles'))).toBeLessThan(cats.indexOf(cars));
+  });
+
+  it('validates attributes against the category schema', async () => {
+    await agent.post('/api/register').send({ username: 'cat', email: 'cat@test.com', password: 'secret1' });
+    let res = await post({ description: 'Car', category_id: 9999 });
+    expect(res.status).toBe(400);
+    res = await post({ description: 'Car', category_id: 'cars', attributes: { year: '2015' } });
+    expect(res.status).toBe(400);
+    res = await post({ description: 'Car', category_id: 'cars', attributes: { wingspan: 3 } });
+    expect(res.status).toBe(400);
+    res = await post({ description: 'Shirt', attributes: { size: 'M' } });
+    expect(res.status).toBe(400);
+  });
+
+  it('stores typed attributes and returns them with the category path', async () => {
+    const res = await post({ description: 'Honda Civic', category_id: bySlug('cars').id, attributes: { year: 2015, mileage: 90000 } });
+    expect(res.status).toBe(200);
+    expect(res.body.category_path).toBe('Vehicles › Cars');
+    expect(res.body.attributes).toEqual({ year: 2015, mileage: 90000 });
+
+    await post({ description: 'Toyota Corolla', category_id: 'cars', attributes: { year: 2008 } });
+    await post({ description: 'Yamaha scooter', category_id: 'motorcycles', attributes: { year: 2019 } });
+    await post({ description: 'Red shirt', category_id: 'clothing', attributes: { size: 'M' } });
+    await post({ description: 'Blue shirt', category_id: 'clothing', attributes: { size: 'L' } });
+  });
+
+  it('filters by category (with sub-categories) and attributes', async () => {
+    let res = await request(app).get('/api/listings').query({ category: 'vehicles' });
+    expect(res.body).toHaveLength(3);
+    res = await request(app).get('/api/listings').query({ category: 'cars', 'attr.year.min': 2010 });
+    expect(res.body.map(x => x.description)).toEqual(['Honda Civic']);
+    res = await request(app).get('/api/listings').query({ category: 'clothing', 'attr.size': 'm' });
+    expect(res.body.map(x => x.description)).toEqual(['Red shirt']);
+    res = await request(app).get('/api/listings').query({ category: 'nope' });
+    expect(res.status).toBe(400);
+  });
+
+  it('returns facet counts for the filtered set', async () => {
+    let res = await request(app).get('/api/listings').query({ facets: 1 });
+    expect(res.body.items).toHaveLength(5);
+    const top = Object.fromEntries(res.body.facets.categories.map(c => [c.slug, c.count]));
+    expect(top.vehicles).toBe(3);
+    expect(top.clothing).toBe(2);
+
+    res = await request(app).get('/api/listings').query({ facets: 1, category: 'vehicles' });
+    const sub = Object.fromEntries(res.body.facets.categories.map(c => [c.slug, c.count]));
+    expect(sub).toEqual({ cars: 2, motorcycles: 1 });
+    expect(res.body.facets.attributes.year).toMatchObject({ min: 2008, max: 2019, count: 3 });
+
+    res = await request(app).get('/api/listings').query({ facets: 1, category: 'clothing' });
+    expect(res.body.facets.attributes.size.values).toEqual(expect.arrayContaining([{ value: 'M', count: 1 }, { value: 'L', count: 1 }]));
+  });
+
+  it('keeps compatible attributes when only the category changes', async () => {
+    const list = await request(app).get('/api/listings').query({ category: 'motorcycles' });
+    const id = list.body[0].id;
+    let res = await agent.put(`/api/listings/${id}`).send({ category_id: 'cars' });
+    expect(res.status).toBe(200);
+    res = await request(app).get('/api/listings').query({ category: 'cars', 'attr.year.min': 2019 });
+    expect(res.body.map(x => x.id)).toEqual([id]);
+    expect(res.body[0].attributes).toEqual({ year: 2019 });
+  });
+});
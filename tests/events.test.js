@@ -0,0 +1,128 @@
+/* tests/events.test.js (Server-Sent Events: messages, conversation updates, read receipts, resume) */
+
+const http = require('http');
+const request = require('supertest');
+const app = require('../server');
+
+// Opens /api/events and collects parsed events until closed.
+function openStream(port, cookie, headers = {}){
+  const events = [];
+  let req;
+  const ready = new Promise((resolve, reject) => {
+    req = http.get({ host: '127.0.0.1', port, path: '/api/events', headers: { Cookie: cookie, ...headers } }, (res) => {
+      let buf = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        buf += chunk;
+        let i;
+        while ((i = buf.indexOf('\n\n')) >= 0) {
+          const block = buf.slice(0, i); buf = buf.slice(i + 2);
+          const ev = {};
+          for (const line of block.split('\n')) {
+            const m = /^(id|event|data): ?(.*)$/.exec(line);
+            if (m) ev[m[1]] = m[2];
+          }
+          if (ev.event) events.push({ id: ev.id && Number(ev.id), type: ev.event, data: JSON.parse(ev.data) });
+        }
+      });
+      resolve(res);
+    });
+    req.on('error', reject);
+  });
+  return { events, ready, close: () => req.destroy() };
+}
+const until = async (fn, ms = 2000) => {
+  const end = Date.now() + ms;
+  while (!fn()) {
+    if (Date.now() > end) throw new Error('timed out waiting for events');
+    await new Promise(r => setTimeout(r, 10));
+  }
+};
+
+describe('ListIt API (events)', () => {
+  let server, port;
+  const seller = request.agent(app);
+  const buyer = request.agent(app);
+  let sellerCookie, buyerCookie, sellerId, buyerId, convo;
+  const streams = [];
+
+  beforeAll(async () => {
+    server = app.listen(0);
+    port = server.address().port;
+    let res = await seller.post('/api/register').send({ username: 'seller', email: 'seller@test.com', password: 'secret1' });
+    sellerCookie = res.headers['set-cookie'][0].split(';')[0];
+    sellerId = res.body.id;
+    res = await buyer.post('/api/register').send({ username: 'buyer', email: 'buyer@test.com', password: 'secret1' });
+    buyerCookie = res.headers['set-cookie'][0].split(';')[0];
+    buyerId = res.body.id;
+  });
+  afterAll(async () => {
+    streams.forEach(s => s.close());
+    await new Promise(r => server.close(r));
+  });
+
+  it('requires auth and streams text/event-stream', async () => {
+    expect((await request(app).get('/api/events')).status).toBe(401);
+    const s = openStream(port, sellerCookie);
+    streams.push(s);
+    const res = await s.ready;
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['content-type']).toMatch(/^text\/event-stream/);
+  });
+
+  it('pushes conversation and message events to both participants', async () => {
+    const sellerStream = streams[0];
+    const buyerStream = openStream(port, buyerCookie);
+    streams.push(buyerStream);
+    await buyerStream.ready;
+
+    convo = (await buyer.post('/api/conversations').send({ with_user_id: sellerId })).body;
+    await until(() => sellerStream.events.some(e => e.type === 'conversation.updated'));
+    expect(sellerStream.events.find(e => e.type === 'conversation.updated').data).toMatchObject({ id: convo.id, other_user_username: 'buyer' });
+
+    await buyer.post(`/api/conversations/${convo.id}/messages`).send({ body: 'Still available?' });
+    for (const s of [sellerStream, buyerStream]) {
+      await until(() => s.events.some(e => e.type === 'message.created'));
+      const ev = s.events.find(e => e.type === 'message.created');
+      expect(ev.data).toMatchObject({ conversation_id: convo.id, message: { body: 'Still available?', sender_id: buyerId, sender_username: 'buyer' } });
+    }
+    await until(() => buyerStream.events.filter(e => e.type === 'conversation.updated').length >= 2);
+    const last = buyerStream.events.filter(e => e.type === 'conversation.updated').pop();
+    expect(last.data).toMatchObject({ id: convo.id, other_user_username: 'seller', last_message_body: 'Still available?' });
+  });
+
+  it('sends read receipts', async () => {
+    const sellerStream = streams[0], buyerStream = streams[1];
+    const msgId = buyerStream.events.find(e => e.type === 'message.created').data.message.id;
+    expect((await seller.post(`/api/conversations/${convo.id}/read`).send({ last_message_id: 99999 })).status).toBe(400);
+    await seller.post(`/api/conversations/${convo.id}/read`).send({ last_message_id: msgId });
+    await until(() => buyerStream.events.some(e => e.type === 'conversation.read'));
+    expect(buyerStream.events.find(e => e.type === 'conversation.read').data)
+      .toEqual({ conversation_id: convo.id, user_id: sellerId, last_message_id: msgId });
+    await until(() => sellerStream.events.some(e => e.type === 'conversation.read'));
+  });
+
+  it('replays missed events after Last-Event-ID', async () => {
+    const buyerStream = streams[1];
+    const lastSeen = buyerStream.events[buyerStream.events.length - 1].id;
+    buyerStream.close();
+
+    await seller.post(`/api/conversations/${convo.id}/messages`).send({ body: 'Yes!' });
+
+    const resumed = openStream(port, buyerCookie, { 'Last-Event-ID': String(lastSeen) });
+    streams.push(resumed);
+    await resumed.ready;
+    await until(() => resumed.events.some(e => e.type === 'message.created'));
+    expect(resumed.events[0].id).toBeGreaterThan(lastSeen);
+    expect(resumed.events.find(e => e.type === 'message.created').data.message.body).toBe('Yes!');
+    // only this user's events
+    expect(resumed.events.every(e => e.type !== 'conversation.updated' || e.data.other_user_username === 'seller')).toBe(true);
+  });
+
+  it('asks for a resync when the id is unusable', async () => {
+    const s = openStream(port, buyerCookie, { 'Last-Event-ID': 'garbage' });
+    streams.push(s);
+    await s.ready;
+    await until(() => s.events.some(e => e.type === 'resync'));
+  });
+});
@@ -0,0 +1,70 @@
+/* tests/favorites.test.js (watchlist, price history, price-drop / status alerts) */
+
+const request = require('supertest');
+const app = require('../server');
+const { IMG } = require('./helpers');
+
+describe('ListIt API (favorites)', () => {
+  const seller = request.agent(app);
+  const fan = request.agent(app);
+  let listing;
+
+  it('favorites and unfavorites a listing', async () => {
+    await seller.post('/api/register').send({ username: 'seller', email: 'seller@test.com', password: 'secret1' });
+    await fan.post('/api/register').send({ username: 'fan', email: 'fan@test.com', password: 'secret1' });
+    listing = (await seller.post('/api/listings').send({ images: [IMG], description: 'Guitar', location: 'Austin, TX', price: 300 })).body;
+
+    expect((await request(app).post(`/api/listings/${listing.id}/favorite`)).status).toBe(401);
+    expect((await seller.post(`/api/listings/${listing.id}/favorite`)).status).toBe(400);
+    expect((await fan.post('/api/listings/9999/favorite')).status).toBe(404);
+
+    let res = await fan.post(`/api/listings/${listing.id}/favorite`);
+    expect(res.body.favorited).toBe(true);
+    await fan.post(`/api/listings/${listing.id}/favorite`); // idempotent
+    res = await fan.get('/api/favorites');
+    expect(res.body.map(x => x.id)).toEqual([listing.id]);
+    expect(res.body[0].image_url).toMatch(/^\/media\//);
+
+    await fan.delete(`/api/listings/${listing.id}/favorite`);
+    expect((await fan.get('/api/favorites')).body).toEqual([]);
+    await fan.post(`/api/listings/${listing.id}/favorite`);
+  });
+
+  it('records price history and alerts favoriters on drops only', async () => {
+    await seller.put(`/api/listings/${listing.id}`).send({ price: 350 });
+    await seller.put(`/api/listings/${listing.id}`).send({ price: 250 });
+    await seller.put(`/api/listings/${listing.id}`).send({ description: 'Guitar, with case' });
+
+    const hist = await request(app).get(`/api/listings/${listing.id}/price-history`);
+    expect(hist.body.map(h => [h.old_price, h.new_price])).toEqual([[300, 350], [350, 250]]);
+
+    const notes = (await fan.get('/api/notifications')).body;
+    expect(notes.map(n => n.kind)).toEqual(['price_drop']);
+    expect(notes[0].data).toEqual({ old_price: 350, new_price: 250 });
+
+    const favs = (await fan.get('/api/favorites')).body;
+    expect(favs[0].price_drop).toBe(50);
+  });
+
+  it('alerts favoriters on status changes', async () => {
+    await seller.patch(`/api/listings/${listing.id}/status`).send({ status: 'sold' });
+    const notes = (await fan.get('/api/notifications').query({ unread: 1 })).body;
+    expect(notes[0]).toMatchObject({ kind: 'status_change', data: { old_status: 'available', status: 'sold' } });
+    // sold items stay on the watchlist
+    expect((await fan.get('/api/favorites')).body[0].status).toBe('sold');
+    // the seller is never notified about their own listing
+    expect((await seller.get('/api/notifications')).body).toEqual([]);
+  });
+
+  it('marks notifications read', async () => {
+    const res = await fan.post('/api/notifications/read').send({});
+    expect(res.body.updated).toBe(2);
+    expect((await fan.get('/api/notifications').query({ unread: 1 })).body).toEqual([]);
+  });
+
+  it('drops favorites with the listing', async () => {
+    await seller.delete(`/api/listings/${listing.id}`);
+    expect((await fan.get('/api/favorites')).body).toEqual([]);
+    expect((await request(app).get(`/api/listings/${listing.id}/price-history`)).status).toBe(404);
+  });
+});
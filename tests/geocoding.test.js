@@ -0,0 +1,118 @@
+/* tests/geocoding.test.js (geocoder providers, forward search, SQLite cache, rate limit) */
+
+const http = require('http');
+const request = require('supertest');
+const { makeApp } = require('./helpers');
+
+describe('ListIt API (geocoding: mock provider)', () => {
+  const app = makeApp();
+
+  it('reverse-geocodes and validates coordinates', async () => {
+    let res = await request(app).get('/api/geo/reverse').query({ lat: 30.1, lon: -97.2 });
+    expect(res.body).toMatchObject({ city: 'Mockville', display: 'Mockville, Texas', lat: 30.1, lon: -97.2 });
+    res = await request(app).get('/api/geo/reverse').query({ lat: 95, lon: 0 });
+    expect(res.status).toBe(400);
+  });
+
+  it('forward-geocodes and validates q', async () => {
+    let res = await request(app).get('/api/geo/search').query({ q: 'round rock' });
+    expect(res.body[0]).toMatchObject({ city: 'Round rock', display: 'Round rock, Texas' });
+    res = await request(app).get('/api/geo/search').query({ q: 'x' });
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('ListIt API (geocoding: gazetteer provider)', () => {
+  const app = makeApp({ geocoder: 'gazetteer' });
+
+  it('searches by prefix, most populous first, optionally by state', async () => {
+    let res = await request(app).get('/api/geo/search').query({ q: 'Springfield' });
+    expect(res.body.map(p => p.display).slice(0, 3)).toEqual(['Springfield, MO', 'Springfield, MA', 'Springfield, IL']);
+    res = await request(app).get('/api/geo/search').query({ q: 'springf, Illinois' });
+    expect(res.body.map(p => p.display)).toEqual(['Springfield, IL']);
+  });
+
+  it('reverse-geocodes to the nearest known city', async () => {
+    let res = await request(app).get('/api/geo/reverse').query({ lat: 30.27, lon: -97.74 });
+    expect(res.body.display).toBe('Austin, TX');
+    res = await request(app).get('/api/geo/reverse').query({ lat: 0, lon: -150 });
+    expect(res.body.city).toBe('');
+  });
+});
+
+describe('ListIt API (geocoding: nominatim provider)', () => {
+  const hits = [];
+  const stub = http.createServer((req, res) => {
+    hits.push({ url: req.url, at: Date.now() });
+    const u = new URL(req.url, 'http://stub');
+    if (u.searchParams.get('q') === 'hang') return; // never answers
+    const body = u.pathname === '/search'
+      ? [{ lat: '30.5', lon: '-97.6', address: { town: u.searchParams.get('q'), state: 'Texas', country: 'United States' } }]
+      : { lat: u.searchParams.get('lat'), lon: u.searchParams.get('lon'), address: { city: 'Stubtown', state: 'Texas' } };
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(body));
+  });
+  let app;
+
+  beforeAll(async () => {
+    await new Promise(r => stub.listen(0, '127.0.0.1', r));
+    app = makeApp({
+      geocoder: 'nominatim',
+      nominatimUrl: `http://127.0.0.1:${stub.address().port}`,
+      geocoderMinIntervalMs: 150,
+      geocoderTimeoutMs: 500,
+      geoCacheMax: 2,
+    });
+  });
+  afterAll(() => {
+    stub.closeAllConnections();
+    return new Promise(r => stub.close(r));
+  });
+
+  it('maps provider results', async () => {
+    const res = await request(app).get('/api/geo/reverse').query({ lat: 30.5, lon: -97.6 });
+    expect(res.body).toMatchObject({ city: 'Stubtown', display: 'Stubtown, Texas', lat: 30.5, lon: -97.6 });
+  });
+
+  it('spaces outbound calls by the provider interval', async () => {
+    hits.length = 0;
+    await Promise.all(['aa', 'bb', 'cc'].map(q => request(app).get('/api/geo/search').query({ q })));
+    expect(hits).toHaveLength(3);
+    expect(hits[1].at - hits[0].at).toBeGreaterThanOrEqual(140);
+    expect(hits[2].at - hits[1].at).toBeGreaterThanOrEqual(140);
+  });
+
+  it('serves repeats from the cache and evicts least recently used entries', async () => {
+    hits.length = 0;
+    let res = await request(app).get('/api/geo/search').query({ q: 'cc' });
+    expect(res.body[0].city).toBe('cc');
+    await request(app).get('/api/geo/search').query({ q: 'CC' });
+    expect(hits).toHaveLength(0);
+    // capacity 2: bb and cc are cached, aa was evicted
+    await request(app).get('/api/geo/search').query({ q: 'aa' });
+    expect(hits).toHaveLength(1);
+  });
+
+  it('gives up on a hung call without holding up the ones behind it', async () => {
+    const [hung, next] = await Promise.all([
+      request(app).get('/api/geo/search').query({ q: 'hang' }),
+      request(app).get('/api/geo/search').query({ q: 'dd' }),
+    ]);
+    expect(hung.status).toBe(504);
+    expect(hung.body).toEqual({ error: 'geocode_timeout' });
+    expect(next.status).toBe(200);
+    expect(next.body[0].city).toBe('dd');
+  });
+
+  it('expires entries after the TTL', async () => {
+    hits.length = 0;
+    const now = Date.now();
+    const spy = jest.spyOn(Date, 'now').mockReturnValue(now + 31 * 24 * 3600 * 1000);
+    try {
+      await request(app).get('/api/geo/search').query({ q: 'aa' });
+    } finally {
+      spy.mockRestore();
+    }
+    expect(hits).toHaveLength(1);
+  });
+});
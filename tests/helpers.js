@@ -0,0 +1,16 @@
+/* tests/helpers.js — fixtures and app setup shared by the test files (not a suite itself) */
+
+const { createApp } = require('../src/app');
+
+// 1×1 PNG
+const IMG = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAACXBIWXMAAAPoAAAD6AG1e1JrAAAADUlEQVR4nGNgYGBgAAAABQABpfZFQAAAAABJRU5ErkJggg==';
+
+// config.admin for apps that bootstrap an admin account
+const ADMIN = { email: 'admin@test.com', username: 'admin', password: 'secret1' };
+
+// A separate app on its own in-memory database; `config` merges over the test environment's.
+function makeApp(config = {}, deps = {}){
+  return createApp({ ...deps, config });
+}
+
+module.exports = { IMG, ADMIN, makeApp };
@@ -0,0 +1,153 @@
+/* tests/images.test.js (upload validation + EXIF/GPS stripping) */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const sharp = require('sharp');
+const Database = require('better-sqlite3');
+const app = require('../server');
+const { migrate } = require('../migrate');
+const { makeApp } = require('./helpers');
+
+const dataUrl = (mime, buf) => `data:${mime};base64,${buf.toString('base64')}`;
+const solid = (w = 16, h = 12) => sharp({ create: { width: w, height: h, channels: 3, background: '#36a' } });
+
+function crc32(buf) {
+  let c = -1;
+  for (const byte of buf) { c ^= byte; for (let k = 0; k < 8; k++) c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1); }
+  return (c ^ -1) >>> 0;
+}
+function pngChunk(type, data) {
+  const len = Buffer.alloc(4); len.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'latin1'), data]);
+  const crc = Buffer.alloc(4); crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([len, body, crc]);
+}
+
+describe('ListIt API (image sanitizing)', () => {
+  const a = request.agent(app);
+
+  async function upload(img) {
+    return a.post('/api/listings').send({ images: [img], description: 'Thing', location: 'Austin, TX', price: 5 });
+  }
+  async function stored(res) {
+    expect(res.status).toBe(200);
+    const media = await request(app).get(res.body.image_url).buffer(true).parse((r, cb) => {
+      const chunks = []; r.on('data', c => chunks.push(c)); r.on('end', () => cb(null, Buffer.concat(chunks)));
+    });
+    expect(media.status).toBe(200);
+    return media.body;
+  }
+
+  it('registers', async () => {
+    const res = await a.post('/api/register').send({ username: 'photog', email: 'photog@test.com', password: 'secret1' });
+    expect(res.status).toBe(200);
+  });
+
+  it('strips EXIF/GPS from JPEG but keeps orientation', async () => {
+    const jpg = await solid().jpeg().withMetadata({ orientation: 6 }).withExif({
+      IFD0: { Artist: 'Jane Seller', Make: 'PhoneCo' },
+      IFD3: { GPSLatitudeRef: 'N', GPSLatitude: '40/1 26/1 46/1' }
+    }).toBuffer();
+    expect(jpg.includes('Jane Seller')).toBe(true);
+    expect((await sharp(jpg).metadata()).orientation).toBe(6);
+
+    const out = await stored(await upload(dataUrl('image/jpeg', jpg)));
+    expect(out.includes('Jane Seller')).toBe(false);
+    expect(out.includes('PhoneCo')).toBe(false);
+    const meta = await sharp(out).metadata();
+    expect(meta.orientation).toBe(6);
+    expect(meta.width).toBe(16);
+  });
+
+  it('strips text/XMP chunks from PNG and XMP/EXIF from WebP', async () => {
+    const png = await solid().png().toBuffer();
+    const iend = png.length - 12;
+    const tagged = Buffer.concat([png.subarray(0, iend), pngChunk('tEXt', Buffer.from('Comment\0GPS 40.44N')), png.subarray(iend)]);
+    let out = await stored(await upload(dataUrl('image/png', tagged)));
+    expect(out.includes('GPS 40.44N')).toBe(false);
+    expect((await sharp(out).metadata()).format).toBe('png');
+
+    const webp = await solid().webp().withExif({ IFD0: { Artist: 'Jane Seller' } }).toBuffer();
+    expect(webp.includes('Jane Seller')).toBe(true);
+    out = await stored(await upload(dataUrl('image/webp', webp)));
+    expect(out.includes('Jane Seller')).toBe(false);
+    expect((await sharp(out).metadata()).format).toBe('webp');
+  });
+
+  it('accepts GIF', async () => {
+    const gif = await solid().gif().toBuffer();
+    const out = await stored(await upload(dataUrl('image/gif', gif)));
+    expect((await sharp(out).metadata()).format).toBe('gif');
+  });
+
+  it('rejects bad uploads with error codes', async () => {
+    const png = await solid().png().toBuffer();
+    let res = await upload(dataUrl('image/jpeg', png));
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatchObject({ code: 'image_type_mismatch', field: 'images.0' });
+
+    res = await upload(dataUrl('image/svg+xml', Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"/>')));
+    expect(res.body.error.code).toBe('image_unsupported_type');
+
+    res = await upload(dataUrl('image/png', Buffer.from('definitely not an image')));
+    expect(res.body.error.code).toBe('image_unsupported_type');
+
+    res = await upload(dataUrl('image/png', png.subarray(0, png.length - 20)));
+    expect(res.body.error.code).toBe('image_corrupt');
+
+    const huge = Buffer.from(png);
+    huge.writeUInt32BE(20000, 16); huge.writeUInt32BE(20000, 20);
+    huge.writeUInt32BE(crc32(huge.subarray(12, 29)), 29);
+    res = await upload(dataUrl('image/png', huge));
+    expect(res.body.error.code).toBe('image_too_large');
+  });
+
+  it('validates message attachments the same way', async () => {
+    const b = request.agent(app);
+    await b.post('/api/register').send({ username: 'buyer', email: 'buyer@test.com', password: 'secret1' });
+    const mine = await a.get('/api/listings?mine=1');
+    const convo = await b.post('/api/conversations').send({ listing_id: mine.body[0].id });
+    const png = await solid().png().toBuffer();
+    const res = await b.post(`/api/conversations/${convo.body.id}/messages`).send({ body: 'x', images: [dataUrl('image/gif', png)] });
+    expect(res.status).toBe(400);
+    expect(res.body.error.code).toBe('image_type_mismatch');
+  });
+});
+
+describe('ListIt API (legacy inline images)', () => {
+  it('sanitizes images moved out of the database and quarantines unreadable ones', async () => {
+    const jpg = await solid().jpeg().withExif({
+      IFD0: { Artist: 'Jane Seller' },
+      IFD3: { GPSLatitudeRef: 'N', GPSLatitude: '40/1 26/1 46/1' }
+    }).toBuffer();
+    const GPS_IFD = Buffer.from([0x25, 0x88]); // GPSInfo tag (little-endian)
+    expect((await sharp(jpg).metadata()).exif.includes(GPS_IFD)).toBe(true);
+    const broken = dataUrl('image/png', (await solid().png().toBuffer()).subarray(0, 40));
+
+    // a database from before the media store, with inline data URLs
+    const db = new Database(':memory:');
+    migrate(db, { to: 2 });
+    db.prepare("INSERT INTO users (id, email, username, password_hash, created_at) VALUES (1, 'old@test.com', 'oldie', 'x', '2020-01-01')").run();
+    db.prepare("INSERT INTO listings (id, user_id, image_data, description, location, price, created_at) VALUES (1, 1, ?, 'Old chair', 'Austin, TX', 5, '2020-01-01')")
+      .run(dataUrl('image/jpeg', jpg));
+    db.prepare('INSERT INTO listing_images (listing_id, image_data, position) VALUES (1, ?, 0), (1, ?, 1)').run(dataUrl('image/jpeg', jpg), broken);
+
+    const legacy = makeApp({ mediaDir: fs.mkdtempSync(path.join(os.tmpdir(), 'listit-legacy-')) }, { db });
+    const listing = db.prepare('SELECT image_data, image_hash FROM listings WHERE id = 1').get();
+    expect(listing.image_data).toBe('');
+    const res = await request(legacy).get(`/media/${listing.image_hash}`).buffer(true).parse((r, cb) => {
+      const chunks = []; r.on('data', c => chunks.push(c)); r.on('end', () => cb(null, Buffer.concat(chunks)));
+    });
+    expect(res.status).toBe(200);
+    expect(res.body.includes('Jane Seller')).toBe(false);
+    const exif = (await sharp(res.body).metadata()).exif;
+    expect(exif === undefined || !exif.includes(GPS_IFD)).toBe(true);
+
+    expect(db.prepare('SELECT image_hash FROM listing_images WHERE listing_id = 1').all()).toEqual([{ image_hash: listing.image_hash }]);
+    expect(db.prepare('SELECT source, parent_id, image_data, reason FROM media_quarantine').all())
+      .toEqual([{ source: 'listing_images', parent_id: 1, image_data: broken, reason: 'image_corrupt' }]);
+  });
+});
+
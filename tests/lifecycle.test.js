@@ -0,0 +1,72 @@
+/* tests/lifecycle.test.js (available / reserved / sold) */
+
+const request = require('supertest');
+const app = require('../server');
+const { IMG } = require('./helpers');
+
+describe('ListIt API (listing lifecycle)', () => {
+  const seller = request.agent(app);
+  const buyer = request.agent(app);
+  const late = request.agent(app);
+  let listing, convo, buyerId;
+
+  it('sets up a listing and a conversation', async () => {
+    await seller.post('/api/register').send({ username: 'seller', email: 'seller@test.com', password: 'secret1' });
+    buyerId = (await buyer.post('/api/register').send({ username: 'buyer', email: 'buyer@test.com', password: 'secret1' })).body.id;
+    await late.post('/api/register').send({ username: 'late', email: 'late@test.com', password: 'secret1' });
+    listing = (await seller.post('/api/listings').send({ images: [IMG], description: 'Couch', location: 'Austin, TX', price: 200 })).body;
+    expect(listing.status).toBe('available');
+    convo = (await buyer.post('/api/conversations').send({ listing_id: listing.id })).body;
+  });
+
+  it('only lets the owner change status, along allowed transitions', async () => {
+    let res = await buyer.patch(`/api/listings/${listing.id}/status`).send({ status: 'sold' });
+    expect(res.status).toBe(403);
+    res = await seller.patch(`/api/listings/${listing.id}/status`).send({ status: 'gone' });
+    expect(res.status).toBe(400);
+    res = await seller.patch(`/api/listings/${listing.id}/status`).send({ status: 'available' });
+    expect(res.status).toBe(409);
+    res = await seller.patch(`/api/listings/${listing.id}/status`).send({ status: 'reserved', conversation_id: convo.id });
+    expect(res.status).toBe(400);
+    res = await seller.patch(`/api/listings/${listing.id}/status`).send({ status: 'reserved' });
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe('reserved');
+  });
+
+  it('only attributes the sale to a conversation the seller is in', async () => {
+    const side = (await late.post('/api/conversations').send({ with_user_id: buyerId, listing_id: listing.id })).body;
+    const res = await seller.patch(`/api/listings/${listing.id}/status`).send({ status: 'sold', conversation_id: side.id });
+    expect(res.status).toBe(400);
+    expect(res.body.error.message).toBe('The seller is not part of this conversation');
+  });
+
+  it('records the buyer when marked sold and hides it from browse', async () => {
+    const res = await seller.patch(`/api/listings/${listing.id}/status`).send({ status: 'sold', conversation_id: convo.id });
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe('sold');
+    expect(res.body.buyer_id).toBe(buyerId);
+
+    let list = await request(app).get('/api/listings');
+    expect(list.body.find(x => x.id === listing.id)).toBeUndefined();
+    list = await request(app).get('/api/listings').query({ status: 'all' });
+    expect(list.body.find(x => x.id === listing.id).status).toBe('sold');
+    list = await request(app).get('/api/listings').query({ status: 'sold' });
+    expect(list.body.map(x => x.id)).toEqual([listing.id]);
+    list = await seller.get('/api/listings').query({ mine: 1 });
+    expect(list.body.map(x => x.id)).toEqual([listing.id]);
+  });
+
+  it('refuses new conversations on sold items but keeps existing ones', async () => {
+    let res = await late.post('/api/conversations').send({ listing_id: listing.id });
+    expect(res.status).toBe(409);
+    res = await buyer.post('/api/conversations').send({ listing_id: listing.id });
+    expect(res.status).toBe(200);
+    expect(res.body.id).toBe(convo.id);
+  });
+
+  it('can be relisted', async () => {
+    const res = await seller.patch(`/api/listings/${listing.id}/status`).send({ status: 'available' });
+    expect(res.status).toBe(200);
+    expect(res.body.buyer_id).toBeNull();
+  });
+});
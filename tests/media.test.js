@@ -0,0 +1,126 @@
+/* tests/media.test.js (content-addressed media store + thumbnails) */
+
+const request = require('supertest');
+const sharp = require('sharp');
+const app = require('../server');
+const { IMG: DOT } = require('./helpers');
+
+const IMG = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAgAAAAGCAIAAABxZ0isAAAACXBIWXMAAAPoAAAD6AG1e1JrAAAAEUlEQVR4nGMwXlWOFTEMpAQAoiQ/wY/S5UcAAAAASUVORK5CYII=';
+const HASH = require('crypto').createHash('sha256').update(Buffer.from(IMG.split(',')[1], 'base64')).digest('hex');
+
+describe('ListIt API (media)', () => {
+  const a = request.agent(app);
+  const b = request.agent(app);
+  let listing;
+
+  it('stores listing images by content hash and returns URLs', async () => {
+    await a.post('/api/register').send({ username: 'alice', email: 'alice@test.com', password: 'secret1' });
+    await b.post('/api/register').send({ username: 'bobby', email: 'bobby@test.com', password: 'secret1' });
+    const res = await a.post('/api/listings').send({ images: [IMG, IMG], description: 'Lamp', location: 'Austin, TX', price: 10 });
+    expect(res.status).toBe(200);
+    listing = res.body;
+    expect(listing.image_data).toBeUndefined();
+    expect(listing.image_url).toBe(`/media/${HASH}`);
+    expect(listing.thumb_url).toBe(`/media/${HASH}/thumb`);
+
+    const list = await request(app).get('/api/listings');
+    expect(list.body[0].image_url).toBe(`/media/${HASH}`);
+    expect(list.body[0].image_data).toBeUndefined();
+    const imgs = await request(app).get(`/api/listings/${listing.id}/images`);
+    expect(imgs.body).toEqual([`/media/${HASH}`, `/media/${HASH}`]);
+  });
+
+  it('serves originals and thumbnails with cache headers and ETags', async () => {
+    let res = await request(app).get(`/media/${HASH}`);
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('image/png');
+    expect(res.headers['cache-control']).toContain('immutable');
+    expect(res.headers.etag).toBe(`"${HASH}"`);
+    expect(Buffer.compare(res.body, Buffer.from(IMG.split(',')[1], 'base64'))).toBe(0);
+
+    res = await request(app).get(`/media/${HASH}`).set('If-None-Match', `"${HASH}"`);
+    expect(res.status).toBe(304);
+
+    res = await request(app).get(`/media/${HASH}/thumb`);
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('image/jpeg');
+    expect(res.headers.etag).toBe(`"${HASH}-thumb"`);
+
+    res = await request(app).get(`/media/${'0'.repeat(64)}`);
+    expect(res.status).toBe(404);
+    res = await request(app).get('/media/../server.js');
+    expect(res.status).toBe(404);
+  });
+
+  it('accepts existing media URLs when editing a listing', async () => {
+    let res = await a.put(`/api/listings/${listing.id}`).send({ images: [`/media/${HASH}`] });
+    expect(res.status).toBe(200);
+    res = await request(app).get(`/api/listings/${listing.id}/images`);
+    expect(res.body).toEqual([`/media/${HASH}`]);
+    res = await a.put(`/api/listings/${listing.id}`).send({ images: [`/media/${'f'.repeat(64)}`] });
+    expect(res.status).toBe(400);
+  });
+
+  it('lets the editor reuse images they uploaded through an edit', async () => {
+    const png = await sharp({ create: { width: 3, height: 2, channels: 3, background: '#0a0' } }).png().toBuffer();
+    let res = await a.put(`/api/listings/${listing.id}`).send({ images: [`data:image/png;base64,${png.toString('base64')}`] });
+    expect(res.status).toBe(200);
+    const url = res.body.image_url;
+    expect(url).not.toBe(`/media/${HASH}`);
+    res = await a.put(`/api/listings/${listing.id}`).send({ images: [`/media/${HASH}`] });
+    expect(res.status).toBe(200);
+    // no listing has it now; the upload record alone makes it alice's
+    res = await a.post('/api/listings').send({ images: [url], description: 'Shade', location: 'Austin, TX', price: 5 });
+    expect(res.status).toBe(200);
+    expect(res.body.image_url).toBe(url);
+  });
+
+  it('stores message images in the media store', async () => {
+    const convo = await b.post('/api/conversations').send({ listing_id: listing.id });
+    let res = await b.post(`/api/conversations/${convo.body.id}/messages`).send({ body: 'pic', images: [IMG] });
+    expect(res.status).toBe(200);
+    expect(res.body.images).toEqual([`/media/${HASH}`]);
+    res = await a.get(`/api/conversations/${convo.body.id}/messages`);
+    expect(res.body[0].images).toEqual([`/media/${HASH}`]);
+  });
+
+  it('serves message attachments to the conversation only', async () => {
+    const convo = (await b.post('/api/conversations').send({ listing_id: listing.id })).body;
+    const sent = await b.post(`/api/conversations/${convo.id}/messages`).send({ images: [DOT] });
+    const [url] = sent.body.images;
+    expect(url).not.toBe(`/media/${HASH}`);
+
+    for (const member of [a, b]) {
+      const res = await member.get(url);
+      expect(res.status).toBe(200);
+      expect(res.headers['cache-control']).toMatch(/^private,/);
+      expect((await member.get(`${url}/thumb`)).status).toBe(200);
+    }
+    expect((await request(app).get(url)).status).toBe(404);
+    expect((await request(app).get(`${url}/thumb`)).status).toBe(404);
+    const carol = request.agent(app);
+    await carol.post('/api/register').send({ username: 'carol', email: 'carol@test.com', password: 'secret1' });
+    expect((await carol.get(url)).status).toBe(404);
+
+    // nor can anyone else publish it by reference
+    const res = await carol.post('/api/listings').send({ images: [url], description: 'Not mine', location: 'Austin, TX', price: 1 });
+    expect(res.status).toBe(400);
+    expect((await carol.get(url)).status).toBe(404);
+  });
+
+  it('accepts /media references only for the caller\'s own uploads', async () => {
+    const mallory = request.agent(app);
+    await mallory.post('/api/register').send({ username: 'mallory', email: 'mallory@test.com', password: 'secret1' });
+    let res = await mallory.post('/api/listings').send({ images: [`/media/${HASH}`], description: 'Copy', location: 'Austin, TX', price: 1 });
+    expect(res.status).toBe(400);
+    res = await mallory.post('/api/ai/analyze').send({ images: [`/media/${HASH}`] });
+    expect(res.status).toBe(200); // analyzed from the hint alone; the blob is not read
+
+    // the sender may reuse their own attachment
+    const convo = (await b.post('/api/conversations').send({ listing_id: listing.id })).body;
+    const [url] = (await b.get(`/api/conversations/${convo.id}/messages`)).body.pop().images;
+    res = await b.post('/api/listings').send({ images: [url], description: 'Mine', location: 'Austin, TX', price: 1 });
+    expect(res.status).toBe(200);
+    expect((await request(app).get(url)).status).toBe(200);
+  });
+});
@@ -0,0 +1,56 @@
+/* tests/messages.test.js (paginated message history, incremental fetch) */
+
+const request = require('supertest');
+const app = require('../server');
+const { IMG } = require('./helpers');
+
+describe('ListIt API (message history)', () => {
+  const seller = request.agent(app);
+  const buyer = request.agent(app);
+  let url;
+  const ids = [];
+  const bodies = (res) => res.body.map(m => m.body);
+
+  beforeAll(async () => {
+    const sellerId = (await seller.post('/api/register').send({ username: 'seller', email: 'seller@test.com', password: 'secret1' })).body.id;
+    await buyer.post('/api/register').send({ username: 'buyer', email: 'buyer@test.com', password: 'secret1' });
+    const convo = (await buyer.post('/api/conversations').send({ with_user_id: sellerId })).body;
+    url = `/api/conversations/${convo.id}/messages`;
+    for (let i = 1; i <= 7; i++) {
+      const agent = i % 2 ? buyer : seller;
+      ids.push((await agent.post(url).send({ body: `m${i}`, images: i === 2 ? [IMG, IMG] : [] })).body.id);
+    }
+  });
+
+  it('returns the newest page, oldest first', async () => {
+    const res = await seller.get(url).query({ limit: 3 });
+    expect(bodies(res)).toEqual(['m5', 'm6', 'm7']);
+    expect((await seller.get(url)).body).toHaveLength(7);
+  });
+
+  it('pages back with before_id', async () => {
+    let res = await seller.get(url).query({ limit: 3, before_id: ids[4] });
+    expect(bodies(res)).toEqual(['m2', 'm3', 'm4']);
+    expect(res.body[0].images).toHaveLength(2);
+    expect(res.body[0].images[0]).toMatch(/^\/media\/[a-f0-9]{64}$/);
+    expect(res.body[1].images).toEqual([]);
+    res = await seller.get(url).query({ limit: 3, before_id: ids[1] });
+    expect(bodies(res)).toEqual(['m1']);
+  });
+
+  it('fetches only newer messages with after_id', async () => {
+    let res = await seller.get(url).query({ after_id: ids[4] });
+    expect(bodies(res)).toEqual(['m6', 'm7']);
+    res = await seller.get(url).query({ after_id: ids[0], limit: 2 });
+    expect(bodies(res)).toEqual(['m2', 'm3']);
+    res = await seller.get(url).query({ after_id: ids[1], before_id: ids[5] });
+    expect(bodies(res)).toEqual(['m3', 'm4', 'm5']);
+    expect((await seller.get(url).query({ after_id: ids[6] })).body).toEqual([]);
+  });
+
+  it('validates paging parameters', async () => {
+    for (const q of [{ limit: 0 }, { limit: 'x' }, { before_id: -1 }, { after_id: '1.5' }]) {
+      expect((await seller.get(url).query(q)).status).toBe(400);
+    }
+  });
+});
@@ -0,0 +1,161 @@
+/* tests/migrations.test.js (versioned schema migrations + CLI) */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const Database = require('better-sqlite3');
+const { loadMigrations, migrationStatus, migrate } = require('../migrate');
+const { loadConfig } = require('../src/config');
+const { IMG } = require('./helpers');
+
+const columns = (db, table) => db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name);
+const tables = (db) => db.prepare("SELECT name FROM sqlite_master WHERE type = 'table'").all().map(t => t.name);
+
+// A database as the very first release left it: no usernames, admins or any later table.
+function legacyDb(){
+  const db = new Database(':memory:');
+  db.exec(`
+CREATE TABLE users (id INTEGER PRIMARY KEY AUTOINCREMENT, email TEXT UNIQUE NOT NULL, password_hash TEXT NOT NULL, created_at TEXT NOT NULL);
+CREATE TABLE listings (
+  id INTEGER PRIMARY KEY AUTOINCREMENT, user_id INTEGER NOT NULL, image_data TEXT NOT NULL, title TEXT DEFAULT "",
+  description TEXT NOT NULL, location TEXT NOT NULL, price REAL NOT NULL, created_at TEXT NOT NULL, tags TEXT DEFAULT "",
+  FOREIGN KEY (user_id) REFERENCES users(id)
+);
+CREATE TABLE conversations (
+  id INTEGER PRIMARY KEY AUTOINCREMENT, a_user_id INTEGER NOT NULL, b_user_id INTEGER NOT NULL, listing_id INTEGER,
+  created_at TEXT NOT NULL, UNIQUE (a_user_id, b_user_id, listing_id)
+);
+CREATE TABLE messages (
+  id INTEGER PRIMARY KEY AUTOINCREMENT, conversation_id INTEGER NOT NULL, sender_id INTEGER NOT NULL, body TEXT NOT NULL,
+  created_at TEXT NOT NULL, FOREIGN KEY (conversation_id) REFERENCES conversations(id)
+);
+INSERT INTO users (email, password_hash, created_at) VALUES ('a@test.com', 'x', '2024-01-01T00:00:00Z'), ('b@test.com', 'x', '2024-01-01T00:00:00Z');
+INSERT INTO listings (user_id, image_data, title, description, location, price, created_at)
+  VALUES (1, 'data:image/png;base64,AA==', 'Oak desk', 'Solid oak desk', 'Austin, TX', 120, '2024-01-02T00:00:00Z');
+INSERT INTO conversations (a_user_id, b_user_id, listing_id, created_at) VALUES (1, 2, 1, '2024-01-03T00:00:00Z');
+INSERT INTO messages (conversation_id, sender_id, body, created_at) VALUES (1, 2, 'Still available?', '2024-01-03T00:00:00Z');
+`);
+  return db;
+}
+
+const dirs = [];
+function tmpDir(){
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'listit-migrations-'));
+  dirs.push(dir);
+  return dir;
+}
+afterAll(() => { for (const dir of dirs) fs.rmSync(dir, { recursive: true, force: true }); });
+
+describe('schema migrations', () => {
+  it('builds the schema on a fresh database once', () => {
+    const db = new Database(':memory:');
+    const ran = migrate(db);
+    expect(ran.map(m => m.file)).toEqual(loadMigrations().map(m => m.file));
+    expect(ran[0]).toMatchObject({ version: 1, name: 'initial_schema' });
+    expect(tables(db)).toEqual(expect.arrayContaining(['users', 'listings', 'schema_migrations', 'audit_log', 'listings_fts']));
+    expect(migrate(db)).toEqual([]);
+    const status = migrationStatus(db);
+    expect(status).toMatchObject({ pending: [], changed: [], unknown: [] });
+    expect(status.version).toBe(ran[ran.length - 1].version);
+  });
+
+  it('upgrades a legacy database without losing data', () => {
+    const db = legacyDb();
+    migrate(db);
+    expect(columns(db, 'users')).toEqual(expect.arrayContaining(['username', 'is_admin', 'suspended_at']));
+    expect(columns(db, 'listings')).toEqual(expect.arrayContaining(['status', 'category_id', 'deleted_at']));
+    expect(db.prepare('SELECT email FROM users ORDER BY id').all().map(u => u.email)).toEqual(['a@test.com', 'b@test.com']);
+    expect(db.prepare('SELECT title, price FROM listings').get()).toEqual({ title: 'Oak desk', price: 120 });
+    expect(db.prepare('SELECT body FROM messages').get().body).toBe('Still available?');
+    // existing listings are indexed for search
+    expect(db.prepare("SELECT rowid FROM listings_fts WHERE listings_fts MATCH 'oak'").all()).toEqual([{ rowid: 1 }]);
+    expect(db.pragma('foreign_key_check')).toEqual([]);
+  });
+
+  it('rolls everything back on a dry run', () => {
+    const db = legacyDb();
+    const ran = migrate(db, { dryRun: true });
+    expect(ran.length).toBeGreaterThan(0);
+    expect(tables(db)).not.toContain('schema_migrations');
+    expect(columns(db, 'users')).not.toContain('username');
+    expect(migrationStatus(db).pending.map(m => m.file)).toEqual(ran.map(m => m.file));
+  });
+
+  it('moves inline images to the media store and places listings, once', () => {
+    const db = legacyDb();
+    migrate(db, { to: 4 });
+    db.prepare("INSERT INTO listings (user_id, image_data, description, location, price, created_at) VALUES (2, ?, 'Lamp', 'Austin, TX', 10, '2024-01-04T00:00:00Z')").run(IMG);
+    const config = { ...loadConfig(), mediaDir: tmpDir() };
+
+    const preview = migrate(db, { config, dryRun: true });
+    expect(preview.map(m => m.file)).toEqual(['005_inline_media.js', '006_listing_coords.js']);
+    expect(migrationStatus(db).pending.map(m => m.file)).toEqual(['005_inline_media.js', '006_listing_coords.js']);
+    expect(db.prepare('SELECT image_data, image_hash, lat FROM listings WHERE id = 2').get()).toEqual({ image_data: IMG, image_hash: null, lat: null });
+
+    expect(migrate(db, { config }).map(m => m.file)).toEqual(['005_inline_media.js', '006_listing_coords.js']);
+    const moved = db.prepare('SELECT image_data, image_hash, lat, lon FROM listings WHERE id = 2').get();
+    expect(moved).toMatchObject({ image_data: '', image_hash: expect.stringMatching(/^[a-f0-9]{64}$/), lat: expect.any(Number), lon: expect.any(Number) });
+    expect(fs.existsSync(path.join(config.mediaDir, moved.image_hash.slice(0, 2), moved.image_hash))).toBe(true);
+    expect(db.prepare('SELECT user_id FROM media_uploads WHERE hash = ?').all(moved.image_hash)).toEqual([{ user_id: 2 }]);
+    // the first release's placeholder isn't an image: parked, not published
+    expect(db.prepare('SELECT image_data, image_hash FROM listings WHERE id = 1').get()).toEqual({ image_data: '', image_hash: null });
+    expect(db.prepare('SELECT source, source_id, parent_id FROM media_quarantine').all()).toEqual([{ source: 'listings', source_id: 1, parent_id: 1 }]);
+
+    expect(migrate(db, { config })).toEqual([]);
+    expect(migrationStatus(db).applied.map(r => r.name)).toEqual(expect.arrayContaining(['inline_media', 'listing_coords']));
+  });
+
+  it('applies migrations in order, each in its own transaction', () => {
+    const dir = tmpDir();
+    fs.writeFileSync(path.join(dir, '010_things.sql'), 'CREATE TABLE things (id INTEGER PRIMARY KEY, name TEXT);');
+    fs.writeFileSync(path.join(dir, '002_widgets.sql'), 'CREATE TABLE widgets (id INTEGER PRIMARY KEY);');
+    fs.writeFileSync(path.join(dir, '011_broken.sql'), 'INSERT INTO things (name) VALUES (\'half\'); SELECT * FROM nope;');
+    fs.writeFileSync(path.join(dir, 'README.md'), 'not a migration');
+    const db = new Database(':memory:');
+
+    expect(migrate(db, { dir, to: 2 }).map(m => m.file)).toEqual(['002_widgets.sql']);
+    expect(() => migrate(db, { dir })).toThrow(/011_broken\.sql failed/);
+    expect(migrationStatus(db, { dir })).toMatchObject({ version: 10, pending: [{ version: 11 }] });
+    // the failed migration's insert went with it
+    expect(db.prepare('SELECT COUNT(*) AS n FROM things').get().n).toBe(0);
+
+    fs.writeFileSync(path.join(dir, '010_things.sql'), 'CREATE TABLE things (id INTEGER PRIMARY KEY);');
+    fs.unlinkSync(path.join(dir, '002_widgets.sql'));
+    expect(migrationStatus(db, { dir })).toMatchObject({ changed: ['010_things.sql'], unknown: [2] });
+  });
+
+  it('refuses migrations that leave dangling foreign keys', () => {
+    const dir = tmpDir();
+    fs.writeFileSync(path.join(dir, '001_parents.sql'), `
+CREATE TABLE parents (id INTEGER PRIMARY KEY);
+CREATE TABLE children (id INTEGER PRIMARY KEY, parent_id INTEGER REFERENCES parents(id));
+INSERT INTO children (parent_id) VALUES (7);`);
+    const db = new Database(':memory:');
+    db.pragma('foreign_keys = ON');
+    expect(() => migrate(db, { dir })).toThrow(/dangling foreign keys in: children/);
+    expect(tables(db)).not.toContain('children');
+    expect(db.pragma('foreign_keys', { simple: true })).toBe(1);
+  });
+
+  it('rejects duplicate versions', () => {
+    const dir = tmpDir();
+    fs.writeFileSync(path.join(dir, '001_a.sql'), 'SELECT 1;');
+    fs.writeFileSync(path.join(dir, '1_b.sql'), 'SELECT 1;');
+    expect(() => loadMigrations(dir)).toThrow(/Duplicate migration version 1/);
+  });
+
+  it('has a CLI for status, dry runs and applying', () => {
+    const dbPath = path.join(tmpDir(), 'listit.db');
+    const cli = (...args) => execFileSync(process.execPath, [path.join(__dirname, '..', 'migrate.js'), ...args, '--db', dbPath], { encoding: 'utf8' });
+
+    expect(cli('status')).toMatch(/no database yet[\s\S]*pending {2}001_initial_schema\.js/);
+    expect(fs.existsSync(dbPath)).toBe(false);
+    expect(cli('up', '--dry-run')).toMatch(/Would apply: 001_initial_schema\.js[\s\S]*schema version 0/);
+    const all = loadMigrations();
+    expect(cli('up')).toContain(`Applied: ${all.map(m => m.file).join(', ')}\n${dbPath}: schema version ${all[all.length - 1].version}`);
+    expect(cli('up')).toMatch(/Nothing to apply/);
+    expect(cli('status')).toMatch(/applied {2}001_initial_schema/);
+    expect(() => execFileSync(process.execPath, [path.join(__dirname, '..', 'migrate.js'), 'down'], { stdio: 'pipe' })).toThrow(/Unknown command down/);
+  });
+});
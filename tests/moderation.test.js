@@ -0,0 +1,88 @@
+/* tests/moderation.test.js (blocking, abuse reports, admin report queue) */
+
+const request = require('supertest');
+const { IMG, ADMIN, makeApp } = require('./helpers');
+
+describe('ListIt API (blocking + reports)', () => {
+  const app = makeApp({ admin: ADMIN });
+  const admin = request.agent(app);
+  const alice = request.agent(app);
+  const mallory = request.agent(app);
+  let aliceId, malloryId, listing, convo, msg, report;
+
+  beforeAll(async () => {
+    await admin.post('/api/login').send({ email: 'admin@test.com', password: 'secret1' });
+    aliceId = (await alice.post('/api/register').send({ username: 'alice', email: 'alice@test.com', password: 'secret1' })).body.id;
+    malloryId = (await mallory.post('/api/register').send({ username: 'mallory', email: 'mallory@test.com', password: 'secret1' })).body.id;
+    listing = (await mallory.post('/api/listings').send({ images: [IMG], description: 'Too good to be true iPhone', location: 'Austin, TX', price: 50 })).body;
+    convo = (await alice.post('/api/conversations').send({ listing_id: listing.id })).body;
+    msg = (await mallory.post(`/api/conversations/${convo.id}/messages`).send({ body: 'Pay by gift card only' })).body;
+  });
+
+  it('files reports against listings, messages and users', async () => {
+    expect((await alice.post('/api/reports').send({ target_type: 'listing', target_id: listing.id, reason: 'meh' })).status).toBe(400);
+    expect((await alice.post('/api/reports').send({ target_type: 'post', target_id: listing.id, reason: 'scam' })).status).toBe(400);
+    expect((await alice.post('/api/reports').send({ target_type: 'listing', target_id: 9999, reason: 'scam' })).status).toBe(404);
+    expect((await mallory.post('/api/reports').send({ target_type: 'listing', target_id: listing.id, reason: 'scam' })).status).toBe(400);
+
+    let res = await alice.post('/api/reports').send({ target_type: 'listing', target_id: listing.id, reason: 'scam', note: 'Asked for gift cards' });
+    expect(res.body.status).toBe('open');
+    report = res.body;
+    expect((await alice.post('/api/reports').send({ target_type: 'listing', target_id: listing.id, reason: 'scam' })).status).toBe(409);
+
+    res = await alice.post('/api/reports').send({ target_type: 'message', target_id: msg.id, reason: 'scam' });
+    expect(res.status).toBe(200);
+    res = await alice.post('/api/reports').send({ target_type: 'user', target_id: malloryId, reason: 'abusive' });
+    expect(res.status).toBe(200);
+
+    // messages from conversations you're not in can't be reported
+    const eve = request.agent(app);
+    await eve.post('/api/register').send({ username: 'eve', email: 'eve@test.com', password: 'secret1' });
+    expect((await eve.post('/api/reports').send({ target_type: 'message', target_id: msg.id, reason: 'spam' })).status).toBe(404);
+    await eve.post('/api/reports').send({ target_type: 'listing', target_id: listing.id, reason: 'spam' });
+  });
+
+  it('shows admins a queue linked to the reported content', async () => {
+    expect((await alice.get('/api/admin/reports')).status).toBe(403);
+    const res = await admin.get('/api/admin/reports');
+    expect(res.body.map(r => r.target_type)).toEqual(['listing', 'message', 'user', 'listing']);
+    expect(res.body[0]).toMatchObject({
+      reporter_username: 'alice', reason: 'scam', note: 'Asked for gift cards', open_reports_on_target: 2,
+      target: { listing_id: listing.id, owner_username: 'mallory' },
+    });
+    expect(res.body[1].target).toMatchObject({ message_id: msg.id, conversation_id: convo.id, body: 'Pay by gift card only' });
+    expect(res.body[2].target).toMatchObject({ user_id: malloryId, username: 'mallory' });
+  });
+
+  it('resolves and dismisses reports', async () => {
+    let res = await admin.post(`/api/admin/reports/${report.id}/resolve`).send({ note: 'Listing removed' });
+    expect(res.body).toMatchObject({ status: 'resolved', closed: 2 });
+    expect((await admin.post(`/api/admin/reports/${report.id}/dismiss`)).status).toBe(409);
+
+    const open = (await admin.get('/api/admin/reports')).body;
+    expect(open.map(r => r.target_type)).toEqual(['message', 'user']);
+    await admin.post(`/api/admin/reports/${open[1].id}/dismiss`);
+    const closed = (await admin.get('/api/admin/reports').query({ status: 'all' })).body;
+    expect(closed.filter(r => r.status !== 'open').map(r => r.status).sort()).toEqual(['dismissed', 'resolved', 'resolved']);
+  });
+
+  it('blocking stops messaging both ways and hides listings', async () => {
+    expect((await alice.post(`/api/users/${aliceId}/block`)).status).toBe(400);
+    expect((await alice.post(`/api/users/${malloryId}/block`)).body.blocked).toBe(true);
+    expect((await alice.get('/api/blocks')).body.map(b => b.username)).toEqual(['mallory']);
+
+    expect((await mallory.post(`/api/conversations/${convo.id}/messages`).send({ body: 'Hello?' })).status).toBe(403);
+    expect((await alice.post(`/api/conversations/${convo.id}/messages`).send({ body: 'Bye' })).status).toBe(403);
+    expect((await mallory.post('/api/conversations').send({ with_user_id: aliceId })).status).toBe(403);
+    expect((await alice.post(`/api/conversations/${convo.id}/offers`).send({ amount: 10 })).status).toBe(403);
+    const summary = (await mallory.get('/api/conversations')).body[0];
+    expect(summary).toMatchObject({ blocked: 1, blocked_by_me: 0 });
+
+    expect((await alice.get('/api/listings')).body.map(l => l.id)).not.toContain(listing.id);
+    expect((await request(app).get('/api/listings')).body.map(l => l.id)).toContain(listing.id);
+
+    await alice.delete(`/api/users/${malloryId}/block`);
+    expect((await alice.get('/api/listings')).body.map(l => l.id)).toContain(listing.id);
+    expect((await mallory.post(`/api/conversations/${convo.id}/messages`).send({ body: 'Hello?' })).status).toBe(200);
+  });
+});
@@ -0,0 +1,102 @@
+/* tests/offers.test.js (offers, counters, accept + reserve, seller's per-listing view) */
+
+const request = require('supertest');
+const app = require('../server');
+const { IMG } = require('./helpers');
+
+describe('ListIt API (offers)', () => {
+  const seller = request.agent(app);
+  const buyer = request.agent(app);
+  const buyer2 = request.agent(app);
+  let listing, convo, convo2;
+  const offersUrl = (c) => `/api/conversations/${c.id}/offers`;
+
+  beforeAll(async () => {
+    await seller.post('/api/register').send({ username: 'seller', email: 'seller@test.com', password: 'secret1' });
+    await buyer.post('/api/register').send({ username: 'buyer', email: 'buyer@test.com', password: 'secret1' });
+    await buyer2.post('/api/register').send({ username: 'buyer2', email: 'buyer2@test.com', password: 'secret1' });
+    listing = (await seller.post('/api/listings').send({ images: [IMG], description: 'Bike', location: 'Austin, TX', price: 200 })).body;
+    convo = (await buyer.post('/api/conversations').send({ listing_id: listing.id })).body;
+    convo2 = (await buyer2.post('/api/conversations').send({ listing_id: listing.id })).body;
+  });
+
+  it('lets the buyer make one open offer at a time', async () => {
+    expect((await buyer.post(offersUrl(convo)).send({ amount: -5 })).status).toBe(400);
+    expect((await seller.post(offersUrl(convo)).send({ amount: 150 })).status).toBe(400);
+
+    const res = await buyer.post(offersUrl(convo)).send({ amount: 150 });
+    expect(res.status).toBe(200);
+    expect(res.body.offer).toMatchObject({ amount: 150, status: 'open', to_user_id: listing.user_id });
+    expect(res.body.message).toMatchObject({ kind: 'offer', body: 'Offered $150', offer: { id: res.body.offer.id } });
+
+    expect((await buyer.post(offersUrl(convo)).send({ amount: 160 })).status).toBe(409);
+    await buyer2.post(offersUrl(convo2)).send({ amount: 120 });
+  });
+
+  it('renders offers inside the message thread', async () => {
+    const msgs = (await seller.get(`/api/conversations/${convo.id}/messages`)).body;
+    expect(msgs.map(m => m.kind)).toEqual(['offer']);
+    expect(msgs[0].offer).toMatchObject({ amount: 150, status: 'open' });
+  });
+
+  it('counters back and forth', async () => {
+    const [offer] = (await seller.get(offersUrl(convo))).body;
+    expect((await buyer.post(`${offersUrl(convo)}/${offer.id}/counter`).send({ amount: 170 })).status).toBe(403);
+
+    let res = await seller.post(`${offersUrl(convo)}/${offer.id}/counter`).send({ amount: 180 });
+    expect(res.body.offer).toMatchObject({ amount: 180, status: 'open', parent_offer_id: offer.id, to_user_id: offer.from_user_id });
+    expect(res.body.message.body).toBe('Countered with $180');
+
+    const all = (await buyer.get(offersUrl(convo))).body;
+    expect(all.map(o => o.status)).toEqual(['countered', 'open']);
+    expect((await seller.post(`${offersUrl(convo)}/${offer.id}/accept`)).status).toBe(409);
+    expect((await seller.post(`${offersUrl(convo)}/${offer.id}/haggle`)).status).toBe(404);
+  });
+
+  it('shows the seller all offers for a listing', async () => {
+    expect((await buyer.get(`/api/listings/${listing.id}/offers`)).status).toBe(403);
+    const res = await seller.get(`/api/listings/${listing.id}/offers`);
+    expect(res.body.map(o => [o.buyer_username, o.amount, o.from_role])).toEqual([['buyer', 180, 'seller'], ['buyer2', 120, 'buyer']]);
+    const every = await seller.get(`/api/listings/${listing.id}/offers`).query({ status: 'all' });
+    expect(every.body).toHaveLength(3);
+  });
+
+  it('withdraws and declines', async () => {
+    const open2 = (await buyer2.get(offersUrl(convo2))).body[0];
+    expect((await seller.post(`${offersUrl(convo2)}/${open2.id}/withdraw`)).status).toBe(403);
+    const res = await buyer2.post(`${offersUrl(convo2)}/${open2.id}/withdraw`);
+    expect(res.body.offer.status).toBe('withdrawn');
+    expect(res.body.message).toMatchObject({ kind: 'offer_status', body: 'Withdrew the offer of $120' });
+
+    const again = (await buyer2.post(offersUrl(convo2)).send({ amount: 130 })).body.offer;
+    expect((await seller.post(`${offersUrl(convo2)}/${again.id}/decline`)).body.offer.status).toBe('declined');
+  });
+
+  it('accepts, optionally reserving the listing', async () => {
+    const counter = (await buyer.get(offersUrl(convo))).body.pop();
+    // only the seller can reserve
+    expect((await buyer.post(`${offersUrl(convo)}/${counter.id}/accept`).send({ reserve: true })).status).toBe(400);
+    let res = await buyer.post(`${offersUrl(convo)}/${counter.id}/accept`);
+    expect(res.body.offer.status).toBe('accepted');
+    expect(res.body.listing).toBeUndefined();
+
+    const next = (await buyer.post(offersUrl(convo)).send({ amount: 175 })).body.offer;
+    res = await seller.post(`${offersUrl(convo)}/${next.id}/accept`).send({ reserve: true });
+    expect(res.body.listing.status).toBe('reserved');
+    expect((await request(app).get('/api/listings')).body.find(l => l.id === listing.id).status).toBe('reserved');
+  });
+
+  it('needs a listing conversation', async () => {
+    const sellerId = listing.user_id;
+    const direct = (await buyer.post('/api/conversations').send({ with_user_id: sellerId })).body;
+    expect((await buyer.post(offersUrl(direct)).send({ amount: 10 })).status).toBe(400);
+  });
+
+  it('only goes to the seller', async () => {
+    const buyerId = (await buyer.get('/api/me')).body.id;
+    const side = (await buyer2.post('/api/conversations').send({ with_user_id: buyerId, listing_id: listing.id })).body;
+    const res = await buyer2.post(offersUrl(side)).send({ amount: 10 });
+    expect(res.status).toBe(400);
+    expect((await buyer.get(offersUrl(side))).body).toEqual([]);
+  });
+});
@@ -0,0 +1,130 @@
+/* tests/openapi.test.js (schema-validated requests, OpenAPI document covers every route) */
+
+const request = require('supertest');
+const app = require('../server');
+const { routeList } = require('../src/routes/openapi');
+const { IMG } = require('./helpers');
+
+describe('ListIt API (request validation)', () => {
+  const seller = request.agent(app);
+  let listing;
+
+  it('rejects bodies that do not match the schema with a typed error', async () => {
+    await seller.post('/api/register').send({ username: 'seller', email: 'seller@test.com', password: 'secret1' });
+    const base = { images: [IMG], description: 'Desk', location: 'Austin, TX', price: 40 };
+
+    let res = await seller.post('/api/listings').send({ ...base, price: '40' });
+    expect(res.status).toBe(400);
+    expect(res.body).toEqual({ error: { code: 'invalid_type', field: 'price', message: 'price must be number' } });
+
+    res = await seller.post('/api/listings').send({ ...base, description: 'x'.repeat(401) });
+    expect(res.body.error).toMatchObject({ code: 'out_of_range', field: 'description' });
+
+    res = await seller.post('/api/listings').send({ ...base, images: [42] });
+    expect(res.body.error).toMatchObject({ code: 'invalid_type', field: 'images.0' });
+
+    const { location, ...noLocation } = base;
+    res = await seller.post('/api/listings').send(noLocation);
+    expect(res.body.error).toEqual({ code: 'required', field: 'location', message: 'location is required' });
+
+    const { images, ...noImages } = base;
+    res = await seller.post('/api/listings').send(noImages);
+    expect(res.body.error).toEqual({ code: 'required', field: 'images', message: 'images or image_data is required' });
+
+    res = await seller.post('/api/listings').send({ ...base, lat: 30.27 });
+    expect(res.body.error).toMatchObject({ code: 'required', field: 'lon' });
+
+    listing = (await seller.post('/api/listings').send(base)).body;
+    expect(listing.description).toBe('Desk');
+  });
+
+  it('validates path params and coerced query strings', async () => {
+    let res = await seller.put('/api/listings/abc').send({ price: 30 });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatchObject({ code: 'invalid_type', field: 'id' });
+    res = await request(app).get('/api/listings/0/price-history');
+    expect(res.body.error).toMatchObject({ code: 'out_of_range', field: 'id' });
+
+    res = await request(app).get('/api/listings').query({ sort: 'cheapest' });
+    expect(res.body.error).toMatchObject({ code: 'invalid_value', field: 'sort' });
+    res = await request(app).get('/api/listings').query({ 'attr.year.min': 'old' });
+    expect(res.body.error).toMatchObject({ code: 'invalid_type', field: 'attr.year.min' });
+    // checks the schema can't express answer in the same shape
+    res = await request(app).get('/api/listings').query({ cursor: 'zzz' });
+    expect(res.status).toBe(400);
+    expect(res.body).toEqual({ error: { code: 'invalid_value', field: 'cursor', message: 'Invalid cursor' } });
+    res = await request(app).get('/api/listings').query({ status: 'foo' });
+    expect(res.body).toEqual({ error: { code: 'invalid_value', field: 'status', message: 'Invalid status' } });
+    res = await request(app).get('/api/listings').query({ category: 'nope' });
+    expect(res.body).toEqual({ error: { code: 'invalid_value', field: 'category', message: 'Unknown category' } });
+    res = await seller.post('/api/listings').send({ images: [IMG], description: 'Desk', location: 'Austin, TX', price: 40, category_id: 9999 });
+    expect(res.body.error).toMatchObject({ code: 'invalid_value', field: 'category_id' });
+    res = await request(app).get('/api/listings').query({ limit: '2', min_price: '' });
+    expect(res.status).toBe(200);
+    expect(res.body.items.map(l => l.id)).toEqual([listing.id]);
+  });
+
+  it('answers the services\' own input checks in the same shape', async () => {
+    const base = { images: [IMG], description: 'Desk', location: 'Austin, TX', price: 40 };
+    let res = await seller.post('/api/listings').send({ ...base, attributes: { colour: 'red' } });
+    expect(res.status).toBe(400);
+    expect(res.body).toEqual({ error: { code: 'unknown_field', field: 'attributes.colour', message: 'Unknown attribute "colour" for this category' } });
+
+    res = await seller.post('/api/listings').send({ ...base, images: [IMG, 'data:image/png;base64,bm90IGFuIGltYWdl'] });
+    expect(res.body.error).toMatchObject({ code: 'image_unsupported_type', field: 'images.1' });
+
+    res = await seller.post('/api/saved-searches').send({ q: 'desk', min_price: 50, max_price: 10 });
+    expect(res.body).toEqual({ error: { code: 'out_of_range', field: 'min_price', message: 'min_price must not exceed max_price' } });
+
+    // a rule of the operation rather than a bad field stays { error }
+    res = await seller.post('/api/conversations').send({ listing_id: listing.id });
+    expect(res.body).toEqual({ error: 'Cannot message yourself' });
+  });
+
+  it('checks auth before the schema', async () => {
+    expect((await request(app).post('/api/listings').send({})).status).toBe(401);
+  });
+});
+
+describe('ListIt API (OpenAPI document)', () => {
+  let doc;
+
+  it('serves an OpenAPI 3.1 document', async () => {
+    const res = await request(app).get('/api/openapi.json');
+    expect(res.status).toBe(200);
+    doc = res.body;
+    expect(doc.openapi).toBe('3.1.0');
+    expect(doc.info).toMatchObject({ title: 'ListIt API', version: require('../package.json').version });
+  });
+
+  it('documents every registered route', () => {
+    const routes = routeList(app.locals.routers);
+    expect(routes.length).toBeGreaterThan(50);
+    const missing = routes.filter(r => !doc.paths[r.path]?.[r.method]).map(r => `${r.method.toUpperCase()} ${r.path}`);
+    expect(missing).toEqual([]);
+    for (const r of routes) {
+      const op = doc.paths[r.path][r.method];
+      expect(op.summary).toBeTruthy();
+      const pathParams = [...r.path.matchAll(/\{(\w+)\}/g)].map(m => m[1]);
+      expect((op.parameters || []).filter(p => p.in === 'path').map(p => p.name)).toEqual(pathParams);
+    }
+  });
+
+  it('describes bodies, queries and auth from the route schemas', () => {
+    const create = doc.paths['/api/listings'].post;
+    expect(create.requestBody.content['application/json'].schema.required).toEqual(['description', 'location', 'price']);
+    expect(create.security).toEqual([{ session: [] }]);
+    expect(create.responses[400]).toEqual({ $ref: '#/components/responses/BadRequest' });
+    expect(create.responses.default).toEqual({ $ref: '#/components/responses/Error' });
+    expect(doc.components.responses.BadRequest.content['application/json'].schema.oneOf)
+      .toEqual([{ $ref: '#/components/schemas/ValidationError' }, { $ref: '#/components/schemas/Error' }]);
+
+    const search = doc.paths['/api/listings'].get;
+    expect(search.security).toBeUndefined();
+    expect(search.parameters.find(p => p.name === 'sort').schema.enum).toContain('price_asc');
+
+    const suspend = doc.paths['/api/admin/users/{id}/suspend'].post;
+    expect(suspend.responses[403]).toEqual({ $ref: '#/components/responses/Forbidden' });
+    expect(doc.paths['/api/calendar/{token}.ics'].get.responses[200].content).toHaveProperty('text/calendar');
+  });
+});
@@ -0,0 +1,94 @@
+/* tests/pagination.test.js (cursor pagination + server-side sort) */
+
+const request = require('supertest');
+const app = require('../server');
+const { IMG } = require('./helpers');
+
+describe('ListIt API (pagination)', () => {
+  const a = request.agent(app);
+  const made = [];
+
+  async function walk(query) {
+    const seen = [];
+    let cursor;
+    for (let i = 0; i < 20; i++) {
+      const res = await request(app).get('/api/listings').query({ ...query, limit: 2, ...(cursor ? { cursor } : {}) });
+      expect(res.status).toBe(200);
+      expect(res.body.items.length).toBeLessThanOrEqual(2);
+      seen.push(...res.body.items);
+      cursor = res.body.next_cursor;
+      if (!cursor) break;
+    }
+    return seen;
+  }
+
+  it('creates listings', async () => {
+    const res = await a.post('/api/register').send({ username: 'pager', email: 'pager@test.com', password: 'secret1' });
+    expect(res.status).toBe(200);
+    const rows = [
+      ['Lamp', 30, 'Denver, CO'], ['Desk', 80, 'austin, TX'], ['Sofa', 80, 'Boston, MA'],
+      ['Rug', 15, 'Chicago, IL'], ['Bike lamp', 30, 'Austin, TX']
+    ];
+    for (const [title, price, location] of rows) {
+      const r = await a.post('/api/listings').send({ images: [IMG], title, description: title, location, price });
+      expect(r.status).toBe(200);
+      made.push(r.body);
+    }
+  });
+
+  it('keeps returning a plain array without limit/cursor', async () => {
+    const res = await request(app).get('/api/listings');
+    expect(Array.isArray(res.body)).toBe(true);
+    expect(res.body.map(x => x.id)).toEqual(made.map(x => x.id).reverse());
+  });
+
+  it('pages through every sort mode without gaps or duplicates', async () => {
+    const byId = (x, y) => y.id - x.id;
+    const expected = {
+      new: [...made].sort(byId),
+      price_asc: [...made].sort((x, y) => x.price - y.price || byId(x, y)),
+      price_desc: [...made].sort((x, y) => y.price - x.price || byId(x, y)),
+      city: [...made].sort((x, y) => x.location.toLowerCase().localeCompare(y.location.toLowerCase()) || byId(x, y)),
+    };
+    for (const [sort, rows] of Object.entries(expected)) {
+      const got = await walk({ sort });
+      expect(got.map(x => x.id)).toEqual(rows.map(x => x.id));
+    }
+  });
+
+  it('paginates relevance-ranked search and location filters', async () => {
+    const got = await walk({ q: 'lamp' });
+    expect(got.map(x => x.id).sort()).toEqual([made[0].id, made[4].id].sort());
+    const austin = await walk({ loc: 'austin' });
+    expect(austin.map(x => x.id)).toEqual([made[4].id, made[1].id]);
+  });
+
+  it('rejects bad parameters', async () => {
+    let res = await request(app).get('/api/listings').query({ sort: 'nope' });
+    expect(res.status).toBe(400);
+    res = await request(app).get('/api/listings').query({ limit: 0 });
+    expect(res.status).toBe(400);
+    res = await request(app).get('/api/listings').query({ cursor: 'garbage' });
+    expect(res.status).toBe(400);
+    const page = await request(app).get('/api/listings').query({ sort: 'new', limit: 1 });
+    res = await request(app).get('/api/listings').query({ sort: 'price_asc', cursor: page.body.next_cursor });
+    expect(res.status).toBe(400);
+  });
+
+  it('caps the plain array at one page and hands out a cursor for the rest', async () => {
+    const { LISTINGS_PAGE_MAX } = require('../src/lib/listings');
+    const db = app.locals.db;
+    const owner = db.prepare('SELECT id FROM users WHERE username = ?').get('pager').id;
+    const insert = db.prepare("INSERT INTO listings (user_id, image_data, title, description, location, price, created_at) VALUES (?, '', ?, ?, 'Reno, NV', 5, ?)");
+    db.transaction(() => {
+      for (let i = 0; i < LISTINGS_PAGE_MAX + 20; i++) insert.run(owner, `Bulk ${i}`, `Bulk ${i}`, new Date().toISOString());
+    })();
+
+    const res = await request(app).get('/api/listings');
+    expect(res.body).toHaveLength(LISTINGS_PAGE_MAX);
+    const rest = await request(app).get('/api/listings').query({ cursor: res.headers['x-next-cursor'], limit: LISTINGS_PAGE_MAX });
+    expect(rest.body.items).toHaveLength(20 + made.length);
+    expect(rest.body.next_cursor).toBeNull();
+    expect(new Set([...res.body, ...rest.body.items].map(x => x.id)).size).toBe(LISTINGS_PAGE_MAX + 20 + made.length);
+  });
+});
@@ -0,0 +1,117 @@
+/* tests/pickups.test.js (pickup proposals, appointments, .ics export, reminders) */
+
+const request = require('supertest');
+const app = require('../server');
+const { IMG } = require('./helpers');
+const HOUR = 3600 * 1000;
+const at = (ms) => new Date(Date.now() + ms).toISOString();
+
+describe('ListIt API (pickup scheduling)', () => {
+  const seller = request.agent(app);
+  const buyer = request.agent(app);
+  const stranger = request.agent(app);
+  let url, listingId, proposal, appointment;
+  const slots = [at(48 * HOUR), at(24 * HOUR)];
+
+  beforeAll(async () => {
+    await seller.post('/api/register').send({ username: 'seller', email: 'seller@test.com', password: 'secret1' });
+    await buyer.post('/api/register').send({ username: 'buyer', email: 'buyer@test.com', password: 'secret1' });
+    await stranger.post('/api/register').send({ username: 'stranger', email: 'stranger@test.com', password: 'secret1' });
+    const listing = (await seller.post('/api/listings').send({ images: [IMG], description: 'Sofa; blue, comfy', location: 'Austin, TX', price: 100 })).body;
+    listingId = listing.id;
+    const convo = (await buyer.post('/api/conversations').send({ listing_id: listing.id })).body;
+    url = `/api/conversations/${convo.id}/pickups`;
+  });
+
+  it('validates proposals', async () => {
+    for (const body of [
+      { place: 'Library', slots: [] },
+      { place: 'Library', slots: ['not a date'] },
+      { place: 'Library', slots: [at(-HOUR)] },
+      { place: '', slots: [at(HOUR)] },
+      { place: 'Library', slots: [at(HOUR)], duration_minutes: 1000 },
+    ]) expect((await seller.post(url).send(body)).status).toBe(400);
+    expect((await stranger.post(url).send({ place: 'Library', slots: [at(HOUR)] })).status).toBe(403);
+  });
+
+  it('needs the seller in the conversation', async () => {
+    const buyerId = (await buyer.get('/api/me')).body.id;
+    const side = (await stranger.post('/api/conversations').send({ with_user_id: buyerId, listing_id: listingId })).body;
+    const res = await stranger.post(`/api/conversations/${side.id}/pickups`).send({ place: 'Library', slots: [at(HOUR)] });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/with the seller/);
+  });
+
+  it('proposes slots and replaces an open proposal', async () => {
+    const first = (await seller.post(url).send({ place: 'Library', slots: [at(72 * HOUR)] })).body.proposal;
+    const res = await seller.post(url).send({ place: 'Central Library, 2nd floor', slots, duration_minutes: 45 });
+    proposal = res.body.proposal;
+    expect(proposal).toMatchObject({ status: 'open', slots: [...slots].sort(), duration_minutes: 45 });
+    expect(res.body.message).toMatchObject({ kind: 'pickup', pickup: { id: proposal.id } });
+    const all = (await buyer.get(url)).body;
+    expect(all.map(p => [p.id, p.status])).toEqual([[first.id, 'superseded'], [proposal.id, 'open']]);
+  });
+
+  it('books an appointment when the other side accepts a slot', async () => {
+    expect((await seller.post(`${url}/${proposal.id}/accept`).send({ slot: slots[0] })).status).toBe(403);
+    expect((await buyer.post(`${url}/${proposal.id}/accept`).send({ slot: at(5 * HOUR) })).status).toBe(400);
+
+    const res = await buyer.post(`${url}/${proposal.id}/accept`).send({ slot: slots[1] });
+    expect(res.body.proposal.status).toBe('accepted');
+    appointment = res.body.appointment;
+    expect(appointment).toMatchObject({ starts_at: slots[1], place: 'Central Library, 2nd floor', status: 'scheduled', buyer_username: 'buyer', seller_username: 'seller' });
+    expect(Date.parse(appointment.ends_at) - Date.parse(appointment.starts_at)).toBe(45 * 60000);
+    expect(res.body.message.kind).toBe('pickup_status');
+    expect((await buyer.post(`${url}/${proposal.id}/accept`).send({ slot: slots[1] })).status).toBe(409);
+
+    for (const agent of [seller, buyer]) {
+      expect((await agent.get('/api/appointments')).body.map(a => a.id)).toEqual([appointment.id]);
+    }
+    expect((await stranger.get('/api/appointments')).body).toEqual([]);
+  });
+
+  it('exports an appointment as iCalendar', async () => {
+    expect((await stranger.get(`/api/appointments/${appointment.id}.ics`)).status).toBe(403);
+    const res = await buyer.get(`/api/appointments/${appointment.id}.ics`);
+    expect(res.headers['content-type']).toMatch(/^text\/calendar/);
+    expect(res.headers['content-disposition']).toMatch(/pickup-\d+\.ics/);
+    const ics = res.text;
+    expect(ics.startsWith('BEGIN:VCALENDAR\r\n')).toBe(true);
+    expect(ics).toContain(`UID:appointment-${appointment.id}@listit`);
+    expect(ics).toContain(`DTSTART:${slots[1].replace(/[-:]/g, '').replace(/\.\d{3}/, '')}`);
+    expect(ics).toContain('LOCATION:Central Library\\, 2nd floor');
+    expect(ics).toContain('SUMMARY:Pickup: Sofa\\; blue\\, comfy');
+  });
+
+  it('serves a per-user feed behind a rotatable token', async () => {
+    const feedPath = async () => new URL((await buyer.get('/api/calendar-feed')).body.url).pathname;
+    const path = await feedPath();
+    expect(path).toMatch(/^\/api\/calendar\/[a-f0-9]{48}\.ics$/);
+    expect(await feedPath()).toBe(path);
+    let res = await request(app).get(path);
+    expect(res.status).toBe(200);
+    expect(res.text).toContain(`UID:appointment-${appointment.id}@listit`);
+
+    await buyer.post('/api/calendar-feed/rotate');
+    expect((await request(app).get(path)).status).toBe(404);
+  });
+
+  it('sends one reminder before the pickup', async () => {
+    const soon = (await buyer.post(url).send({ place: 'Cafe', slots: [at(HOUR)] })).body.proposal;
+    await seller.post(`${url}/${soon.id}/accept`).send({ slot: soon.slots[0] });
+    for (const agent of [seller, buyer]) {
+      const notes = (await agent.get('/api/notifications')).body.filter(n => n.kind === 'pickup_reminder');
+      expect(notes).toHaveLength(1);
+      expect(notes[0].data).toMatchObject({ place: 'Cafe', starts_at: soon.slots[0] });
+    }
+    expect((await buyer.get('/api/notifications')).body.filter(n => n.kind === 'pickup_reminder')).toHaveLength(1);
+  });
+
+  it('cancels appointments', async () => {
+    expect((await stranger.post(`/api/appointments/${appointment.id}/cancel`)).status).toBe(403);
+    const res = await seller.post(`/api/appointments/${appointment.id}/cancel`);
+    expect(res.body.status).toBe('cancelled');
+    expect((await buyer.get('/api/appointments')).body.map(a => a.id)).not.toContain(appointment.id);
+    expect((await buyer.get(`/api/appointments/${appointment.id}.ics`)).text).toContain('STATUS:CANCELLED');
+  });
+});
@@ -0,0 +1,73 @@
+/* tests/profiles.test.js (public profiles + profile editing) */
+
+const request = require('supertest');
+const app = require('../server');
+const { IMG } = require('./helpers');
+const MIN = 60 * 1000;
+
+describe('ListIt API (profiles)', () => {
+  const seller = request.agent(app);
+  const buyer = request.agent(app);
+
+  beforeAll(async () => {
+    await seller.post('/api/register').send({ username: 'Maker', email: 'maker@test.com', password: 'secret1' });
+    await buyer.post('/api/register').send({ username: 'buyer', email: 'buyer@test.com', password: 'secret1' });
+  });
+  afterEach(() => jest.useRealTimers());
+
+  it('returns a public profile', async () => {
+    const post = (description) => seller.post('/api/listings').send({ images: [IMG], description, location: 'Austin, TX', price: 10, tags: 'secret' });
+    const a = (await post('Table')).body;
+    const b = (await post('Chair')).body;
+    await post('Shelf');
+    await seller.patch(`/api/listings/${a.id}/status`).send({ status: 'sold' });
+    await seller.patch(`/api/listings/${b.id}/status`).send({ status: 'reserved' });
+
+    const res = await request(app).get('/api/users/maker');
+    expect(res.body).toMatchObject({
+      username: 'Maker', bio: '', location: '', avatar_url: null,
+      active_listing_count: 2, sold_count: 1, rating: null, review_count: 0, response_time_minutes: null,
+    });
+    expect(res.body.joined_at).toBeDefined();
+    expect(res.body.listings.map(l => l.description)).toEqual(['Shelf', 'Chair']);
+    expect(res.body.listings[0].tags).toBeUndefined();
+    expect(res.body.email).toBeUndefined();
+    expect((await request(app).get('/api/users/ghost')).status).toBe(404);
+  });
+
+  it('computes the typical response time', async () => {
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate', 'setTimeout', 'setInterval', 'clearTimeout', 'clearInterval', 'clearImmediate', 'queueMicrotask'] });
+    const start = Date.now();
+    const sellerId = (await request(app).get('/api/users/maker')).body.id;
+    const third = request.agent(app);
+    await third.post('/api/register').send({ username: 'third', email: 'third@test.com', password: 'secret1' });
+
+    // replies after 10 and 30 minutes -> median 20
+    for (const [agent, delay] of [[buyer, 10], [third, 30]]) {
+      jest.setSystemTime(start);
+      const convo = (await agent.post('/api/conversations').send({ with_user_id: sellerId })).body;
+      await agent.post(`/api/conversations/${convo.id}/messages`).send({ body: 'Hello?' });
+      jest.setSystemTime(start + (delay / 2) * MIN);
+      await agent.post(`/api/conversations/${convo.id}/messages`).send({ body: 'Still there?' });
+      jest.setSystemTime(start + delay * MIN);
+      await seller.post(`/api/conversations/${convo.id}/messages`).send({ body: 'Yes' });
+    }
+    expect((await request(app).get('/api/users/Maker')).body.response_time_minutes).toBe(20);
+  });
+
+  it('edits the profile', async () => {
+    expect((await request(app).put('/api/me/profile').send({ bio: 'x' })).status).toBe(401);
+    expect((await seller.put('/api/me/profile').send({ bio: 'x'.repeat(501) })).status).toBe(400);
+    expect((await seller.put('/api/me/profile').send({ location: 42 })).status).toBe(400);
+    expect((await seller.put('/api/me/profile').send({ avatar: 'not-an-image' })).status).toBe(400);
+
+    let res = await seller.put('/api/me/profile').send({ bio: ' Woodworker. ', location: 'Austin, TX', avatar: IMG });
+    expect(res.body).toMatchObject({ bio: 'Woodworker.', location: 'Austin, TX' });
+    expect(res.body.avatar_url).toMatch(/^\/media\/[a-f0-9]{64}$/);
+
+    res = await seller.put('/api/me/profile').send({ bio: '' });
+    expect(res.body).toMatchObject({ bio: '', location: 'Austin, TX' });
+    res = await seller.put('/api/me/profile').send({ avatar: null });
+    expect(res.body.avatar_url).toBeNull();
+  });
+});
@@ -0,0 +1,78 @@
+/* tests/radius.test.js (coordinates, gazetteer, radius search + distance sort) */
+
+const request = require('supertest');
+const app = require('../server');
+const { IMG } = require('./helpers');
+const AUSTIN = { lat: 30.2672, lon: -97.7431 };
+
+describe('ListIt API (radius search)', () => {
+  const agent = request.agent(app);
+  const post = (body) => agent.post('/api/listings').send({ images: [IMG], price: 10, ...body });
+  const ids = {};
+
+  it('places listings from device coordinates or the gazetteer', async () => {
+    await agent.post('/api/register').send({ username: 'geo', email: 'geo@test.com', password: 'secret1' });
+
+    let res = await post({ description: 'Austin lamp', location: 'Austin, TX' });
+    expect(res.body).toMatchObject({ lat: 30.2672, lon: -97.7431 });
+    ids.austin = res.body.id;
+
+    // device coordinates are coarsened to 2 decimals
+    res = await post({ description: 'Round Rock desk', location: 'Round Rock, Texas', lat: 30.508312, lon: -97.678941 });
+    expect(res.body).toMatchObject({ lat: 30.51, lon: -97.68 });
+    ids.roundRock = res.body.id;
+
+    res = await post({ description: 'Illinois chair', location: 'Springfield, IL' });
+    expect(res.body.lat).toBeCloseTo(39.78, 1);
+    ids.springIL = res.body.id;
+    res = await post({ description: 'Mass chair', location: 'Springfield, Massachusetts' });
+    expect(res.body.lat).toBeCloseTo(42.10, 1);
+    ids.springMA = res.body.id;
+
+    res = await post({ description: 'Nowhere', location: 'Atlantis' });
+    expect(res.body.lat).toBeNull();
+    ids.nowhere = res.body.id;
+
+    res = await post({ description: 'Bad', location: 'Austin, TX', lat: 200, lon: 0 });
+    expect(res.status).toBe(400);
+  });
+
+  it('filters by radius and returns distance_km', async () => {
+    const res = await request(app).get('/api/listings').query({ ...AUSTIN, radius_km: 40 });
+    expect(res.status).toBe(200);
+    const got = Object.fromEntries(res.body.map(x => [x.id, x.distance_km]));
+    expect(Object.keys(got).map(Number).sort()).toEqual([ids.austin, ids.roundRock].sort());
+    expect(got[ids.austin]).toBe(0);
+    expect(got[ids.roundRock]).toBeGreaterThan(20);
+    expect(got[ids.roundRock]).toBeLessThan(40);
+  });
+
+  it('keeps same-named cities apart', async () => {
+    const res = await request(app).get('/api/listings').query({ lat: 39.78, lon: -89.65, radius_km: 50 });
+    expect(res.body.map(x => x.id)).toEqual([ids.springIL]);
+  });
+
+  it('sorts by distance (skipping unplaced listings) and pages with a cursor', async () => {
+    let res = await request(app).get('/api/listings').query({ ...AUSTIN, sort: 'distance' });
+    expect(res.body.map(x => x.id)).toEqual([ids.austin, ids.roundRock, ids.springIL, ids.springMA]);
+
+    const first = await request(app).get('/api/listings').query({ ...AUSTIN, sort: 'distance', limit: 2 });
+    expect(first.body.items.map(x => x.id)).toEqual([ids.austin, ids.roundRock]);
+    res = await request(app).get('/api/listings').query({ ...AUSTIN, sort: 'distance', limit: 2, cursor: first.body.next_cursor });
+    expect(res.body.items.map(x => x.id)).toEqual([ids.springIL, ids.springMA]);
+  });
+
+  it('re-places a listing when its location text changes', async () => {
+    const res = await agent.put(`/api/listings/${ids.nowhere}`).send({ location: 'Dallas, TX' });
+    expect(res.body.lat).toBeCloseTo(32.78, 1);
+  });
+
+  it('validates radius parameters', async () => {
+    expect((await request(app).get('/api/listings').query({ radius_km: 10 })).status).toBe(400);
+    expect((await request(app).get('/api/listings').query({ ...AUSTIN, radius_km: -1 })).status).toBe(400);
+    expect((await request(app).get('/api/listings').query({ lat: 'x', lon: 1 })).status).toBe(400);
+    expect((await request(app).get('/api/listings').query({ sort: 'distance' })).status).toBe(400);
+    const res = await request(app).get('/api/listings').query({ ...AUSTIN, facets: 1 });
+    expect(res.status).toBe(200);
+  });
+});
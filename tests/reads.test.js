@@ -0,0 +1,45 @@
+/* tests/reads.test.js (server-side read state + unread counts) */
+
+const request = require('supertest');
+const app = require('../server');
+
+describe('ListIt API (conversation read state)', () => {
+  const seller = request.agent(app);
+  const buyer = request.agent(app);
+  let sellerId, convo;
+  const msgs = [];
+  const summary = async (agent) => (await agent.get('/api/conversations')).body.find(c => c.id === convo.id);
+
+  it('counts unread messages from the other participant', async () => {
+    sellerId = (await seller.post('/api/register').send({ username: 'seller', email: 'seller@test.com', password: 'secret1' })).body.id;
+    await buyer.post('/api/register').send({ username: 'buyer', email: 'buyer@test.com', password: 'secret1' });
+    convo = (await buyer.post('/api/conversations').send({ with_user_id: sellerId })).body;
+
+    for (const body of ['Hi', 'Is it available?', 'Can pick up today']) {
+      msgs.push((await buyer.post(`/api/conversations/${convo.id}/messages`).send({ body })).body);
+    }
+    expect(await summary(seller)).toMatchObject({ unread_count: 3, last_read_message_id: 0, other_last_read_message_id: msgs[2].id });
+    // your own messages are never unread
+    expect(await summary(buyer)).toMatchObject({ unread_count: 0, last_read_message_id: msgs[2].id, other_last_read_message_id: 0 });
+  });
+
+  it('records read positions and only moves them forward', async () => {
+    let res = await seller.post(`/api/conversations/${convo.id}/read`).send({ last_message_id: msgs[1].id });
+    expect(res.body).toMatchObject({ id: convo.id, unread_count: 1, last_read_message_id: msgs[1].id });
+    res = await seller.post(`/api/conversations/${convo.id}/read`).send({ last_message_id: msgs[0].id });
+    expect(res.body.last_read_message_id).toBe(msgs[1].id);
+
+    expect((await summary(buyer)).other_last_read_message_id).toBe(msgs[1].id);
+
+    await seller.post(`/api/conversations/${convo.id}/read`).send({ last_message_id: msgs[2].id });
+    expect((await summary(seller)).unread_count).toBe(0);
+  });
+
+  it('guards the read endpoint', async () => {
+    const stranger = request.agent(app);
+    await stranger.post('/api/register').send({ username: 'stranger', email: 'stranger@test.com', password: 'secret1' });
+    expect((await stranger.post(`/api/conversations/${convo.id}/read`).send({ last_message_id: msgs[0].id })).status).toBe(403);
+    expect((await seller.post('/api/conversations/9999/read').send({ last_message_id: msgs[0].id })).status).toBe(404);
+    expect((await seller.post(`/api/conversations/${convo.id}/read`).send({})).status).toBe(400);
+  });
+});
@@ -0,0 +1,75 @@
+/* tests/reviews.test.js (post-sale reviews + seller reputation) */
+
+const request = require('supertest');
+const app = require('../server');
+const { IMG } = require('./helpers');
+
+describe('ListIt API (reviews)', () => {
+  const seller = request.agent(app);
+  const buyer = request.agent(app);
+  const lurker = request.agent(app);
+  let listing, convo, lurkerConvo;
+  const reviewsUrl = (c) => `/api/conversations/${c.id}/reviews`;
+
+  beforeAll(async () => {
+    await seller.post('/api/register').send({ username: 'Seller', email: 'seller@test.com', password: 'secret1' });
+    await buyer.post('/api/register').send({ username: 'buyer', email: 'buyer@test.com', password: 'secret1' });
+    await lurker.post('/api/register').send({ username: 'lurker', email: 'lurker@test.com', password: 'secret1' });
+    listing = (await seller.post('/api/listings').send({ images: [IMG], description: 'Desk', location: 'Austin, TX', price: 80 })).body;
+    convo = (await buyer.post('/api/conversations').send({ listing_id: listing.id })).body;
+    lurkerConvo = (await lurker.post('/api/conversations').send({ listing_id: listing.id })).body;
+  });
+
+  it('opens reviews only after a sale to that buyer', async () => {
+    expect((await buyer.post(reviewsUrl(convo)).send({ rating: 5 })).status).toBe(403);
+    await seller.patch(`/api/listings/${listing.id}/status`).send({ status: 'sold', conversation_id: convo.id });
+    expect((await lurker.post(reviewsUrl(lurkerConvo)).send({ rating: 1 })).status).toBe(403);
+    expect((await seller.post(reviewsUrl(lurkerConvo)).send({ rating: 1 })).status).toBe(403);
+    const summary = (await buyer.get('/api/conversations')).body.find(c => c.id === convo.id);
+    expect(summary).toMatchObject({ listing_status: 'sold', can_review: 1 });
+  });
+
+  it('validates and stores one review per side', async () => {
+    expect((await buyer.post(reviewsUrl(convo)).send({ rating: 6 })).status).toBe(400);
+    expect((await buyer.post(reviewsUrl(convo)).send({ rating: 4.5 })).status).toBe(400);
+    expect((await buyer.post(reviewsUrl(convo)).send({ rating: 5, body: 'x'.repeat(1001) })).status).toBe(400);
+
+    let res = await buyer.post(reviewsUrl(convo)).send({ rating: 5, body: ' Smooth pickup, as described. ' });
+    expect(res.body).toMatchObject({ rating: 5, body: 'Smooth pickup, as described.', reviewer_username: 'buyer', reviewee_username: 'Seller', reviewee_role: 'seller' });
+    expect((await buyer.post(reviewsUrl(convo)).send({ rating: 1 })).status).toBe(409);
+
+    res = await seller.post(reviewsUrl(convo)).send({ rating: 4 });
+    expect(res.body).toMatchObject({ reviewee_username: 'buyer', reviewee_role: 'buyer', body: '' });
+    expect((await buyer.get('/api/conversations')).body.find(c => c.id === convo.id).can_review).toBe(0);
+  });
+
+  it('aggregates ratings on user pages and listings', async () => {
+    // a second sale to someone else
+    const other = (await seller.post('/api/listings').send({ images: [IMG], description: 'Chair', location: 'Austin, TX', price: 20 })).body;
+    const c2 = (await lurker.post('/api/conversations').send({ listing_id: other.id })).body;
+    await seller.patch(`/api/listings/${other.id}/status`).send({ status: 'sold', conversation_id: c2.id });
+    await lurker.post(reviewsUrl(c2)).send({ rating: 2, body: 'Late' });
+
+    let res = await request(app).get('/api/users/seller/reviews');
+    expect(res.body).toMatchObject({ username: 'Seller', rating: 3.5, count: 2 });
+    expect(res.body.reviews.map(r => [r.reviewer_username, r.rating, r.listing_title])).toEqual([['lurker', 2, other.title], ['buyer', 5, listing.title]]);
+    expect((await request(app).get('/api/users/nobody/reviews')).status).toBe(404);
+
+    await seller.patch(`/api/listings/${other.id}/status`).send({ status: 'available' });
+    res = await request(app).get('/api/listings');
+    expect(res.body.find(l => l.id === other.id)).toMatchObject({ owner_username: 'Seller', owner_rating: 3.5, owner_review_count: 2 });
+    const buyerListing = (await buyer.post('/api/listings').send({ images: [IMG], description: 'Lamp', location: 'Austin, TX', price: 5 })).body;
+    res = await request(app).get('/api/listings');
+    expect(res.body.find(l => l.id === buyerListing.id)).toMatchObject({ owner_rating: 4, owner_review_count: 1 });
+  });
+
+  it('is closed by a block, either way', async () => {
+    const table = (await seller.post('/api/listings').send({ images: [IMG], description: 'Table', location: 'Austin, TX', price: 60 })).body;
+    const c3 = (await lurker.post('/api/conversations').send({ listing_id: table.id })).body;
+    await seller.patch(`/api/listings/${table.id}/status`).send({ status: 'sold', conversation_id: c3.id });
+    const lurkerId = (await lurker.get('/api/me')).body.id;
+    await seller.post(`/api/users/${lurkerId}/block`);
+    expect((await lurker.post(reviewsUrl(c3)).send({ rating: 1 })).status).toBe(403);
+    expect((await seller.post(reviewsUrl(c3)).send({ rating: 1 })).status).toBe(403);
+  });
+});
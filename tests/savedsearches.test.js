@@ -0,0 +1,97 @@
+/* tests/savedsearches.test.js (saved searches + new-match notifications) */
+
+const request = require('supertest');
+const app = require('../server');
+const { IMG } = require('./helpers');
+
+describe('ListIt API (saved searches)', () => {
+  const buyer = request.agent(app);
+  const other = request.agent(app);
+  const seller = request.agent(app);
+  let search;
+  const post = (body) => seller.post('/api/listings').send({ images: [IMG], location: 'Austin, TX', ...body });
+
+  it('requires auth and at least one criterion', async () => {
+    let res = await request(app).get('/api/saved-searches');
+    expect(res.status).toBe(401);
+    await buyer.post('/api/register').send({ username: 'buyer', email: 'buyer@test.com', password: 'secret1' });
+    await other.post('/api/register').send({ username: 'other', email: 'other@test.com', password: 'secret1' });
+    await seller.post('/api/register').send({ username: 'seller', email: 'seller@test.com', password: 'secret1' });
+    res = await buyer.post('/api/saved-searches').send({ sort: 'price_asc' });
+    expect(res.status).toBe(400);
+    res = await buyer.post('/api/saved-searches').send({ q: 'bike', sort: 'bogus' });
+    expect(res.status).toBe(400);
+    res = await buyer.post('/api/saved-searches').send({ q: 'bike', min_price: 500, max_price: 100 });
+    expect(res.status).toBe(400);
+  });
+
+  it('creates and lists saved searches', async () => {
+    const res = await buyer.post('/api/saved-searches').send({ q: 'bike', loc: 'austin', max_price: 300, sort: 'price_asc' });
+    expect(res.status).toBe(200);
+    search = res.body;
+    expect(search).toMatchObject({ q: 'bike', loc: 'austin', min_price: null, max_price: 300, sort: 'price_asc', new_count: 0 });
+    expect(search.name).toBe('bike · austin');
+    const list = await buyer.get('/api/saved-searches');
+    expect(list.body.map(s => s.id)).toEqual([search.id]);
+    expect((await other.get('/api/saved-searches')).body).toEqual([]);
+  });
+
+  it('notifies on new matching listings only', async () => {
+    await post({ description: 'Road bike', price: 250 });
+    await post({ description: 'Mountain bike', price: 900 });          // too expensive
+    await post({ description: 'Kids bike', price: 50, location: 'Dallas, TX' }); // wrong city
+    await post({ description: 'Lamp', price: 20 });                    // no text match
+    const list = await buyer.get('/api/saved-searches');
+    expect(list.body[0].new_count).toBe(1);
+    const notes = await buyer.get('/api/notifications').query({ unread: 1 });
+    expect(notes.body.map(n => n.saved_search_id)).toEqual([search.id]);
+    expect(notes.body[0].listing_title).toBeDefined();
+  });
+
+  it('notifies when an edit makes a listing match, once', async () => {
+    const all = await request(app).get('/api/listings').query({ q: 'mountain' });
+    const id = all.body[0].id;
+    await seller.put(`/api/listings/${id}`).send({ price: 280 });
+    await seller.put(`/api/listings/${id}`).send({ price: 270 });
+    const list = await buyer.get('/api/saved-searches');
+    expect(list.body[0].new_count).toBe(2);
+  });
+
+  it('filters listings by the saved price range', async () => {
+    const res = await request(app).get('/api/listings').query({ q: 'bike', loc: 'austin', max_price: 300, sort: 'price_asc' });
+    expect(res.body.map(x => x.price)).toEqual([250, 270]);
+    expect((await request(app).get('/api/listings').query({ min_price: 'x' })).status).toBe(400);
+  });
+
+  it('marks matches seen and keeps searches private', async () => {
+    let res = await other.post(`/api/saved-searches/${search.id}/seen`);
+    expect(res.status).toBe(404);
+    res = await buyer.post(`/api/saved-searches/${search.id}/seen`);
+    expect(res.body.new_count).toBe(0);
+    expect((await buyer.get('/api/saved-searches')).body[0].new_count).toBe(0);
+
+    res = await other.put(`/api/saved-searches/${search.id}`).send({ q: 'lamp' });
+    expect(res.status).toBe(404);
+    res = await buyer.put(`/api/saved-searches/${search.id}`).send({ name: 'Cheap bikes', min_price: 10 });
+    expect(res.body).toMatchObject({ name: 'Cheap bikes', q: 'bike', min_price: 10, max_price: 300 });
+
+    res = await buyer.delete(`/api/saved-searches/${search.id}`);
+    expect(res.status).toBe(200);
+    expect((await buyer.get('/api/saved-searches')).body).toEqual([]);
+    expect((await buyer.get('/api/notifications')).body).toEqual([]);
+  });
+
+  it('leaves out sellers on either side of a block', async () => {
+    const kayaks = (await buyer.post('/api/saved-searches').send({ q: 'kayak' })).body;
+    const [buyerId, otherId] = await Promise.all([buyer, other].map(async a => (await a.get('/api/me')).body.id));
+    await buyer.post(`/api/users/${otherId}/block`);
+    await seller.post(`/api/users/${buyerId}/block`);
+    await other.post('/api/listings').send({ images: [IMG], description: 'Kayak', location: 'Austin, TX', price: 300 });
+    await post({ description: 'Kayak paddle', price: 30 });
+    expect((await buyer.get('/api/notifications')).body).toEqual([]);
+
+    await buyer.delete(`/api/users/${otherId}/block`);
+    await other.post('/api/listings').send({ images: [IMG], description: 'Sea kayak', location: 'Austin, TX', price: 400 });
+    expect((await buyer.get('/api/notifications')).body.map(n => [n.saved_search_id, n.listing_title])).toEqual([[kayaks.id, 'Sea kayak']]);
+  });
+});
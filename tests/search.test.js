@@ -0,0 +1,62 @@
+/* tests/search.test.js (FTS5 listing search) */
+
+const request = require('supertest');
+const app = require('../server');
+const { IMG } = require('./helpers');
+
+describe('ListIt API (search)', () => {
+  const a = request.agent(app);
+  const ids = {};
+
+  async function search(q) {
+    const res = await request(app).get('/api/listings').query({ q });
+    expect(res.status).toBe(200);
+    return res.body.map(x => x.id);
+  }
+
+  it('creates listings', async () => {
+    let res = await a.post('/api/register').send({ username: 'seller', email: 'seller@test.com', password: 'secret1' });
+    expect(res.status).toBe(200);
+    const make = async (key, body) => {
+      const r = await a.post('/api/listings').send({ images: [IMG], location: 'Austin, TX', price: 50, ...body });
+      expect(r.status).toBe(200);
+      ids[key] = r.body.id;
+    };
+    await make('bike', { title: 'Red mountain bike', description: 'Trek, barely ridden', tags: 'bicycle, mtb' });
+    await make('chair', { title: 'Office chair', description: 'Red fabric, good for a desk', tags: 'furniture' });
+    await make('car', { title: 'Jeep Wrangler', description: 'Runs great', tags: 'car, suv, 4x4' });
+  });
+
+  it('matches prefixes across words and ranks title hits first', async () => {
+    expect(await search('moun bik')).toEqual([ids.bike]);
+    expect(await search('red')).toEqual([ids.bike, ids.chair]);
+  });
+
+  it('supports quoted phrases and -exclusion', async () => {
+    expect(await search('"red fabric"')).toEqual([ids.chair]);
+    expect(await search('red -chair')).toEqual([ids.bike]);
+    expect(await search('-red')).toEqual([ids.car]);
+  });
+
+  it('matches private tags without returning them', async () => {
+    const res = await request(app).get('/api/listings').query({ q: 'suv' });
+    expect(res.body.map(x => x.id)).toEqual([ids.car]);
+    expect(res.body[0].tags).toBeUndefined();
+  });
+
+  it('keeps the index in sync on update and delete', async () => {
+    let res = await a.put(`/api/listings/${ids.car}`).send({ title: 'Ford Bronco', tags: 'truck' });
+    expect(res.status).toBe(200);
+    expect(await search('jeep')).toEqual([]);
+    expect(await search('suv')).toEqual([]);
+    expect(await search('bronco truck')).toEqual([ids.car]);
+    res = await a.delete(`/api/listings/${ids.car}`);
+    expect(res.status).toBe(200);
+    expect(await search('bronco')).toEqual([]);
+  });
+
+  it('ignores FTS syntax characters in user input', async () => {
+    expect(await search('bike* OR (NEAR "')).toEqual([]);
+    expect(await search('"')).toEqual(expect.arrayContaining([ids.bike, ids.chair]));
+  });
+});
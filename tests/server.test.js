@@ -2,8 +2,7 @@
 
 const request = require('supertest');
 const app = require('../server');
-
-const IMG = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR4nGP8z/C/HwAF/gL+oX2nxQAAAABJRU5ErkJggg==';
+const { IMG } = require('./helpers');
 
 describe('ListIt API (multi-images)', () => {
   const a = request.agent(app);
@@ -17,9 +16,9 @@ describe('ListIt API (multi-images)', () => {
   });
 
   it('registers users A and B', async () => {
-    let res = await a.post('/api/register').send({ email: 'a@test.com', password: 'secret1' });
+    let res = await a.post('/api/register').send({ username: 'usera', email: 'a@test.com', password: 'secret1' });
     expect(res.status).toBe(200);
-    res = await b.post('/api/register').send({ email: 'b@test.com', password: 'secret1' });
+    res = await b.post('/api/register').send({ username: 'userb', email: 'b@test.com', password: 'secret1' });
     expect(res.status).toBe(200);
   });
 
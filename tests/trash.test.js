@@ -0,0 +1,125 @@
+/* tests/trash.test.js (soft delete, owner + admin trash, restore, purge) */
+
+const request = require('supertest');
+const sharp = require('sharp');
+const { IMG, ADMIN, makeApp } = require('./helpers');
+
+describe('ListIt API (trash)', () => {
+  const app = makeApp({ admin: ADMIN });
+  const admin = request.agent(app);
+  const seller = request.agent(app);
+  const buyer = request.agent(app);
+  let lamp, desk, chair, convo;
+  const post = (description) => seller.post('/api/listings').send({ images: [IMG], description, location: 'Austin, TX', price: 40 }).then(r => r.body);
+  const listed = async () => (await request(app).get('/api/listings')).body.map(l => l.id);
+
+  beforeAll(async () => {
+    await admin.post('/api/login').send({ email: 'admin@test.com', password: 'secret1' });
+    await seller.post('/api/register').send({ username: 'seller', email: 'seller@test.com', password: 'secret1' });
+    await buyer.post('/api/register').send({ username: 'buyer', email: 'buyer@test.com', password: 'secret1' });
+    lamp = await post('Lamp');
+    desk = await post('Desk');
+    chair = await post('Chair');
+    convo = (await buyer.post('/api/conversations').send({ listing_id: lamp.id })).body;
+    await buyer.post(`/api/listings/${lamp.id}/favorite`);
+  });
+
+  it('moves deleted listings to the trash and hides them', async () => {
+    const res = await seller.delete(`/api/listings/${lamp.id}`);
+    expect(res.status).toBe(200);
+    expect(Date.parse(res.body.purge_after) - Date.now()).toBeGreaterThan(29 * 24 * 3600 * 1000);
+
+    expect(await listed()).toEqual([chair.id, desk.id]);
+    expect((await buyer.get('/api/favorites')).body).toEqual([]);
+    expect((await seller.put(`/api/listings/${lamp.id}`).send({ price: 1 })).status).toBe(404);
+    expect((await seller.delete(`/api/listings/${lamp.id}`)).status).toBe(404);
+    expect((await buyer.post('/api/conversations').send({ listing_id: lamp.id })).status).toBe(404);
+    expect((await buyer.post(`/api/conversations/${convo.id}/offers`).send({ amount: 30 })).status).toBe(409);
+  });
+
+  it('keeps the listing title on conversations', async () => {
+    const [summary] = (await buyer.get('/api/conversations')).body;
+    expect(summary).toMatchObject({ id: convo.id, listing_title: lamp.title, listing_removed: 1 });
+  });
+
+  it('shows owners their own trash and lets them restore', async () => {
+    let trash = (await seller.get('/api/listings/trash')).body;
+    expect(trash.map(l => l.id)).toEqual([lamp.id]);
+    expect(trash[0]).toMatchObject({ description: 'Lamp', purge_after: expect.any(String) });
+    expect((await buyer.get('/api/listings/trash')).body).toEqual([]);
+    expect((await buyer.post(`/api/listings/${lamp.id}/restore`)).status).toBe(404);
+
+    const res = await seller.post(`/api/listings/${lamp.id}/restore`);
+    expect(res.body.id).toBe(lamp.id);
+    expect(await listed()).toEqual([chair.id, desk.id, lamp.id]);
+    // the watchlist comes back with it
+    expect((await buyer.get('/api/favorites')).body.map(l => l.id)).toEqual([lamp.id]);
+    expect((await seller.post(`/api/listings/${lamp.id}/restore`)).status).toBe(404);
+  });
+
+  it('leaves listings an admin removed to admins', async () => {
+    await admin.delete(`/api/admin/listings/${desk.id}`);
+    expect((await seller.get('/api/listings/trash')).body.map(l => l.id)).toEqual([desk.id]);
+    expect((await seller.post(`/api/listings/${desk.id}/restore`)).status).toBe(403);
+
+    expect((await seller.get('/api/admin/trash')).status).toBe(403);
+    const trash = (await admin.get('/api/admin/trash')).body;
+    expect(trash[0]).toMatchObject({ id: desk.id, owner_username: 'seller', deleted_by_username: 'admin' });
+    await admin.post(`/api/admin/listings/${desk.id}/restore`);
+    expect(await listed()).toEqual([chair.id, desk.id, lamp.id]);
+    expect((await admin.post(`/api/admin/listings/${desk.id}/restore`)).status).toBe(404);
+  });
+
+  it('undoes delete-all as one batch', async () => {
+    await seller.delete(`/api/listings/${chair.id}`);
+    const res = await admin.delete('/api/admin/listings');
+    expect(res.body.deleted).toBe(2);
+    expect(await listed()).toEqual([]);
+
+    expect((await admin.post('/api/admin/trash/restore-all').send({})).status).toBe(400);
+    const restored = await admin.post('/api/admin/trash/restore-all').send({ deleted_at: res.body.deleted_at });
+    expect(restored.body.restored).toBe(2);
+    // the chair was deleted separately and stays in the trash
+    expect(await listed()).toEqual([desk.id, lamp.id]);
+    const actions = (await admin.get('/api/admin/audit').query({ action: 'listing.' })).body.items.map(e => e.action);
+    expect(actions).toEqual(['listing.restore_all', 'listing.delete_all', 'listing.restore', 'listing.delete']);
+  });
+
+  it('stops serving a trashed listing\'s photos publicly', async () => {
+    const png = await sharp({ create: { width: 3, height: 2, channels: 3, background: '#a00' } }).png().toBuffer();
+    const rug = (await seller.post('/api/listings').send({ images: [`data:image/png;base64,${png.toString('base64')}`], description: 'Rug', location: 'Austin, TX', price: 25 })).body;
+    expect((await request(app).get(rug.image_url)).headers['cache-control']).toMatch(/^public,/);
+
+    await seller.delete(`/api/listings/${rug.id}`);
+    expect((await request(app).get(rug.image_url)).status).toBe(404);
+    expect((await buyer.get(rug.image_url)).status).toBe(404);
+    // still there for the trash views
+    for (const agent of [seller, admin]) {
+      const res = await agent.get(rug.image_url);
+      expect(res.status).toBe(200);
+      expect(res.headers['cache-control']).toMatch(/^private,/);
+    }
+  });
+});
+
+describe('ListIt API (trash purge)', () => {
+  const app = makeApp({ admin: ADMIN, listingTrashRetentionMs: 300 });
+  const seller = request.agent(app);
+  const buyer = request.agent(app);
+
+  it('purges listings past the retention window', async () => {
+    await seller.post('/api/register').send({ username: 'seller', email: 'seller@test.com', password: 'secret1' });
+    await buyer.post('/api/register').send({ username: 'buyer', email: 'buyer@test.com', password: 'secret1' });
+    const listing = (await seller.post('/api/listings').send({ images: [IMG], description: 'Old sofa', location: 'Austin, TX', price: 10 })).body;
+    const convo = (await buyer.post('/api/conversations').send({ listing_id: listing.id })).body;
+    await seller.delete(`/api/listings/${listing.id}`);
+    expect((await seller.get('/api/listings/trash')).body).toHaveLength(1);
+
+    await new Promise(r => setTimeout(r, 400));
+    expect((await seller.get('/api/listings/trash')).body).toEqual([]);
+    expect((await seller.post(`/api/listings/${listing.id}/restore`)).status).toBe(404);
+    expect((await request(app).get(`/api/listings/${listing.id}/images`)).body).toEqual([]);
+    const [summary] = (await buyer.get('/api/conversations')).body;
+    expect(summary).toMatchObject({ id: convo.id, listing_id: listing.id, listing_title: listing.title, listing_removed: 1 });
+  });
+});